@@ -0,0 +1,20 @@
+"use client";
+
+import { Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import FlowVisualizer from "@/components/FlowVisualizer/FlowVisualizer";
+
+function MaxFlowContent() {
+  const searchParams = useSearchParams();
+  const isEmbedded = searchParams.get('embedded') === 'true';
+
+  return <FlowVisualizer embedded={isEmbedded} />;
+}
+
+export default function MaxFlowPage() {
+  return (
+    <Suspense fallback={<div className="flex items-center justify-center min-h-screen">Loading...</div>}>
+      <MaxFlowContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,20 @@
+"use client";
+
+import { Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import MSTVisualizer from "@/components/MSTVisualizer/MSTVisualizer";
+
+function MSTContent() {
+  const searchParams = useSearchParams();
+  const isEmbedded = searchParams.get('embedded') === 'true';
+
+  return <MSTVisualizer embedded={isEmbedded} />;
+}
+
+export default function MSTPage() {
+  return (
+    <Suspense fallback={<div className="flex items-center justify-center min-h-screen">Loading...</div>}>
+      <MSTContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,7 @@
+"use client";
+
+import BenchmarkView from "@/components/ShortestPathVisualizer/BenchmarkView";
+
+export default function ShortestPathBenchmarkPage() {
+  return <BenchmarkView />;
+}
@@ -0,0 +1,274 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Dinic's algorithm.
+ * Return an array of step objects, and also set the final result in the parent.
+ *
+ * Dinic's algorithm works in phases. Each phase runs a BFS from the source to label every
+ * node with its level (hop distance in the residual graph), keeps only the arcs that go
+ * exactly one level deeper (the level graph), then finds a blocking flow in it: repeated
+ * DFS walks from s to t, each saturating at least one arc, with dead ends pruned so they are
+ * never explored twice. The phase ends when the level graph has no s → t path left.
+ *
+ * Steps carry the same flow fields as the Edmonds–Karp generator, plus:
+ * - `phase`: current phase number, `levels`: { [nodeId]: level } of this phase
+ * - `deadEnds`: nodes pruned from the level graph in this phase
+ * - `phaseFlow`: value of the blocking flow found so far in this phase
+ */
+import {
+  buildResidualArcs,
+  residualCapacity,
+  residualEdgeId,
+  findMinCut,
+  describePath,
+  augmentAlongPath,
+} from './flowNetwork';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const DINIC_STEP_LABELS = [
+  "1. Start with zero flow on every edge",
+  "2. BFS from s assigns levels in the residual graph",
+  "3. Level graph: keep arcs that go exactly one level deeper",
+  "4. DFS finds an s→t path in the level graph",
+  "5. Push the bottleneck along the path",
+  "6. Dead end: prune the node from the level graph",
+  "7. No s→t path left in the level graph: blocking flow found",
+  "8. Sink unreachable: the nodes reachable from s form a min cut",
+];
+
+export function generateDinicSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const source = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const sink = selectedDestNode;
+  const label = (id) => nodes[id]?.label;
+
+  const steps = [];
+  const capacities = Object.fromEntries(edges.map((edge) => [edge.id, edge.weight]));
+  const flows = Object.fromEntries(edges.map((edge) => [edge.id, 0]));
+  const arcs = buildResidualArcs(nodes, edges);
+  const augmentations = [];
+  let totalFlow = 0;
+  let phase = 0;
+  let phaseFlow = 0;
+  // Rebuilt in place every phase
+  const levels = {};
+  const deadEnds = new Set();
+
+  const pushStep = ({ highlights = [], edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: { ...levels },
+    iterationCount: phase,
+    source,
+    sink,
+    flows: { ...flows },
+    totalFlow,
+    augmentingPath: null,
+    augmentations: [...augmentations],
+    bfsQueue: null,
+    minCut: null,
+    phase,
+    levels: { ...levels },
+    deadEnds: [...deadEnds],
+    phaseFlow,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+    edgeUpdates: [...highlights.map(({ arc, status }) => ({ id: arc.edgeId, status })), ...edgeUpdates],
+    residualUpdates: highlights.map(({ arc, status }) => ({ id: residualEdgeId(arc), status })),
+  });
+
+  if (sink == null || sink === source || !arcs[source] || !arcs[sink]) {
+    steps.push({
+      explanation: "Pick a source and a different sink to run Dinic's algorithm.",
+      algorithmStep: 'Done',
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      edgeUpdates: [],
+      residualUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+    });
+    setShortestPathResult({ distances: {}, paths: {}, maxFlow: 0, flows: { ...flows }, minCut: null });
+    return steps;
+  }
+
+  // An arc belongs to the current level graph if it has residual capacity, goes one level
+  // deeper and does not lead into a pruned dead end
+  const inLevelGraph = (arc) =>
+    residualCapacity(arc, flows, capacities) > 0 &&
+    levels[arc.to] === levels[arc.from] + 1 &&
+    !deadEnds.has(arc.to);
+  const levelGraphArcs = () =>
+    Object.values(arcs).flat().filter((arc) => levels[arc.from] !== undefined && inLevelGraph(arc));
+  const levelGraphHighlights = (except = []) =>
+    levelGraphArcs()
+      .filter((arc) => !except.includes(arc))
+      .map((arc) => ({ arc, status: 'level' }));
+
+  pushStep({
+    explanation: `Every edge starts with flow 0. Capacities are the edge weights. Source ${label(source)}, sink ${label(sink)}.`,
+    algorithmStep: DINIC_STEP_LABELS[0],
+  });
+
+  // =========================
+  //   PHASES
+  // =========================
+  while (true) {
+    phase += 1;
+    phaseFlow = 0;
+    deadEnds.clear();
+    Object.keys(levels).forEach((id) => delete levels[id]);
+    levels[source] = 0;
+
+    // BFS: level every node reachable in the residual graph
+    const queue = [source];
+    while (queue.length > 0) {
+      const u = queue.shift();
+      const discovered = [];
+      arcs[u].forEach((arc) => {
+        if (levels[arc.to] === undefined && residualCapacity(arc, flows, capacities) > 0) {
+          levels[arc.to] = levels[u] + 1;
+          queue.push(arc.to);
+          discovered.push(arc);
+        }
+      });
+
+      pushStep({
+        explanation: discovered.length > 0
+          ? `Phase ${phase} BFS dequeues ${label(u)} (level ${levels[u]}): ${discovered
+              .map((arc) => label(arc.to))
+              .join(', ')} ${discovered.length === 1 ? 'gets' : 'get'} level ${levels[u] + 1}.`
+          : `Phase ${phase} BFS dequeues ${label(u)} (level ${levels[u]}): no new node is reachable through residual arcs.`,
+        algorithmStep: DINIC_STEP_LABELS[1],
+        visitedNodes: Object.keys(levels).map(Number),
+        bfsQueue: [...queue],
+        highlights: discovered.map((arc) => ({ arc, status: 'candidate' })),
+      });
+    }
+
+    if (levels[sink] === undefined) break;
+
+    pushStep({
+      explanation: `Level graph for phase ${phase}: ${levelGraphArcs().length} arcs, sink ${label(sink)} at level ${levels[sink]}. Every path in it has exactly ${levels[sink]} edges.`,
+      algorithmStep: DINIC_STEP_LABELS[2],
+      visitedNodes: Object.keys(levels).map(Number),
+      highlights: levelGraphHighlights(),
+    });
+
+    // Blocking flow: DFS with a current-arc pointer per node, so every arc is tried once per phase
+    const nextArc = {};
+    nodes.forEach((node) => {
+      nextArc[node.id] = 0;
+    });
+
+    while (true) {
+      const path = [];
+      let u = source;
+
+      while (u !== sink) {
+        const candidates = arcs[u];
+        while (nextArc[u] < candidates.length && !inLevelGraph(candidates[nextArc[u]])) {
+          nextArc[u] += 1;
+        }
+
+        if (nextArc[u] < candidates.length) {
+          const arc = candidates[nextArc[u]];
+          path.push(arc);
+          u = arc.to;
+          continue;
+        }
+
+        // No way forward from u: prune it and retreat
+        deadEnds.add(u);
+        if (u === source) break;
+        const retreated = path.pop();
+        pushStep({
+          explanation: `Dead end at ${label(u)}: no level-graph arc leads on towards ${label(sink)}. Prune ${label(u)} for this phase and retreat to ${label(retreated.from)}.`,
+          algorithmStep: DINIC_STEP_LABELS[5],
+          visitedNodes: [source, ...path.map((arc) => arc.to)],
+          highlights: [
+            ...levelGraphHighlights(path),
+            ...path.map((arc) => ({ arc, status: 'candidate' })),
+            { arc: retreated, status: 'excluded' },
+          ],
+        });
+        u = retreated.from;
+        nextArc[u] += 1;
+      }
+
+      if (u !== sink) break;
+
+      const residuals = path.map((arc) => residualCapacity(arc, flows, capacities));
+      const bottleneck = Math.min(...residuals);
+      const bottleneckArc = path[residuals.indexOf(bottleneck)];
+      const augmentingPath = {
+        arcs: path.map((arc, index) => ({ ...arc, residual: residuals[index] })),
+        bottleneck,
+        bottleneckArc,
+      };
+      const pathHighlights = path.map((arc) => ({ arc, status: arc === bottleneckArc ? 'candidate' : 'included' }));
+
+      pushStep({
+        explanation: `DFS found ${describePath(path, nodes)} in the level graph. Bottleneck ${bottleneck} on ${label(bottleneckArc.from)} → ${label(bottleneckArc.to)}.`,
+        algorithmStep: DINIC_STEP_LABELS[3],
+        visitedNodes: [source, ...path.map((arc) => arc.to)],
+        augmentingPath,
+        highlights: [...levelGraphHighlights(path), ...pathHighlights],
+      });
+
+      augmentAlongPath(path, flows, bottleneck);
+      totalFlow += bottleneck;
+      phaseFlow += bottleneck;
+      augmentations.push({ path: describePath(path, nodes), bottleneck, phase });
+
+      const saturated = path.filter((arc) => residualCapacity(arc, flows, capacities) === 0);
+      pushStep({
+        explanation: `Pushed ${bottleneck} along ${describePath(path, nodes)}. Total flow is now ${totalFlow}. Saturated: ${saturated
+          .map((arc) => `${label(arc.from)} → ${label(arc.to)}`)
+          .join(', ')}, which leave the level graph.`,
+        algorithmStep: DINIC_STEP_LABELS[4],
+        visitedNodes: [source, ...path.map((arc) => arc.to)],
+        augmentingPath,
+        highlights: [...levelGraphHighlights(path), ...pathHighlights],
+      });
+    }
+
+    pushStep({
+      explanation: `No s→t path is left in the level graph: phase ${phase} found a blocking flow of ${phaseFlow}. Rebuild the levels from the new residual graph.`,
+      algorithmStep: DINIC_STEP_LABELS[6],
+      visitedNodes: Object.keys(levels).map(Number).filter((id) => !deadEnds.has(id)),
+      highlights: levelGraphHighlights(),
+    });
+  }
+
+  // =========================
+  //   MIN CUT
+  // =========================
+  const minCut = findMinCut(nodes, edges, flows, source);
+  pushStep({
+    explanation: `Phase ${phase} BFS cannot reach ${label(sink)}. Reachable nodes S = {${minCut.sourceSide.map(label).join(', ')}}; the ${minCut.cutEdges.length} saturated edges leaving S form a min cut of capacity ${minCut.capacity}.`,
+    algorithmStep: DINIC_STEP_LABELS[7],
+    visitedNodes: minCut.sourceSide,
+    minCut,
+    edgeUpdates: minCut.cutEdges.map((id) => ({ id, status: 'cut' })),
+  });
+
+  pushStep({
+    explanation: `Maximum flow = ${totalFlow} after ${phase - 1} ${phase - 1 === 1 ? 'phase' : 'phases'} and ${augmentations.length} augmenting ${augmentations.length === 1 ? 'path' : 'paths'}, equal to the min cut capacity ${minCut.capacity}.`,
+    algorithmStep: 'Done',
+    visitedNodes: minCut.sourceSide,
+    minCut,
+    edgeUpdates: minCut.cutEdges.map((id) => ({ id, status: 'cut' })),
+  });
+
+  setShortestPathResult({ distances: {}, paths: {}, maxFlow: totalFlow, flows: { ...flows }, minCut });
+  return steps;
+}
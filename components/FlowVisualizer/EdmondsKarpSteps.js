@@ -0,0 +1,203 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for the Edmonds–Karp algorithm.
+ * Return an array of step objects, and also set the final result in the parent.
+ *
+ * Edmonds–Karp is Ford–Fulkerson with breadth-first search: each round finds a shortest
+ * (fewest edges) s → t path in the residual graph, pushes its bottleneck capacity along it,
+ * and repeats until the sink is unreachable. The nodes still reachable then form the
+ * source side of a minimum cut.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `source`, `sink`: the terminals
+ * - `flows`: { [edgeId]: flow } snapshot, `totalFlow`: value of the flow so far
+ * - `augmentingPath`: { arcs, bottleneck, bottleneckArc } for the path being used, or null
+ * - `augmentations`: [{ path, bottleneck }] pushed so far
+ * - `bfsQueue`: BFS queue after the step (null outside a search)
+ * - `residualUpdates`: like `edgeUpdates`, keyed by residual edge id (see flowNetwork.js)
+ * - `minCut`: { sourceSide, sinkSide, cutEdges, capacity } once the flow is maximum
+ */
+import {
+  buildResidualArcs,
+  residualCapacity,
+  residualEdgeId,
+  findMinCut,
+  describePath,
+  augmentAlongPath,
+} from './flowNetwork';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const EDMONDS_KARP_STEP_LABELS = [
+  "1. Start with zero flow on every edge",
+  "2. BFS for a shortest augmenting path in the residual graph",
+  "3. Bottleneck = smallest residual capacity on the path",
+  "4. Push the bottleneck along the path",
+  "5. No path left: the nodes reachable from s form a min cut",
+];
+
+export function generateEdmondsKarpSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const source = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const sink = selectedDestNode;
+  const label = (id) => nodes[id]?.label;
+
+  const steps = [];
+  const capacities = Object.fromEntries(edges.map((edge) => [edge.id, edge.weight]));
+  const flows = Object.fromEntries(edges.map((edge) => [edge.id, 0]));
+  const arcs = buildResidualArcs(nodes, edges);
+  const augmentations = [];
+  let totalFlow = 0;
+
+  // Highlights are given per residual arc and shown on both the flow and residual views
+  const pushStep = ({ highlights = [], edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: {},
+    source,
+    sink,
+    flows: { ...flows },
+    totalFlow,
+    augmentingPath: null,
+    augmentations: [...augmentations],
+    bfsQueue: null,
+    minCut: null,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+    edgeUpdates: [...highlights.map(({ arc, status }) => ({ id: arc.edgeId, status })), ...edgeUpdates],
+    residualUpdates: highlights.map(({ arc, status }) => ({ id: residualEdgeId(arc), status })),
+  });
+
+  if (sink == null || sink === source || !arcs[source] || !arcs[sink]) {
+    steps.push({
+      explanation: "Pick a source and a different sink to run Edmonds–Karp.",
+      algorithmStep: 'Done',
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      edgeUpdates: [],
+      residualUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+    });
+    setShortestPathResult({ distances: {}, paths: {}, maxFlow: 0, flows: { ...flows }, minCut: null });
+    return steps;
+  }
+
+  pushStep({
+    explanation: `Every edge starts with flow 0. Capacities are the edge weights. Source ${label(source)}, sink ${label(sink)}.`,
+    algorithmStep: EDMONDS_KARP_STEP_LABELS[0],
+  });
+
+  // =========================
+  //   AUGMENTING ROUNDS
+  // =========================
+  while (true) {
+    const depth = { [source]: 0 };
+    const parentArc = {};
+    const queue = [source];
+    const treeArcs = [];
+
+    while (queue.length > 0 && depth[sink] === undefined) {
+      const u = queue.shift();
+      const discovered = [];
+      arcs[u].forEach((arc) => {
+        if (depth[arc.to] === undefined && residualCapacity(arc, flows, capacities) > 0) {
+          depth[arc.to] = depth[u] + 1;
+          parentArc[arc.to] = arc;
+          queue.push(arc.to);
+          discovered.push(arc);
+        }
+      });
+
+      pushStep({
+        explanation: discovered.length > 0
+          ? `BFS dequeues ${label(u)}: residual arcs reach ${discovered
+              .map((arc) => `${label(arc.to)} (r=${residualCapacity(arc, flows, capacities)}${arc.forward ? '' : ', undo'})`)
+              .join(', ')}.`
+          : `BFS dequeues ${label(u)}: no unvisited node is reachable through an arc with residual capacity.`,
+        algorithmStep: EDMONDS_KARP_STEP_LABELS[1],
+        visitedNodes: Object.keys(depth).map(Number),
+        distanceArray: { ...depth },
+        bfsQueue: [...queue],
+        highlights: [
+          ...treeArcs.map((arc) => ({ arc, status: 'level' })),
+          ...discovered.map((arc) => ({ arc, status: 'candidate' })),
+        ],
+      });
+      treeArcs.push(...discovered);
+    }
+
+    if (depth[sink] === undefined) break;
+
+    // Walk parents back from the sink to get the path
+    const path = [];
+    for (let v = sink; v !== source; v = parentArc[v].from) {
+      path.unshift(parentArc[v]);
+    }
+    const residuals = path.map((arc) => residualCapacity(arc, flows, capacities));
+    const bottleneck = Math.min(...residuals);
+    const bottleneckArc = path[residuals.indexOf(bottleneck)];
+    const augmentingPath = {
+      arcs: path.map((arc, index) => ({ ...arc, residual: residuals[index] })),
+      bottleneck,
+      bottleneckArc,
+    };
+    const pathHighlights = path.map((arc) => ({ arc, status: arc === bottleneckArc ? 'candidate' : 'included' }));
+
+    pushStep({
+      explanation: `Shortest augmenting path: ${describePath(path, nodes)} (${path.length} edges). Bottleneck ${bottleneck} on ${label(bottleneckArc.from)} → ${label(bottleneckArc.to)}.`,
+      algorithmStep: EDMONDS_KARP_STEP_LABELS[2],
+      visitedNodes: path.map((arc) => arc.to),
+      distanceArray: { ...depth },
+      augmentingPath,
+      highlights: pathHighlights,
+    });
+
+    augmentAlongPath(path, flows, bottleneck);
+    totalFlow += bottleneck;
+    augmentations.push({ path: describePath(path, nodes), bottleneck });
+
+    const cancelled = path.filter((arc) => !arc.forward);
+    pushStep({
+      explanation: `Pushed ${bottleneck} along ${describePath(path, nodes)}. Total flow is now ${totalFlow}.${
+        cancelled.length > 0
+          ? ` Backward arcs cancel flow on ${cancelled.map((arc) => `${label(arc.to)} → ${label(arc.from)}`).join(', ')}.`
+          : ''
+      }`,
+      algorithmStep: EDMONDS_KARP_STEP_LABELS[3],
+      augmentingPath,
+      highlights: pathHighlights,
+    });
+  }
+
+  // =========================
+  //   MIN CUT
+  // =========================
+  const minCut = findMinCut(nodes, edges, flows, source);
+  pushStep({
+    explanation: `The sink is unreachable in the residual graph. Reachable nodes S = {${minCut.sourceSide.map(label).join(', ')}}; the ${minCut.cutEdges.length} saturated edges leaving S form a min cut of capacity ${minCut.capacity}.`,
+    algorithmStep: EDMONDS_KARP_STEP_LABELS[4],
+    visitedNodes: minCut.sourceSide,
+    minCut,
+    edgeUpdates: minCut.cutEdges.map((id) => ({ id, status: 'cut' })),
+  });
+
+  pushStep({
+    explanation: `Maximum flow = ${totalFlow} after ${augmentations.length} augmenting ${augmentations.length === 1 ? 'path' : 'paths'}, equal to the min cut capacity ${minCut.capacity}.`,
+    algorithmStep: 'Done',
+    visitedNodes: minCut.sourceSide,
+    minCut,
+    edgeUpdates: minCut.cutEdges.map((id) => ({ id, status: 'cut' })),
+  });
+
+  setShortestPathResult({ distances: {}, paths: {}, maxFlow: totalFlow, flows: { ...flows }, minCut });
+  return steps;
+}
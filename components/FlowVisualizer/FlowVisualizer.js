@@ -0,0 +1,496 @@
+import React, { useState, useEffect, useRef } from "react";
+
+import GraphRenderer from "@/components/ShortestPathVisualizer/GraphRenderer";
+import { generateRandomGraph } from "@/components/ShortestPathVisualizer/GraphGeneration";
+import AlgorithmVisualizer from "@/components/ShortestPathVisualizer/AlgorithmVisualizer";
+import ManualModeToolbar from "@/components/ShortestPathVisualizer/ManualModeToolbar";
+import WeightInputPopover from "@/components/ShortestPathVisualizer/WeightInputPopover";
+import VisualizerShell, { TerminalToolbar } from "@/components/ShortestPathVisualizer/VisualizerShell";
+import GraphSettingsFields from "@/components/ShortestPathVisualizer/GraphSettingsFields";
+import { useAlgorithmRunner } from "@/components/ShortestPathVisualizer/hooks/useAlgorithmRunner";
+import { useGraphEditor } from "@/components/ShortestPathVisualizer/hooks/useGraphEditor";
+import { useIsMobile } from "@/components/ShortestPathVisualizer/hooks/useIsMobile";
+import { getAlgorithm, getAlgorithms } from "./algorithms";
+import { buildResidualEdges, pickSink } from "./flowNetwork";
+
+// Import shadcn/ui components
+import { FloatingNavItem } from "@/components/ui/floating-nav";
+
+// Import lucide-react icons
+import { Waves, Layers } from "lucide-react";
+
+const INITIAL_ALGORITHM = "edmondskarp";
+
+/**
+ * Maximum flow visualizer (Edmonds–Karp and Dinic's).
+ * Shares the page shell, graph renderer, random graph generator, graph editor and algorithm
+ * runner with the other visualizers. Edge weights are capacities; edges show flow/capacity
+ * while running, and the residual graph can be shown instead.
+ */
+const FlowVisualizer = ({ embedded = false }) => {
+  // =========================
+  //       GRAPH STATE (Component-managed)
+  // =========================
+  const [nodes, setNodes] = useState([]);
+  const [edges, setEdges] = useState([]);
+  const [graphParams, setGraphParams] = useState({
+    nodeCount: 7,
+    density: 0.4,
+    minWeight: 1,
+    maxWeight: 15,
+    allowNegativeEdges: false,
+    sourceNode: 0,
+    hasNegativeCycle: false,
+    isDirected: true, // Flow networks are directed
+    graphType: getAlgorithm(INITIAL_ALGORITHM).defaultLayout,
+  });
+
+  const [mode, setMode] = useState("auto"); // 'auto' or 'manual'
+  const [animationSpeed, setAnimationSpeed] = useState(1000);
+  const [showResidual, setShowResidual] = useState(false);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const [selectedSourceNode, setSelectedSourceNode] = useState(null);
+  const [selectedSinkNode, setSelectedSinkNode] = useState(null);
+  const isMobile = useIsMobile();
+
+  const svgRef = useRef(null);
+
+  // =========================
+  //   ALGORITHM RUNNER HOOK
+  // =========================
+  const {
+    algorithm,
+    isRunning,
+    isPaused,
+    currentStep,
+    steps,
+    explanation,
+    visualizationMode,
+    distanceArray,
+    visitedNodes,
+    minHeap,
+    iterationCount,
+    currentAlgorithmStep,
+    shortestPathResult,
+    currentStepData,
+    edgeUpdates,
+    setAlgorithm,
+    setShowAnswer,
+    setVisualizationMode,
+    play,
+    step,
+    reset,
+    generateSteps,
+    setExplanation,
+    setIsRunning,
+    setIsPaused,
+  } = useAlgorithmRunner({
+    nodes,
+    edges,
+    selectedSourceNode,
+    selectedDestNode: selectedSinkNode,
+    graphParams,
+    animationSpeed,
+    initialAlgorithm: INITIAL_ALGORITHM,
+  });
+
+  const definition = getAlgorithm(algorithm);
+
+  // =========================
+  //   GRAPH EDITOR HOOK
+  // =========================
+  const editor = useGraphEditor({
+    svgRef,
+    nodes,
+    setNodes,
+    edges,
+    setEdges,
+    mode,
+    isDirected: true,
+    isRunning,
+    onNodeDeleted: (nodeId) => {
+      if (selectedSourceNode === nodeId) setSelectedSourceNode(null);
+      if (selectedSinkNode === nodeId) setSelectedSinkNode(null);
+    },
+    onWeightEdited: () => {
+      reset();
+      if (visualizationMode === "view") {
+        setVisualizationMode("explore");
+        setShowAnswer(false);
+      }
+      setExplanation("Edge capacity updated. Algorithm state reset.");
+    },
+  });
+  const isSelectingSource = editor.activeTool === "selectSource";
+  const isSelectingSink = editor.activeTool === "selectSink";
+
+  // Apply edge updates from hook
+  useEffect(() => {
+    if (edgeUpdates) {
+      setEdges(edgeUpdates);
+    }
+  }, [edgeUpdates]);
+
+  // Once the result is available in view mode, show the final flow
+  useEffect(() => {
+    if (visualizationMode === "view" && shortestPathResult?.flows && steps.length > 0) {
+      handleShowAnswer();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shortestPathResult, visualizationMode, steps.length]);
+
+  // =========================
+  //   FLOW OVERLAYS
+  // =========================
+  // The step being shown (or the final result in view mode) decides flows and the cut
+  const isShowingResult = visualizationMode === "view" && Boolean(shortestPathResult?.flows);
+  const flows = isShowingResult ? shortestPathResult.flows : currentStepData?.flows;
+  const minCut = isShowingResult ? shortestPathResult.minCut : currentStepData?.minCut;
+
+  const residualStatuses = Object.fromEntries(
+    (isShowingResult ? [] : currentStepData?.residualUpdates || []).map(({ id, status }) => [id, status])
+  );
+  const displayedEdges = showResidual
+    ? buildResidualEdges(edges, flows || {}).map((edge) => ({ ...edge, status: residualStatuses[edge.id] || "unvisited" }))
+    : edges;
+  const edgeLabels = !showResidual && flows
+    ? Object.fromEntries(edges.map((edge) => [edge.id, `${flows[edge.id] ?? 0}/${edge.weight}`]))
+    : null;
+  const nodePartition = minCut
+    ? Object.fromEntries([
+        ...minCut.sourceSide.map((id) => [id, "source"]),
+        ...minCut.sinkSide.map((id) => [id, "sink"]),
+      ])
+    : null;
+
+  // =========================
+  //   GRAPH RESET / GENERATION
+  // =========================
+  const resetGraph = () => {
+    reset();
+    setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+    setExplanation('Graph reset. Press "Start" to begin.');
+  };
+
+  const clearGraph = () => {
+    setNodes([]);
+    setEdges([]);
+    setSelectedSourceNode(null);
+    setSelectedSinkNode(null);
+    reset();
+    setExplanation("Graph cleared. You can now build a new network from scratch.");
+  };
+
+  const handleGenerateRandomGraph = () => {
+    reset();
+    setExplanation('Random flow network generated. Edge weights are capacities. Press "Start" to begin.');
+    setVisualizationMode("explore");
+
+    if (!svgRef.current) return;
+
+    // For mobile, reduce node count to avoid overcrowding
+    const adjustedParams = { ...graphParams, isDirected: true };
+    if (isMobile && graphParams.nodeCount > 6) {
+      adjustedParams.nodeCount = 6;
+    }
+
+    const { newNodes, newEdges, newParams } = generateRandomGraph({
+      svgRef,
+      graphParams: adjustedParams,
+      algorithm: definition.graphProfile,
+    });
+
+    setGraphParams(newParams);
+    setNodes(newNodes);
+    setEdges(newEdges);
+    setSelectedSourceNode(newParams.sourceNode);
+    setSelectedSinkNode(pickSink(newNodes, newEdges, newParams.sourceNode));
+  };
+
+  // =========================
+  //   ALGORITHM CHANGE
+  // =========================
+  const handleAlgorithmChange = (newAlgorithm) => {
+    setAlgorithm(newAlgorithm);
+    setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+    setExplanation(
+      newAlgorithm === "dinic"
+        ? `Switched to ${getAlgorithm(newAlgorithm).shortName}. Each phase saturates a BFS level graph with a blocking flow.`
+        : `Switched to ${getAlgorithm(newAlgorithm).shortName}. Each round pushes flow along one shortest augmenting path.`
+    );
+  };
+
+  // =========================
+  //   SHOW FINAL FLOW
+  // =========================
+  const handleShowAnswer = () => {
+    // The result is stored when steps are generated; the effect above calls back once it is
+    if (steps.length === 0) {
+      generateSteps();
+      return;
+    }
+    if (!shortestPathResult?.flows) return;
+
+    const cutEdges = new Set(shortestPathResult.minCut?.cutEdges || []);
+    setEdges(edges.map((edge) => ({ ...edge, status: cutEdges.has(edge.id) ? "cut" : "unvisited" })));
+    setShowAnswer(true);
+    setIsRunning(false);
+    setIsPaused(false);
+    setVisualizationMode("view");
+    setExplanation(
+      shortestPathResult.minCut
+        ? `${definition.name} complete. Maximum flow ${shortestPathResult.maxFlow}, matching the min cut capacity ${shortestPathResult.minCut.capacity}.`
+        : "Pick a source and a different sink to compute a maximum flow."
+    );
+  };
+
+  const toggleVisualizationMode = () => {
+    if (visualizationMode === "explore") {
+      setVisualizationMode("view");
+      setIsRunning(false);
+      setIsPaused(false);
+      handleShowAnswer();
+    } else {
+      setVisualizationMode("explore");
+      setShowAnswer(false);
+      reset();
+      setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+      setExplanation('Explore Mode: Step through the algorithm to see how it works. Press "Start" to begin.');
+    }
+  };
+
+  // =========================
+  //   HANDLE PARAM CHANGES
+  // =========================
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    resetGraph();
+  };
+
+  const handleParamChange = (e) => {
+    const { name, value, type } = e.target;
+    const newValue = type === "select-one" ? value : parseFloat(value);
+    if (name === "graphType") {
+      setExplanation(
+        newValue === "spatial"
+          ? "Spatial graph: capacities follow edge length"
+          : "Circular graph: capacities are randomly assigned"
+      );
+    }
+    setGraphParams({ ...graphParams, [name]: newValue });
+  };
+
+  // Source and sink changes invalidate the run
+  const restartAfterTerminalChange = (message) => {
+    setExplanation(message);
+    setShowAnswer(false);
+    setVisualizationMode("explore");
+    reset();
+    setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+  };
+
+  // When a node is clicked: source and sink selection first, then the editing tools
+  const handleNodeClick = (nodeId) => {
+    if (isSelectingSource) {
+      if (selectedSinkNode === nodeId) setSelectedSinkNode(null);
+      setSelectedSourceNode(nodeId);
+      editor.cancelTool();
+      restartAfterTerminalChange(`Set node ${nodes[nodeId]?.label} as the source.`);
+      return;
+    }
+
+    if (isSelectingSink) {
+      if (selectedSourceNode === nodeId) setSelectedSourceNode(null);
+      setSelectedSinkNode(nodeId);
+      editor.cancelTool();
+      restartAfterTerminalChange(`Set node ${nodes[nodeId]?.label} as the sink.`);
+      return;
+    }
+
+    editor.handleNodeClick(nodeId);
+  };
+
+  // Residual arcs are not editable
+  const handleEdgeClick = (edgeId) => {
+    if (!showResidual) editor.handleEdgeClick(edgeId);
+  };
+
+  const handleWeightClick = (edge) => {
+    if (!showResidual) editor.handleWeightClick(edge);
+  };
+
+  useEffect(() => {
+    // Generate a random graph on first load only
+    handleGenerateRandomGraph();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // =========================
+  //   RENDER
+  // =========================
+  return (
+    <VisualizerShell
+      embedded={embedded}
+      icon={Waves}
+      title="Flow Networks"
+      algorithms={getAlgorithms('max-flow')}
+      definition={definition}
+      onAlgorithmChange={handleAlgorithmChange}
+      visualizationMode={visualizationMode}
+      onToggleVisualizationMode={toggleVisualizationMode}
+      viewTitle="See the maximum flow and min cut instantly"
+      navItems={
+        <FloatingNavItem onClick={() => setShowResidual(!showResidual)} active={showResidual} tooltip={showResidual ? "Show Flow" : "Show Residual Graph"} className="flex-shrink-0">
+          <Layers className="w-4 h-4" />
+        </FloatingNavItem>
+      }
+      legend={
+        <>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-emerald-500 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Augmenting Path</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-orange-400 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Bottleneck / BFS Frontier</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-indigo-500 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">BFS Tree / Level Graph</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-1 border-t-2 border-dashed border-rose-600 mr-2" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Min Cut Edge</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 rounded-full border-2 border-dashed border-teal-500 bg-teal-500/20 mr-2" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Source Side (S)</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 rounded-full border-2 border-dashed border-rose-500 bg-rose-500/15 mr-2" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Sink Side (T)</span>
+          </div>
+          <div className="flex items-center px-2">
+            <span className="text-xs font-mono text-zinc-700 dark:text-zinc-300">
+              {showResidual ? "label = residual capacity" : "label = flow/capacity"}
+            </span>
+          </div>
+        </>
+      }
+      svgRef={svgRef}
+      onGraphClick={editor.handleSvgClick}
+      toolbar={
+        <>
+          {/* AUTO MODE TOOLBAR - source and sink selection */}
+          {mode === "auto" && (
+            <TerminalToolbar
+              buttons={[
+                { label: "Set Source", isActive: isSelectingSource, onClick: () => editor.selectTool("selectSource"), color: "emerald" },
+                { label: "Set Sink", isActive: isSelectingSink, onClick: () => editor.selectTool("selectSink"), color: "orange" },
+              ]}
+            />
+          )}
+
+          {/* MANUAL MODE TOOLBAR - Desktop only */}
+          {mode === "manual" && !isMobile && (
+            <ManualModeToolbar
+              {...editor.toolbarProps}
+              isSelectingSource={isSelectingSource}
+              isSelectingDest={isSelectingSink}
+              onSelectSourceMode={() => editor.selectTool("selectSource")}
+              onSelectDestMode={() => editor.selectTool("selectSink")}
+              onClearGraph={clearGraph}
+              selectedSourceNode={selectedSourceNode}
+              selectedDestNode={selectedSinkNode}
+              destLabel="Sink"
+            />
+          )}
+        </>
+      }
+      playback={{ steps, currentStep, isRunning, isPaused, onPlay: play, onStep: step, onReset: resetGraph }}
+      panelProps={{
+        nodes,
+        edges,
+        distanceArray,
+        minHeap,
+        iterationCount,
+        totalNodes: nodes.length,
+        negativeCycleDetected: false,
+        visitedNodes,
+        currentStep,
+        steps,
+        currentStepData,
+      }}
+      explanation={explanation}
+      isDrawerOpen={isDrawerOpen}
+      onDrawerOpenChange={setIsDrawerOpen}
+      drawerTitle="Network Settings"
+      drawerDescription="Edge weights are capacities of a directed network"
+      settings={
+        <GraphSettingsFields
+          mode={mode}
+          onModeChange={handleModeChange}
+          graphParams={graphParams}
+          setGraphParams={setGraphParams}
+          onParamChange={handleParamChange}
+          animationSpeed={animationSpeed}
+          setAnimationSpeed={setAnimationSpeed}
+          weightLabel="Capacity Range"
+          generateLabel="Generate New Network"
+          onGenerate={() => { handleGenerateRandomGraph(); setIsDrawerOpen(false); }}
+          definition={definition}
+        />
+      }
+      overlays={<WeightInputPopover {...editor.popoverProps} allowNegative={false} />}
+    >
+      <svg width="100%" height="100%" className="bg-zinc-50 dark:bg-zinc-950">
+        <GraphRenderer
+          nodes={nodes}
+          edges={displayedEdges}
+          distanceArray={distanceArray}
+          visitedNodes={visitedNodes}
+          selectedSourceNode={selectedSourceNode}
+          selectedDestNode={selectedSinkNode}
+          onNodeClick={handleNodeClick}
+          onEdgeClick={handleEdgeClick}
+          onWeightClick={handleWeightClick}
+          algorithm={algorithm}
+          graphType={graphParams.graphType || 'circular'}
+          negativeCycleDetected={false}
+          isRunning={isRunning}
+          isEditingEdge={editor.isEditingEdge}
+          phaseLabel={showResidual ? "Residual graph" : null}
+          edgeLabels={edgeLabels}
+          nodePartition={nodePartition}
+        />
+      </svg>
+
+      {/* Terminal selection hint */}
+      {mode === "auto" && (isSelectingSource || isSelectingSink) && (
+        <div className={`absolute top-3 left-1/2 -translate-x-1/2 z-20 backdrop-blur-sm text-white px-4 py-2 rounded-lg shadow-lg text-sm animate-pulse ${
+          isSelectingSource ? "bg-emerald-500/90" : "bg-orange-500/90"
+        }`}>
+          Click a node to set as {isSelectingSource ? "SOURCE" : "SINK"}
+        </div>
+      )}
+
+      {/* Algorithm Visualization Overlay */}
+      <AlgorithmVisualizer
+        algorithm={algorithm}
+        nodes={nodes}
+        edges={edges}
+        distanceArray={distanceArray}
+        minHeap={minHeap}
+        iterationCount={iterationCount}
+        negativeCycleDetected={false}
+        currentStep={currentStep}
+        steps={steps}
+        visitedNodes={visitedNodes}
+        currentAlgorithmStep={currentAlgorithmStep}
+        currentStepData={currentStepData}
+      />
+    </VisualizerShell>
+  );
+};
+
+export default FlowVisualizer;
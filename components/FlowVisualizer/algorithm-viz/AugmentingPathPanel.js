@@ -0,0 +1,73 @@
+import React from 'react';
+
+/**
+ * Displays the augmenting path being used, arc by arc with its residual capacity and
+ * the bottleneck highlighted. While a BFS is running it shows the BFS queue instead.
+ */
+const AugmentingPathPanel = ({ nodes, currentStepData }) => {
+  const { augmentingPath, bfsQueue } = currentStepData || {};
+  const label = (id) => nodes[id]?.label;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Augmenting Path</h3>
+        {augmentingPath && (
+          <span className="px-2 py-0.5 bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 text-xs font-medium rounded-full tabular-nums">
+            bottleneck {augmentingPath.bottleneck}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 p-2">
+        {augmentingPath ? (
+          <div className="flex flex-wrap items-center gap-1 text-xs tabular-nums">
+            <span className="font-bold text-zinc-700 dark:text-zinc-200">{label(augmentingPath.arcs[0].from)}</span>
+            {augmentingPath.arcs.map((arc, index) => {
+              const isBottleneck = arc.edgeId === augmentingPath.bottleneckArc.edgeId && arc.forward === augmentingPath.bottleneckArc.forward;
+              return (
+                <React.Fragment key={index}>
+                  <span
+                    className={`px-1 rounded text-[10px] font-medium ${
+                      isBottleneck
+                        ? 'bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300'
+                        : 'text-zinc-500 dark:text-zinc-400'
+                    }`}
+                    title={arc.forward ? 'Forward arc: residual = capacity − flow' : 'Backward arc: cancels existing flow'}
+                  >
+                    {arc.forward ? '→' : '⇠'}{arc.residual}
+                  </span>
+                  <span className="font-bold text-zinc-700 dark:text-zinc-200">{label(arc.to)}</span>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        ) : bfsQueue ? (
+          <div className="flex items-center gap-1 text-xs">
+            <span className="text-zinc-500 dark:text-zinc-400 mr-1">BFS queue</span>
+            {bfsQueue.length > 0 ? (
+              bfsQueue.map((id, index) => (
+                <span
+                  key={`${id}-${index}`}
+                  className={`px-1.5 py-0.5 rounded font-medium ${
+                    index === 0
+                      ? 'bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300'
+                      : 'bg-zinc-100 dark:bg-zinc-700 text-zinc-700 dark:text-zinc-200'
+                  }`}
+                >
+                  {label(id)}
+                </span>
+              ))
+            ) : (
+              <span className="text-zinc-400 dark:text-zinc-500">empty</span>
+            )}
+          </div>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-1 text-sm">No data yet</div>
+        )}
+      </div>
+      <div className="mt-1 text-[10px] text-zinc-500 dark:text-zinc-400">→ forward residual, ⇠ cancels flow</div>
+    </div>
+  );
+};
+
+export default AugmentingPathPanel;
@@ -0,0 +1,84 @@
+import React from 'react';
+
+/**
+ * Displays the value of the flow so far, the augmenting paths pushed and, once the
+ * flow is maximum, the min cut that certifies it (max flow = min cut capacity).
+ */
+const FlowSummaryPanel = ({ nodes, edges, currentStepData }) => {
+  const { totalFlow, augmentations, minCut } = currentStepData || {};
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Flow</h3>
+        {augmentations && (
+          <span className="px-2 py-0.5 bg-teal-100 dark:bg-teal-900/40 text-teal-800 dark:text-teal-300 text-xs font-medium rounded-full tabular-nums">
+            |f| = {totalFlow}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {augmentations ? (
+          <>
+            {augmentations.length > 0 ? (
+              <div className="max-h-32 overflow-y-auto">
+                <table className="w-full border-collapse text-xs tabular-nums">
+                  <tbody>
+                    {augmentations.map((augmentation, index) => (
+                      <tr key={index}>
+                        <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-400 dark:text-zinc-500 w-6">{index + 1}</td>
+                        <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 font-medium text-zinc-700 dark:text-zinc-200">
+                          {augmentation.path}
+                        </td>
+                        <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-right text-teal-700 dark:text-teal-300 font-medium">
+                          +{augmentation.bottleneck}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-zinc-400 dark:text-zinc-500 text-center py-2 text-xs">No augmenting path pushed yet</div>
+            )}
+
+            {minCut && (
+              <div className="p-2 border-t border-zinc-200 dark:border-zinc-700 text-xs space-y-1">
+                <div className="flex justify-between font-medium text-zinc-700 dark:text-zinc-200">
+                  <span>Min cut</span>
+                  <span className="tabular-nums">capacity {minCut.capacity}</span>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  <span className="px-1.5 py-0.5 rounded bg-teal-50 dark:bg-teal-900/30 text-[10px] font-medium text-teal-800 dark:text-teal-300">
+                    S = {'{'}{minCut.sourceSide.map((id) => nodes[id]?.label).join(', ')}{'}'}
+                  </span>
+                  <span className="px-1.5 py-0.5 rounded bg-rose-50 dark:bg-rose-900/30 text-[10px] font-medium text-rose-800 dark:text-rose-300">
+                    T = {'{'}{minCut.sinkSide.map((id) => nodes[id]?.label).join(', ')}{'}'}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {minCut.cutEdges.map((edgeId) => {
+                    const edge = edges?.find((e) => e.id === edgeId);
+                    if (!edge) return null;
+                    return (
+                      <span
+                        key={edgeId}
+                        className="px-1.5 py-0.5 rounded border border-rose-200 dark:border-rose-800 text-[10px] font-medium text-rose-700 dark:text-rose-300 tabular-nums"
+                      >
+                        {nodes[edge.source]?.label}→{nodes[edge.target]?.label} ({edge.weight})
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FlowSummaryPanel;
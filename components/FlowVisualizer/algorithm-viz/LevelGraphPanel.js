@@ -0,0 +1,62 @@
+import React from 'react';
+
+/**
+ * Displays the levels of Dinic's current phase as columns (level 0 holds the source).
+ * Nodes pruned as dead ends while finding the blocking flow are struck through.
+ */
+const LevelGraphPanel = ({ nodes, currentStepData }) => {
+  const { levels, deadEnds = [], phase, phaseFlow, sink } = currentStepData || {};
+  const hasLevels = levels && Object.keys(levels).length > 0;
+
+  const columns = [];
+  if (hasLevels) {
+    Object.entries(levels).forEach(([id, level]) => {
+      (columns[level] = columns[level] || []).push(Number(id));
+    });
+  }
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Level Graph</h3>
+        {hasLevels && (
+          <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full tabular-nums">
+            phase {phase} · blocking {phaseFlow}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-x-auto">
+        {hasLevels ? (
+          <div className="flex gap-1 p-2">
+            {columns.map((column, level) => (
+              <div key={level} className="flex flex-col items-center gap-1 min-w-[2rem]">
+                <span className="text-[10px] text-zinc-400 dark:text-zinc-500 tabular-nums">L{level}</span>
+                {(column || []).map((id) => {
+                  const isDead = deadEnds.includes(id);
+                  return (
+                    <span
+                      key={id}
+                      className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold ${
+                        isDead
+                          ? 'bg-rose-100 dark:bg-rose-900/40 text-rose-700 dark:text-rose-300 line-through'
+                          : id === sink
+                            ? 'bg-orange-500 text-white'
+                            : 'bg-indigo-500 text-white'
+                      }`}
+                    >
+                      {nodes[id]?.label}
+                    </span>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LevelGraphPanel;
@@ -0,0 +1,3 @@
+export { default as FlowSummaryPanel } from './FlowSummaryPanel';
+export { default as AugmentingPathPanel } from './AugmentingPathPanel';
+export { default as LevelGraphPanel } from './LevelGraphPanel';
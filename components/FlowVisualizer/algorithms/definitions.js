@@ -0,0 +1,11 @@
+/**
+ * Maximum flow definitions without their React panels, registered in the shared algorithm
+ * registry under the 'max-flow' category. index.js adds the panels for the visualizer.
+ */
+import { registerAlgorithm } from '../../ShortestPathVisualizer/algorithms/registry';
+import edmondsKarp from './edmondskarp';
+import dinic from './dinic';
+
+[edmondsKarp, dinic].forEach(registerAlgorithm);
+
+export { getAlgorithm, getAlgorithms } from '../../ShortestPathVisualizer/algorithms/registry';
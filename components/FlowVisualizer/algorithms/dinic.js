@@ -0,0 +1,46 @@
+import { generateDinicSteps, DINIC_STEP_LABELS } from '../DinicSteps';
+
+/**
+ * Dinic's algorithm: phases of BFS level graphs, each saturated by a blocking flow
+ * found with dead-end pruning DFS.
+ */
+const dinic = {
+  id: 'dinic',
+  name: "Dinic's",
+  shortName: 'Dinic',
+  category: 'max-flow',
+  generateSteps: generateDinicSteps,
+  pseudocode: {
+    lines: [
+      "1. f(e) ← 0 for every edge e",
+      "2. while BFS from s reaches t in G_f (levels = hop distance):",
+      "3.   L ← arcs (u,v) of G_f with level(v) = level(u) + 1",
+      "4.   while DFS finds an s→t path P in L:",
+      "5.     push c_f(P) along P",
+      "6.     (nodes with no way forward are pruned from L)",
+      "7. S ← nodes reachable from s in G_f; (S, V∖S) is a min cut",
+      "8. return |f|",
+    ],
+    stepToLine: {
+      [DINIC_STEP_LABELS[0]]: 1,
+      [DINIC_STEP_LABELS[1]]: 2,
+      [DINIC_STEP_LABELS[2]]: 3,
+      [DINIC_STEP_LABELS[3]]: 4,
+      [DINIC_STEP_LABELS[4]]: 5,
+      [DINIC_STEP_LABELS[5]]: 6,
+      [DINIC_STEP_LABELS[6]]: 4,
+      [DINIC_STEP_LABELS[7]]: 7,
+      'Done': 8,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: true,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V² E)',
+  complexityBound: ({ V, E }) => V * V * E,
+};
+
+export default dinic;
@@ -0,0 +1,41 @@
+import { generateEdmondsKarpSteps, EDMONDS_KARP_STEP_LABELS } from '../EdmondsKarpSteps';
+
+/**
+ * Edmonds–Karp: Ford–Fulkerson where every augmenting path is a shortest one, found by BFS
+ * in the residual graph.
+ */
+const edmondsKarp = {
+  id: 'edmondskarp',
+  name: 'Edmonds–Karp',
+  shortName: 'Edmonds–Karp',
+  category: 'max-flow',
+  generateSteps: generateEdmondsKarpSteps,
+  pseudocode: {
+    lines: [
+      "1. f(e) ← 0 for every edge e",
+      "2. while BFS finds an s→t path P in the residual graph G_f:",
+      "3.   c_f(P) ← min residual capacity on P",
+      "4.   push c_f(P) along P (backward arcs cancel flow)",
+      "5. S ← nodes reachable from s in G_f; (S, V∖S) is a min cut",
+      "6. return |f|",
+    ],
+    stepToLine: {
+      [EDMONDS_KARP_STEP_LABELS[0]]: 1,
+      [EDMONDS_KARP_STEP_LABELS[1]]: 2,
+      [EDMONDS_KARP_STEP_LABELS[2]]: 3,
+      [EDMONDS_KARP_STEP_LABELS[3]]: 4,
+      [EDMONDS_KARP_STEP_LABELS[4]]: 5,
+      'Done': 6,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: true,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V E²)',
+  complexityBound: ({ V, E }) => V * E * E,
+};
+
+export default edmondsKarp;
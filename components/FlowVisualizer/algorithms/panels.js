@@ -0,0 +1,10 @@
+/**
+ * Side panels of each maximum flow algorithm, by algorithm id.
+ * The React half of the definitions in definitions.js (see registerAlgorithmUI).
+ */
+import { FlowSummaryPanel, AugmentingPathPanel, LevelGraphPanel } from '../algorithm-viz';
+
+export const ALGORITHM_PANELS = {
+  edmondskarp: { panels: [FlowSummaryPanel, AugmentingPathPanel] },
+  dinic: { panels: [FlowSummaryPanel, LevelGraphPanel, AugmentingPathPanel] },
+};
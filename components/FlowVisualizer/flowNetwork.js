@@ -0,0 +1,175 @@
+/**
+ * flowNetwork.js
+ * Pure helpers shared by the max-flow step generators and the flow visualizer.
+ *
+ * Capacities are the edge weights. Flow is stored per edge ({ [edgeId]: flow }), and the
+ * residual graph is described by arcs: every edge (u,v) gives a forward arc u → v with
+ * residual c − f and a backward arc v → u with residual f. Keeping arcs per edge (instead of
+ * per node pair) keeps antiparallel edges u → v and v → u independent.
+ */
+
+/**
+ * Build the residual arc lists of every node.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (weight = capacity)
+ * @returns {Object} { [nodeId]: Array<{ edgeId, from, to, forward }> }
+ */
+export function buildResidualArcs(nodes, edges) {
+  const arcs = {};
+  nodes.forEach((node) => {
+    arcs[node.id] = [];
+  });
+  edges.forEach(({ id, source, target }) => {
+    if (!arcs[source] || !arcs[target]) return;
+    arcs[source].push({ edgeId: id, from: source, to: target, forward: true });
+    arcs[target].push({ edgeId: id, from: target, to: source, forward: false });
+  });
+  return arcs;
+}
+
+/**
+ * Residual capacity of an arc.
+ *
+ * @param {Object} arc - Arc from buildResidualArcs
+ * @param {Object} flows - { [edgeId]: flow }
+ * @param {Object} capacities - { [edgeId]: capacity }
+ * @returns {number} Remaining capacity along the arc
+ */
+export function residualCapacity(arc, flows, capacities) {
+  return arc.forward ? capacities[arc.edgeId] - flows[arc.edgeId] : flows[arc.edgeId];
+}
+
+/**
+ * Id of the residual edge drawn for an arc (see buildResidualEdges).
+ *
+ * @param {Object} arc - { edgeId, forward }
+ * @returns {string} Residual edge id
+ */
+export function residualEdgeId({ edgeId, forward }) {
+  return `${edgeId}:${forward ? 'f' : 'b'}`;
+}
+
+/**
+ * Edges of the residual graph, in the same shape GraphRenderer draws. Arcs with no residual
+ * capacity are left out, so saturated edges disappear and used edges get a back arc.
+ *
+ * @param {Array} edges - Array of edge objects (weight = capacity)
+ * @param {Object} flows - { [edgeId]: flow }
+ * @returns {Array} Residual edge objects, weight = residual capacity
+ */
+export function buildResidualEdges(edges, flows) {
+  const residualEdges = [];
+  edges.forEach((edge) => {
+    const flow = flows[edge.id] || 0;
+    if (edge.weight - flow > 0) {
+      residualEdges.push({
+        id: residualEdgeId({ edgeId: edge.id, forward: true }),
+        source: edge.source,
+        target: edge.target,
+        weight: edge.weight - flow,
+        status: 'unvisited',
+        isUndirected: false,
+      });
+    }
+    if (flow > 0) {
+      residualEdges.push({
+        id: residualEdgeId({ edgeId: edge.id, forward: false }),
+        source: edge.target,
+        target: edge.source,
+        weight: flow,
+        status: 'unvisited',
+        isUndirected: false,
+      });
+    }
+  });
+  return residualEdges;
+}
+
+/**
+ * Nodes reachable from the source in the residual graph; once the flow is maximum they
+ * form the source side S of a minimum cut, and the edges leaving S are the cut edges.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects (weight = capacity)
+ * @param {Object} flows - { [edgeId]: flow }
+ * @param {number} source - Source node id
+ * @returns {Object} { sourceSide: number[], sinkSide: number[], cutEdges: string[], capacity: number }
+ */
+export function findMinCut(nodes, edges, flows, source) {
+  const capacities = Object.fromEntries(edges.map((edge) => [edge.id, edge.weight]));
+  const arcs = buildResidualArcs(nodes, edges);
+  const reached = new Set([source]);
+  const queue = [source];
+
+  while (queue.length > 0) {
+    const u = queue.shift();
+    arcs[u].forEach((arc) => {
+      if (!reached.has(arc.to) && residualCapacity(arc, flows, capacities) > 0) {
+        reached.add(arc.to);
+        queue.push(arc.to);
+      }
+    });
+  }
+
+  const cutEdges = edges.filter((edge) => reached.has(edge.source) && !reached.has(edge.target));
+  return {
+    sourceSide: nodes.filter((node) => reached.has(node.id)).map((node) => node.id),
+    sinkSide: nodes.filter((node) => !reached.has(node.id)).map((node) => node.id),
+    cutEdges: cutEdges.map((edge) => edge.id),
+    capacity: cutEdges.reduce((sum, edge) => sum + edge.weight, 0),
+  };
+}
+
+/**
+ * Pick a default sink: the node farthest from the source by hop count, so the
+ * augmenting paths have something to cross.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of directed edge objects
+ * @param {number} source - Source node id
+ * @returns {number|null} Sink node id, or null when nothing else is reachable
+ */
+export function pickSink(nodes, edges, source) {
+  const reached = new Set([source]);
+  const order = [source];
+
+  // BFS discovers nodes in order of hop count, so the last one discovered is the farthest
+  for (let i = 0; i < order.length; i++) {
+    const u = order[i];
+    for (const edge of edges) {
+      if (edge.source === u && !reached.has(edge.target)) {
+        reached.add(edge.target);
+        order.push(edge.target);
+      }
+    }
+  }
+
+  return order.length > 1 ? order[order.length - 1] : null;
+}
+
+/**
+ * Node labels along an augmenting path, e.g. "S → A → T".
+ *
+ * @param {Array} path - Arcs from the source to the sink
+ * @param {Array} nodes - Array of node objects
+ * @returns {string} Readable path
+ */
+export function describePath(path, nodes) {
+  if (path.length === 0) return '';
+  return [path[0].from, ...path.map((arc) => arc.to)].map((id) => nodes[id]?.label).join(' → ');
+}
+
+/**
+ * Push `amount` units along an augmenting path: forward arcs add flow to their edge,
+ * backward arcs cancel flow that was sent earlier.
+ *
+ * @param {Array} path - Arcs from the source to the sink
+ * @param {Object} flows - { [edgeId]: flow }, updated in place
+ * @param {number} amount - Units to push (the path's bottleneck)
+ */
+export function augmentAlongPath(path, flows, amount) {
+  path.forEach((arc) => {
+    flows[arc.edgeId] += arc.forward ? amount : -amount;
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Kruskal's algorithm.
+ * Return an array of step objects, and also set the final result in the parent.
+ *
+ * Edges are sorted by weight and scanned cheapest first. A disjoint-set forest
+ * (see disjointSet.js) tells whether both endpoints are already connected: each
+ * scan runs find() on both endpoints (with path compression), then either skips
+ * the edge (same root, it would close a cycle) or unions the two trees by rank.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `sortedEdges`: the edges in scan order, `edgeCursor`: index being scanned
+ * - `edgeDecisions`: { [edgeId]: 'tree'|'cycle'|'unused' }
+ * - `forest`: { parent, rank } snapshot, `forestOperation`: the find/union just done
+ * - `mstEdges`, `mstWeight`: the tree (forest) built so far
+ */
+import { createDisjointSet } from './disjointSet';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const KRUSKAL_STEP_LABELS = [
+  "1. Sort edges by weight, each vertex starts in its own set",
+  "2. Take the next cheapest edge (u,v)",
+  "3. Find the roots of u and v (with path compression)",
+  "4. Same root: skip the edge, it would close a cycle",
+  "5. Different roots: union by rank, add the edge to the tree",
+];
+
+export function generateKruskalSteps({ nodes, edges, setShortestPathResult }) {
+  const label = (id) => nodes[id]?.label;
+  const formatEdge = (edge) => `${label(edge.source)}–${label(edge.target)}`;
+
+  const steps = [];
+  const sortedEdges = [...edges]
+    .sort((a, b) => a.weight - b.weight)
+    .map(({ id, source, target, weight }) => ({ id, source, target, weight }));
+  const forest = createDisjointSet(nodes.map((node) => node.id));
+  const edgeDecisions = {};
+  const mstEdges = [];
+  const connected = new Set();
+  let mstWeight = 0;
+  let edgeCursor = -1;
+
+  // Skipped edges stay red for the rest of the run
+  const rejectedUpdates = () =>
+    Object.keys(edgeDecisions)
+      .filter((id) => edgeDecisions[id] === 'cycle')
+      .map((id) => ({ id, status: 'excluded' }));
+
+  const pushStep = ({ edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [...connected],
+    minHeap: [],
+    distanceArray: {},
+    sortedEdges,
+    edgeCursor,
+    edgeDecisions: { ...edgeDecisions },
+    forest: forest.snapshot(),
+    forestOperation: null,
+    mstEdges: [...mstEdges],
+    mstWeight,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+    edgeUpdates: [...rejectedUpdates(), ...edgeUpdates],
+  });
+
+  const describeFind = (id, { root, path, compressed }) => {
+    const walk = path.map(label).join(' → ');
+    const base = path.length === 1
+      ? `find(${label(id)}) = ${label(root)}, it is its own root.`
+      : `find(${label(id)}) walks ${walk}, root ${label(root)}.`;
+    return compressed.length > 0
+      ? `${base} Path compression points ${compressed.map(label).join(', ')} straight at ${label(root)}.`
+      : base;
+  };
+
+  pushStep({
+    explanation: `Sorted ${sortedEdges.length} edges by weight. Each of the ${nodes.length} vertices starts as its own set (rank 0).`,
+    algorithmStep: KRUSKAL_STEP_LABELS[0],
+  });
+
+  for (let i = 0; i < sortedEdges.length; i++) {
+    const edge = sortedEdges[i];
+    const { id, source, target, weight } = edge;
+    edgeCursor = i;
+
+    // A spanning tree needs exactly |V| - 1 edges
+    if (mstEdges.length === nodes.length - 1) {
+      sortedEdges.slice(i).forEach((rest) => {
+        edgeDecisions[rest.id] = 'unused';
+      });
+      edgeCursor = sortedEdges.length;
+      pushStep({
+        explanation: `The tree already has ${nodes.length - 1} edges (|V| − 1). The remaining ${sortedEdges.length - i} edges are not needed.`,
+        algorithmStep: KRUSKAL_STEP_LABELS[1],
+      });
+      break;
+    }
+
+    pushStep({
+      explanation: `Next cheapest edge: ${formatEdge(edge)}, weight=${weight}.`,
+      algorithmStep: KRUSKAL_STEP_LABELS[1],
+      edgeUpdates: [{ id, status: 'candidate' }],
+      currentEdgeBeingRelaxed: id,
+    });
+
+    const sourceFind = forest.find(source);
+    pushStep({
+      explanation: describeFind(source, sourceFind),
+      algorithmStep: KRUSKAL_STEP_LABELS[2],
+      forestOperation: { type: 'find', nodes: sourceFind.path, compressed: sourceFind.compressed, root: sourceFind.root },
+      edgeUpdates: [{ id, status: 'candidate' }],
+      currentEdgeBeingRelaxed: id,
+    });
+
+    const targetFind = forest.find(target);
+    pushStep({
+      explanation: describeFind(target, targetFind),
+      algorithmStep: KRUSKAL_STEP_LABELS[2],
+      forestOperation: { type: 'find', nodes: targetFind.path, compressed: targetFind.compressed, root: targetFind.root },
+      edgeUpdates: [{ id, status: 'candidate' }],
+      currentEdgeBeingRelaxed: id,
+    });
+
+    if (sourceFind.root === targetFind.root) {
+      edgeDecisions[id] = 'cycle';
+      pushStep({
+        explanation: `${label(source)} and ${label(target)} share root ${label(sourceFind.root)}. Edge ${formatEdge(edge)} would close a cycle, skipping.`,
+        algorithmStep: KRUSKAL_STEP_LABELS[3],
+        forestOperation: { type: 'cycle', nodes: [source, target], compressed: [], root: sourceFind.root },
+        currentEdgeBeingRelaxed: id,
+      });
+      continue;
+    }
+
+    const { root, child, rankIncreased } = forest.union(sourceFind.root, targetFind.root);
+    edgeDecisions[id] = 'tree';
+    mstEdges.push(id);
+    mstWeight += weight;
+    connected.add(source);
+    connected.add(target);
+    const { rank } = forest.snapshot();
+    pushStep({
+      explanation: rankIncreased
+        ? `Union: both roots have rank ${rank[root] - 1}, so ${label(child)} goes under ${label(root)} and ${label(root)}'s rank grows to ${rank[root]}. Edge ${formatEdge(edge)} joins the tree, total weight ${mstWeight}.`
+        : `Union by rank: ${label(child)} (rank ${rank[child]}) goes under ${label(root)} (rank ${rank[root]}). Edge ${formatEdge(edge)} joins the tree, total weight ${mstWeight}.`,
+      algorithmStep: KRUSKAL_STEP_LABELS[4],
+      forestOperation: { type: 'union', nodes: [child, root], compressed: [], root },
+      edgeUpdates: [{ id, status: 'included' }],
+      pathEdgeUpdates: [id],
+      currentEdgeBeingRelaxed: id,
+    });
+  }
+
+  // Final step
+  const componentCount = nodes.length - mstEdges.length;
+  pushStep({
+    explanation: componentCount <= 1
+      ? `Kruskal's complete. Minimum spanning tree has ${mstEdges.length} edges, total weight ${mstWeight}.`
+      : `Kruskal's complete. The graph is disconnected, so the result is a minimum spanning forest of ${componentCount} trees, total weight ${mstWeight}.`,
+    algorithmStep: "Done",
+    edgeCursor: sortedEdges.length,
+  });
+
+  setShortestPathResult({ distances: {}, paths: {}, treeEdges: [...mstEdges], totalWeight: mstWeight });
+  return steps;
+}
@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useRef } from "react";
+
+import GraphRenderer from "@/components/ShortestPathVisualizer/GraphRenderer";
+import { generateRandomGraph } from "@/components/ShortestPathVisualizer/GraphGeneration";
+import AlgorithmVisualizer from "@/components/ShortestPathVisualizer/AlgorithmVisualizer";
+import ManualModeToolbar from "@/components/ShortestPathVisualizer/ManualModeToolbar";
+import WeightInputPopover from "@/components/ShortestPathVisualizer/WeightInputPopover";
+import VisualizerShell, { TerminalToolbar } from "@/components/ShortestPathVisualizer/VisualizerShell";
+import GraphSettingsFields from "@/components/ShortestPathVisualizer/GraphSettingsFields";
+import { useAlgorithmRunner } from "@/components/ShortestPathVisualizer/hooks/useAlgorithmRunner";
+import { useGraphEditor } from "@/components/ShortestPathVisualizer/hooks/useGraphEditor";
+import { useIsMobile } from "@/components/ShortestPathVisualizer/hooks/useIsMobile";
+import { getAlgorithm, getAlgorithms } from "./algorithms";
+
+// Import lucide-react icons
+import { Network } from "lucide-react";
+
+const INITIAL_ALGORITHM = "prim";
+
+/**
+ * Minimum spanning tree visualizer (Prim's and Kruskal's).
+ * Shares the page shell, graph renderer, random graph generator, graph editor and algorithm
+ * runner with the other visualizers; graphs here are always undirected.
+ */
+const MSTVisualizer = ({ embedded = false }) => {
+  // =========================
+  //       GRAPH STATE (Component-managed)
+  // =========================
+  const [nodes, setNodes] = useState([]);
+  const [edges, setEdges] = useState([]);
+  const [graphParams, setGraphParams] = useState({
+    nodeCount: 7,
+    density: 0.5,
+    minWeight: 1,
+    maxWeight: 20,
+    allowNegativeEdges: false,
+    sourceNode: 0,
+    hasNegativeCycle: false,
+    isDirected: false, // Spanning trees are defined on undirected graphs
+    graphType: getAlgorithm(INITIAL_ALGORITHM).defaultLayout,
+  });
+
+  const [mode, setMode] = useState("auto"); // 'auto' or 'manual'
+  const [animationSpeed, setAnimationSpeed] = useState(1000);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const [selectedSourceNode, setSelectedSourceNode] = useState(null);
+  const isMobile = useIsMobile();
+
+  const svgRef = useRef(null);
+
+  // =========================
+  //   ALGORITHM RUNNER HOOK
+  // =========================
+  const {
+    algorithm,
+    isRunning,
+    isPaused,
+    currentStep,
+    steps,
+    explanation,
+    visualizationMode,
+    distanceArray,
+    visitedNodes,
+    minHeap,
+    iterationCount,
+    currentAlgorithmStep,
+    shortestPathResult,
+    currentStepData,
+    edgeUpdates,
+    setAlgorithm,
+    setShowAnswer,
+    setVisualizationMode,
+    play,
+    step,
+    reset,
+    generateSteps,
+    setExplanation,
+    setIsRunning,
+    setIsPaused,
+  } = useAlgorithmRunner({
+    nodes,
+    edges,
+    selectedSourceNode,
+    selectedDestNode: null,
+    graphParams,
+    animationSpeed,
+    initialAlgorithm: INITIAL_ALGORITHM,
+  });
+
+  const definition = getAlgorithm(algorithm);
+  const usesStartVertex = algorithm === "prim";
+
+  // =========================
+  //   GRAPH EDITOR HOOK
+  // =========================
+  const editor = useGraphEditor({
+    svgRef,
+    nodes,
+    setNodes,
+    edges,
+    setEdges,
+    mode,
+    isDirected: false,
+    isRunning,
+    onNodeDeleted: (nodeId) => {
+      if (selectedSourceNode === nodeId) setSelectedSourceNode(null);
+    },
+    onWeightEdited: () => {
+      reset();
+      if (visualizationMode === "view") {
+        setVisualizationMode("explore");
+        setShowAnswer(false);
+      }
+      setExplanation("Edge weight updated. Algorithm state reset.");
+    },
+  });
+  const isSelectingSource = editor.activeTool === "selectSource";
+
+  // Apply edge updates from hook
+  useEffect(() => {
+    if (edgeUpdates) {
+      setEdges(edgeUpdates);
+    }
+  }, [edgeUpdates]);
+
+  // Once the result is available in view mode, show the tree
+  useEffect(() => {
+    if (visualizationMode === "view" && shortestPathResult?.treeEdges && steps.length > 0) {
+      handleShowAnswer();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [shortestPathResult, visualizationMode, steps.length]);
+
+  // =========================
+  //   GRAPH RESET / GENERATION
+  // =========================
+  const resetGraph = () => {
+    reset();
+    setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+    setExplanation('Graph reset. Press "Start" to begin.');
+  };
+
+  const clearGraph = () => {
+    setNodes([]);
+    setEdges([]);
+    setSelectedSourceNode(null);
+    reset();
+    setExplanation("Graph cleared. You can now build a new graph from scratch.");
+  };
+
+  const handleGenerateRandomGraph = () => {
+    reset();
+    setExplanation('Random graph generated. Pick an algorithm and press "Start" to begin.');
+    setVisualizationMode("explore");
+
+    if (!svgRef.current) return;
+
+    // For mobile, reduce node count to avoid overcrowding
+    const adjustedParams = { ...graphParams, isDirected: false };
+    if (isMobile && graphParams.nodeCount > 6) {
+      adjustedParams.nodeCount = 6;
+    }
+
+    const { newNodes, newEdges, newParams } = generateRandomGraph({
+      svgRef,
+      graphParams: adjustedParams,
+      algorithm: definition.graphProfile,
+    });
+
+    setGraphParams(newParams);
+    setNodes(newNodes);
+    setEdges(newEdges);
+    setSelectedSourceNode(newParams.sourceNode);
+  };
+
+  // =========================
+  //   ALGORITHM CHANGE
+  // =========================
+  const handleAlgorithmChange = (newAlgorithm) => {
+    setAlgorithm(newAlgorithm);
+    setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+    setExplanation(
+      newAlgorithm === "prim"
+        ? `Switched to ${getAlgorithm(newAlgorithm).shortName}. The tree grows from the start vertex.`
+        : `Switched to ${getAlgorithm(newAlgorithm).shortName}. Edges are scanned cheapest first.`
+    );
+  };
+
+  // =========================
+  //   SHOW FINAL TREE
+  // =========================
+  const handleShowAnswer = () => {
+    // The result is stored when steps are generated; the effect above calls back once it is
+    if (steps.length === 0) {
+      generateSteps();
+      return;
+    }
+    if (!shortestPathResult?.treeEdges) return;
+
+    const treeEdges = new Set(shortestPathResult.treeEdges);
+    setEdges(edges.map((edge) => ({ ...edge, status: treeEdges.has(edge.id) ? "included" : "unvisited" })));
+    setShowAnswer(true);
+    setIsRunning(false);
+    setIsPaused(false);
+    setVisualizationMode("view");
+    setExplanation(
+      `${definition.name} complete. ${treeEdges.size} tree edges, total weight ${shortestPathResult.totalWeight}.`
+    );
+  };
+
+  const toggleVisualizationMode = () => {
+    if (visualizationMode === "explore") {
+      setVisualizationMode("view");
+      setIsRunning(false);
+      setIsPaused(false);
+      handleShowAnswer();
+    } else {
+      setVisualizationMode("explore");
+      setShowAnswer(false);
+      reset();
+      setEdges(edges.map((edge) => ({ ...edge, status: "unvisited" })));
+      setExplanation('Explore Mode: Step through the algorithm to see how it works. Press "Start" to begin.');
+    }
+  };
+
+  // =========================
+  //   HANDLE PARAM CHANGES
+  // =========================
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    resetGraph();
+  };
+
+  const handleParamChange = (e) => {
+    const { name, value, type } = e.target;
+    const newValue = type === "select-one" ? value : parseFloat(value);
+    if (name === "graphType") {
+      setExplanation(
+        newValue === "spatial"
+          ? "Spatial graph: edge weights represent actual distance"
+          : "Circular graph: edge weights are randomly assigned"
+      );
+    }
+    setGraphParams({ ...graphParams, [name]: newValue });
+  };
+
+  // When a node is clicked: start vertex selection first, then the editing tools
+  const handleNodeClick = (nodeId) => {
+    if (isSelectingSource) {
+      setSelectedSourceNode(nodeId);
+      editor.cancelTool();
+      setExplanation(`Set node ${nodes[nodeId]?.label} as the start vertex.`);
+      setShowAnswer(false);
+      setVisualizationMode("explore");
+      reset();
+      return;
+    }
+    editor.handleNodeClick(nodeId);
+  };
+
+  useEffect(() => {
+    // Generate a random graph on first load only
+    handleGenerateRandomGraph();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // =========================
+  //   RENDER
+  // =========================
+  return (
+    <VisualizerShell
+      embedded={embedded}
+      icon={Network}
+      title="Network Design"
+      algorithms={getAlgorithms('mst')}
+      definition={definition}
+      onAlgorithmChange={handleAlgorithmChange}
+      visualizationMode={visualizationMode}
+      onToggleVisualizationMode={toggleVisualizationMode}
+      viewTitle="See the final spanning tree instantly"
+      legend={
+        <>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-zinc-400 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Unvisited</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-amber-400 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Considered</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-emerald-500 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Tree Edge</span>
+          </div>
+          <div className="flex items-center px-2">
+            <div className="w-4 h-4 bg-rose-500 mr-2 rounded" />
+            <span className="text-xs text-zinc-700 dark:text-zinc-300">Skipped (cycle)</span>
+          </div>
+          {usesStartVertex && (
+            <div className="flex items-center px-2">
+              <div className="w-5 h-5 bg-emerald-500 mr-2 rounded-full flex items-center justify-center text-white text-xs font-bold">
+                A
+              </div>
+              <span className="text-xs text-zinc-700 dark:text-zinc-300">Start</span>
+            </div>
+          )}
+        </>
+      }
+      svgRef={svgRef}
+      onGraphClick={editor.handleSvgClick}
+      toolbar={
+        <>
+          {/* AUTO MODE TOOLBAR - start vertex selection for Prim's */}
+          {mode === "auto" && usesStartVertex && (
+            <TerminalToolbar
+              buttons={[
+                { label: "Set Start", isActive: isSelectingSource, onClick: () => editor.selectTool("selectSource"), color: "emerald" },
+              ]}
+            />
+          )}
+
+          {/* MANUAL MODE TOOLBAR - Desktop only */}
+          {mode === "manual" && !isMobile && (
+            <ManualModeToolbar
+              {...editor.toolbarProps}
+              isSelectingSource={isSelectingSource}
+              isSelectingDest={false}
+              onSelectSourceMode={() => editor.selectTool("selectSource")}
+              onClearGraph={clearGraph}
+              selectedSourceNode={usesStartVertex ? selectedSourceNode : null}
+              selectedDestNode={null}
+              sourceLabel="Start"
+            />
+          )}
+        </>
+      }
+      playback={{ steps, currentStep, isRunning, isPaused, onPlay: play, onStep: step, onReset: resetGraph }}
+      panelProps={{
+        nodes,
+        edges,
+        distanceArray,
+        minHeap,
+        iterationCount,
+        totalNodes: nodes.length,
+        negativeCycleDetected: false,
+        visitedNodes,
+        currentStep,
+        steps,
+        currentStepData,
+      }}
+      explanation={explanation}
+      isDrawerOpen={isDrawerOpen}
+      onDrawerOpenChange={setIsDrawerOpen}
+      drawerTitle="Graph Settings"
+      drawerDescription="Spanning trees are built on undirected graphs"
+      settings={
+        <GraphSettingsFields
+          mode={mode}
+          onModeChange={handleModeChange}
+          graphParams={graphParams}
+          setGraphParams={setGraphParams}
+          onParamChange={handleParamChange}
+          layoutHint={graphParams.graphType === 'spatial'
+            ? "Spatial: weights match distance (like laying cable between sites)"
+            : "Circular: weights are randomly assigned"}
+          animationSpeed={animationSpeed}
+          setAnimationSpeed={setAnimationSpeed}
+          weightLabel="Weight Range"
+          generateLabel="Generate New Graph"
+          onGenerate={() => { handleGenerateRandomGraph(); setIsDrawerOpen(false); }}
+          definition={definition}
+        />
+      }
+      overlays={<WeightInputPopover {...editor.popoverProps} allowNegative={false} />}
+    >
+      <svg width="100%" height="100%" className="bg-zinc-50 dark:bg-zinc-950">
+        <GraphRenderer
+          nodes={nodes}
+          edges={edges}
+          distanceArray={distanceArray}
+          visitedNodes={visitedNodes}
+          selectedSourceNode={usesStartVertex ? selectedSourceNode : null}
+          selectedDestNode={null}
+          onNodeClick={handleNodeClick}
+          onEdgeClick={editor.handleEdgeClick}
+          onWeightClick={editor.handleWeightClick}
+          algorithm={algorithm}
+          graphType={graphParams.graphType || 'circular'}
+          negativeCycleDetected={false}
+          isRunning={isRunning}
+          isEditingEdge={editor.isEditingEdge}
+        />
+      </svg>
+
+      {/* Start vertex selection hint */}
+      {mode === "auto" && isSelectingSource && (
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 z-20 bg-emerald-500/90 backdrop-blur-sm text-white px-4 py-2 rounded-lg shadow-lg text-sm animate-pulse">
+          Click a node to set as START
+        </div>
+      )}
+
+      {/* Algorithm Visualization Overlay */}
+      <AlgorithmVisualizer
+        algorithm={algorithm}
+        nodes={nodes}
+        edges={edges}
+        distanceArray={distanceArray}
+        minHeap={minHeap}
+        iterationCount={iterationCount}
+        negativeCycleDetected={false}
+        currentStep={currentStep}
+        steps={steps}
+        visitedNodes={visitedNodes}
+        currentAlgorithmStep={currentAlgorithmStep}
+        currentStepData={currentStepData}
+      />
+    </VisualizerShell>
+  );
+};
+
+export default MSTVisualizer;
@@ -0,0 +1,179 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Prim's algorithm.
+ * Return an array of step objects, and also set the final result in the parent.
+ *
+ * The tree grows from the start vertex. Every vertex outside the tree keeps a key:
+ * the weight of the cheapest edge connecting it to the tree. The keys live in the
+ * same binary heap as Dijkstra's (decrease-key variant), and every heap operation
+ * gets its own sub-steps tagged with `heapOperation` for the heap panel.
+ *
+ * Edges are treated as undirected. Steps carry `distanceArray` (the keys),
+ * `mstEdges` and `mstWeight` (the tree built so far).
+ */
+import { createMinHeap, describeHeapEvent } from '../ShortestPathVisualizer/minHeap';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const PRIM_STEP_LABELS = [
+  "1. Initialize keys (start=0, others=∞)",
+  "2. Push start vertex into priority queue",
+  "3. Pop min-key vertex, add it and its edge to the tree",
+  "4. Lower the key of neighbors outside the tree if the edge is cheaper",
+];
+
+export function generatePrimSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const startId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const label = (id) => nodes[id]?.label;
+
+  const steps = [];
+  const inTree = new Set();
+  const key = {};
+  const parentEdge = {};
+  const mstEdges = [];
+  let mstWeight = 0;
+  const pq = createMinHeap();
+
+  // Undirected adjacency: every edge can be used from both endpoints
+  const adjacency = {};
+  nodes.forEach((node) => {
+    adjacency[node.id] = [];
+  });
+  edges.forEach((edge) => {
+    adjacency[edge.source]?.push({ nodeId: edge.target, weight: edge.weight, edgeId: edge.id });
+    adjacency[edge.target]?.push({ nodeId: edge.source, weight: edge.weight, edgeId: edge.id });
+  });
+
+  const pushStep = (step) => steps.push({
+    visitedNodes: [...inTree],
+    minHeap: pq.toArray(),
+    distanceArray: { ...key },
+    mstEdges: [...mstEdges],
+    mstWeight,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+  });
+
+  // One sub-step per heap event, keeping the edge being processed highlighted
+  const pushHeapSteps = (events, algorithmStep, edgeUpdates = [], currentEdgeBeingRelaxed = null) => {
+    for (const event of events) {
+      pushStep({
+        explanation: describeHeapEvent(event, nodes),
+        algorithmStep,
+        minHeap: event.heap,
+        heapOperation: { type: event.type, indices: event.indices },
+        edgeUpdates,
+        currentEdgeBeingRelaxed,
+      });
+    }
+  };
+
+  // Initialize
+  nodes.forEach((node) => {
+    key[node.id] = node.id === startId ? 0 : Infinity;
+    parentEdge[node.id] = null;
+  });
+  pushStep({
+    explanation: `Keys initialized. Start ${label(startId)} = 0, rest = ∞`,
+    algorithmStep: PRIM_STEP_LABELS[0],
+    updatedDistances: [startId],
+  });
+
+  const startEvents = pq.push(startId, 0);
+  pushStep({
+    explanation: `Start vertex ${label(startId)} added to priority queue.`,
+    algorithmStep: PRIM_STEP_LABELS[1],
+    heapOperation: { type: 'insert', indices: startEvents[0].indices },
+  });
+
+  while (pq.size() > 0) {
+    const { entry: current, events: extractEvents } = pq.pop();
+    const u = current.id;
+    pushHeapSteps(extractEvents, PRIM_STEP_LABELS[2]);
+
+    // Add the vertex, and the edge that got it its key, to the tree
+    inTree.add(u);
+    const treeEdge = parentEdge[u];
+    if (treeEdge) {
+      mstEdges.push(treeEdge.edgeId);
+      mstWeight += treeEdge.weight;
+      pushStep({
+        explanation: `Extracted ${label(u)} (key ${key[u]}). Edge ${label(treeEdge.from)}–${label(u)} joins the tree, total weight ${mstWeight}.`,
+        algorithmStep: PRIM_STEP_LABELS[2],
+        edgeUpdates: [{ id: treeEdge.edgeId, status: 'included' }],
+        pathEdgeUpdates: [treeEdge.edgeId],
+      });
+    } else {
+      pushStep({
+        explanation: `Extracted start vertex ${label(u)}. The tree starts here.`,
+        algorithmStep: PRIM_STEP_LABELS[2],
+      });
+    }
+
+    for (const { nodeId: v, weight, edgeId: id } of adjacency[u]) {
+      // The edge that brought u into the tree needs no second look
+      if (treeEdge && id === treeEdge.edgeId) continue;
+
+      if (inTree.has(v)) {
+        pushStep({
+          explanation: `${label(v)} is already in the tree. Edge ${label(u)}–${label(v)} would close a cycle, skipping.`,
+          algorithmStep: PRIM_STEP_LABELS[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      pushStep({
+        explanation: `Check edge ${label(u)}–${label(v)}, weight=${weight} against key[${label(v)}]=${key[v] === Infinity ? '∞' : key[v]}.`,
+        algorithmStep: PRIM_STEP_LABELS[3],
+        edgeUpdates: [{ id, status: 'candidate' }],
+        currentEdgeBeingRelaxed: id,
+      });
+
+      if (weight < key[v]) {
+        const oldKey = key[v];
+        key[v] = weight;
+        parentEdge[v] = { edgeId: id, from: u, weight };
+
+        pushStep({
+          explanation: `Cheaper connection. key[${label(v)}] lowered from ${oldKey === Infinity ? '∞' : oldKey} to ${weight} via ${label(u)}.`,
+          algorithmStep: PRIM_STEP_LABELS[3],
+          edgeUpdates: [{ id, status: 'candidate' }],
+          updatedDistances: [v],
+          currentEdgeBeingRelaxed: id,
+        });
+
+        const heapEvents = pq.indexOf(v) >= 0 ? pq.decreaseKey(v, weight) : pq.push(v, weight);
+        pushHeapSteps(heapEvents, PRIM_STEP_LABELS[3], [{ id, status: 'candidate' }], id);
+      } else {
+        pushStep({
+          explanation: `No improvement. key[${label(v)}] stays ${key[v]}.`,
+          algorithmStep: PRIM_STEP_LABELS[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+      }
+    }
+  }
+
+  // Final step
+  const unreached = nodes.filter((node) => !inTree.has(node.id));
+  pushStep({
+    explanation: unreached.length === 0
+      ? `Prim's complete. Minimum spanning tree has ${mstEdges.length} edges, total weight ${mstWeight}.`
+      : `Prim's complete. The graph is disconnected: ${unreached.map((node) => node.label).join(', ')} cannot be reached, so the tree only spans ${label(startId)}'s component (weight ${mstWeight}).`,
+    algorithmStep: "Done",
+    minHeap: [],
+  });
+
+  setShortestPathResult({ distances: key, paths: {}, treeEdges: [...mstEdges], totalWeight: mstWeight });
+  return steps;
+}
@@ -0,0 +1,172 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+// Forest layout (SVG units)
+const FOREST_WIDTH = 256;
+const LEVEL_HEIGHT = 40;
+const NODE_RADIUS = 11;
+const TOP_PADDING = 16;
+
+const OPERATION_LABELS = {
+  find: 'find',
+  union: 'union by rank',
+  cycle: 'same root',
+};
+
+/**
+ * Lay the forest out tree by tree: every leaf gets its own horizontal slot and
+ * parents are centered above their children.
+ */
+const layoutForest = (parent) => {
+  const ids = Object.keys(parent).map(Number).sort((a, b) => a - b);
+  const children = {};
+  ids.forEach((id) => {
+    children[id] = [];
+  });
+  ids.forEach((id) => {
+    if (parent[id] !== id) children[parent[id]].push(id);
+  });
+
+  const positions = {};
+  let nextSlot = 0;
+  let depth = 0;
+  const place = (id, level) => {
+    depth = Math.max(depth, level);
+    if (children[id].length === 0) {
+      positions[id] = { slot: nextSlot++, level };
+      return;
+    }
+    children[id].forEach((child) => place(child, level + 1));
+    const slots = children[id].map((child) => positions[child].slot);
+    positions[id] = { slot: (Math.min(...slots) + Math.max(...slots)) / 2, level };
+  };
+  ids.filter((id) => parent[id] === id).forEach((root) => place(root, 0));
+
+  const slotWidth = FOREST_WIDTH / Math.max(nextSlot, 1);
+  const points = {};
+  Object.entries(positions).forEach(([id, { slot, level }]) => {
+    points[id] = { x: (slot + 0.5) * slotWidth, y: TOP_PADDING + level * LEVEL_HEIGHT };
+  });
+  return { ids, points, depth };
+};
+
+/**
+ * Displays Kruskal's disjoint-set forest. Each tree is one component of the
+ * spanning forest; ranks are shown under the nodes. The nodes touched by the
+ * current find/union are highlighted, nodes re-parented by path compression get
+ * a teal link, and nodes glide to their new place when they move.
+ */
+const DisjointSetForest = ({ nodes, currentStepData }) => {
+  const { forest, forestOperation } = currentStepData || {};
+
+  if (!forest) {
+    return (
+      <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+        <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Disjoint-Set Forest</h3>
+        <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        </div>
+      </div>
+    );
+  }
+
+  const { parent, rank } = forest;
+  const { ids, points, depth } = layoutForest(parent);
+  const height = TOP_PADDING + depth * LEVEL_HEIGHT + NODE_RADIUS + 14;
+  const activeNodes = forestOperation?.nodes || [];
+  const compressed = forestOperation?.compressed || [];
+  const isCycle = forestOperation?.type === 'cycle';
+  const rootCount = ids.filter((id) => parent[id] === id).length;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Disjoint-Set Forest</h3>
+        {forestOperation && (
+          <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+            isCycle
+              ? 'bg-rose-100 dark:bg-rose-900/40 text-rose-800 dark:text-rose-300'
+              : 'bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300'
+          }`}>
+            {compressed.length > 0 ? 'path compression' : OPERATION_LABELS[forestOperation.type]}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        <svg viewBox={`0 0 ${FOREST_WIDTH} ${height}`} className="w-full" style={{ height }}>
+          {/* Child → parent links */}
+          {ids.map((id) => {
+            if (parent[id] === id) return null;
+            const from = points[id];
+            const to = points[parent[id]];
+            const isCompressed = compressed.includes(id);
+            const isActiveLink = !isCompressed && activeNodes.includes(id) && activeNodes.includes(parent[id]);
+            return (
+              <motion.line
+                key={`link-${id}`}
+                initial={false}
+                animate={{ x1: from.x, y1: from.y, x2: to.x, y2: to.y }}
+                transition={{ type: 'spring', stiffness: 260, damping: 24 }}
+                className={
+                  isCompressed
+                    ? 'stroke-teal-500'
+                    : isActiveLink
+                      ? 'stroke-amber-500'
+                      : 'stroke-zinc-300 dark:stroke-zinc-600'
+                }
+                strokeWidth={isCompressed || isActiveLink ? 2.5 : 1.5}
+              />
+            );
+          })}
+
+          {/* Nodes, keyed by node id so re-parenting animates */}
+          {ids.map((id) => {
+            const { x, y } = points[id];
+            const isRoot = parent[id] === id;
+            const isActive = activeNodes.includes(id);
+            return (
+              <motion.g
+                key={id}
+                initial={false}
+                animate={{ x, y }}
+                transition={{ type: 'spring', stiffness: 260, damping: 24 }}
+              >
+                <circle
+                  r={NODE_RADIUS}
+                  className={isRoot ? 'fill-indigo-500' : 'fill-zinc-200 dark:fill-zinc-600'}
+                  stroke={isActive ? (isCycle ? '#f43f5e' : '#f59e0b') : 'none'}
+                  strokeWidth={isActive ? 3 : 0}
+                />
+                <text
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontSize="10"
+                  fontWeight="bold"
+                  className={isRoot ? 'fill-white' : 'fill-zinc-700 dark:fill-zinc-100'}
+                >
+                  {nodes[id]?.label}
+                </text>
+                {isRoot && (
+                  <text
+                    y={NODE_RADIUS + 9}
+                    textAnchor="middle"
+                    fontSize="8"
+                    className="fill-zinc-500 dark:fill-zinc-400"
+                  >
+                    r{rank[id]}
+                  </text>
+                )}
+              </motion.g>
+            );
+          })}
+        </svg>
+        <div className="flex justify-between p-1.5 border-t border-zinc-200 dark:border-zinc-700 text-[10px] text-zinc-500 dark:text-zinc-400">
+          <span>{rootCount} {rootCount === 1 ? 'set' : 'sets'}</span>
+          <span>rN = rank of root</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisjointSetForest;
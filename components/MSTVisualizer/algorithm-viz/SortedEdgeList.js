@@ -0,0 +1,67 @@
+import React, { useEffect, useRef } from 'react';
+
+const DECISION_STYLES = {
+  tree: { label: 'tree', className: 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300' },
+  cycle: { label: 'cycle', className: 'bg-rose-100 dark:bg-rose-900/40 text-rose-800 dark:text-rose-300' },
+  unused: { label: 'unused', className: 'bg-zinc-100 dark:bg-zinc-700 text-zinc-500 dark:text-zinc-400' },
+};
+
+/**
+ * Displays Kruskal's edge list in scan order (cheapest first), with the edge being
+ * scanned highlighted and the decision taken for every edge already scanned.
+ */
+const SortedEdgeList = ({ nodes, currentStepData }) => {
+  const { sortedEdges, edgeCursor, edgeDecisions = {} } = currentStepData || {};
+  const activeRowRef = useRef(null);
+
+  // Keep the edge being scanned in view
+  useEffect(() => {
+    activeRowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [edgeCursor]);
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Edges by Weight</h3>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {sortedEdges ? (
+          <div className="max-h-48 overflow-y-auto">
+            <table className="w-full border-collapse text-xs tabular-nums">
+              <tbody>
+                {sortedEdges.map((edge, index) => {
+                  const isActive = index === edgeCursor;
+                  const decision = DECISION_STYLES[edgeDecisions[edge.id]];
+                  return (
+                    <tr
+                      key={edge.id}
+                      ref={isActive ? activeRowRef : null}
+                      className={isActive ? 'bg-amber-50 dark:bg-amber-900/20' : ''}
+                    >
+                      <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-400 dark:text-zinc-500 w-6">{index + 1}</td>
+                      <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 font-medium ${
+                        edgeDecisions[edge.id] === 'cycle' ? 'line-through text-zinc-400 dark:text-zinc-500' : 'text-zinc-700 dark:text-zinc-200'
+                      }`}>
+                        {nodes[edge.source]?.label}–{nodes[edge.target]?.label}
+                      </td>
+                      <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-right text-zinc-700 dark:text-zinc-200">{edge.weight}</td>
+                      <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-right w-14">
+                        {decision ? (
+                          <span className={`px-1.5 py-0.5 rounded-full text-[10px] font-medium ${decision.className}`}>{decision.label}</span>
+                        ) : isActive ? (
+                          <span className="px-1.5 py-0.5 rounded-full text-[10px] font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300">scan</span>
+                        ) : null}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SortedEdgeList;
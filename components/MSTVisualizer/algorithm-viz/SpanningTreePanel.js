@@ -0,0 +1,61 @@
+import React from 'react';
+
+/**
+ * Displays the spanning tree built so far: edges accepted, progress towards
+ * |V| − 1 edges and the running total weight.
+ */
+const SpanningTreePanel = ({ nodes, edges, currentStepData }) => {
+  const { mstEdges, mstWeight } = currentStepData || {};
+  const target = Math.max(nodes.length - 1, 0);
+  const progress = mstEdges ? (mstEdges.length / Math.max(target, 1)) * 100 : 0;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Spanning Tree</h3>
+        {mstEdges && (
+          <span className="px-2 py-0.5 bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300 text-xs font-medium rounded-full tabular-nums">
+            weight {mstWeight}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 p-2 rounded bg-white dark:bg-zinc-800">
+        {mstEdges ? (
+          <>
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-zinc-700 dark:text-zinc-300 tabular-nums">
+                {mstEdges.length} of {target} edges
+              </span>
+              <div className="w-24 bg-zinc-200 dark:bg-zinc-700 rounded-full h-2.5 overflow-hidden">
+                <div
+                  className="bg-emerald-500 h-2.5 rounded-full transition-all duration-300"
+                  style={{ width: `${progress}%` }}
+                />
+              </div>
+            </div>
+            {mstEdges.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {mstEdges.map((edgeId) => {
+                  const edge = edges?.find((e) => e.id === edgeId);
+                  if (!edge) return null;
+                  return (
+                    <span
+                      key={edgeId}
+                      className="px-1.5 py-0.5 rounded bg-emerald-50 dark:bg-emerald-900/30 text-[10px] font-medium text-emerald-800 dark:text-emerald-300 tabular-nums"
+                    >
+                      {nodes[edge.source]?.label}–{nodes[edge.target]?.label} ({edge.weight})
+                    </span>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-1 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpanningTreePanel;
@@ -0,0 +1,3 @@
+export { default as SortedEdgeList } from './SortedEdgeList';
+export { default as DisjointSetForest } from './DisjointSetForest';
+export { default as SpanningTreePanel } from './SpanningTreePanel';
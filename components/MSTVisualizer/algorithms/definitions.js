@@ -0,0 +1,11 @@
+/**
+ * Minimum spanning tree definitions without their React panels, registered in the shared
+ * algorithm registry under the 'mst' category. index.js adds the panels for the visualizer.
+ */
+import { registerAlgorithm } from '../../ShortestPathVisualizer/algorithms/registry';
+import prim from './prim';
+import kruskal from './kruskal';
+
+[prim, kruskal].forEach(registerAlgorithm);
+
+export { getAlgorithm, getAlgorithms } from '../../ShortestPathVisualizer/algorithms/registry';
@@ -0,0 +1,11 @@
+/**
+ * Minimum spanning tree algorithms for the MST visualizer: the definitions (definitions.js)
+ * with their panels (panels.js). Code that must run without React imports definitions.js instead.
+ */
+import { registerAlgorithmUI } from '@/components/ShortestPathVisualizer/algorithms';
+import { ALGORITHM_PANELS } from './panels';
+import './definitions';
+
+Object.entries(ALGORITHM_PANELS).forEach(([id, ui]) => registerAlgorithmUI(id, ui));
+
+export { getAlgorithm, getAlgorithms } from '@/components/ShortestPathVisualizer/algorithms';
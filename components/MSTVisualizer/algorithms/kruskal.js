@@ -0,0 +1,40 @@
+import { generateKruskalSteps, KRUSKAL_STEP_LABELS } from '../KruskalSteps';
+
+/**
+ * Kruskal's algorithm: scan edges cheapest first and keep every edge that joins
+ * two different components, tracked with a disjoint-set forest.
+ */
+const kruskal = {
+  id: 'kruskal',
+  name: "Kruskal's",
+  shortName: 'Kruskal',
+  category: 'mst',
+  generateSteps: generateKruskalSteps,
+  pseudocode: {
+    lines: [
+      "1. Sort edges by weight; make-set(v) for every v",
+      "2. for each edge (u,v) in sorted order:",
+      "3.   ru ← find(u), rv ← find(v)",
+      "4.   if ru = rv: skip (cycle)",
+      "5.   else: union(ru, rv), add (u,v) to the tree",
+    ],
+    stepToLine: {
+      [KRUSKAL_STEP_LABELS[0]]: 1,
+      [KRUSKAL_STEP_LABELS[1]]: 2,
+      [KRUSKAL_STEP_LABELS[2]]: 3,
+      [KRUSKAL_STEP_LABELS[3]]: 4,
+      [KRUSKAL_STEP_LABELS[4]]: 5,
+      'Done': 5,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(E log E)',
+  complexityBound: ({ E, log }) => E * log(E),
+};
+
+export default kruskal;
@@ -0,0 +1,17 @@
+/**
+ * Side panels of each minimum spanning tree algorithm, by algorithm id.
+ * The React half of the definitions in definitions.js (see registerAlgorithmUI).
+ */
+import React from 'react';
+import { MinHeapVisualization } from '@/components/ShortestPathVisualizer/algorithm-viz';
+import { SpanningTreePanel, SortedEdgeList, DisjointSetForest } from '../algorithm-viz';
+
+// Same heap as Dijkstra's, keyed by the cheapest edge into the tree
+const KeyHeapPanel = (props) => (
+  <MinHeapVisualization {...props} title="Priority Queue (by key)" valueLabel="Key" />
+);
+
+export const ALGORITHM_PANELS = {
+  prim: { panels: [SpanningTreePanel, KeyHeapPanel] },
+  kruskal: { panels: [SpanningTreePanel, SortedEdgeList, DisjointSetForest] },
+};
@@ -0,0 +1,41 @@
+import { generatePrimSteps, PRIM_STEP_LABELS } from '../PrimSteps';
+
+/**
+ * Prim's algorithm: grow a minimum spanning tree from a start vertex,
+ * always adding the cheapest edge that leaves the tree.
+ */
+const prim = {
+  id: 'prim',
+  name: "Prim's",
+  shortName: 'Prim',
+  category: 'mst',
+  generateSteps: generatePrimSteps,
+  pseudocode: {
+    lines: [
+      "1. key[start] ← 0, key[v] ← ∞ for all other v",
+      "2. Priority queue ← {start}",
+      "3. while queue not empty:",
+      "4.   u ← vertex with min key, add u and its edge to the tree",
+      "5.   for each neighbor v of u not in the tree:",
+      "6.     if w(u,v) < key[v]:",
+      "7.       key[v] ← w(u,v), parent[v] ← u",
+    ],
+    stepToLine: {
+      [PRIM_STEP_LABELS[0]]: 1,
+      [PRIM_STEP_LABELS[1]]: 2,
+      [PRIM_STEP_LABELS[2]]: 4,
+      [PRIM_STEP_LABELS[3]]: 6,
+      'Done': 3,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'spatial',
+  complexity: 'O(E log V)',
+  complexityBound: ({ V, E, log }) => E * log(V),
+};
+
+export default prim;
@@ -0,0 +1,63 @@
+/**
+ * Disjoint-set forest (union-find) with union by rank and path compression,
+ * used by the Kruskal step generator.
+ *
+ * Operations report what they did so the generator can turn them into steps:
+ * - find(x) returns the root, the path walked from x up to the root, and the
+ *   nodes whose parent pointer was moved straight to the root (path compression)
+ * - union(rootA, rootB) hangs the lower-rank root under the higher-rank one and
+ *   reports whether the surviving root's rank grew (equal ranks)
+ */
+export function createDisjointSet(ids) {
+  const parent = {};
+  const rank = {};
+  ids.forEach((id) => {
+    parent[id] = id;
+    rank[id] = 0;
+  });
+
+  return {
+    /** Copy of the forest: { parent, rank } keyed by node id */
+    snapshot: () => ({ parent: { ...parent }, rank: { ...rank } }),
+
+    /**
+     * @param {number} x - Node ID
+     * @returns {{ root: number, path: Array, compressed: Array }}
+     */
+    find(x) {
+      const path = [x];
+      while (parent[path[path.length - 1]] !== path[path.length - 1]) {
+        path.push(parent[path[path.length - 1]]);
+      }
+      const root = path[path.length - 1];
+
+      // Path compression: every node on the path now points at the root
+      const compressed = [];
+      path.forEach((id) => {
+        if (parent[id] !== root && id !== root) {
+          parent[id] = root;
+          compressed.push(id);
+        }
+      });
+      return { root, path, compressed };
+    },
+
+    /**
+     * @param {number} rootA - Root of the first tree
+     * @param {number} rootB - Root of the second tree
+     * @returns {{ root: number, child: number, rankIncreased: boolean }}
+     */
+    union(rootA, rootB) {
+      let root = rootA;
+      let child = rootB;
+      if (rank[rootA] < rank[rootB]) {
+        root = rootB;
+        child = rootA;
+      }
+      parent[child] = root;
+      const rankIncreased = rank[root] === rank[child];
+      if (rankIncreased) rank[root]++;
+      return { root, child, rankIncreased };
+    },
+  };
+}
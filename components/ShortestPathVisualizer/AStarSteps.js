@@ -0,0 +1,402 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for A* search.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * A* is Dijkstra ordered by f = g + h, where h estimates the remaining cost to the target.
+ * It stops as soon as the target is extracted from the open set.
+ * Every step carries the shared operation counters `opCounts` (see opCounts.js); the
+ * comparisons include those made sorting the open set.
+ */
+import { getNeighbors } from './graphHelpers';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const ASTAR_STEP_LABELS = [
+  "1. Initialize g(source)=0, f(source)=h(source), others=∞",
+  "2. Push source into the open set",
+  "3. Pop node with lowest f, stop if it is the target",
+  "4. Relax neighbors: g = g(u) + w, f = g + h",
+];
+
+/**
+ * Available heuristics. Distances are converted to weight units with the graph's
+ * smallest weight-per-pixel ratio, so the Euclidean estimate never exceeds the true cost.
+ */
+export const ASTAR_HEURISTICS = {
+  euclidean: {
+    label: 'Euclidean',
+    description: 'Straight-line distance to the target. Never overestimates.',
+    admissible: true,
+  },
+  manhattan: {
+    label: 'Manhattan',
+    description: 'Horizontal + vertical distance. Can overestimate on diagonal edges.',
+    admissible: false,
+  },
+  zero: {
+    label: 'Zero (Dijkstra)',
+    description: 'h = 0 everywhere. A* explores exactly like Dijkstra.',
+    admissible: true,
+  },
+  weighted: {
+    label: 'Scaled Euclidean',
+    description: 'Euclidean × a factor. Above 1 it overestimates: faster, but paths may not be optimal.',
+    admissible: false,
+  },
+};
+
+/**
+ * Smallest ratio of edge weight to pixel length across the graph.
+ * Every edge costs at least `scale × length`, so `scale × straight-line distance`
+ * is a lower bound on any path cost (triangle inequality).
+ *
+ * @param {Array} nodes - Array of node objects {id, x, y}
+ * @param {Array} edges - Array of edge objects
+ * @returns {number} Weight units per pixel (0 if no usable edge)
+ */
+function getHeuristicScale(nodes, edges) {
+  let scale = Infinity;
+  for (const edge of edges) {
+    const source = nodes[edge.source];
+    const target = nodes[edge.target];
+    if (!source || !target || edge.weight < 0) continue;
+    const length = Math.hypot(target.x - source.x, target.y - source.y);
+    if (length > 0) {
+      scale = Math.min(scale, edge.weight / length);
+    }
+  }
+  return scale === Infinity ? 0 : scale;
+}
+
+/**
+ * Compute h(v) for every node toward the target.
+ * Values are floored to one decimal so the displayed g + h always adds up to f
+ * and the rounding never breaks admissibility.
+ *
+ * @param {Array} nodes - Array of node objects
+ * @param {Array} edges - Array of edge objects
+ * @param {number} targetId - Target node ID
+ * @param {string} heuristic - Key of ASTAR_HEURISTICS
+ * @param {number} heuristicWeight - Multiplier for the 'weighted' heuristic
+ * @returns {Object} Map of nodeId -> h value
+ */
+export function computeHeuristicValues(nodes, edges, targetId, heuristic = 'euclidean', heuristicWeight = 1) {
+  const scale = getHeuristicScale(nodes, edges);
+  const target = nodes[targetId];
+  const values = {};
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const dx = Math.abs(target.x - node.x);
+    const dy = Math.abs(target.y - node.y);
+    let estimate;
+
+    switch (heuristic) {
+      case 'zero':
+        estimate = 0;
+        break;
+      case 'manhattan':
+        estimate = (dx + dy) * scale;
+        break;
+      case 'weighted':
+        estimate = Math.hypot(dx, dy) * scale * heuristicWeight;
+        break;
+      case 'euclidean':
+      default:
+        estimate = Math.hypot(dx, dy) * scale;
+        break;
+    }
+
+    values[i] = Math.floor(estimate * 10) / 10;
+  }
+
+  return values;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Run A* without recording steps and count expanded nodes.
+ * Used to compare the explored set against Dijkstra (h = 0) on the same graph.
+ */
+function countExpandedNodes(nodes, edges, sourceId, targetId, hValues, isDirected) {
+  const closed = new Set();
+  const g = {};
+  for (let i = 0; i < nodes.length; i++) g[i] = i === sourceId ? 0 : Infinity;
+  let open = [{ id: sourceId, f: hValues[sourceId], h: hValues[sourceId] }];
+
+  while (open.length > 0) {
+    open.sort((a, b) => a.f - b.f || a.h - b.h);
+    const { id } = open.shift();
+    if (closed.has(id)) continue;
+    closed.add(id);
+    if (id === targetId) break;
+
+    for (const { nodeId, weight } of getNeighbors(id, edges, isDirected)) {
+      if (weight < 0 || closed.has(nodeId)) continue;
+      const tentative = g[id] + weight;
+      if (tentative < g[nodeId]) {
+        g[nodeId] = tentative;
+        open = open.filter((entry) => entry.id !== nodeId);
+        open.push({ id: nodeId, f: round(tentative + hValues[nodeId]), h: hValues[nodeId] });
+      }
+    }
+  }
+
+  return closed.size;
+}
+
+export function generateAStarSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  setShortestPathResult,
+  options = {},
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const targetNodeId = selectedDestNode;
+  const { heuristic = 'euclidean', heuristicWeight = 2 } = options;
+  const steps = [];
+
+  // A* is a point-to-point search: without a target there is nothing to estimate
+  if (targetNodeId == null || !nodes[targetNodeId]) {
+    steps.push({
+      explanation: 'A* needs a target node. Use "Set Target" to pick one, then press Start.',
+      algorithmStep: ASTAR_STEP_LABELS[0],
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      opCounts: createOpCounts(),
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const astarStepsText = ASTAR_STEP_LABELS;
+  const hValues = computeHeuristicValues(nodes, edges, targetNodeId, heuristic, heuristicWeight);
+  const exploredComparison = {
+    dijkstra: countExpandedNodes(nodes, edges, sourceNodeId, targetNodeId, computeHeuristicValues(nodes, edges, targetNodeId, 'zero'), isDirected),
+  };
+
+  const closed = new Set();
+  const dist = {};
+  const fScores = {};
+  const prev = {};
+  const prevEdge = {};
+  let open = [];
+  const ops = createOpCounts();
+
+  // Lowest f first, ties broken toward the node closer to the target
+  const byPriority = (a, b) => {
+    ops.comparisons++;
+    return a.f - b.f || a.h - b.h;
+  };
+
+  // Snapshot of the A*-specific state carried by every step
+  const snapshot = () => ({
+    visitedNodes: [...closed],
+    minHeap: open.map(({ id, f }) => ({ id, dist: f })),
+    distanceArray: { ...dist },
+    heuristicValues: hValues,
+    fScores: { ...fScores },
+    openSet: open.map(({ id }) => id),
+    targetNode: targetNodeId,
+    heuristic,
+    exploredComparison: { ...exploredComparison, astar: closed.size },
+    opCounts: { ...ops },
+  });
+
+  // Initialize
+  for (let i = 0; i < nodes.length; i++) {
+    dist[i] = i === sourceNodeId ? 0 : Infinity;
+    fScores[i] = i === sourceNodeId ? hValues[i] : Infinity;
+    prev[i] = null;
+    prevEdge[i] = null;
+  }
+  steps.push({
+    ...snapshot(),
+    explanation: `g(${nodes[sourceNodeId]?.label}) = 0, h = ${hValues[sourceNodeId]}, so f = ${fScores[sourceNodeId]}. Target is ${nodes[targetNodeId]?.label}.`,
+    algorithmStep: astarStepsText[0],
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [sourceNodeId],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  // Put source in the open set
+  open.push({ id: sourceNodeId, f: fScores[sourceNodeId], h: hValues[sourceNodeId] });
+  ops.pushes++;
+  steps.push({
+    ...snapshot(),
+    explanation: `Source ${nodes[sourceNodeId]?.label} added to the open set with f = ${fScores[sourceNodeId]}.`,
+    algorithmStep: astarStepsText[1],
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  let reachedTarget = false;
+
+  // Main loop
+  while (open.length > 0) {
+    open.sort(byPriority);
+    const current = open.shift();
+    ops.pops++;
+    const currentId = current.id;
+
+    if (closed.has(currentId)) continue;
+    closed.add(currentId);
+
+    if (currentId === targetNodeId) {
+      // Walk back along the predecessor edges to highlight the final path
+      const pathEdges = [];
+      let curr = targetNodeId;
+      while (prevEdge[curr] !== null) {
+        pathEdges.unshift(prevEdge[curr]);
+        curr = prev[curr];
+      }
+      reachedTarget = true;
+      steps.push({
+        ...snapshot(),
+        explanation: `Target ${nodes[targetNodeId]?.label} extracted with g = ${round(dist[targetNodeId])}. Explored ${closed.size} node(s); Dijkstra would explore ${exploredComparison.dijkstra}.`,
+        algorithmStep: astarStepsText[2],
+        edgeUpdates: pathEdges.map((id) => ({ id, status: 'included' })),
+        pathEdgeUpdates: pathEdges,
+        updatedDistances: [],
+        currentEdgeBeingRelaxed: null,
+      });
+      break;
+    }
+
+    steps.push({
+      ...snapshot(),
+      explanation: `Extracted ${nodes[currentId]?.label} with lowest f = ${current.f} (g = ${round(dist[currentId])}, h = ${hValues[currentId]}). Mark closed.`,
+      algorithmStep: astarStepsText[2],
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+    });
+
+    const neighbors = getNeighbors(currentId, edges, isDirected);
+    for (const neighbor of neighbors) {
+      const { nodeId: target, weight, edgeId: id } = neighbor;
+
+      // A* inherits Dijkstra's restriction on negative weights
+      if (weight < 0) {
+        steps.push({
+          ...snapshot(),
+          explanation: `Edge ${nodes[currentId]?.label}→${nodes[target]?.label} is negative. Skipping.`,
+          algorithmStep: astarStepsText[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          pathEdgeUpdates: [],
+          updatedDistances: [],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      if (closed.has(target)) {
+        steps.push({
+          ...snapshot(),
+          explanation: `${nodes[target]?.label} is already closed. Skipping edge ${nodes[currentId]?.label}→${nodes[target]?.label}.`,
+          algorithmStep: astarStepsText[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          pathEdgeUpdates: [],
+          updatedDistances: [],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      // Mark candidate
+      steps.push({
+        ...snapshot(),
+        explanation: `Check edge ${nodes[currentId]?.label}→${nodes[target]?.label}, weight=${weight}.`,
+        algorithmStep: astarStepsText[3],
+        edgeUpdates: [{ id, status: 'candidate' }],
+        pathEdgeUpdates: [],
+        updatedDistances: [],
+        currentEdgeBeingRelaxed: id,
+      });
+
+      const tentative = round(dist[currentId] + weight);
+      if (countRelaxation(ops, tentative < dist[target])) {
+        const oldDist = dist[target];
+        dist[target] = tentative;
+        fScores[target] = round(tentative + hValues[target]);
+        prev[target] = currentId;
+        prevEdge[target] = id;
+
+        // Update or push in the open set
+        const idx = open.findIndex((entry) => entry.id === target);
+        if (idx >= 0) {
+          open[idx].f = fScores[target];
+        } else {
+          open.push({ id: target, f: fScores[target], h: hValues[target] });
+          ops.pushes++;
+        }
+
+        steps.push({
+          ...snapshot(),
+          explanation: `g(${nodes[target]?.label}) ${oldDist === Infinity ? '∞' : oldDist} → ${tentative}. f = ${tentative} + ${hValues[target]} = ${fScores[target]}.`,
+          algorithmStep: astarStepsText[3],
+          edgeUpdates: [{ id, status: 'included' }],
+          pathEdgeUpdates: [id],
+          updatedDistances: [target],
+          currentEdgeBeingRelaxed: id,
+        });
+      } else {
+        steps.push({
+          ...snapshot(),
+          explanation: `No improvement. g(${nodes[target]?.label}) remains ${dist[target]}.`,
+          algorithmStep: astarStepsText[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          pathEdgeUpdates: [],
+          updatedDistances: [],
+          currentEdgeBeingRelaxed: id,
+        });
+      }
+    }
+  }
+
+  // Final step
+  steps.push({
+    ...snapshot(),
+    explanation: reachedTarget
+      ? `A* complete. Shortest path to ${nodes[targetNodeId]?.label} costs ${round(dist[targetNodeId])}.`
+      : `A* complete. Target ${nodes[targetNodeId]?.label} is unreachable from ${nodes[sourceNodeId]?.label}.`,
+    algorithmStep: "Done",
+    minHeap: [],
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  // Build final paths (only closed nodes have settled distances)
+  const paths = {};
+  for (const nodeId of closed) {
+    if (nodeId !== sourceNodeId && dist[nodeId] !== Infinity) {
+      const path = [];
+      let curr = nodeId;
+      while (curr !== null) {
+        path.unshift(curr);
+        curr = prev[curr];
+      }
+      paths[nodeId] = path;
+    }
+  }
+
+  // Let the parent store final results
+  setShortestPathResult({ distances: dist, paths });
+  return steps;
+}
@@ -0,0 +1,209 @@
+import React from "react";
+import { Play, Pause, SkipForward, RotateCcw } from "lucide-react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
+import GraphRenderer from "./GraphRenderer";
+import { getAlgorithm, getAlgorithms } from "./algorithms";
+import { RACE_COUNTERS } from "./raceCounters";
+import { useAlgorithmRace } from "./hooks/useAlgorithmRace";
+
+const noop = () => {};
+const LANE_NAMES = ["A", "B"];
+
+// Fit the pane to the graph, keeping the origin so top-anchored overlays (phase labels) still show
+const paneViewBox = (nodes) => {
+  const width = Math.max(400, ...nodes.map((node) => node.x + 60));
+  const height = Math.max(300, ...nodes.map((node) => node.y + 60));
+  return `0 0 ${width} ${height}`;
+};
+
+/**
+ * Side-by-side race of two registered algorithms on cloned copies of the current graph.
+ * One play/step control drives both panes, and live counters show which one is doing more work.
+ */
+const AlgorithmRace = ({
+  open,
+  onOpenChange,
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  animationSpeed,
+}) => {
+  const {
+    raceAlgorithms,
+    laneViews,
+    currentStep,
+    totalSteps,
+    isRunning,
+    isPaused,
+    setRaceAlgorithm,
+    play,
+    step,
+    reset,
+  } = useAlgorithmRace({
+    nodes,
+    edges,
+    selectedSourceNode,
+    selectedDestNode,
+    graphParams,
+    animationSpeed,
+  });
+
+  const handleOpenChange = (isOpen) => {
+    if (!isOpen) reset();
+    onOpenChange(isOpen);
+  };
+
+  const finished = totalSteps > 0 && currentStep >= totalSteps;
+  // Lower is better for every counter; only compare once both lanes have started
+  const leader = (key) => {
+    if (currentStep === 0) return null;
+    const [a, b] = laneViews.map((lane) => lane.counts[key]);
+    return a === b ? null : a < b ? 0 : 1;
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-6xl max-h-[90vh] overflow-y-auto bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800">
+        <DialogHeader>
+          <DialogTitle className="text-xl text-zinc-900 dark:text-zinc-100">Algorithm Race</DialogTitle>
+          <DialogDescription className="text-zinc-500 dark:text-zinc-400">
+            Two algorithms on copies of the same graph, advanced one step at a time together.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Shared controls */}
+        <div className="flex flex-wrap items-center gap-2">
+          {raceAlgorithms.map((algorithmId, laneIndex) => (
+            <label key={laneIndex} className="flex items-center gap-1.5 text-xs font-medium text-zinc-600 dark:text-zinc-400">
+              {LANE_NAMES[laneIndex]}
+              <select
+                value={algorithmId}
+                onChange={(e) => setRaceAlgorithm(laneIndex, e.target.value)}
+                className="rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+              >
+                {getAlgorithms("shortest-path").map((definition) => (
+                  <option key={definition.id} value={definition.id}>{definition.name}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+
+          <div className="flex items-center gap-2 ml-auto">
+            <button
+              onClick={play}
+              className="h-9 px-4 rounded-full flex items-center justify-center font-semibold text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition-all shadow-md active:scale-95"
+            >
+              {isRunning && !isPaused ? (
+                <>
+                  <Pause className="w-4 h-4 mr-1.5" />
+                  Pause
+                </>
+              ) : (
+                <>
+                  <Play className="w-4 h-4 mr-1.5" />
+                  {isRunning ? "Resume" : finished ? "Restart" : "Start"}
+                </>
+              )}
+            </button>
+            <button
+              onClick={step}
+              disabled={finished}
+              className="h-9 px-4 rounded-full flex items-center justify-center font-semibold text-sm bg-white dark:bg-zinc-800 border-2 border-indigo-600 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-950/30 disabled:opacity-50 transition-all active:scale-95"
+            >
+              <SkipForward className="w-4 h-4 mr-1.5" />
+              Step
+            </button>
+            <button
+              onClick={reset}
+              className="h-9 px-4 rounded-full flex items-center justify-center font-semibold text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-50 dark:hover:bg-zinc-700 transition-all active:scale-95"
+            >
+              <RotateCcw className="w-4 h-4 mr-1.5" />
+              Reset
+            </button>
+            <span className="text-xs text-zinc-500 dark:text-zinc-400 font-medium tabular-nums">
+              {currentStep}/{totalSteps || "–"}
+            </span>
+          </div>
+        </div>
+
+        {/* Panes */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {laneViews.map((lane, laneIndex) => {
+            const definition = getAlgorithm(lane.algorithm);
+            const targetDistance = lane.finished ? lane.result?.distances?.[selectedDestNode] : undefined;
+            return (
+              <div key={laneIndex} className="border border-zinc-200 dark:border-zinc-800 rounded-lg overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center px-3 py-2 border-b border-zinc-200 dark:border-zinc-800">
+                  <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">
+                    {LANE_NAMES[laneIndex]}: {definition.name}
+                  </h3>
+                  {lane.finished && (
+                    <span className="px-2 py-0.5 bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300 text-xs font-medium rounded-full">
+                      Finished in {lane.steps.length} steps
+                    </span>
+                  )}
+                </div>
+
+                <svg viewBox={paneViewBox(lane.nodes)} className="w-full h-64 bg-zinc-50 dark:bg-zinc-950 pointer-events-none">
+                  <GraphRenderer
+                    nodes={lane.nodes}
+                    edges={lane.edges}
+                    distanceArray={lane.step?.distanceArray || {}}
+                    visitedNodes={new Set(lane.step?.visitedNodes || [])}
+                    selectedSourceNode={selectedSourceNode}
+                    selectedDestNode={definition.capabilities.needsTarget ? selectedDestNode : null}
+                    onNodeClick={noop}
+                    onEdgeClick={noop}
+                    algorithm={lane.algorithm}
+                    graphType={graphParams.graphType || 'circular'}
+                    negativeCycleDetected={lane.step?.negativeCycleDetected || false}
+                    isRunning={isRunning && !lane.finished}
+                    phaseLabel={lane.step?.phaseLabel ?? null}
+                    edgeWeightOverrides={lane.step?.edgeWeightOverrides ?? null}
+                    showVirtualSource={!!lane.step?.showVirtualSource}
+                    hasNegativeCycle={Boolean(lane.step?.negativeCycleDetected || lane.step?.negativeCycle)}
+                    negativeCycle={lane.step?.negativeCycle ?? null}
+                    nodeFrontiers={lane.step?.nodeFrontiers ?? null}
+                    nodeLevels={lane.step?.nodeLevels ?? null}
+                    pathHighlights={lane.step?.pathHighlights ?? null}
+                  />
+                </svg>
+
+                {/* Live counters */}
+                <div className="grid grid-cols-3 gap-2 p-2 border-t border-zinc-200 dark:border-zinc-800">
+                  {RACE_COUNTERS.map(({ key, label }) => (
+                    <div key={key} className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 px-2 py-1.5 text-center">
+                      <div
+                        className={`text-lg font-bold tabular-nums ${
+                          leader(key) === laneIndex ? "text-emerald-600 dark:text-emerald-400" : "text-zinc-800 dark:text-zinc-100"
+                        }`}
+                      >
+                        {lane.counts[key]}
+                      </div>
+                      <div className="text-[11px] text-zinc-500 dark:text-zinc-400">{label}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <p className="px-3 pb-2 text-xs text-zinc-600 dark:text-zinc-400 min-h-[2.5rem]">
+                  {lane.step
+                    ? lane.step.explanation
+                    : "Press Start or Step to begin the race."}
+                  {targetDistance !== undefined && (
+                    <span className="block mt-0.5 font-medium text-zinc-800 dark:text-zinc-200">
+                      dist[{nodes[selectedDestNode]?.label}] = {targetDistance === Infinity ? "∞" : targetDistance}
+                    </span>
+                  )}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AlgorithmRace;
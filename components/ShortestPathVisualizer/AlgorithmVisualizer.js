@@ -3,12 +3,12 @@ import React, { useState, useEffect } from 'react';
 import { Eye, EyeOff } from 'lucide-react';
 import {
   CurrentStepCard,
-  DistanceTable,
-  MinHeapVisualization,
-  IterationProgress,
   PseudocodeHighlighter,
   EdgeRelaxationCard,
+  ComplexityPanel,
 } from './algorithm-viz';
+import { getAlgorithm } from './algorithms';
+import { useIsMobile } from './hooks/useIsMobile';
 
 /**
  * AlgorithmVisualizer - Main container for algorithm state visualization.
@@ -16,12 +16,13 @@ import {
  * This component renders a side panel showing:
  * - Current step progress
  * - Distance array
- * - Priority queue (Dijkstra) or iteration count (Bellman-Ford)
+ * - The side panels declared by the algorithm's registry definition
  * - Edge relaxation visualization
+ * - Operation counters against the algorithm's complexity bound
  * - Algorithm pseudocode with highlighting
  * 
  * @param {Object} props
- * @param {'dijkstra'|'bellmanford'} props.algorithm - Current algorithm
+ * @param {string} props.algorithm - Registered algorithm id
  * @param {Array} props.nodes - Graph nodes
  * @param {Array} props.edges - Graph edges
  * @param {Object} props.distanceArray - Current distances from source
@@ -34,6 +35,8 @@ import {
  * @param {string} props.currentAlgorithmStep - Current step action name
  * @param {string} props.currentEdge - ID of edge being relaxed
  * @param {Array} props.recentlyUpdatedDistances - Node IDs with updated distances
+ * @param {Object} props.currentStepData - Full step object for algorithm-specific panels
+ * @param {Object} props.algorithmOptions - Options the steps were generated with, for the complexity bound
  */
 const AlgorithmVisualizer = ({ 
   algorithm, 
@@ -49,22 +52,14 @@ const AlgorithmVisualizer = ({
   currentAlgorithmStep,
   currentEdge,
   recentlyUpdatedDistances,
+  currentStepData,
+  algorithmOptions,
 }) => {
   const [isVisible, setIsVisible] = useState(true);
-  const [isMobile, setIsMobile] = useState(false);
+  // The side panel needs a desktop-width viewport
+  const isMobile = useIsMobile(1024);
   const [showPulse, setShowPulse] = useState(false);
   
-  // Detect mobile viewport
-  useEffect(() => {
-    const checkMobile = () => {
-      setIsMobile(window.innerWidth < 1024);
-    };
-    
-    checkMobile();
-    window.addEventListener('resize', checkMobile);
-    return () => window.removeEventListener('resize', checkMobile);
-  }, []);
-  
   // Persist visibility preference
   useEffect(() => {
     const savedVisibility = localStorage.getItem('algorithmPanelVisible');
@@ -86,6 +81,25 @@ const AlgorithmVisualizer = ({
     return null;
   }
 
+  const definition = getAlgorithm(algorithm);
+  const { panels, pseudocode } = definition;
+
+  // Every panel receives the same state bag and picks the props it needs
+  const panelProps = {
+    nodes,
+    edges,
+    distanceArray,
+    minHeap,
+    iterationCount,
+    totalNodes: nodes.length,
+    negativeCycleDetected,
+    visitedNodes,
+    recentlyUpdatedDistances,
+    currentStep,
+    steps,
+    currentStepData,
+  };
+
   return (
     <>
       {/* Toggle button */}
@@ -132,38 +146,23 @@ const AlgorithmVisualizer = ({
             )}
 
             {/* Algorithm-specific visualizations */}
-            {algorithm === 'dijkstra' ? (
-              <>
-                <DistanceTable
-                  distanceArray={distanceArray}
-                  nodes={nodes}
-                  visitedNodes={visitedNodes}
-                  recentlyUpdatedDistances={recentlyUpdatedDistances}
-                />
-                <MinHeapVisualization
-                  minHeap={minHeap}
-                  nodes={nodes}
-                />
-              </>
-            ) : (
-              <>
-                <DistanceTable
-                  distanceArray={distanceArray}
-                  nodes={nodes}
-                  visitedNodes={visitedNodes}
-                  recentlyUpdatedDistances={recentlyUpdatedDistances}
-                />
-                <IterationProgress
-                  iterationCount={iterationCount}
-                  totalNodes={nodes.length}
-                  negativeCycleDetected={negativeCycleDetected}
-                />
-              </>
-            )}
+            {panels.map((Panel, index) => (
+              <Panel key={index} {...panelProps} />
+            ))}
+
+            {/* Operation counters vs. complexity bound */}
+            <ComplexityPanel
+              nodes={nodes}
+              edges={edges}
+              steps={steps}
+              currentStep={currentStep}
+              definition={definition}
+              options={algorithmOptions}
+            />
             
             {/* Pseudocode */}
             <PseudocodeHighlighter
-              algorithm={algorithm}
+              pseudocode={pseudocode}
               currentAlgorithmStep={currentAlgorithmStep}
             />
           </div>
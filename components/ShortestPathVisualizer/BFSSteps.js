@@ -0,0 +1,160 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for breadth-first search.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * BFS ignores the stored weights and counts every edge as 1, so the distance of a node is its
+ * number of hops from the source. A FIFO queue hands out nodes level by level: every node of
+ * level k is dequeued before the first node of level k+1, and a node is final the moment it is
+ * discovered.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `deque`: queue entries { id, dist } after the step, front first
+ * - `dequeOperation`: { type: 'enqueue' | 'dequeue', node } done by the step, or null
+ * - `nodeLevels`: { [nodeId]: level } of every discovered node, for the level halos
+ * - `currentLevel`: level of the node being expanded
+ * - `opCounts`: shared operation counters (see opCounts.js); discovering a node is a successful relaxation
+ */
+import { getNeighbors } from './graphHelpers';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const BFS_STEP_LABELS = [
+  "1. Initialize level[s]=0 and enqueue the source",
+  "2. Dequeue the node at the front of the queue",
+  "3. Scan its edges (every edge counts as 1)",
+  "4. Discover an unvisited neighbor one level deeper",
+];
+
+export function generateBFSSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const label = (id) => nodes[id]?.label;
+
+  const steps = [];
+  const dist = {};
+  const prev = {};
+  const treeEdges = [];
+  const visited = new Set();
+  const queue = [];
+  let currentLevel = 0;
+  const ops = createOpCounts();
+
+  for (let i = 0; i < nodes.length; i++) {
+    dist[i] = i === sourceNodeId ? 0 : Infinity;
+    prev[i] = null;
+  }
+
+  const nodeLevels = () => {
+    const levels = {};
+    for (const [id, level] of Object.entries(dist)) {
+      if (level !== Infinity) levels[id] = level;
+    }
+    return levels;
+  };
+
+  // BFS tree edges stay drawn as the level structure grows
+  const pushStep = ({ edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [...visited],
+    minHeap: [],
+    distanceArray: { ...dist },
+    iterationCount: currentLevel,
+    negativeCycleDetected: false,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    deque: queue.map((id) => ({ id, dist: dist[id] })),
+    dequeOperation: null,
+    nodeLevels: nodeLevels(),
+    currentLevel,
+    opCounts: { ...ops },
+    ...step,
+    edgeUpdates: [...treeEdges.map((id) => ({ id, status: 'level' })), ...edgeUpdates],
+  });
+
+  queue.push(sourceNodeId);
+  ops.pushes++;
+  pushStep({
+    explanation: `Level 0 is the source ${label(sourceNodeId)} alone. Every other node starts at ∞. Enqueue ${label(sourceNodeId)}. Edge weights are ignored: each edge counts as one hop.`,
+    algorithmStep: BFS_STEP_LABELS[0],
+    updatedDistances: [sourceNodeId],
+    dequeOperation: { type: 'enqueue', node: sourceNodeId },
+  });
+
+  // =========================
+  //   LEVEL-BY-LEVEL SEARCH
+  // =========================
+  while (queue.length > 0) {
+    const u = queue.shift();
+    ops.pops++;
+    visited.add(u);
+
+    let levelNote = '';
+    if (dist[u] > currentLevel) {
+      const level = dist[u];
+      const frontier = [u, ...queue.filter((id) => dist[id] === level)];
+      levelNote = ` Level ${level - 1} is finished, level ${level} starts: ${frontier.map(label).join(', ')}.`;
+      currentLevel = level;
+    }
+
+    pushStep({
+      explanation: `Dequeue ${label(u)} (level ${dist[u]}).${levelNote}`,
+      algorithmStep: BFS_STEP_LABELS[1],
+      dequeOperation: { type: 'dequeue', node: u },
+    });
+
+    for (const { nodeId: v, edgeId } of getNeighbors(u, edges, isDirected)) {
+      if (!countRelaxation(ops, dist[v] === Infinity)) {
+        pushStep({
+          explanation: `Edge ${label(u)}→${label(v)}: ${label(v)} was already discovered at level ${dist[v]}. Skip it.`,
+          algorithmStep: BFS_STEP_LABELS[2],
+          edgeUpdates: [{ id: edgeId, status: 'excluded' }],
+          currentEdgeBeingRelaxed: edgeId,
+        });
+        continue;
+      }
+
+      dist[v] = dist[u] + 1;
+      prev[v] = u;
+      treeEdges.push(edgeId);
+      queue.push(v);
+      ops.pushes++;
+      pushStep({
+        explanation: `Edge ${label(u)}→${label(v)}: ${label(v)} is new, so it sits on level ${dist[v]} (one more than ${label(u)}). Enqueue ${label(v)} at the back.`,
+        algorithmStep: BFS_STEP_LABELS[3],
+        edgeUpdates: [{ id: edgeId, status: 'candidate' }],
+        updatedDistances: [v],
+        currentEdgeBeingRelaxed: edgeId,
+        dequeOperation: { type: 'enqueue', node: v },
+      });
+    }
+  }
+
+  const reached = Object.values(dist).filter((level) => level !== Infinity).length;
+  pushStep({
+    explanation: `Queue empty: BFS complete. ${reached} of ${nodes.length} nodes reached in ${currentLevel + 1} level${currentLevel === 0 ? '' : 's'}; every distance is a hop count.`,
+    algorithmStep: 'Done',
+  });
+
+  // Build paths
+  const paths = {};
+  for (let i = 0; i < nodes.length; i++) {
+    if (i !== sourceNodeId && dist[i] !== Infinity) {
+      const path = [];
+      let curr = i;
+      while (curr !== null) {
+        path.unshift(curr);
+        curr = prev[curr];
+      }
+      paths[i] = path;
+    }
+  }
+  setShortestPathResult({ distances: dist, paths });
+
+  return steps;
+}
@@ -0,0 +1,74 @@
+import React from "react";
+import { Switch } from "@/components/ui/switch";
+import { BELLMAN_FORD_EDGE_ORDERS } from "./BellmanFordSteps";
+
+/**
+ * Drawer controls for Bellman-Ford: early exit and the edge relaxation order
+ * (with the seed used by the random order).
+ */
+const BellmanFordSettings = ({ options, onChange }) => {
+  const selected = BELLMAN_FORD_EDGE_ORDERS[options.edgeOrder] || BELLMAN_FORD_EDGE_ORDERS.insertion;
+
+  return (
+    <>
+      <div className="mb-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+              Early Exit
+            </label>
+            <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-0.5">
+              {options.earlyExit
+                ? "Stop after the first pass that relaxes no edge"
+                : "Always run all |V|-1 passes"}
+            </p>
+          </div>
+          <Switch
+            checked={options.earlyExit}
+            onCheckedChange={(checked) => onChange({ earlyExit: checked })}
+          />
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+          Edge Order
+        </label>
+        <select
+          value={options.edgeOrder}
+          onChange={(e) => onChange({ edgeOrder: e.target.value })}
+          className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+        >
+          {Object.entries(BELLMAN_FORD_EDGE_ORDERS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+          {selected.description}
+        </p>
+
+        {options.edgeOrder === "random" && (
+          <div className="mt-4 flex items-center justify-between gap-3">
+            <label htmlFor="bellman-ford-seed" className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+              Seed
+            </label>
+            <input
+              id="bellman-ford-seed"
+              type="number"
+              min={0}
+              step={1}
+              value={options.seed}
+              onChange={(e) => {
+                const seed = Math.floor(Number(e.target.value));
+                if (Number.isFinite(seed) && seed >= 0) onChange({ seed });
+              }}
+              className="w-28 rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100 tabular-nums"
+            />
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default BellmanFordSettings;
@@ -1,227 +1,355 @@
 /**
  * Generate the step-by-step instructions (array of steps) for Bellman-Ford.
  * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * Options (`options`):
+ * - `earlyExit`: stop as soon as a full pass relaxes no edge (default true). With it off,
+ *   all |V|-1 passes run, as in the textbook version.
+ * - `edgeOrder`: order in which every pass relaxes the edges, one of BELLMAN_FORD_EDGE_ORDERS
+ * - `seed`: seed of the 'random' edge order, so a shuffle can be replayed
+ * Every step carries `passStats` (passes run, relaxations, last improving pass) and
+ * `passComparison` with the final counters of every edge order on the same graph, plus the
+ * shared operation counters `opCounts` (see opCounts.js; the negative-cycle check is a pass too).
+ *
+ * When the final pass still finds a relaxable edge, the exact cycle is extracted by walking
+ * predecessor pointers (see negativeCycle.js) and returned as `negativeCycle`
+ * ({ vertices, edges, totalWeight }) on the last step and in the result.
  */
+import { findNegativeCycle, describeCycle } from './negativeCycle';
+import { createOpCounts, countRelaxation } from './opCounts';
 
-export function generateBellmanFordSteps({
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const BELLMAN_FORD_STEP_LABELS = [
+  "1. Initialize distances (source=0, others=∞)",
+  "2. For i=1 to |V|-1: Relax all edges",
+  "3. Check for negative cycles by a final pass",
+  "4. Early exit: a full pass relaxed no edge",
+  "5. Walk predecessors |V| times to extract the cycle",
+];
+
+export const BELLMAN_FORD_EDGE_ORDERS = {
+  insertion: {
+    label: 'Insertion order',
+    description: 'Edges are relaxed in the order they were created.',
+  },
+  'source-label': {
+    label: 'By source label',
+    description: 'Edges are sorted by the label of their source node, then of their target.',
+  },
+  reverse: {
+    label: 'Reverse insertion',
+    description: 'Edges are relaxed newest first.',
+  },
+  random: {
+    label: 'Random (seeded)',
+    description: 'Edges are shuffled once with the given seed; the same seed gives the same order.',
+  },
+  topological: {
+    label: 'Topological-friendly',
+    description: 'Edges are sorted by a DFS order from the source, so distances flow forward within a pass. On a DAG one pass is enough.',
+  },
+};
+
+export function generateBellmanFordSteps({ options = {}, setShortestPathResult, ...params }) {
+  const earlyExit = options.earlyExit !== false;
+  const edgeOrder = BELLMAN_FORD_EDGE_ORDERS[options.edgeOrder] ? options.edgeOrder : 'insertion';
+  const seed = Number.isFinite(options.seed) ? options.seed : 1;
+
+  // Run every other edge order silently so the panel can compare pass counts
+  const passComparison = {};
+  Object.keys(BELLMAN_FORD_EDGE_ORDERS).forEach((order) => {
+    if (order === edgeOrder) return;
+    const otherSteps = buildBellmanFordSteps({ ...params, earlyExit, edgeOrder: order, seed, setShortestPathResult: () => {} });
+    passComparison[order] = otherSteps[otherSteps.length - 1].passStats;
+  });
+
+  const steps = buildBellmanFordSteps({ ...params, earlyExit, edgeOrder, seed, setShortestPathResult });
+  passComparison[edgeOrder] = steps[steps.length - 1].passStats;
+  return steps.map((step) => ({ ...step, passComparison }));
+}
+
+/**
+ * Small deterministic PRNG (mulberry32), so a seeded shuffle is reproducible.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Arrange the edges of one pass according to `edgeOrder`.
+ *
+ * @param {Array} edgesToRelax - Directed edges (undirected edges already expanded)
+ * @param {Array} nodes - Array of node objects
+ * @param {number} sourceNodeId - Source node id
+ * @param {string} edgeOrder - Key of BELLMAN_FORD_EDGE_ORDERS
+ * @param {number} seed - Seed for the 'random' order
+ * @returns {Array} The same edges in relaxation order
+ */
+function orderEdges(edgesToRelax, nodes, sourceNodeId, edgeOrder, seed) {
+  const label = (id) => String(nodes[id]?.label ?? id);
+
+  switch (edgeOrder) {
+    case 'source-label':
+      return [...edgesToRelax].sort((a, b) =>
+        label(a.source).localeCompare(label(b.source), undefined, { numeric: true }) ||
+        label(a.target).localeCompare(label(b.target), undefined, { numeric: true })
+      );
+    case 'reverse':
+      return [...edgesToRelax].reverse();
+    case 'random': {
+      const random = createRandom(seed);
+      const shuffled = [...edgesToRelax];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    }
+    case 'topological': {
+      // Reverse DFS postorder, starting from the source: a topological order on a DAG,
+      // and still a good "parents before children" order when there are cycles
+      const outgoing = {};
+      nodes.forEach((node) => {
+        outgoing[node.id] = [];
+      });
+      edgesToRelax.forEach((edge) => outgoing[edge.source]?.push(edge.target));
+
+      const visited = new Set();
+      const postorder = [];
+      const visit = (start) => {
+        const stack = [[start, 0]];
+        visited.add(start);
+        while (stack.length > 0) {
+          const top = stack[stack.length - 1];
+          const [u, index] = top;
+          if (index < outgoing[u].length) {
+            top[1] += 1;
+            const v = outgoing[u][index];
+            if (!visited.has(v)) {
+              visited.add(v);
+              stack.push([v, 0]);
+            }
+          } else {
+            postorder.push(u);
+            stack.pop();
+          }
+        }
+      };
+      if (outgoing[sourceNodeId]) visit(sourceNodeId);
+      nodes.forEach((node) => {
+        if (!visited.has(node.id)) visit(node.id);
+      });
+
+      const rank = {};
+      postorder.reverse().forEach((id, index) => {
+        rank[id] = index;
+      });
+      return [...edgesToRelax].sort((a, b) => rank[a.source] - rank[b.source]);
+    }
+    default:
+      return edgesToRelax;
+  }
+}
+
+function buildBellmanFordSteps({
   nodes,
   edges,
   selectedSourceNode,
   graphParams,
   setShortestPathResult,
+  earlyExit,
+  edgeOrder,
+  seed,
 }) {
   const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
   const steps = [];
   const dist = {};
   const prev = {};
-  let hasNegativeCycle = false;
+  const prevEdge = {};
+  let negativeCycle = null;
+  const bfStepsText = BELLMAN_FORD_STEP_LABELS;
+  const passStats = { edgeOrder, earlyExit, passes: 0, relaxations: 0, lastImprovingPass: 0, exitedEarly: false };
+  const ops = createOpCounts();
 
-  // Explanation snippet
-  const bfStepsText = [
-    "1. Initialize distances (source=0, others=∞)",
-    "2. For i=1 to |V|-1: Relax all edges",
-    "3. Check for negative cycles by a final pass",
-  ];
+  // Every step records the counters as they were at that moment
+  const pushStep = (step) => steps.push({
+    visitedNodes: [],
+    distanceArray: { ...dist },
+    negativeCycleDetected: false,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+    passStats: { ...passStats },
+    opCounts: { ...ops },
+  });
+
+  // Collect all edges to relax (including reverse direction for undirected edges)
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const edgesToRelax = [];
+  for (const edge of edges) {
+    edgesToRelax.push({ ...edge, direction: 'forward' });
+    // For undirected edges, also add reverse direction
+    if (!isDirected && edge.isUndirected) {
+      edgesToRelax.push({
+        ...edge,
+        source: edge.target,
+        target: edge.source,
+        direction: 'reverse'
+      });
+    }
+  }
+  const orderedEdges = orderEdges(edgesToRelax, nodes, sourceNodeId, edgeOrder, seed);
 
   // Init
   for (let i = 0; i < nodes.length; i++) {
     dist[i] = i === sourceNodeId ? 0 : Infinity;
     prev[i] = null;
   }
-  steps.push({
-    explanation: `Distances init. Source ${nodes[sourceNodeId]?.label}=0, others=∞`,
+  pushStep({
+    explanation: `Distances init. Source ${nodes[sourceNodeId]?.label}=0, others=∞. Edges are relaxed in ${BELLMAN_FORD_EDGE_ORDERS[edgeOrder].label.toLowerCase()}.`,
     algorithmStep: bfStepsText[0],
-    visitedNodes: [],
-    distanceArray: { ...dist },
     iterationCount: 0,
-    negativeCycleDetected: false,
-    edgeUpdates: [],
-    pathEdgeUpdates: [], // Added for path tracking
     updatedDistances: [sourceNodeId], // Mark source node as initially updated
-    currentEdgeBeingRelaxed: null,
   });
 
   // Relax edges up to |V|-1 times
-  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
-  
   for (let i = 1; i < nodes.length; i++) {
     let relaxedAnyEdge = false;
-    steps.push({
+    passStats.passes = i;
+    ops.passes++;
+    pushStep({
       explanation: `Iteration ${i} of ${nodes.length - 1}`,
       algorithmStep: bfStepsText[1],
-      visitedNodes: [],
-      distanceArray: { ...dist },
       iterationCount: i,
-      negativeCycleDetected: false,
-      edgeUpdates: [],
-      pathEdgeUpdates: [], // Added for path tracking
-      updatedDistances: [],
-      currentEdgeBeingRelaxed: null,
     });
 
-    // Collect all edges to relax (including reverse direction for undirected edges)
-    const edgesToRelax = [];
-    for (const edge of edges) {
-      edgesToRelax.push({ ...edge, direction: 'forward' });
-      // For undirected edges, also add reverse direction
-      if (!isDirected && edge.isUndirected) {
-        edgesToRelax.push({
-          ...edge,
-          source: edge.target,
-          target: edge.source,
-          direction: 'reverse'
-        });
-      }
-    }
-
-    for (const edge of edgesToRelax) {
+    for (const edge of orderedEdges) {
       const { source, target, weight, id } = edge;
       // If dist[source] is ∞, skip
       if (dist[source] === Infinity) {
-        steps.push({
+        pushStep({
           explanation: `Edge ${nodes[source]?.label}→${nodes[target]?.label} skip (unreachable)`,
           algorithmStep: bfStepsText[1],
-          visitedNodes: [],
-          distanceArray: { ...dist },
           iterationCount: i,
-          negativeCycleDetected: false,
           edgeUpdates: [{ id, status: 'excluded' }],
-          pathEdgeUpdates: [], // Added for path tracking
-          updatedDistances: [],
           currentEdgeBeingRelaxed: id, // Track this edge even if skipped
         });
         continue;
       }
 
       // Mark candidate
-      steps.push({
+      pushStep({
         explanation: `Check edge ${nodes[source]?.label}→${nodes[target]?.label} (w=${weight})`,
         algorithmStep: bfStepsText[1],
-        visitedNodes: [],
-        distanceArray: { ...dist },
         iterationCount: i,
-        negativeCycleDetected: false,
         edgeUpdates: [{ id, status: 'candidate' }],
-        pathEdgeUpdates: [], // Added for path tracking
-        updatedDistances: [],
         currentEdgeBeingRelaxed: id, // Track this edge as being considered
       });
 
       const newDist = dist[source] + weight;
-      if (newDist < dist[target]) {
+      if (countRelaxation(ops, newDist < dist[target])) {
         const oldDist = dist[target];
         dist[target] = newDist;
         prev[target] = source;
+        prevEdge[target] = edge;
         relaxedAnyEdge = true;
+        passStats.relaxations += 1;
+        passStats.lastImprovingPass = i;
 
-        steps.push({
+        pushStep({
           explanation: `Relaxed edge. Dist to ${nodes[target]?.label} from ${
             oldDist === Infinity ? '∞' : oldDist
           } → ${newDist}`,
           algorithmStep: bfStepsText[1],
-          visitedNodes: [],
-          distanceArray: { ...dist },
           iterationCount: i,
-          negativeCycleDetected: false,
-          edgeUpdates: [{ id, status: 'included' }], // Changed from 'relaxed' to 'included'
-          pathEdgeUpdates: [id], // Added to track this edge in the path
+          edgeUpdates: [{ id, status: 'included' }],
+          pathEdgeUpdates: [id], // Track this edge in the path
           updatedDistances: [target], // Track this node as having an updated distance
-          currentEdgeBeingRelaxed: id, // Keep tracking the current edge
+          currentEdgeBeingRelaxed: id,
         });
       } else {
-        steps.push({
+        pushStep({
           explanation: `No improvement for ${nodes[target]?.label}. Dist remains ${dist[target]}`,
           algorithmStep: bfStepsText[1],
-          visitedNodes: [],
-          distanceArray: { ...dist },
           iterationCount: i,
-          negativeCycleDetected: false,
           edgeUpdates: [{ id, status: 'excluded' }],
-          pathEdgeUpdates: [], // Added for path tracking
-          updatedDistances: [],
-          currentEdgeBeingRelaxed: id, // Still track this edge
+          currentEdgeBeingRelaxed: id,
         });
       }
     }
 
     if (!relaxedAnyEdge) {
-      steps.push({
-        explanation: `No edges relaxed in iteration ${i}. Early stop.`,
+      if (earlyExit) {
+        passStats.exitedEarly = true;
+        pushStep({
+          explanation: `No edges relaxed in iteration ${i}, so no later pass can change anything and no negative cycle is reachable. Early exit after ${i} of ${nodes.length - 1} passes.`,
+          algorithmStep: bfStepsText[3],
+          iterationCount: i,
+        });
+        break;
+      }
+      pushStep({
+        explanation: `No edges relaxed in iteration ${i}. Early exit is off, so the remaining ${nodes.length - 1 - i} passes still run.`,
         algorithmStep: bfStepsText[1],
-        visitedNodes: [],
-        distanceArray: { ...dist },
         iterationCount: i,
-        negativeCycleDetected: false,
-        edgeUpdates: [],
-        pathEdgeUpdates: [], // Added for path tracking
-        updatedDistances: [],
-        currentEdgeBeingRelaxed: null,
       });
-      break;
     }
   }
 
-  // Check negative cycles
-  steps.push({
-    explanation: `Check for negative cycles`,
-    algorithmStep: bfStepsText[2],
-    visitedNodes: [],
-    distanceArray: { ...dist },
-    iterationCount: nodes.length,
-    negativeCycleDetected: false,
-    edgeUpdates: [],
-    pathEdgeUpdates: [], // Added for path tracking
-    updatedDistances: [],
-    currentEdgeBeingRelaxed: null,
-  });
-
-  // Check all edges (including reverse for undirected)
-  const edgesToCheck = [];
-  for (const edge of edges) {
-    edgesToCheck.push({ ...edge });
-    // For undirected edges, also check reverse direction
-    if (!isDirected && edge.isUndirected) {
-      edgesToCheck.push({
-        ...edge,
-        source: edge.target,
-        target: edge.source
-      });
-    }
-  }
+  // Check negative cycles (a pass without relaxations already rules them out)
+  if (!passStats.exitedEarly) {
+    ops.passes++;
+    pushStep({
+      explanation: `Check for negative cycles`,
+      algorithmStep: bfStepsText[2],
+      iterationCount: nodes.length,
+    });
 
-  for (const edge of edgesToCheck) {
-    const { source, target, weight, id } = edge;
-    if (dist[source] !== Infinity && dist[source] + weight < dist[target]) {
-      hasNegativeCycle = true;
-      steps.push({
-        explanation: `Negative cycle found via edge ${nodes[source]?.label}→${nodes[target]?.label}`,
-        algorithmStep: bfStepsText[2],
-        visitedNodes: [],
-        distanceArray: { ...dist },
-        iterationCount: nodes.length,
-        negativeCycleDetected: true,
-        edgeUpdates: [{ id, status: 'negativecycle' }],
-        pathEdgeUpdates: [], // Added for path tracking
-        updatedDistances: [],
-        currentEdgeBeingRelaxed: id, // Track the edge that creates the negative cycle
-      });
-      break;
+    for (const edge of orderedEdges) {
+      const { source, target, id } = edge;
+      if (dist[source] === Infinity) continue;
+      ops.comparisons++;
+      if (dist[source] + edge.weight < dist[target]) {
+        negativeCycle = findNegativeCycle({ nodes, edges: orderedEdges, dist, prevEdge });
+        pushStep({
+          explanation: `Negative cycle found via edge ${nodes[source]?.label}→${nodes[target]?.label}`,
+          algorithmStep: bfStepsText[2],
+          iterationCount: nodes.length,
+          negativeCycleDetected: true,
+          edgeUpdates: [{ id, status: 'negativecycle' }],
+          currentEdgeBeingRelaxed: id, // Track the edge that creates the negative cycle
+        });
+        pushStep({
+          explanation: `Relax ${nodes[source]?.label}→${nodes[target]?.label}${
+            negativeCycle.start === target ? '' : ' and keep relaxing until the predecessor pointers close a loop'
+          }, then walk predecessor pointers ${nodes.length} times from ${nodes[negativeCycle.start]?.label}. That leaves any tail behind and lands on the cycle ${describeCycle(negativeCycle, nodes)}.`,
+          algorithmStep: bfStepsText[4],
+          visitedNodes: negativeCycle.vertices,
+          iterationCount: nodes.length,
+          negativeCycleDetected: true,
+          edgeUpdates: negativeCycle.edges.map((cycleEdgeId) => ({ id: cycleEdgeId, status: 'negativecycle' })),
+          negativeCycle,
+        });
+        break;
+      }
     }
   }
 
   // Final step
-  if (!hasNegativeCycle) {
-    steps.push({
-      explanation: `Bellman-Ford complete. No negative cycle.`,
+  if (!negativeCycle) {
+    pushStep({
+      explanation: `Bellman-Ford complete. No negative cycle. Distances settled after pass ${passStats.lastImprovingPass}; ${passStats.passes} ${passStats.passes === 1 ? 'pass' : 'passes'} run.`,
       algorithmStep: 'Done',
-      visitedNodes: [],
-      distanceArray: { ...dist },
       iterationCount: nodes.length,
-      negativeCycleDetected: false,
-      edgeUpdates: [],
-      pathEdgeUpdates: [], // Added for path tracking
-      updatedDistances: [],
-      currentEdgeBeingRelaxed: null,
     });
 
     // Build paths
@@ -240,8 +368,8 @@ export function generateBellmanFordSteps({
     setShortestPathResult({ distances: dist, paths });
   } else {
     // Negative cycle => no definitive shortest path
-    setShortestPathResult({ distances: dist, paths: {} });
+    setShortestPathResult({ distances: dist, paths: {}, negativeCycle });
   }
 
   return steps;
-}
\ No newline at end of file
+}
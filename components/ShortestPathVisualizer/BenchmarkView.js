@@ -0,0 +1,354 @@
+import React, { useMemo, useState } from "react";
+import Link from "next/link";
+import { ArrowLeft, Download, Gauge, Play, Square } from "lucide-react";
+import { Switch } from "@/components/ui/switch";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+import { getAlgorithm, getAlgorithms } from "./algorithms";
+import {
+  BENCHMARK_DEFAULTS,
+  BENCHMARK_LIMITS,
+  BENCHMARK_METRICS,
+  parseNumberList,
+  summarizeBenchmark,
+  benchmarkToCsv,
+} from "./benchmark";
+import { complexityBound } from "./opCounts";
+import { useBenchmark } from "./hooks/useBenchmark";
+
+// One line colour per registered algorithm, in registration order
+const SERIES_COLORS = ["#6366f1", "#10b981", "#f59e0b", "#ef4444", "#0ea5e9", "#a855f7", "#ec4899", "#84cc16", "#f97316", "#14b8a6", "#64748b"];
+
+const WIDTH = 640;
+const HEIGHT = 300;
+const PAD = { top: 12, right: 16, bottom: 28, left: 56 };
+
+const inputClassName = "w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100";
+const cardClassName = "bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-4 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800";
+
+const formatValue = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+/**
+ * Benchmark page: sweeps generated graphs over node counts and densities, runs every selected
+ * algorithm on each one, and charts the mean operation counters or wall time per node count.
+ * Everything runs in the browser; the raw runs download as CSV.
+ */
+const BenchmarkView = () => {
+  const algorithms = getAlgorithms("shortest-path");
+  const [selectedIds, setSelectedIds] = useState(algorithms.map((definition) => definition.id));
+  const [nodeCountsText, setNodeCountsText] = useState(BENCHMARK_DEFAULTS.nodeCounts.join(", "));
+  const [densitiesText, setDensitiesText] = useState(BENCHMARK_DEFAULTS.densities.join(", "));
+  const [trials, setTrials] = useState(BENCHMARK_DEFAULTS.trials);
+  const [formError, setFormError] = useState(null);
+  const [metric, setMetric] = useState(BENCHMARK_METRICS[0].key);
+  const [chartDensity, setChartDensity] = useState(null);
+  const [logScale, setLogScale] = useState(false);
+
+  const { rows, progress, isRunning, error, run, stop } = useBenchmark();
+
+  const summaries = useMemo(() => summarizeBenchmark(rows), [rows]);
+  const densities = [...new Set(summaries.map((summary) => summary.density))].sort((a, b) => a - b);
+  const density = densities.includes(chartDensity) ? chartDensity : densities[0];
+  const shown = summaries.filter((summary) => summary.density === density);
+  const nodeCounts = [...new Set(shown.map((summary) => summary.nodeCount))].sort((a, b) => a - b);
+  const metricLabel = BENCHMARK_METRICS.find(({ key }) => key === metric).label;
+
+  const toggleAlgorithm = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]));
+  };
+
+  const handleRun = () => {
+    try {
+      const sweep = {
+        // Keep registration order so colours stay stable
+        algorithmIds: algorithms.map((definition) => definition.id).filter((id) => selectedIds.includes(id)),
+        nodeCounts: parseNumberList(nodeCountsText, { min: BENCHMARK_LIMITS.minNodes, max: BENCHMARK_LIMITS.maxNodes, integer: true }, "node count"),
+        densities: parseNumberList(densitiesText, { min: 0, max: 1 }, "density"),
+        trials: Math.max(1, Math.min(BENCHMARK_LIMITS.maxTrials, parseInt(trials) || 1)),
+      };
+      if (sweep.algorithmIds.length === 0) {
+        throw new Error("Select at least one algorithm");
+      }
+      setFormError(null);
+      run(sweep);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([benchmarkToCsv(rows)], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "shortest-path-benchmark.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // =========================
+  //   CHART GEOMETRY
+  // =========================
+  const series = [...new Set(shown.map((summary) => summary.algorithm))].map((id) => ({
+    id,
+    color: SERIES_COLORS[algorithms.findIndex((definition) => definition.id === id) % SERIES_COLORS.length],
+    points: shown
+      .filter((summary) => summary.algorithm === id)
+      .sort((a, b) => a.nodeCount - b.nodeCount)
+      .map((summary) => ({ nodeCount: summary.nodeCount, value: summary[metric] })),
+  }));
+
+  // Each charted algorithm's own bound at its mean V and E; algorithms sharing a bound draw it once.
+  // Bounds only make sense for counters
+  const showBounds = metric !== "timeMs" && metric !== "steps";
+  const bounds = showBounds
+    ? series
+      .map(({ id }) => getAlgorithm(id))
+      .filter((definition, index, definitions) =>
+        definition.complexityBound && definitions.findIndex(({ complexity }) => complexity === definition.complexity) === index
+      )
+      .map((definition) => ({
+        key: definition.id,
+        label: definition.complexity,
+        points: shown
+          .filter((summary) => summary.algorithm === definition.id)
+          .sort((a, b) => a.nodeCount - b.nodeCount)
+          .map((summary) => ({ nodeCount: summary.nodeCount, value: complexityBound(definition, summary.V, summary.E).value })),
+      }))
+    : [];
+
+  const scale = (value) => (logScale ? Math.log10(Math.max(value, 1)) : value);
+  const yMax = Math.max(1, ...[...series, ...bounds].flatMap(({ points }) => points.map(({ value }) => scale(value))));
+  const xMin = nodeCounts[0] ?? 0;
+  const xMax = nodeCounts[nodeCounts.length - 1] ?? 1;
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const x = (nodeCount) => PAD.left + (xMax > xMin ? ((nodeCount - xMin) / (xMax - xMin)) * plotWidth : plotWidth / 2);
+  const y = (value) => PAD.top + plotHeight - (scale(value) / yMax) * plotHeight;
+  const toPoints = (points) => points.map(({ nodeCount, value }) => `${x(nodeCount)},${y(value)}`).join(" ");
+  const yTicks = logScale
+    ? Array.from({ length: Math.floor(yMax) + 1 }, (_, exponent) => 10 ** exponent)
+    : [0, yMax / 2, yMax];
+
+  return (
+    <div className="min-h-screen bg-zinc-100 dark:bg-zinc-950 text-zinc-900 dark:text-zinc-100">
+      {/* Header */}
+      <header className="flex items-center gap-3 px-4 sm:px-6 py-3 border-b border-zinc-200 dark:border-zinc-800 bg-white/90 dark:bg-zinc-900/90 backdrop-blur-sm">
+        <Link href="/shortest-path" className="flex items-center justify-center rounded-full p-2 text-zinc-600 hover:bg-zinc-100 dark:text-zinc-400 dark:hover:bg-zinc-800 transition-all duration-200" title="Back to Pathfinder">
+          <ArrowLeft className="w-4 h-4" />
+        </Link>
+        <Gauge className="w-4 h-4 text-indigo-600 dark:text-indigo-400" />
+        <h1 className="text-sm font-semibold tracking-tight text-zinc-800 dark:text-zinc-200">Pathfinder Benchmark</h1>
+        <div className="ml-auto">
+          <ThemeToggle />
+        </div>
+      </header>
+
+      <main className="grid grid-cols-1 lg:grid-cols-[18rem_1fr] gap-4 p-4 sm:p-6 max-w-7xl mx-auto">
+        {/* Sweep settings */}
+        <section className={`${cardClassName} space-y-4 self-start`}>
+          <div>
+            <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Sweep</h3>
+            <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+              Random graphs from the same generator as the visualizer, with every selected algorithm run on each one.
+            </p>
+          </div>
+
+          <label className="block space-y-1">
+            <span className="text-xs font-medium text-zinc-600 dark:text-zinc-400">
+              Node counts ({BENCHMARK_LIMITS.minNodes}–{BENCHMARK_LIMITS.maxNodes})
+            </span>
+            <input value={nodeCountsText} onChange={(e) => setNodeCountsText(e.target.value)} disabled={isRunning} className={inputClassName} />
+          </label>
+          <label className="block space-y-1">
+            <span className="text-xs font-medium text-zinc-600 dark:text-zinc-400">Densities (0–1)</span>
+            <input value={densitiesText} onChange={(e) => setDensitiesText(e.target.value)} disabled={isRunning} className={inputClassName} />
+          </label>
+          <label className="block space-y-1">
+            <span className="text-xs font-medium text-zinc-600 dark:text-zinc-400">Graphs per size and density</span>
+            <input
+              type="number"
+              min={1}
+              max={BENCHMARK_LIMITS.maxTrials}
+              value={trials}
+              onChange={(e) => setTrials(e.target.value)}
+              disabled={isRunning}
+              className={inputClassName}
+            />
+          </label>
+
+          <div className="space-y-1">
+            <span className="text-xs font-medium text-zinc-600 dark:text-zinc-400">Algorithms</span>
+            {algorithms.map((definition, index) => (
+              <label key={definition.id} className="flex items-center gap-2 text-xs text-zinc-700 dark:text-zinc-300">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(definition.id)}
+                  onChange={() => toggleAlgorithm(definition.id)}
+                  disabled={isRunning}
+                  className="accent-indigo-600"
+                />
+                <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }} />
+                {definition.name}
+                <span className="ml-auto text-zinc-400 dark:text-zinc-500">
+                  {definition.complexity}
+                  {definition.benchmarkMaxNodes != null && `, ≤ ${definition.benchmarkMaxNodes} nodes`}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {(formError || error) && (
+            <p className="text-xs text-red-600 dark:text-red-400">{formError || error}</p>
+          )}
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={isRunning ? stop : handleRun}
+              className="h-9 px-4 rounded-full flex items-center justify-center font-semibold text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition-all shadow-md active:scale-95"
+            >
+              {isRunning ? <Square className="w-4 h-4 mr-1.5" /> : <Play className="w-4 h-4 mr-1.5" />}
+              {isRunning ? "Stop" : "Run"}
+            </button>
+            <button
+              onClick={handleDownload}
+              disabled={rows.length === 0 || isRunning}
+              className="h-9 px-4 rounded-full flex items-center justify-center font-semibold text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-50 dark:hover:bg-zinc-700 disabled:opacity-50 transition-all active:scale-95"
+            >
+              <Download className="w-4 h-4 mr-1.5" />
+              CSV
+            </button>
+          </div>
+          {progress.total > 0 && (
+            <div>
+              <div className="h-1.5 rounded-full bg-zinc-200 dark:bg-zinc-700 overflow-hidden">
+                <div className="h-full bg-indigo-600 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+              </div>
+              <p className="text-[10px] text-zinc-400 dark:text-zinc-500 mt-1 tabular-nums">
+                {progress.done}/{progress.total} graphs, {rows.length} runs
+              </p>
+            </div>
+          )}
+        </section>
+
+        {/* Results */}
+        <section className="space-y-4 min-w-0">
+          <div className={cardClassName}>
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400 mr-auto">Mean {metricLabel.toLowerCase()} by node count</h3>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} className={`${inputClassName} w-auto`}>
+                {BENCHMARK_METRICS.map(({ key, label }) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={density ?? ""}
+                onChange={(e) => setChartDensity(Number(e.target.value))}
+                disabled={densities.length === 0}
+                className={`${inputClassName} w-auto`}
+              >
+                {densities.map((value) => (
+                  <option key={value} value={value}>density {value}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1.5 text-xs text-zinc-600 dark:text-zinc-400">
+                <Switch checked={logScale} onCheckedChange={setLogScale} />
+                Log scale
+              </label>
+            </div>
+
+            <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+              {series.length > 0 ? (
+                <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label={`${metricLabel} by node count`}>
+                  {/* Axes and ticks */}
+                  <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + plotHeight} className="stroke-zinc-300 dark:stroke-zinc-600" />
+                  <line x1={PAD.left} y1={PAD.top + plotHeight} x2={WIDTH - PAD.right} y2={PAD.top + plotHeight} className="stroke-zinc-300 dark:stroke-zinc-600" />
+                  {yTicks.map((tick) => (
+                    <text key={tick} x={PAD.left - 4} y={y(tick) + 3} textAnchor="end" fontSize="10" className="fill-zinc-400">
+                      {formatValue(tick)}
+                    </text>
+                  ))}
+                  {nodeCounts.map((nodeCount) => (
+                    <text key={nodeCount} x={x(nodeCount)} y={HEIGHT - 12} textAnchor="middle" fontSize="10" className="fill-zinc-400">
+                      {nodeCount}
+                    </text>
+                  ))}
+                  <text x={WIDTH - PAD.right} y={HEIGHT - 1} textAnchor="end" fontSize="10" className="fill-zinc-400">nodes</text>
+
+                  {/* Each algorithm's theoretical bound for its mean V and E */}
+                  {bounds.map(({ key, label, points }) => (
+                    <g key={key}>
+                      <polyline points={toPoints(points)} fill="none" strokeDasharray="4,3" className="stroke-zinc-400 dark:stroke-zinc-500" />
+                      <text
+                        x={x(points[points.length - 1].nodeCount) - 2}
+                        y={y(points[points.length - 1].value) - 3}
+                        textAnchor="end"
+                        fontSize="10"
+                        className="fill-zinc-500 dark:fill-zinc-400"
+                      >
+                        {label}
+                      </text>
+                    </g>
+                  ))}
+
+                  {/* One line per algorithm */}
+                  {series.map(({ id, color, points }) => (
+                    <g key={id}>
+                      <polyline points={toPoints(points)} fill="none" stroke={color} strokeWidth={2} />
+                      {points.map(({ nodeCount, value }) => (
+                        <circle key={nodeCount} cx={x(nodeCount)} cy={y(value)} r={2.5} fill={color}>
+                          <title>{`${getAlgorithm(id).name}, ${nodeCount} nodes: ${formatValue(value)}`}</title>
+                        </circle>
+                      ))}
+                    </g>
+                  ))}
+                </svg>
+              ) : (
+                <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+              )}
+            </div>
+            {bounds.length > 0 && series.length > 0 && (
+              <p className="text-[10px] text-zinc-400 dark:text-zinc-500 mt-1">
+                Dashed lines: each algorithm's bound for its mean V and E at each size, log base 2, without constant factors.
+              </p>
+            )}
+          </div>
+
+          {/* Mean values per algorithm and node count */}
+          {series.length > 0 && (
+            <div className={`${cardClassName} overflow-x-auto`}>
+              <table className="w-full border-collapse text-xs tabular-nums">
+                <thead>
+                  <tr className="bg-zinc-100 dark:bg-zinc-700">
+                    <th className="px-2 py-1 text-left font-medium text-zinc-600 dark:text-zinc-300">Algorithm</th>
+                    {nodeCounts.map((nodeCount) => (
+                      <th key={nodeCount} className="px-2 py-1 text-right font-medium text-zinc-600 dark:text-zinc-300">{nodeCount} nodes</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {series.map(({ id, color, points }) => (
+                    <tr key={id}>
+                      <td className="px-2 py-1 border-t border-zinc-200 dark:border-zinc-700 text-zinc-700 dark:text-zinc-300 whitespace-nowrap">
+                        <span className="inline-block w-2 h-2 rounded-sm mr-1.5" style={{ backgroundColor: color }} />
+                        {getAlgorithm(id).name}
+                      </td>
+                      {nodeCounts.map((nodeCount) => {
+                        const point = points.find((candidate) => candidate.nodeCount === nodeCount);
+                        return (
+                          <td key={nodeCount} className="px-2 py-1 border-t border-zinc-200 dark:border-zinc-700 text-right text-zinc-800 dark:text-zinc-100">
+                            {point ? formatValue(point.value) : "–"}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default BenchmarkView;
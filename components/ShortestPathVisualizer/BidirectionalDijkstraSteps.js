@@ -0,0 +1,340 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for bidirectional Dijkstra.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * Two Dijkstra searches run at once: a forward one from the source over outgoing edges and a
+ * backward one from the target over incoming edges. Each round settles the smaller of the two
+ * queue tops. Whenever a node has a distance from both sides, dist_f(v) + dist_b(v) is a real
+ * s → t path, and the best one seen so far is μ. Once top_f + top_b ≥ μ, no path through an
+ * unsettled node can beat μ, so the search stops: together the two balls usually settle far
+ * fewer nodes than one Dijkstra growing all the way to the target.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `forwardDistances` / `backwardDistances`: { [nodeId]: distance } of each search
+ * - `forwardSettled` / `backwardSettled`: node ids settled by each search
+ * - `forwardQueue` / `backwardQueue`: heap arrays ({ id, dist }) of each search
+ * - `stopCheck`: { topForward, topBackward, mu, stop } for the latest stopping test
+ * - `mu`: best s → t path length found so far, `meetingNode`: node it passes through
+ * - `nodeFrontiers`: { [nodeId]: 'forward'|'backward'|'meeting' } for the graph halos
+ * - `settledComparison`: { dijkstra, bidirectional } nodes settled by each approach
+ * - `opCounts`: shared operation counters of both searches together (see opCounts.js)
+ */
+import { getNeighbors } from './graphHelpers';
+import { createMinHeap } from './minHeap';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const BIDIRECTIONAL_STEP_LABELS = [
+  "1. Initialize dist_f(s)=0, dist_b(t)=0, μ=∞",
+  "2. Check the stopping rule top_f + top_b ≥ μ",
+  "3. Settle the smaller queue top (forward or backward)",
+  "4. Relax its edges, update μ where the searches touch",
+  "5. Stop: μ through the meeting node is the shortest path",
+];
+
+/**
+ * Incoming edges of a node, reversed so the backward search can treat them as neighbors.
+ *
+ * @param {number} nodeId - Node ID
+ * @param {Array} edges - Array of edge objects
+ * @param {boolean} isDirected - Whether the graph is directed
+ * @returns {Array} Array of neighbor objects {nodeId, weight, edgeId}
+ */
+function getIncomingNeighbors(nodeId, edges, isDirected) {
+  const neighbors = [];
+  for (const edge of edges) {
+    if (edge.target === nodeId) {
+      neighbors.push({ nodeId: edge.source, weight: edge.weight, edgeId: edge.id });
+    }
+    if (!isDirected && edge.isUndirected && edge.source === nodeId) {
+      neighbors.push({ nodeId: edge.target, weight: edge.weight, edgeId: edge.id });
+    }
+  }
+  return neighbors;
+}
+
+/**
+ * Run plain Dijkstra until the target is settled and count the settled nodes.
+ * Used to compare against the two half-searches on the same graph.
+ */
+function countUnidirectionalSettled(nodes, edges, sourceId, targetId, isDirected) {
+  const settled = new Set();
+  const dist = { [sourceId]: 0 };
+  const pq = createMinHeap();
+  pq.push(sourceId, 0);
+
+  while (pq.size() > 0) {
+    const { entry } = pq.pop();
+    if (settled.has(entry.id)) continue;
+    settled.add(entry.id);
+    if (entry.id === targetId) break;
+    for (const { nodeId, weight } of getNeighbors(entry.id, edges, isDirected)) {
+      const candidate = entry.dist + weight;
+      if (!settled.has(nodeId) && candidate < (dist[nodeId] ?? Infinity)) {
+        dist[nodeId] = candidate;
+        pq.push(nodeId, candidate);
+      }
+    }
+  }
+  return settled.size;
+}
+
+export function generateBidirectionalDijkstraSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const targetNodeId = selectedDestNode;
+  const label = (id) => nodes[id]?.label;
+  const format = (value) => (value === Infinity ? '∞' : value);
+  const steps = [];
+
+  // Point-to-point search: the backward half needs a target to start from
+  if (targetNodeId == null || !nodes[targetNodeId]) {
+    steps.push({
+      explanation: 'Bidirectional Dijkstra needs a target node. Use "Set Target" to pick one, then press Start.',
+      algorithmStep: BIDIRECTIONAL_STEP_LABELS[0],
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      opCounts: createOpCounts(),
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const settledComparison = {
+    dijkstra: countUnidirectionalSettled(nodes, edges, sourceNodeId, targetNodeId, isDirected),
+    bidirectional: 0,
+  };
+  const ops = createOpCounts();
+
+  // One record per direction; `prevEdge` points back toward that search's root
+  const makeSearch = (root) => {
+    const dist = {};
+    const prev = {};
+    const prevEdge = {};
+    nodes.forEach((node) => {
+      dist[node.id] = node.id === root ? 0 : Infinity;
+      prev[node.id] = null;
+      prevEdge[node.id] = null;
+    });
+    const pq = createMinHeap(ops);
+    pq.push(root, 0);
+    return { dist, prev, prevEdge, pq, settled: new Set() };
+  };
+  const forward = makeSearch(sourceNodeId);
+  const backward = makeSearch(targetNodeId);
+  let mu = Infinity;
+  let meetingNode = null;
+  let stopCheck = null;
+
+  const topOf = (search) => (search.pq.size() > 0 ? search.pq.toArray()[0].dist : Infinity);
+
+  const nodeFrontiers = () => {
+    const frontiers = {};
+    nodes.forEach(({ id }) => {
+      if (forward.settled.has(id) || forward.pq.indexOf(id) !== -1) frontiers[id] = 'forward';
+      if (backward.settled.has(id) || backward.pq.indexOf(id) !== -1) frontiers[id] = frontiers[id] ? 'meeting' : 'backward';
+    });
+    // Only the node the best path passes through keeps the meeting colour
+    Object.keys(frontiers).forEach((id) => {
+      if (frontiers[id] === 'meeting' && Number(id) !== meetingNode) {
+        frontiers[id] = forward.settled.has(Number(id)) ? 'forward' : 'backward';
+      }
+    });
+    return frontiers;
+  };
+
+  // Search-tree edges of both directions, in their frontier colours
+  const treeEdgeUpdates = () => [
+    ...Object.values(forward.prevEdge).filter((id) => id !== null).map((id) => ({ id, status: 'forward' })),
+    ...Object.values(backward.prevEdge).filter((id) => id !== null).map((id) => ({ id, status: 'backward' })),
+  ];
+
+  const pushStep = ({ edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [...new Set([...forward.settled, ...backward.settled])],
+    minHeap: forward.pq.toArray(),
+    distanceArray: { ...forward.dist },
+    forwardDistances: { ...forward.dist },
+    backwardDistances: { ...backward.dist },
+    forwardSettled: [...forward.settled],
+    backwardSettled: [...backward.settled],
+    forwardQueue: forward.pq.toArray(),
+    backwardQueue: backward.pq.toArray(),
+    stopCheck,
+    mu,
+    meetingNode,
+    nodeFrontiers: nodeFrontiers(),
+    settledComparison: { ...settledComparison, bidirectional: forward.settled.size + backward.settled.size },
+    opCounts: { ...ops },
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    ...step,
+    edgeUpdates: [...treeEdgeUpdates(), ...edgeUpdates],
+  });
+
+  pushStep({
+    explanation: `Forward search starts at ${label(sourceNodeId)} (dist_f = 0), backward search at ${label(targetNodeId)} (dist_b = 0). No s→t path is known yet, so μ = ∞.`,
+    algorithmStep: BIDIRECTIONAL_STEP_LABELS[0],
+    updatedDistances: [sourceNodeId, targetNodeId],
+  });
+
+  if (sourceNodeId === targetNodeId) {
+    mu = 0;
+    meetingNode = sourceNodeId;
+  }
+
+  // =========================
+  //   ALTERNATING SEARCHES
+  // =========================
+  while (forward.pq.size() > 0 && backward.pq.size() > 0) {
+    const topForward = topOf(forward);
+    const topBackward = topOf(backward);
+    ops.comparisons++;
+    const stop = topForward + topBackward >= mu;
+    stopCheck = { topForward, topBackward, mu, stop };
+    if (stop) break;
+
+    pushStep({
+      explanation: `top_f + top_b = ${topForward} + ${topBackward} = ${topForward + topBackward} < μ = ${format(mu)}: an unsettled node could still lie on a shorter path, keep searching.`,
+      algorithmStep: BIDIRECTIONAL_STEP_LABELS[1],
+    });
+
+    // Grow the side whose closest unsettled node is nearer its root
+    const direction = topForward <= topBackward ? 'forward' : 'backward';
+    const search = direction === 'forward' ? forward : backward;
+    const other = direction === 'forward' ? backward : forward;
+    const distName = direction === 'forward' ? 'dist_f' : 'dist_b';
+    const { entry } = search.pq.pop();
+    const u = entry.id;
+    search.settled.add(u);
+
+    pushStep({
+      explanation: `${direction === 'forward' ? 'Forward' : 'Backward'} top is smaller (${entry.dist} vs ${direction === 'forward' ? topBackward : topForward}). Settle ${label(u)} with ${distName} = ${search.dist[u]}${
+        other.settled.has(u) ? `; it is already settled by the ${direction === 'forward' ? 'backward' : 'forward'} search too` : ''
+      }.`,
+      algorithmStep: BIDIRECTIONAL_STEP_LABELS[2],
+      updatedDistances: [u],
+    });
+
+    const neighbors = direction === 'forward'
+      ? getNeighbors(u, edges, isDirected)
+      : getIncomingNeighbors(u, edges, isDirected);
+
+    for (const { nodeId: v, weight, edgeId: id } of neighbors) {
+      const arrow = direction === 'forward' ? `${label(u)}→${label(v)}` : `${label(v)}→${label(u)}`;
+      if (search.settled.has(v)) {
+        pushStep({
+          explanation: `${label(v)} is already settled by the ${direction} search. Skipping edge ${arrow}.`,
+          algorithmStep: BIDIRECTIONAL_STEP_LABELS[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      const candidate = search.dist[u] + weight;
+      if (!countRelaxation(ops, candidate < search.dist[v])) {
+        pushStep({
+          explanation: `Edge ${arrow} (w=${weight}): ${distName}(${label(v)}) stays ${search.dist[v]}.`,
+          algorithmStep: BIDIRECTIONAL_STEP_LABELS[3],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      const oldDist = search.dist[v];
+      search.dist[v] = candidate;
+      search.prev[v] = u;
+      search.prevEdge[v] = id;
+      if (search.pq.indexOf(v) === -1) {
+        search.pq.push(v, candidate);
+      } else {
+        search.pq.decreaseKey(v, candidate);
+      }
+
+      // A distance from both sides closes an s → t path through v
+      let muNote = '';
+      if (other.dist[v] !== Infinity) {
+        const through = forward.dist[v] + backward.dist[v];
+        if (through < mu) {
+          muNote = ` ${label(v)} is reached from both sides: dist_f + dist_b = ${forward.dist[v]} + ${backward.dist[v]} = ${through} < μ, so μ ← ${through} via ${label(v)}.`;
+          mu = through;
+          meetingNode = v;
+        } else {
+          muNote = ` ${label(v)} is reached from both sides, but ${forward.dist[v]} + ${backward.dist[v]} = ${through} does not beat μ = ${mu}.`;
+        }
+      }
+
+      pushStep({
+        explanation: `Edge ${arrow} (w=${weight}): ${distName}(${label(v)}) ${format(oldDist)} → ${candidate}.${muNote}`,
+        algorithmStep: BIDIRECTIONAL_STEP_LABELS[3],
+        edgeUpdates: [{ id, status: 'candidate' }],
+        updatedDistances: [v],
+        currentEdgeBeingRelaxed: id,
+      });
+    }
+  }
+
+  // =========================
+  //   RESULT
+  // =========================
+  const settledTotal = forward.settled.size + backward.settled.size;
+  if (mu === Infinity) {
+    pushStep({
+      explanation: `One search ran out of nodes before the two met: ${label(targetNodeId)} is unreachable from ${label(sourceNodeId)}.`,
+      algorithmStep: 'Done',
+    });
+    setShortestPathResult({ distances: { ...forward.dist }, paths: {} });
+    return steps;
+  }
+
+  // s → meeting node along forward pointers, then meeting node → t along backward pointers
+  const path = [meetingNode];
+  const pathEdges = [];
+  for (let v = meetingNode; forward.prev[v] !== null; v = forward.prev[v]) {
+    path.unshift(forward.prev[v]);
+    pathEdges.unshift(forward.prevEdge[v]);
+  }
+  for (let v = meetingNode; backward.prev[v] !== null; v = backward.prev[v]) {
+    path.push(backward.prev[v]);
+    pathEdges.push(backward.prevEdge[v]);
+  }
+
+  const pathSteps = {
+    edgeUpdates: pathEdges.map((id) => ({ id, status: 'included' })),
+    pathEdgeUpdates: pathEdges,
+  };
+  pushStep({
+    explanation: stopCheck?.stop
+      ? `top_f + top_b = ${format(stopCheck.topForward)} + ${format(stopCheck.topBackward)} ≥ μ = ${mu}: every unsettled node is too far from one side to beat μ. The searches meet at ${label(meetingNode)}.`
+      : `A queue is empty, so μ = ${mu} through ${label(meetingNode)} cannot improve.`,
+    algorithmStep: BIDIRECTIONAL_STEP_LABELS[4],
+    ...pathSteps,
+  });
+
+  pushStep({
+    explanation: `Shortest path ${path.map(label).join(' → ')} costs ${mu}. The two searches settled ${settledTotal} node(s); a single Dijkstra would settle ${settledComparison.dijkstra} before reaching ${label(targetNodeId)}.`,
+    algorithmStep: 'Done',
+    ...pathSteps,
+  });
+
+  setShortestPathResult({
+    distances: { ...forward.dist, [targetNodeId]: mu },
+    paths: targetNodeId === sourceNodeId ? {} : { [targetNodeId]: path },
+    meetingNode,
+  });
+  return steps;
+}
@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { Switch } from "@/components/ui/switch";
+import { BREAKPOINT_TYPES, describeBreakpoint } from "./breakpoints";
+
+/**
+ * Small floating panel to add, enable/disable and remove playback breakpoints.
+ * The breakpoint that paused playback is highlighted until the next step is applied.
+ */
+const BreakpointsPanel = ({ nodes, breakpoints, breakpointHit, onAdd, onToggle, onRemove }) => {
+  const [type, setType] = useState(BREAKPOINT_TYPES[0].type);
+  const [nodeId, setNodeId] = useState(0);
+  const [iteration, setIteration] = useState(1);
+  const { target } = BREAKPOINT_TYPES.find((breakpointType) => breakpointType.type === type);
+
+  const handleAdd = () => {
+    if (target === "node") {
+      if (!nodes[nodeId]) return;
+      onAdd(type, nodeId);
+    } else if (target === "number") {
+      onAdd(type, iteration);
+    } else {
+      onAdd(type);
+    }
+  };
+
+  return (
+    <div className="w-72 bg-white/95 dark:bg-zinc-900/95 backdrop-blur-md shadow-lg border border-zinc-200 dark:border-zinc-800 rounded-xl p-3">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Breakpoints</h3>
+        <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full">
+          {breakpoints.filter((breakpoint) => breakpoint.enabled).length} active
+        </span>
+      </div>
+
+      {/* New breakpoint */}
+      <div className="flex items-center gap-1.5 mb-2">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="flex-1 min-w-0 rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+        >
+          {BREAKPOINT_TYPES.map((breakpointType) => (
+            <option key={breakpointType.type} value={breakpointType.type}>{breakpointType.label}</option>
+          ))}
+        </select>
+        {target === "node" && (
+          <select
+            value={nodeId}
+            onChange={(e) => setNodeId(parseInt(e.target.value))}
+            className="w-14 rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+          >
+            {nodes.map((node) => (
+              <option key={node.id} value={node.id}>{node.label}</option>
+            ))}
+          </select>
+        )}
+        {target === "number" && (
+          <input
+            type="number"
+            min={0}
+            value={iteration}
+            onChange={(e) => setIteration(Math.max(0, parseInt(e.target.value) || 0))}
+            className="w-14 rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+          />
+        )}
+        <button
+          onClick={handleAdd}
+          disabled={target === "node" && nodes.length === 0}
+          className="p-1.5 rounded-md bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50 transition-colors"
+          aria-label="Add breakpoint"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Breakpoint list */}
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 text-xs divide-y divide-zinc-100 dark:divide-zinc-700">
+        {breakpoints.length > 0 ? breakpoints.map((breakpoint) => (
+          <div
+            key={breakpoint.id}
+            className={`flex items-center gap-2 px-2 py-1.5 ${
+              breakpointHit?.breakpoint.id === breakpoint.id ? "bg-amber-100 dark:bg-amber-900/40" : ""
+            }`}
+          >
+            <Switch
+              checked={breakpoint.enabled}
+              onCheckedChange={() => onToggle(breakpoint.id)}
+              className="scale-75"
+            />
+            <span className={`flex-1 ${breakpoint.enabled ? "text-zinc-800 dark:text-zinc-100" : "text-zinc-400 dark:text-zinc-500"}`}>
+              {describeBreakpoint(breakpoint, nodes)}
+            </span>
+            {breakpointHit?.breakpoint.id === breakpoint.id && (
+              <span className="text-amber-700 dark:text-amber-400 font-medium">step {breakpointHit.stepIndex + 1}</span>
+            )}
+            <button
+              onClick={() => onRemove(breakpoint.id)}
+              className="text-zinc-400 hover:text-rose-500 transition-colors"
+              aria-label="Remove breakpoint"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2">
+            No breakpoints. Playback only pauses by hand.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BreakpointsPanel;
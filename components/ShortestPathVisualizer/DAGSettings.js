@@ -0,0 +1,49 @@
+import React from "react";
+
+/**
+ * Drawer controls for DAG paths: how the topological order is built and whether
+ * the pass minimizes (shortest paths) or maximizes (longest / critical path).
+ */
+const DAGSettings = ({ options, onChange }) => (
+  <>
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+        Topological Sort
+      </label>
+      <select
+        value={options.topoMethod}
+        onChange={(e) => onChange({ topoMethod: e.target.value })}
+        className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+      >
+        <option value="kahn">Kahn&apos;s algorithm (in-degree queue)</option>
+        <option value="dfs">DFS finish times</option>
+      </select>
+      <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+        {options.topoMethod === "dfs"
+          ? "Each node is placed in front of everything reachable from it when its DFS call finishes"
+          : "Repeatedly remove a node with no incoming edges left"}
+      </p>
+    </div>
+
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+        Objective
+      </label>
+      <select
+        value={options.objective}
+        onChange={(e) => onChange({ objective: e.target.value })}
+        className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+      >
+        <option value="shortest">Shortest paths</option>
+        <option value="longest">Longest path (critical path)</option>
+      </select>
+      <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+        {options.objective === "longest"
+          ? "Maximize instead of minimize; only well-defined because a DAG has no cycles"
+          : "One pass in topological order, negative weights allowed"}
+      </p>
+    </div>
+  </>
+);
+
+export default DAGSettings;
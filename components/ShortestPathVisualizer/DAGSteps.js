@@ -0,0 +1,343 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for shortest or longest paths in a DAG.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * Phase 1 sorts the nodes topologically, either with Kahn's algorithm (repeatedly remove a node
+ * with in-degree 0) or with a DFS (order by decreasing finish time). Phase 2 walks that order
+ * once and relaxes the outgoing edges of each node: every edge into a node comes from an earlier
+ * node, so its distance is final when it is reached. That is O(V + E) and works with negative
+ * weights, since a DAG has no cycles at all. Flipping the comparison gives longest paths, the
+ * critical-path method used for scheduling.
+ *
+ * Options:
+ * - `topoMethod`: 'kahn' (default) | 'dfs'
+ * - `objective`: 'shortest' (default) | 'longest'
+ *
+ * Besides the shared step fields, every step carries:
+ * - `phaseLabel`: 'Phase 1: …' / 'Phase 2: …', drawn on the graph
+ * - `topoOrder`: node ids placed in the order so far (the full order in phase 2)
+ * - `topoCursor`: index in `topoOrder` of the node being relaxed, or null during the sort
+ * - `inDegrees` / `kahnQueue`: remaining in-degrees and the queue of in-degree 0 nodes (Kahn)
+ * - `finishTimes` / `dfsStack`: { [nodeId]: finish time } and the recursion stack (DFS)
+ * - `dagObjective`: 'shortest' | 'longest'
+ * - `relaxationStats`: { checks, bellmanFordWorst } edge checks against Bellman-Ford's (V-1)·E
+ * - `criticalPath`: { nodes, edges, length } of the longest path (last steps, longest only)
+ * - `opCounts`: shared operation counters (see opCounts.js); pushes/pops are Kahn's queue, the
+ *   phase-2 sweep is the one pass
+ */
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const DAG_STEP_LABELS = [
+  "1. Kahn: remove a node with in-degree 0",
+  "1. DFS: prepend each node when it finishes",
+  "2. A cycle remains: the graph is not a DAG",
+  "3. Initialize dist[s] and walk the topological order",
+  "4. Take the next node in topological order",
+  "5. Relax its outgoing edges",
+  "6. Trace the critical path back from the farthest node",
+];
+
+export function generateDAGSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+  options = {},
+}) {
+  const { topoMethod = 'kahn', objective = 'shortest' } = options;
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const isLongest = objective === 'longest';
+  const label = (id) => nodes[id]?.label;
+  const format = (value) => (value === Infinity ? '∞' : value);
+
+  const steps = [];
+  const topoOrder = [];
+  const dist = {};
+  const prev = {};
+  const prevEdge = {};
+  const relaxationStats = { checks: 0, bellmanFordWorst: Math.max(nodes.length - 1, 0) * edges.length };
+  let phaseLabel = `Phase 1: Topological sort (${topoMethod === 'dfs' ? 'DFS' : "Kahn's"})`;
+  let topoCursor = null;
+  const ops = createOpCounts();
+
+  // Outgoing edges per node; an undirected edge is a 2-cycle, so it shows up in both directions
+  const outgoing = {};
+  for (let i = 0; i < nodes.length; i++) {
+    dist[i] = i === sourceNodeId ? 0 : Infinity;
+    prev[i] = null;
+    prevEdge[i] = null;
+    outgoing[i] = [];
+  }
+  for (const edge of edges) {
+    outgoing[edge.source]?.push(edge);
+    if (!isDirected && edge.isUndirected) {
+      outgoing[edge.target]?.push({ ...edge, source: edge.target, target: edge.source });
+    }
+  }
+
+  const inDegrees = {};
+  const kahnQueue = [];
+  const finishTimes = {};
+  const dfsStack = [];
+
+  const pushStep = ({ edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: topoCursor === null ? [...topoOrder] : topoOrder.slice(0, topoCursor + 1),
+    minHeap: [],
+    distanceArray: { ...dist },
+    iterationCount: topoCursor === null ? topoOrder.length : topoCursor + 1,
+    negativeCycleDetected: false,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    phaseLabel,
+    topoOrder: [...topoOrder],
+    topoCursor,
+    inDegrees: topoMethod === 'kahn' ? { ...inDegrees } : null,
+    kahnQueue: topoMethod === 'kahn' ? [...kahnQueue] : null,
+    finishTimes: topoMethod === 'dfs' ? { ...finishTimes } : null,
+    dfsStack: topoMethod === 'dfs' ? [...dfsStack] : null,
+    dagObjective: objective,
+    relaxationStats: { ...relaxationStats },
+    criticalPath: null,
+    opCounts: { ...ops },
+    ...step,
+    edgeUpdates: [
+      ...Object.values(prevEdge).filter((id) => id !== null).map((id) => ({ id, status: 'relaxed' })),
+      ...edgeUpdates,
+    ],
+  });
+
+  // =========================
+  //   PHASE 1: TOPOLOGICAL SORT
+  // =========================
+  let cycleNote = null;
+  let cycleEdgeUpdates = [];
+
+  if (topoMethod === 'dfs') {
+    const state = {}; // undefined = white, 'open' = on the stack, 'done' = finished
+    let clock = 0;
+
+    const visit = (u) => {
+      state[u] = 'open';
+      dfsStack.push(u);
+      pushStep({
+        explanation: `DFS enters ${label(u)}. Stack: ${dfsStack.map(label).join(' → ')}.`,
+        algorithmStep: DAG_STEP_LABELS[1],
+      });
+
+      for (const edge of outgoing[u]) {
+        const v = edge.target;
+        if (state[v] === 'open') {
+          const cycle = dfsStack.slice(dfsStack.indexOf(v));
+          cycleNote = `Edge ${label(u)}→${label(v)} points back to ${label(v)}, which is still on the DFS stack: ${[...cycle, v].map(label).join('→')} is a cycle.`;
+          cycleEdgeUpdates = [{ id: edge.id, status: 'excluded' }];
+          return false;
+        }
+        if (state[v] === undefined) {
+          pushStep({
+            explanation: `Edge ${label(u)}→${label(v)}: ${label(v)} is unvisited, descend into it.`,
+            algorithmStep: DAG_STEP_LABELS[1],
+            edgeUpdates: [{ id: edge.id, status: 'candidate' }],
+            currentEdgeBeingRelaxed: edge.id,
+          });
+          if (!visit(v)) return false;
+        }
+      }
+
+      dfsStack.pop();
+      state[u] = 'done';
+      clock += 1;
+      finishTimes[u] = clock;
+      topoOrder.unshift(u);
+      pushStep({
+        explanation: `${label(u)} finishes at time ${clock}: everything reachable from it is done, so it goes in front of them. Order: ${topoOrder.map(label).join(', ')}.`,
+        algorithmStep: DAG_STEP_LABELS[1],
+      });
+      return true;
+    };
+
+    // Start from the source so it leads the order, then pick up any node it cannot reach
+    const roots = [sourceNodeId, ...nodes.map((node) => node.id).filter((id) => id !== sourceNodeId)];
+    for (const root of roots) {
+      if (state[root] === undefined && !visit(root)) break;
+    }
+  } else {
+    for (let i = 0; i < nodes.length; i++) inDegrees[i] = 0;
+    for (const list of Object.values(outgoing)) {
+      for (const edge of list) inDegrees[edge.target] += 1;
+    }
+    for (let i = 0; i < nodes.length; i++) {
+      if (inDegrees[i] === 0) {
+        kahnQueue.push(i);
+        ops.pushes++;
+      }
+    }
+
+    pushStep({
+      explanation: `Count incoming edges per node. In-degree 0: ${kahnQueue.length > 0 ? kahnQueue.map(label).join(', ') : 'none'}. Those nodes go into the queue.`,
+      algorithmStep: DAG_STEP_LABELS[0],
+    });
+
+    while (kahnQueue.length > 0) {
+      const u = kahnQueue.shift();
+      ops.pops++;
+      topoOrder.push(u);
+      const released = [];
+      for (const edge of outgoing[u]) {
+        inDegrees[edge.target] -= 1;
+        if (inDegrees[edge.target] === 0) {
+          kahnQueue.push(edge.target);
+          ops.pushes++;
+          released.push(edge.target);
+        }
+      }
+      pushStep({
+        explanation: `Remove ${label(u)}${outgoing[u].length > 0 ? ` and its ${outgoing[u].length} outgoing edge${outgoing[u].length === 1 ? '' : 's'}` : ' (no outgoing edges)'}.${released.length > 0 ? ` ${released.map(label).join(', ')} now ${released.length === 1 ? 'has' : 'have'} in-degree 0 and join${released.length === 1 ? 's' : ''} the queue.` : ''} Order: ${topoOrder.map(label).join(', ')}.`,
+        algorithmStep: DAG_STEP_LABELS[0],
+        edgeUpdates: outgoing[u].map((edge) => ({ id: edge.id, status: 'level' })),
+      });
+    }
+
+    if (topoOrder.length < nodes.length) {
+      const stuck = nodes.map((node) => node.id).filter((id) => !topoOrder.includes(id));
+      cycleNote = `The queue is empty but ${stuck.map(label).join(', ')} still ${stuck.length === 1 ? 'has' : 'have'} incoming edges: they lie on or behind a cycle.`;
+      cycleEdgeUpdates = edges
+        .filter((edge) => stuck.includes(edge.source) && stuck.includes(edge.target))
+        .map((edge) => ({ id: edge.id, status: 'excluded' }));
+    }
+  }
+
+  if (cycleNote) {
+    pushStep({
+      explanation: `${cycleNote} A topological order does not exist, so the DAG algorithm cannot run. Use Bellman-Ford instead, or generate an acyclic graph.`,
+      algorithmStep: DAG_STEP_LABELS[2],
+      edgeUpdates: cycleEdgeUpdates,
+    });
+    pushStep({
+      explanation: 'Stopped: the graph has a cycle.',
+      algorithmStep: 'Done',
+      edgeUpdates: cycleEdgeUpdates,
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  // =========================
+  //   PHASE 2: RELAX IN ORDER
+  // =========================
+  phaseLabel = `Phase 2: ${isLongest ? 'Longest' : 'Shortest'} paths in topological order`;
+  topoCursor = -1;
+  ops.passes++;
+  const sourcePosition = topoOrder.indexOf(sourceNodeId);
+  pushStep({
+    explanation: `Order: ${topoOrder.map(label).join(', ')}. dist[${label(sourceNodeId)}] = 0, others = ∞ (not reached). ${sourcePosition > 0 ? `The ${sourcePosition} node${sourcePosition === 1 ? '' : 's'} before ${label(sourceNodeId)} cannot be reached from it. ` : ''}Every edge points forward in the order, so one pass is enough${isLongest ? ', and maximizing instead of minimizing gives the longest paths' : ''}.`,
+    algorithmStep: DAG_STEP_LABELS[3],
+    updatedDistances: [sourceNodeId],
+  });
+
+  for (let position = 0; position < topoOrder.length; position++) {
+    const u = topoOrder[position];
+    topoCursor = position;
+
+    if (dist[u] === Infinity) {
+      pushStep({
+        explanation: `${label(u)} (${position + 1} of ${topoOrder.length}) is not reachable from ${label(sourceNodeId)}, so its edges cannot help. Skip it.`,
+        algorithmStep: DAG_STEP_LABELS[4],
+      });
+      continue;
+    }
+
+    pushStep({
+      explanation: `Take ${label(u)} (${position + 1} of ${topoOrder.length}). All its incoming edges come from earlier nodes, so dist ${dist[u]} is final.`,
+      algorithmStep: DAG_STEP_LABELS[4],
+    });
+
+    for (const edge of outgoing[u]) {
+      const { target: v, weight, id } = edge;
+      relaxationStats.checks += 1;
+      const candidate = dist[u] + weight;
+      const improves = countRelaxation(ops, dist[v] === Infinity || (isLongest ? candidate > dist[v] : candidate < dist[v]));
+
+      if (!improves) {
+        pushStep({
+          explanation: `Edge ${label(u)}→${label(v)} (w=${weight}): ${dist[u]} + ${weight} = ${candidate} is not ${isLongest ? 'longer' : 'shorter'} than ${dist[v]}.`,
+          algorithmStep: DAG_STEP_LABELS[5],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      const oldDist = dist[v];
+      dist[v] = candidate;
+      prev[v] = u;
+      prevEdge[v] = id;
+      pushStep({
+        explanation: `Edge ${label(u)}→${label(v)} (w=${weight}): dist to ${label(v)} ${format(oldDist)} → ${candidate}.`,
+        algorithmStep: DAG_STEP_LABELS[5],
+        edgeUpdates: [{ id, status: 'included' }],
+        updatedDistances: [v],
+        currentEdgeBeingRelaxed: id,
+      });
+    }
+  }
+
+  // Build paths
+  const paths = {};
+  for (let i = 0; i < nodes.length; i++) {
+    if (i !== sourceNodeId && dist[i] !== Infinity) {
+      const path = [];
+      let curr = i;
+      while (curr !== null) {
+        path.unshift(curr);
+        curr = prev[curr];
+      }
+      paths[i] = path;
+    }
+  }
+
+  const summary = `${relaxationStats.checks} edge checks in one pass, against up to ${relaxationStats.bellmanFordWorst} for Bellman-Ford's (V-1)·E.`;
+
+  if (!isLongest) {
+    pushStep({
+      explanation: `Order exhausted: DAG shortest paths complete. ${summary}`,
+      algorithmStep: 'Done',
+    });
+    setShortestPathResult({ distances: dist, paths });
+    return steps;
+  }
+
+  // Critical path: the longest path from the source, ending at the farthest node
+  const farthest = Object.keys(dist)
+    .map(Number)
+    .filter((id) => dist[id] !== Infinity)
+    .reduce((best, id) => (dist[id] > dist[best] ? id : best), sourceNodeId);
+  const criticalNodes = farthest === sourceNodeId ? [sourceNodeId] : paths[farthest];
+  const criticalPath = {
+    nodes: criticalNodes,
+    edges: criticalNodes.slice(1).map((id) => prevEdge[id]),
+    length: dist[farthest],
+  };
+  const criticalUpdates = criticalPath.edges.map((id) => ({ id, status: 'included' }));
+
+  pushStep({
+    explanation: `${label(farthest)} is the farthest node (${dist[farthest]}). Following predecessors back gives the critical path ${criticalNodes.map(label).join('→')}: delaying any edge on it delays the whole schedule.`,
+    algorithmStep: DAG_STEP_LABELS[6],
+    edgeUpdates: criticalUpdates,
+    pathEdgeUpdates: criticalPath.edges,
+    criticalPath,
+  });
+  pushStep({
+    explanation: `Order exhausted: DAG longest paths complete. Critical path length ${criticalPath.length}. ${summary}`,
+    algorithmStep: 'Done',
+    edgeUpdates: criticalUpdates,
+    pathEdgeUpdates: criticalPath.edges,
+    criticalPath,
+  });
+  setShortestPathResult({ distances: dist, paths, criticalPath });
+
+  return steps;
+}
@@ -1,15 +1,60 @@
 /**
  * Generate the step-by-step instructions (array of steps) for Dijkstra's algorithm.
  * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * The priority queue is a real binary heap (see minHeap.js). Inserts, extract-min and
+ * decrease-key are followed by one sub-step per sift-up / sift-down swap, tagged with
+ * `heapOperation` so the heap panel can highlight and animate them.
+ *
+ * Two queue variants are supported (`options.queueVariant`):
+ * - 'decrease-key': each node is queued at most once and its key is lowered in place
+ * - 'lazy': every improvement pushes a new entry; outdated ones are skipped when popped
+ * Every step carries `queueStats` (pushes, pops, stale pops, decrease-keys, peak size)
+ * and `queueComparison` with the final counters of the other variant on the same graph,
+ * plus the shared operation counters `opCounts` (see opCounts.js).
  */
 import { getNeighbors } from './graphHelpers';
+import { createMinHeap, describeHeapEvent } from './minHeap';
+import { createOpCounts, countRelaxation } from './opCounts';
 
-export function generateDijkstraSteps({
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const DIJKSTRA_STEP_LABELS = [
+  "1. Initialize distances (source=0, others=∞)",
+  "2. Push source into priority queue",
+  "3. While queue not empty, pop min-dist node, mark visited",
+  "4. Relax all outgoing edges if it improves distance",
+];
+
+export const DIJKSTRA_QUEUE_VARIANTS = {
+  'decrease-key': {
+    label: 'Decrease-key',
+    description: 'Each node is in the heap at most once; an improvement lowers its key in place.',
+  },
+  lazy: {
+    label: 'Lazy deletion',
+    description: 'Every improvement pushes a new entry; outdated (stale) entries are skipped when popped.',
+  },
+};
+
+export function generateDijkstraSteps({ options = {}, setShortestPathResult, ...params }) {
+  const queueVariant = DIJKSTRA_QUEUE_VARIANTS[options.queueVariant] ? options.queueVariant : 'decrease-key';
+  const otherVariant = queueVariant === 'lazy' ? 'decrease-key' : 'lazy';
+
+  // Run the other variant silently so the panel can compare counters
+  const otherSteps = buildDijkstraSteps({ ...params, queueVariant: otherVariant, setShortestPathResult: () => {} });
+  const queueComparison = otherSteps[otherSteps.length - 1].queueStats;
+
+  const steps = buildDijkstraSteps({ ...params, queueVariant, setShortestPathResult });
+  return steps.map((step) => ({ ...step, queueComparison }));
+}
+
+function buildDijkstraSteps({
   nodes,
   edges,
   selectedSourceNode,
   graphParams,
   setShortestPathResult,
+  queueVariant,
 }) {
   const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
 
@@ -17,22 +62,54 @@ export function generateDijkstraSteps({
   const visited = new Set();
   const dist = {};
   const prev = {};
-  let pq = [];
+  const ops = createOpCounts();
+  const pq = createMinHeap(ops);
+  const dijkstraStepsText = DIJKSTRA_STEP_LABELS;
+  const queueStats = { variant: queueVariant, pushes: 0, pops: 0, stalePops: 0, decreaseKeys: 0, peakSize: 0 };
 
-  // Explanation snippet
-  const dijkstraStepsText = [
-    "1. Initialize distances (source=0, others=∞)",
-    "2. Push source into priority queue",
-    "3. While queue not empty, pop min-dist node, mark visited",
-    "4. Relax all outgoing edges if it improves distance",
-  ];
+  // Every step records the counters as they were at that moment
+  const pushStep = (step) => steps.push({ ...step, queueStats: { ...queueStats }, opCounts: { ...ops } });
+
+  // Entries for visited nodes or with an outdated distance are stale (lazy deletion only)
+  const markStale = (heap) => {
+    if (queueVariant !== 'lazy') return heap;
+    return heap.map((entry) =>
+      visited.has(entry.id) || entry.dist > dist[entry.id] ? { ...entry, stale: true } : entry
+    );
+  };
+  const heapSnapshot = () => markStale(pq.toArray());
+
+  const queuePush = (id, priority) => {
+    const events = pq.push(id, priority);
+    queueStats.pushes++;
+    queueStats.peakSize = Math.max(queueStats.peakSize, pq.size());
+    return events;
+  };
+
+  // One sub-step per heap event, keeping the edge being processed highlighted
+  const pushHeapSteps = (events, algorithmStep, edgeUpdates = [], currentEdgeBeingRelaxed = null) => {
+    for (const event of events) {
+      pushStep({
+        explanation: describeHeapEvent(event, nodes),
+        algorithmStep,
+        visitedNodes: [...visited],
+        minHeap: markStale(event.heap),
+        heapOperation: { type: event.type, indices: event.indices },
+        distanceArray: { ...dist },
+        edgeUpdates,
+        pathEdgeUpdates: [],
+        updatedDistances: [],
+        currentEdgeBeingRelaxed,
+      });
+    }
+  };
 
   // Initialize
   for (let i = 0; i < nodes.length; i++) {
     dist[i] = i === sourceNodeId ? 0 : Infinity;
     prev[i] = null;
   }
-  steps.push({
+  pushStep({
     explanation: `Distances initialized. Source ${nodes[sourceNodeId]?.label} = 0, rest = ∞`,
     algorithmStep: dijkstraStepsText[0],
     visitedNodes: [...visited],
@@ -45,12 +122,13 @@ export function generateDijkstraSteps({
   });
 
   // Put source in PQ
-  pq.push({ id: sourceNodeId, dist: 0 });
-  steps.push({
+  const sourceEvents = queuePush(sourceNodeId, 0);
+  pushStep({
     explanation: `Source ${nodes[sourceNodeId]?.label} added to priority queue.`,
     algorithmStep: dijkstraStepsText[1],
     visitedNodes: [...visited],
-    minHeap: [...pq],
+    minHeap: heapSnapshot(),
+    heapOperation: { type: 'insert', indices: sourceEvents[0].indices },
     distanceArray: { ...dist },
     edgeUpdates: [],
     pathEdgeUpdates: [], // Added for path tracking
@@ -59,19 +137,21 @@ export function generateDijkstraSteps({
   });
 
   // Main loop
-  while (pq.length > 0) {
-    // Sort PQ
-    pq.sort((a, b) => a.dist - b.dist);
-    const current = pq.shift();
+  while (pq.size() > 0) {
+    // Extract-min, then restore the heap property
+    const { entry: current, events: extractEvents } = pq.pop();
     const currentId = current.id;
+    queueStats.pops++;
+    pushHeapSteps(extractEvents, dijkstraStepsText[2]);
 
-    // If visited, skip
+    // Stale entry (lazy deletion): the node was already finalized with a smaller distance
     if (visited.has(currentId)) {
-      steps.push({
-        explanation: `Node ${nodes[currentId]?.label} already visited, skipping.`,
+      queueStats.stalePops++;
+      pushStep({
+        explanation: `Stale entry ${nodes[currentId]?.label} (${current.dist}) popped: already visited with distance ${dist[currentId]}, skipping.`,
         algorithmStep: dijkstraStepsText[2],
         visitedNodes: [...visited],
-        minHeap: [...pq],
+        minHeap: heapSnapshot(),
         distanceArray: { ...dist },
         edgeUpdates: [],
         pathEdgeUpdates: [], // Added for path tracking
@@ -83,11 +163,11 @@ export function generateDijkstraSteps({
 
     // Mark visited
     visited.add(currentId);
-    steps.push({
+    pushStep({
       explanation: `Extracted node ${nodes[currentId]?.label}, distance=${dist[currentId]}. Mark visited.`,
       algorithmStep: dijkstraStepsText[2],
       visitedNodes: [...visited],
-      minHeap: [...pq],
+      minHeap: heapSnapshot(),
       distanceArray: { ...dist },
       edgeUpdates: [],
       pathEdgeUpdates: [], // Added for path tracking
@@ -103,11 +183,11 @@ export function generateDijkstraSteps({
       
       // If negative weight, skip for Dijkstra
       if (weight < 0) {
-        steps.push({
+        pushStep({
           explanation: `Edge ${nodes[currentId]?.label}→${nodes[target]?.label} is negative. Skipping.`,
           algorithmStep: dijkstraStepsText[3],
           visitedNodes: [...visited],
-          minHeap: [...pq],
+          minHeap: heapSnapshot(),
           distanceArray: { ...dist },
           edgeUpdates: [{ id, status: 'excluded' }],
           pathEdgeUpdates: [], // Added for path tracking
@@ -118,11 +198,11 @@ export function generateDijkstraSteps({
       }
 
       // Mark candidate
-      steps.push({
+      pushStep({
         explanation: `Check edge ${nodes[currentId]?.label}→${nodes[target]?.label}, weight=${weight}.`,
         algorithmStep: dijkstraStepsText[3],
         visitedNodes: [...visited],
-        minHeap: [...pq],
+        minHeap: heapSnapshot(),
         distanceArray: { ...dist },
         edgeUpdates: [{ id, status: 'candidate' }],
         pathEdgeUpdates: [], // Added for path tracking
@@ -132,38 +212,40 @@ export function generateDijkstraSteps({
 
       // Relax
       const newDist = dist[currentId] + weight;
-      if (newDist < dist[target]) {
+      if (countRelaxation(ops, newDist < dist[target])) {
         const oldDist = dist[target];
         dist[target] = newDist;
         prev[target] = currentId;
 
-        // Update or push in PQ
-        const idx = pq.findIndex((x) => x.id === target);
-        if (idx >= 0) {
-          pq[idx].dist = newDist;
-        } else {
-          pq.push({ id: target, dist: newDist });
-        }
-
-        steps.push({
+        pushStep({
           explanation: `Relaxed edge. Distance to ${nodes[target]?.label} updated from ${
             oldDist === Infinity ? '∞' : oldDist
           } to ${newDist}.`,
           algorithmStep: dijkstraStepsText[3],
           visitedNodes: [...visited],
-          minHeap: [...pq],
+          minHeap: heapSnapshot(),
           distanceArray: { ...dist },
           edgeUpdates: [{ id, status: 'included' }], // Changed from 'relaxed' to 'included'
           pathEdgeUpdates: [id], // Added to track this edge in the path
           updatedDistances: [target], // Track this node as having an updated distance
           currentEdgeBeingRelaxed: id, // Keep tracking the current edge
         });
+
+        // Decrease-key if already queued (decrease-key variant), push a new entry otherwise
+        let heapEvents;
+        if (queueVariant === 'decrease-key' && pq.indexOf(target) >= 0) {
+          heapEvents = pq.decreaseKey(target, newDist);
+          queueStats.decreaseKeys++;
+        } else {
+          heapEvents = queuePush(target, newDist);
+        }
+        pushHeapSteps(heapEvents, dijkstraStepsText[3], [{ id, status: 'included' }], id);
       } else {
-        steps.push({
+        pushStep({
           explanation: `No improvement. Dist to ${nodes[target]?.label} remains ${dist[target]}.`,
           algorithmStep: dijkstraStepsText[3],
           visitedNodes: [...visited],
-          minHeap: [...pq],
+          minHeap: heapSnapshot(),
           distanceArray: { ...dist },
           edgeUpdates: [{ id, status: 'excluded' }],
           pathEdgeUpdates: [], // Added for path tracking
@@ -175,7 +257,7 @@ export function generateDijkstraSteps({
   }
 
   // Final step
-  steps.push({
+  pushStep({
     explanation: "Dijkstra complete. Distances finalized.",
     algorithmStep: "Done",
     visitedNodes: [...visited],
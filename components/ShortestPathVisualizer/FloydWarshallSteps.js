@@ -0,0 +1,215 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Floyd–Warshall.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * Floyd–Warshall is all-pairs: every step carries the full V×V distance matrix
+ * (`distanceMatrix`) and the current k/i/j triple (`matrixCursor`).
+ * `distanceArray` mirrors the selected source's row so the graph labels stay meaningful.
+ * Shared operation counters ride along as `opCounts` (see opCounts.js): each pivot k is a pass
+ * and each i/j update test a relaxation.
+ */
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const FLOYD_WARSHALL_STEP_LABELS = [
+  "1. Initialize dist[i][j] from edge weights (dist[i][i]=0)",
+  "2. For each intermediate node k",
+  "3. dist[i][j] = min(dist[i][j], dist[i][k] + dist[k][j])",
+  "4. Check the diagonal for negative cycles",
+];
+
+const formatDist = (value) => (value === Infinity ? '∞' : value);
+
+export function generateFloydWarshallSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const fwStepsText = FLOYD_WARSHALL_STEP_LABELS;
+  const n = nodes.length;
+  const steps = [];
+  const ops = createOpCounts();
+
+  // The highlighted row and paths belong to the source: without one there is nothing to show
+  if (sourceNodeId == null || !nodes[sourceNodeId]) {
+    steps.push({
+      explanation: n === 0
+        ? 'The graph is empty. Add nodes, set a source, then press Start.'
+        : 'Floyd–Warshall needs a source node. Use "Set Source" to pick one, then press Start.',
+      algorithmStep: 'Done',
+      visitedNodes: [],
+      distanceArray: {},
+      matrixCursor: null,
+      negativeCycleDetected: false,
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      opCounts: { ...ops },
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  // dist[i][j] and next[i][j] (first hop on the best i→j path, for path reconstruction)
+  const dist = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 0 : Infinity))
+  );
+  const next = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? i : null))
+  );
+
+  // Edge lookup so matrix cells can be tied back to edges on the graph
+  const edgeIdByPair = {};
+  const addDirectedEdge = (source, target, weight, id) => {
+    edgeIdByPair[`${source}-${target}`] = id;
+    if (weight < dist[source][target]) {
+      dist[source][target] = weight;
+      next[source][target] = target;
+    }
+  };
+  for (const edge of edges) {
+    addDirectedEdge(edge.source, edge.target, edge.weight, edge.id);
+    // For undirected edges, also add reverse direction
+    if (!isDirected && edge.isUndirected) {
+      addDirectedEdge(edge.target, edge.source, edge.weight, edge.id);
+    }
+  }
+
+  const sourceRow = () => Object.fromEntries(dist[sourceNodeId].map((value, j) => [j, value]));
+  const snapshot = (k) => ({
+    distanceMatrix: dist.map((row) => [...row]),
+    distanceArray: sourceRow(),
+    // Pivots 0..k-1 are done; they act as the "visited" nodes
+    visitedNodes: Array.from({ length: Math.max(k, 0) }, (_, index) => index),
+    iterationCount: Math.max(k, 0),
+    opCounts: { ...ops },
+  });
+
+  steps.push({
+    ...snapshot(0),
+    explanation: `Matrix initialized from ${edges.length} edge(s). Diagonal is 0, missing edges are ∞.`,
+    algorithmStep: fwStepsText[0],
+    matrixCursor: null,
+    negativeCycleDetected: false,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  for (let k = 0; k < n; k++) {
+    ops.passes++;
+    steps.push({
+      ...snapshot(k),
+      iterationCount: k + 1,
+      explanation: `Intermediate node k = ${nodes[k]?.label}: try routing every pair through ${nodes[k]?.label}.`,
+      algorithmStep: fwStepsText[1],
+      matrixCursor: { k, i: null, j: null },
+      negativeCycleDetected: false,
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+    });
+
+    for (let i = 0; i < n; i++) {
+      // Row k and column k never change while k is the pivot
+      if (i === k || dist[i][k] === Infinity) continue;
+
+      for (let j = 0; j < n; j++) {
+        if (j === k || dist[k][j] === Infinity) continue;
+
+        const throughK = dist[i][k] + dist[k][j];
+        const oldDist = dist[i][j];
+        const improved = countRelaxation(ops, throughK < oldDist);
+        const viaEdges = [edgeIdByPair[`${i}-${k}`], edgeIdByPair[`${k}-${j}`]].filter(Boolean);
+
+        if (improved) {
+          dist[i][j] = throughK;
+          next[i][j] = next[i][k];
+        }
+
+        const pairLabel = `${nodes[i]?.label}→${nodes[j]?.label}`;
+        steps.push({
+          ...snapshot(k),
+          iterationCount: k + 1,
+          explanation: improved
+            ? `dist[${pairLabel}] ${formatDist(oldDist)} → ${throughK} via ${nodes[k]?.label} (${dist[i][k]} + ${dist[k][j]}).`
+            : `dist[${pairLabel}] stays ${formatDist(oldDist)}: via ${nodes[k]?.label} costs ${throughK}.`,
+          algorithmStep: fwStepsText[2],
+          matrixCursor: { k, i, j, improved },
+          negativeCycleDetected: false,
+          edgeUpdates: viaEdges.map((id) => ({ id, status: improved ? 'included' : 'candidate' })),
+          pathEdgeUpdates: [],
+          updatedDistances: improved && i === sourceNodeId ? [j] : [],
+          currentEdgeBeingRelaxed: null,
+        });
+      }
+    }
+  }
+
+  // A negative diagonal entry means node i can reach itself with negative total cost
+  const negativeDiagonal = [];
+  for (let i = 0; i < n; i++) {
+    if (dist[i][i] < 0) negativeDiagonal.push(i);
+  }
+  const hasNegativeCycle = negativeDiagonal.length > 0;
+
+  steps.push({
+    ...snapshot(n),
+    explanation: hasNegativeCycle
+      ? `Negative cycle: dist[i][i] < 0 for ${negativeDiagonal.map((i) => nodes[i]?.label).join(', ')}.`
+      : `Diagonal is all zeros. No negative cycle.`,
+    algorithmStep: fwStepsText[3],
+    matrixCursor: null,
+    negativeDiagonal,
+    negativeCycleDetected: hasNegativeCycle,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  if (hasNegativeCycle) {
+    // Negative cycle => no definitive shortest path
+    setShortestPathResult({ distances: sourceRow(), paths: {} });
+    return steps;
+  }
+
+  // Rebuild every path out of the selected source from the next-hop matrix
+  const paths = {};
+  const sourcePathEdges = new Set();
+  for (let j = 0; j < n; j++) {
+    if (j === sourceNodeId || next[sourceNodeId][j] === null) continue;
+    const path = [sourceNodeId];
+    let curr = sourceNodeId;
+    while (curr !== j) {
+      const hop = next[curr][j];
+      sourcePathEdges.add(edgeIdByPair[`${curr}-${hop}`]);
+      curr = hop;
+      path.push(curr);
+    }
+    paths[j] = path;
+  }
+
+  steps.push({
+    ...snapshot(n),
+    explanation: `Floyd–Warshall complete. All-pairs distances ready; paths from ${nodes[sourceNodeId]?.label} highlighted.`,
+    algorithmStep: 'Done',
+    matrixCursor: null,
+    negativeDiagonal,
+    negativeCycleDetected: false,
+    edgeUpdates: [...sourcePathEdges].map((id) => ({ id, status: 'included' })),
+    pathEdgeUpdates: [...sourcePathEdges],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  setShortestPathResult({ distances: sourceRow(), paths });
+  return steps;
+}
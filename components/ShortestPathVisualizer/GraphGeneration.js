@@ -1,10 +1,12 @@
 /**
  * Generates a random directed graph with or without negative edges,
- * ensures connectivity from a chosen source node, etc.
+ * optionally acyclic (DAG mode), ensures connectivity from a chosen source node, etc.
  * Optimized for visual clarity and educational purpose.
  * 
  * This is the main orchestrator that delegates to helper functions
- * for specific responsibilities (geometry, topology, edge generation)
+ * for specific responsibilities (geometry, topology, edge generation).
+ * buildRandomGraph does the work on a given viewport and has no DOM access, so it also runs
+ * outside the browser; generateRandomGraph measures the SVG and detects mobile first.
  */
 import { LAYOUT, NEGATIVE_CYCLE } from '../../constants/graphConfig';
 import {
@@ -18,14 +20,12 @@ import {
   getEuclideanWeight,
   applyForceDirected,
   injectNegativeCycle,
+  usesEuclideanWeights,
+  applyWeightDistribution,
+  orientAcyclic,
 } from './graphGenerationHelpers';
 
 export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
-  // 1. Setup & Configuration
-  const config = getAlgorithmConfig(algorithm, graphParams);
-  const svgWidth = svgRef.current.clientWidth;
-  const svgHeight = svgRef.current.clientHeight;
-  
   // Check if we're on mobile based on user agent and viewport width
   const isMobile = 
     typeof window !== "undefined" &&
@@ -34,6 +34,30 @@ export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
        navigator.userAgent
      ));
 
+  return buildRandomGraph({
+    svgWidth: svgRef.current.clientWidth,
+    svgHeight: svgRef.current.clientHeight,
+    isMobile,
+    graphParams,
+    algorithm,
+  });
+}
+
+/**
+ * Generate a random graph on a viewport of the given size, without touching the DOM.
+ *
+ * @param {Object} params - Generation parameters
+ * @param {number} params.svgWidth - Viewport width the nodes are laid out in
+ * @param {number} params.svgHeight - Viewport height the nodes are laid out in
+ * @param {boolean} [params.isMobile=false] - Use the sparser mobile layout and density
+ * @param {Object} params.graphParams - Graph configuration parameters
+ * @param {string} params.algorithm - Graph profile ('dijkstra' or 'bellmanford')
+ * @returns {Object} { newNodes, newEdges, newParams }
+ */
+export function buildRandomGraph({ svgWidth, svgHeight, isMobile = false, graphParams, algorithm }) {
+  // 1. Setup & Configuration
+  const config = getAlgorithmConfig(algorithm, graphParams);
+
   // Pick a source node at random
   const sourceNodeIdx = Math.floor(Math.random() * config.nodeCount);
   
@@ -61,7 +85,8 @@ export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
   
   // 5. Edge Generation: Create edges with visual filtering
   // For spatial graphs, use Euclidean weights; for circular, use random weights
-  const useEuclideanWeights = graphType === 'spatial';
+  const weightDistribution = graphParams.weightDistribution || 'random';
+  const useEuclideanWeights = usesEuclideanWeights(graphType, weightDistribution);
   let { edges: newEdges, edgeSet } = generateRandomEdges(
     newNodes,
     treeEdges,
@@ -69,11 +94,18 @@ export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
     targetEdgeCount,
     {
       ...config,
+      // DAGs are always directed
+      ...(graphParams.acyclic && { isDirected: true }),
       useEuclideanWeights,
       viewportScale: { width: svgWidth, height: svgHeight }
     },
     algorithm
   );
+
+  // 5.1. DAG mode: point every edge forward in the spanning tree's discovery order
+  if (graphParams.acyclic) {
+    ({ edges: newEdges, edgeSet } = orientAcyclic(newEdges, treeEdges, sourceNodeIdx));
+  }
   
   // 5.5. Apply force-directed layout to spatial graphs (auto-applied)
   let finalNodes = newNodes;
@@ -81,7 +113,9 @@ export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
     // Use fewer iterations for faster, more stable layout
     // Pass isMobile for optimized mobile spacing
     finalNodes = applyForceDirected(newNodes, newEdges, svgWidth, svgHeight, 80, isMobile);
-    
+  }
+
+  if (useEuclideanWeights) {
     // Recalculate edge weights after force-directed layout using new positions
     newEdges = newEdges.map(edge => {
       const sourceNode = finalNodes[edge.source];
@@ -99,10 +133,13 @@ export function generateRandomGraph({ svgRef, graphParams, algorithm }) {
       return edge;
     });
   }
+
+  // 5.6. Fixed weight distributions ('unit' for BFS, '0/1' for 0-1 BFS) replace the generated weights
+  newEdges = applyWeightDistribution(newEdges, weightDistribution);
   
   // 6. Special Cases: Inject negative cycle if needed
   let hasNegativeCycle = false;
-  if (algorithm === 'bellmanford' && config.allowNegativeEdges && 
+  if (algorithm === 'bellmanford' && config.allowNegativeEdges && weightDistribution === 'random' && !graphParams.acyclic &&
       Math.random() < NEGATIVE_CYCLE.CREATION_CHANCE) {
     hasNegativeCycle = injectNegativeCycle(newEdges, edgeSet, finalNodes, config.nodeCount);
   }
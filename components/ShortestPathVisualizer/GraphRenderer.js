@@ -1,45 +1,19 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo } from "react";
 import {
   findNonConflictingPosition,
   calculateEdgePath,
 } from "./graphHelpers";
-
-/**
- * Custom hook to detect mobile devices
- * Listens for window resize events to keep mobile state in sync with viewport
- */
-function useIsMobile() {
-  // Always start with false to match SSR, then update after mount
-  const [isMobile, setIsMobile] = useState(false);
-  const [mounted, setMounted] = useState(false);
-
-  useEffect(() => {
-    if (typeof window === "undefined") return;
-    
-    setMounted(true);
-    
-    const checkMobile = () => {
-      return window.innerWidth < 768 ||
-        /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-          navigator.userAgent
-        );
-    };
-
-    const handleResize = () => {
-      setIsMobile(checkMobile());
-    };
-
-    // Set initial mobile state after mount
-    setIsMobile(checkMobile());
-    
-    window.addEventListener("resize", handleResize);
-
-    return () => window.removeEventListener("resize", handleResize);
-  }, []);
-
-  // Return false during SSR and initial client render to prevent hydration mismatch
-  return mounted ? isMobile : false;
-}
+import { getAlgorithm } from "./algorithms";
+import { describeCycle } from "./negativeCycle";
+import { levelColor } from "./levelColors";
+import { useIsMobile } from "./hooks/useIsMobile";
+
+// Halo colours for bidirectional searches, matching the forward / backward edge colours
+const FRONTIER_HALO = {
+  forward: { fill: 'rgba(14, 165, 233, 0.18)', stroke: '#0ea5e9' },
+  backward: { fill: 'rgba(217, 70, 239, 0.15)', stroke: '#d946ef' },
+  meeting: { fill: 'rgba(245, 158, 11, 0.25)', stroke: '#f59e0b' },
+};
 
 /**
  * A pure "presentational" component that draws nodes and edges in the SVG.
@@ -50,8 +24,18 @@ function useIsMobile() {
  * - `selectedSourceNode` / `selectedDestNode`: highlight them differently
  * - `onNodeClick(nodeId)`: callback for node clicks
  * - `onEdgeClick(edgeId)`: callback for edge clicks
- * - `algorithm`: 'dijkstra' or 'bellmanford' to apply algorithm-specific styling
+ * - `algorithm`: registered algorithm id; its capabilities drive the styling (e.g. negative edges)
  * - `hasNegativeCycle`: boolean flag indicating if a negative cycle was detected
+ * - `negativeCycle`: optional { vertices, edges, totalWeight } of the extracted cycle, named in the indicator
+ * - `phaseLabel`: optional label for multi-phase algorithms (e.g. Johnson's), drawn at the top
+ * - `edgeWeightOverrides`: optional { edgeId: weight } shown instead of the stored weights (e.g. reweighted edges)
+ * - `showVirtualSource`: draws a virtual source "q" linked to every node with 0-weight edges
+ * - `edgeLabels`: optional { edgeId: string } shown instead of the weight (e.g. flow/capacity "3/10")
+ * - `nodePartition`: optional { nodeId: 'source'|'sink' } drawn as a halo around each node (e.g. a min cut)
+ * - `nodeFrontiers`: optional { nodeId: 'forward'|'backward'|'meeting' } drawn as a halo for two-sided searches
+ * - `nodeLevels`: optional { nodeId: level } drawn as a halo coloured per level (BFS levels, 0-1 BFS layers)
+ * - `pathHighlights`: optional [{ edges: edgeId[], color }] drawn as coloured bands under the edges,
+ *   in rank order, so an edge shared by several paths shows every colour (e.g. K shortest paths)
  */
 function GraphRenderer({
   nodes,
@@ -65,6 +49,7 @@ function GraphRenderer({
   onWeightClick,
   algorithm = 'dijkstra',
   hasNegativeCycle = false,
+  negativeCycle = null,
   graphType = 'circular',
   negativeCycleDetected = false,
   isRunning = false,
@@ -75,13 +60,28 @@ function GraphRenderer({
   onNodeTouchMove,
   onNodeTouchEnd,
   draggedNodeId = null,
+  // Multi-phase algorithm overlays
+  phaseLabel = null,
+  edgeWeightOverrides = null,
+  showVirtualSource = false,
+  // Flow network overlays
+  edgeLabels = null,
+  nodePartition = null,
+  // Bidirectional search overlay
+  nodeFrontiers = null,
+  nodeLevels = null,
+  // Ranked path overlay
+  pathHighlights = null,
 }) {
   // Use custom hook to detect mobile devices with proper resize handling
   const isMobile = useIsMobile();
 
-  // Helper to get algorithm-specific styles - memoized since it only depends on algorithm and isMobile
+  // Algorithms that accept negative weights get the negative edge / cycle styling
+  const showsNegativeWeights = getAlgorithm(algorithm)?.capabilities.supportsNegativeWeights ?? false;
+
+  // Helper to get algorithm-specific styles - memoized since it only depends on the capability and isMobile
   const styles = useMemo(() => {
-    if (algorithm === 'dijkstra') {
+    if (!showsNegativeWeights) {
       return {
         nodeColor: '#3b82f6',       // Bright blue for Dijkstra nodes
         sourceNodeColor: '#22c55e', // Green for source
@@ -91,12 +91,16 @@ function GraphRenderer({
         candidateColor: '#fb923c',  // Orange for candidate edges
         excludedColor: '#ef4444',   // Red for excluded edges
         includedColor: '#22c55e',   // Green for final path
+        cutColor: '#e11d48',        // Rose for min-cut edges
+        levelColor: '#6366f1',      // Indigo for BFS trees / level graphs
+        forwardColor: '#0ea5e9',    // Sky for the forward search of bidirectional runs
+        backwardColor: '#d946ef',   // Fuchsia for the backward search
         weightLabelBg: 'white',     // White background for weight labels
         relaxedStrokeWidth: isMobile ? 5 : 3,
       };
     } else {
       return {
-        nodeColor: '#2563eb',       // Darker blue for Bellman-Ford
+        nodeColor: '#2563eb',       // Darker blue for negative-weight algorithms
         sourceNodeColor: '#16a34a', // Darker green for source
         destNodeColor: '#ea580c',   // Darker orange for destination
         edgeColor: '#64748b',       // Darker default edge color
@@ -104,13 +108,28 @@ function GraphRenderer({
         candidateColor: '#d97706',  // Darker orange for candidates
         excludedColor: '#dc2626',   // Darker red for excluded
         includedColor: '#059669',   // Teal-green for final path
+        cutColor: '#e11d48',        // Rose for min-cut edges
+        levelColor: '#6366f1',      // Indigo for BFS trees / level graphs
+        forwardColor: '#0ea5e9',    // Sky for the forward search of bidirectional runs
+        backwardColor: '#d946ef',   // Fuchsia for the backward search
         negativeEdgeColor: '#9333ea', // Purple for negative edges
         negativeCycleColor: '#db2777', // Pink for negative cycle edges
         weightLabelBg: '#f8fafc',   // Light gray background for weight labels
         relaxedStrokeWidth: isMobile ? 5 : 3,
       };
     }
-  }, [algorithm, isMobile]);
+  }, [showsNegativeWeights, isMobile]);
+
+  // Colours of the highlighted paths through each edge, best rank first
+  const edgeBands = useMemo(() => {
+    const bands = {};
+    (pathHighlights || []).forEach(({ edges: pathEdges, color }) => {
+      pathEdges.forEach((edgeId) => {
+        (bands[edgeId] ||= []).push(color);
+      });
+    });
+    return bands;
+  }, [pathHighlights]);
 
   // Heavy geometry calculations - memoized to prevent recalculation on every render
   // This includes Bezier control points and label collision detection
@@ -163,6 +182,14 @@ function GraphRenderer({
       const arrowSize = isMobile ? 14 : 10;
       const arrowAngle = Math.PI / 8;
 
+      // Weight to display (reweighted edges show their new weight)
+      const displayWeight = edgeWeightOverrides?.[edge.id] ?? edge.weight;
+      const isReweighted = displayWeight !== edge.weight;
+      const isNegative = edgeWeightOverrides ? displayWeight < 0 : edge.isNegative;
+      // Text labels (e.g. "3/10") widen the label box
+      const labelText = edgeLabels?.[edge.id] ?? displayWeight;
+      const labelWidth = Math.max(isMobile ? 30 : 24, String(labelText).length * (isMobile ? 9 : 7.5) + 8);
+
       // Base color logic
       let color = styles.edgeColor;
       // Undirected edges are slightly thicker for visual distinction
@@ -183,15 +210,15 @@ function GraphRenderer({
         strokeOpacity = 0.6 + (1 - normalizedWeight) * 0.4; // 0.6 to 1.0 opacity
       }
       
-      // Handle negative edges with special styling for Bellman-Ford
-      if (algorithm === 'bellmanford' && edge.isNegative) {
+      // Handle negative edges with special styling for negative-weight algorithms
+      if (showsNegativeWeights && isNegative) {
         color = styles.negativeEdgeColor;
         strokeWidth = isMobile ? 4.5 : 2.5;
         strokeDasharray = isMobile ? "6,4" : "4,3";
       }
       
       // Special styling for edges in negative cycles
-      if (algorithm === 'bellmanford' && edge.inNegativeCycle) {
+      if (showsNegativeWeights && edge.inNegativeCycle) {
         color = edge.status === 'negativecycle' ? styles.negativeCycleColor : color;
         strokeDasharray = edge.status === 'negativecycle' ? "5,5" : strokeDasharray;
       }
@@ -219,12 +246,29 @@ function GraphRenderer({
           strokeWidth = isMobile ? 6 : 4;
           strokeDasharray = "5,5";
           break;
+        case "level":
+          color = styles.levelColor;
+          strokeWidth = isMobile ? 4 : 2.5;
+          break;
+        case "forward":
+          color = styles.forwardColor;
+          strokeWidth = isMobile ? 4 : 2.5;
+          break;
+        case "backward":
+          color = styles.backwardColor;
+          strokeWidth = isMobile ? 4 : 2.5;
+          break;
+        case "cut":
+          color = styles.cutColor;
+          strokeWidth = isMobile ? 6 : 4;
+          strokeDasharray = isMobile ? "10,5" : "8,4";
+          break;
         default:
           break;
       }
 
-      // For Bellman-Ford, if there's a detected negative cycle, add warning styling
-      const cycleWarningEffect = algorithm === 'bellmanford' && 
+      // If there's a detected negative cycle, add warning styling
+      const cycleWarningEffect = showsNegativeWeights && 
                                 negativeCycleDetected && 
                                 (edge.status === 'negativecycle' || edge.inNegativeCycle);
 
@@ -240,13 +284,13 @@ function GraphRenderer({
           }}
           role="button"
           tabIndex={0}
-          aria-label={`Edge from ${source.label} to ${target.label} with weight ${edge.weight}`}
+          aria-label={`Edge from ${source.label} to ${target.label} with ${edgeLabels?.[edge.id] ? `label ${labelText}` : `weight ${displayWeight}`}`}
           className="cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2"
-          data-tooltip={`${source.label} → ${target.label} (${edge.weight})`}
+          data-tooltip={`${source.label} → ${target.label} (${isReweighted ? `${edge.weight} → ${displayWeight}` : edge.weight})`}
           style={{ pointerEvents: 'visiblePainted' }}
         >
-          {/* For Bellman-Ford, add a glow effect to negative edges (rendered first for layering) */}
-          {algorithm === 'bellmanford' && edge.isNegative && (
+          {/* Add a glow effect to negative edges (rendered first for layering) */}
+          {showsNegativeWeights && isNegative && (
             <path
               d={bezierPath}
               fill="none"
@@ -275,6 +319,20 @@ function GraphRenderer({
             />
           )}
           
+          {/* Ranked path bands: widest first, so each path through this edge stays visible */}
+          {edgeBands[edge.id]?.map((bandColor, index, bandColors) => (
+            <path
+              key={`band-${index}`}
+              d={bezierPath}
+              fill="none"
+              stroke={bandColor}
+              strokeWidth={strokeWidth + (bandColors.length - index) * (isMobile ? 5 : 4)}
+              strokeLinecap="round"
+              strokeOpacity="0.75"
+              className="transition-all duration-300 ease-in-out"
+            />
+          ))}
+
           {/* Main curved path - Bezier curve */}
           <path
             d={bezierPath}
@@ -318,11 +376,11 @@ function GraphRenderer({
             style={{ pointerEvents: 'bounding-box' }}
           >
             <rect
-              x={adjustedLabelX - (isMobile ? 15 : 12)}
+              x={adjustedLabelX - labelWidth / 2}
               y={adjustedLabelY - (isMobile ? 15 : 12)}
-              width={isMobile ? 30 : 24}
+              width={labelWidth}
               height={isMobile ? 30 : 24}
-              fill={edge.isNegative ? "#f0ecfe" : styles.weightLabelBg}
+              fill={isReweighted ? "#ccfbf1" : (isNegative ? "#f0ecfe" : styles.weightLabelBg)}
               stroke={color}
               strokeWidth="1.5"
               rx="6"
@@ -337,11 +395,11 @@ function GraphRenderer({
               dominantBaseline="middle"
               fontWeight="bold"
               fontSize={isMobile ? "14" : "12"}
-              fill={edge.isNegative ? "#7e22ce" : "#333333"}
+              fill={isReweighted ? "#0f766e" : (isNegative ? "#7e22ce" : "#333333")}
               className="weight-label-text transition-all duration-150"
               style={{ pointerEvents: 'none' }}
             >
-              {edge.weight}
+              {labelText}
             </text>
           </g>
         </g>
@@ -354,7 +412,7 @@ function GraphRenderer({
     return nodes.map((node) => {
       // Default color from algorithm style
       let fillColor = styles.nodeColor;
-      let strokeColor = algorithm === 'dijkstra' ? '#2563eb' : '#1e40af';
+      let strokeColor = !showsNegativeWeights ? '#2563eb' : '#1e40af';
       let strokeWidth = isMobile ? 3 : 2;
       let isAnimated = false;
 
@@ -364,14 +422,14 @@ function GraphRenderer({
       // Source node
       if (node.id === selectedSourceNode) {
         fillColor = styles.sourceNodeColor;
-        strokeColor = algorithm === 'dijkstra' ? '#16a34a' : '#15803d';
+        strokeColor = !showsNegativeWeights ? '#16a34a' : '#15803d';
         strokeWidth = isMobile ? 4 : 3;
       }
 
       // Dest node
       if (node.id === selectedDestNode) {
         fillColor = styles.destNodeColor;
-        strokeColor = algorithm === 'dijkstra' ? '#ea580c' : '#c2410c';
+        strokeColor = !showsNegativeWeights ? '#ea580c' : '#c2410c';
         strokeWidth = isMobile ? 4 : 3;
       }
 
@@ -385,10 +443,10 @@ function GraphRenderer({
       const distanceLabel =
         dist === undefined || dist === Infinity ? "∞" : dist;
 
-      // Negative cycle indicator for Bellman-Ford
-      const isPartOfNegativeCycle = algorithm === 'bellmanford' &&
+      // Negative cycle indicator for negative-weight algorithms
+      const isPartOfNegativeCycle = showsNegativeWeights &&
                                    hasNegativeCycle &&
-                                   dist === -Infinity;
+                                   (negativeCycle ? negativeCycle.vertices.includes(node.id) : dist === -Infinity);
 
       // Smaller node radius on mobile
       const nodeRadius = isMobile ? 18 : 20;
@@ -442,11 +500,48 @@ function GraphRenderer({
               cx={node.x}
               cy={node.y}
               r={nodeRadius + 5}
-              fill={`rgba(${algorithm === 'dijkstra' ? '59, 130, 246' : '37, 99, 235'}, 0.2)`}
+              fill={`rgba(${!showsNegativeWeights ? '59, 130, 246' : '37, 99, 235'}, 0.2)`}
               className="animate-pulse"
             />
           )}
 
+          {/* Partition halo (e.g. source / sink side of a min cut) */}
+          {nodePartition?.[node.id] && (
+            <circle
+              cx={node.x}
+              cy={node.y}
+              r={nodeRadius + 7}
+              fill={nodePartition[node.id] === 'source' ? 'rgba(20, 184, 166, 0.2)' : 'rgba(244, 63, 94, 0.15)'}
+              stroke={nodePartition[node.id] === 'source' ? '#14b8a6' : '#f43f5e'}
+              strokeWidth={2}
+              strokeDasharray="4,3"
+            />
+          )}
+
+          {/* Frontier halo (forward / backward search, amber where they meet) */}
+          {nodeFrontiers?.[node.id] && (
+            <circle
+              cx={node.x}
+              cy={node.y}
+              r={nodeRadius + 7}
+              fill={FRONTIER_HALO[nodeFrontiers[node.id]].fill}
+              stroke={FRONTIER_HALO[nodeFrontiers[node.id]].stroke}
+              strokeWidth={nodeFrontiers[node.id] === 'meeting' ? 3 : 2}
+            />
+          )}
+
+          {/* Level halo (BFS level / 0-1 BFS distance layer) */}
+          {nodeLevels?.[node.id] !== undefined && (
+            <circle
+              cx={node.x}
+              cy={node.y}
+              r={nodeRadius + 7}
+              fill={`${levelColor(nodeLevels[node.id])}33`}
+              stroke={levelColor(nodeLevels[node.id])}
+              strokeWidth={2}
+            />
+          )}
+
           {/* Drag highlight glow */}
           {isBeingDragged && (
             <circle
@@ -512,7 +607,7 @@ function GraphRenderer({
             </g>
           )}
           
-          {/* For Bellman-Ford: Add negative cycle indicator */}
+          {/* Add negative cycle indicator */}
           {isPartOfNegativeCycle && (
             <g>
               <circle
@@ -540,14 +635,17 @@ function GraphRenderer({
     });
   };
 
-  // Add negative cycle warning indicator if a negative cycle is detected in Bellman-Ford
+  // Add negative cycle warning indicator if a negative cycle is detected
   const renderNegativeCycleIndicator = () => {
-    if (algorithm !== 'bellmanford' || !hasNegativeCycle) return null;
+    if (!showsNegativeWeights || !hasNegativeCycle) return null;
     
+    const text = negativeCycle
+      ? `Negative cycle: ${describeCycle(negativeCycle, nodes)}`
+      : "Negative Cycle Detected!";
     const x = 20;
     const y = 60;
     const padding = 10;
-    const width = 180;
+    const width = Math.max(180, text.length * 8 + 2 * padding);
     
     return (
       <g className="animate-pulse">
@@ -569,12 +667,59 @@ function GraphRenderer({
           fontWeight="bold"
           fontSize="14"
         >
-          Negative Cycle Detected!
+          {text}
+        </text>
+      </g>
+    );
+  };
+
+  // Virtual source used by Johnson's algorithm, drawn at the centroid of the graph
+  const renderVirtualSource = () => {
+    if (!showVirtualSource || nodes.length === 0) return null;
+
+    const cx = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+    const cy = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+    const radius = isMobile ? 14 : 15;
+
+    return (
+      <g className="pointer-events-none">
+        {nodes.map((node) => (
+          <line
+            key={node.id}
+            x1={cx}
+            y1={cy}
+            x2={node.x}
+            y2={node.y}
+            stroke="#14b8a6"
+            strokeWidth={1.5}
+            strokeDasharray="3,4"
+            strokeOpacity={0.7}
+          />
+        ))}
+        <circle cx={cx} cy={cy} r={radius} fill="#14b8a6" stroke="#0f766e" strokeWidth={2} strokeDasharray="4,2" />
+        <text x={cx} y={cy + 1} textAnchor="middle" dominantBaseline="middle" fill="white" fontWeight="bold" fontSize="13">
+          q
         </text>
       </g>
     );
   };
 
+  // Active phase label for multi-phase algorithms, centered at the top of the canvas
+  const renderPhaseLabel = () => {
+    if (!phaseLabel) return null;
+
+    const width = Math.max(160, phaseLabel.length * 7 + 24);
+
+    return (
+      <svg x="50%" y={isMobile ? 12 : 16} overflow="visible" className="pointer-events-none">
+        <rect x={-width / 2} y={0} width={width} height={26} rx={13} fill="#4f46e5" opacity={0.92} />
+        <text x={0} y={13} textAnchor="middle" dominantBaseline="middle" fill="white" fontWeight="bold" fontSize="12">
+          {phaseLabel}
+        </text>
+      </svg>
+    );
+  };
+
   return (
     <>
       <defs>
@@ -621,9 +766,11 @@ function GraphRenderer({
           className="pointer-events-none"
         />
       )}
+      <g>{renderVirtualSource()}</g>
       <g>{renderEdges()}</g>
       <g>{renderNodes()}</g>
       <g>{renderNegativeCycleIndicator()}</g>
+      <g>{renderPhaseLabel()}</g>
     </>
   );
 }
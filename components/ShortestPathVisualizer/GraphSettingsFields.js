@@ -0,0 +1,216 @@
+import React from "react";
+import { Slider } from "@/components/ui/slider";
+import { RefreshCw } from "lucide-react";
+
+const SELECT_CLASS = "w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100";
+const NUMBER_INPUT_CLASS = "w-full border border-zinc-300 dark:border-zinc-700 rounded-md py-2 px-3 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+/**
+ * Settings drawer contents shared by the shortest path, MST and flow visualizers: mode, layout,
+ * animation speed, the random graph parameters and the selected algorithm's complexity. The
+ * optional slots hold page-specific fields and are rendered in the matching section.
+ *
+ * @param {Object} props
+ * @param {string} props.mode - 'auto' or 'manual'
+ * @param {Function} props.onModeChange - Change handler of the mode select
+ * @param {Object} props.graphParams - Graph configuration parameters
+ * @param {Function} props.setGraphParams - Graph parameter setter, used by the sliders
+ * @param {Function} props.onParamChange - Change handler of the named inputs (graphType, minWeight, maxWeight)
+ * @param {string} [props.layoutHint] - Note shown below the layout select
+ * @param {string} [props.layoutTip] - Highlighted tip shown below the layout note
+ * @param {ReactNode} [props.structureFields] - Extra graph structure fields, e.g. the directed switch
+ * @param {ReactNode} [props.autoControls] - Auto mode controls shown above the parameters
+ * @param {ReactNode} [props.manualControls] - Manual mode controls, in place of the toolbar note
+ * @param {ReactNode} [props.paramFields] - Extra random graph parameters, shown above the weight range
+ * @param {boolean} [props.showWeightRange] - Whether the weight range applies to generated graphs
+ * @param {ReactNode} [props.algorithmFields] - Algorithm settings shown above the generate button
+ * @param {number} props.animationSpeed - Animation delay in milliseconds
+ * @param {Function} props.setAnimationSpeed - Animation delay setter
+ * @param {string} props.weightLabel - Label of the weight range, e.g. "Capacity Range"
+ * @param {string} props.generateLabel - Label of the generate button
+ * @param {Function} props.onGenerate - Generate button handler
+ * @param {Object} props.definition - Definition of the selected algorithm
+ */
+const GraphSettingsFields = ({
+  mode,
+  onModeChange,
+  graphParams,
+  setGraphParams,
+  onParamChange,
+  layoutHint = null,
+  layoutTip = null,
+  structureFields = null,
+  autoControls = null,
+  manualControls = null,
+  paramFields = null,
+  showWeightRange = true,
+  algorithmFields = null,
+  animationSpeed,
+  setAnimationSpeed,
+  weightLabel,
+  generateLabel,
+  onGenerate,
+  definition,
+}) => (
+  <>
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-zinc-800 dark:text-zinc-200 mb-3">Graph Structure</h3>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+          Mode
+        </label>
+        <select value={mode} onChange={onModeChange} className={SELECT_CLASS}>
+          <option value="auto">Auto-Generate</option>
+          <option value="manual">Manual Design</option>
+        </select>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+          Layout
+        </label>
+        <select
+          name="graphType"
+          value={graphParams.graphType || 'circular'}
+          onChange={onParamChange}
+          className={SELECT_CLASS}
+        >
+          <option value="circular">Circular</option>
+          <option value="spatial">Spatial</option>
+        </select>
+        {layoutHint && (
+          <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">{layoutHint}</p>
+        )}
+        {layoutTip && (
+          <p className="text-xs text-amber-600 dark:text-amber-400 mt-1 italic">{layoutTip}</p>
+        )}
+      </div>
+
+      {structureFields}
+    </div>
+
+    {/* Animation Speed */}
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+          Animation Speed
+        </label>
+        <span className="text-indigo-600 dark:text-indigo-400 font-medium">
+          {animationSpeed <= 600 ? "Fast" : animationSpeed <= 1200 ? "Medium" : "Slow"}
+        </span>
+      </div>
+      <Slider
+        value={[(2200 - animationSpeed) / 400]}
+        onValueChange={(value) => setAnimationSpeed(2200 - value[0] * 400)}
+        min={1}
+        max={5}
+        step={1}
+        className="w-full"
+      />
+    </div>
+
+    {mode === "manual" && (manualControls ?? (
+      <div className="bg-amber-50 dark:bg-amber-950/50 p-3 rounded-lg border border-amber-200 dark:border-amber-800 mb-4 text-sm text-amber-800 dark:text-amber-400">
+        Use the toolbar in the bottom-left corner to add nodes and edges. Press ESC to cancel a tool.
+      </div>
+    ))}
+
+    {mode === "auto" && (
+      <>
+        {autoControls}
+
+
+        <div className="mb-6">
+          <h3 className="text-sm font-semibold text-zinc-800 dark:text-zinc-200 mb-3">Graph Parameters</h3>
+
+          <div className="mb-6">
+            <div className="flex justify-between items-center mb-2">
+              <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                Number of Nodes
+              </label>
+              <span className="text-indigo-600 dark:text-indigo-400 font-medium">
+                {graphParams.nodeCount}
+              </span>
+            </div>
+            <Slider
+              value={[graphParams.nodeCount]}
+              onValueChange={(value) => setGraphParams({ ...graphParams, nodeCount: value[0] })}
+              min={3}
+              max={10}
+              step={1}
+              className="w-full"
+            />
+          </div>
+
+          <div className="mb-6">
+            <div className="flex justify-between items-center mb-2">
+              <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                Edge Density
+              </label>
+              <span className="text-indigo-600 dark:text-indigo-400 font-medium">
+                {graphParams.density.toFixed(1)}
+              </span>
+            </div>
+            <Slider
+              value={[graphParams.density * 10]}
+              onValueChange={(value) => setGraphParams({ ...graphParams, density: value[0] / 10 })}
+              min={2}
+              max={8}
+              step={1}
+              className="w-full"
+            />
+          </div>
+
+          {paramFields}
+
+          {showWeightRange && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+                {weightLabel}
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  name="minWeight"
+                  min="1"
+                  max="98"
+                  value={graphParams.minWeight}
+                  onChange={onParamChange}
+                  className={NUMBER_INPUT_CLASS}
+                />
+                <span className="text-zinc-500">to</span>
+                <input
+                  type="number"
+                  name="maxWeight"
+                  min="2"
+                  max="99"
+                  value={graphParams.maxWeight}
+                  onChange={onParamChange}
+                  className={NUMBER_INPUT_CLASS}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        {algorithmFields}
+
+        <button
+          onClick={onGenerate}
+          className="w-full bg-gradient-to-r from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white py-3 px-4 rounded-lg transition-colors shadow-sm flex items-center justify-center font-medium"
+        >
+          <RefreshCw className="w-5 h-5 mr-2" />
+          {generateLabel}
+        </button>
+      </>
+    )}
+
+    <div className="mt-6 pt-4 border-t border-zinc-200 dark:border-zinc-700 text-xs text-zinc-500 flex justify-between">
+      <span>Time Complexity ({definition.shortName}):</span>
+      <span className="font-mono">{definition.complexity}</span>
+    </div>
+  </>
+);
+
+export default GraphSettingsFields;
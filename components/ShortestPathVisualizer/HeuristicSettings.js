@@ -0,0 +1,57 @@
+import React from "react";
+import { Slider } from "@/components/ui/slider";
+import { ASTAR_HEURISTICS } from "./AStarSteps";
+
+/**
+ * Drawer controls for A*: heuristic picker and the scale factor
+ * used by the inadmissible "Scaled Euclidean" heuristic.
+ */
+const HeuristicSettings = ({ options, onChange }) => {
+  const selected = ASTAR_HEURISTICS[options.heuristic] || ASTAR_HEURISTICS.euclidean;
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+        Heuristic
+      </label>
+      <select
+        value={options.heuristic}
+        onChange={(e) => onChange({ heuristic: e.target.value })}
+        className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+      >
+        {Object.entries(ASTAR_HEURISTICS).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+        {selected.description}
+      </p>
+      <p className={`text-xs mt-1 font-medium ${selected.admissible ? "text-emerald-600 dark:text-emerald-400" : "text-amber-600 dark:text-amber-400"}`}>
+        {selected.admissible ? "Admissible: path is guaranteed optimal" : "Inadmissible: path may not be optimal"}
+      </p>
+
+      {options.heuristic === "weighted" && (
+        <div className="mt-4">
+          <div className="flex justify-between items-center mb-2">
+            <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+              Scale Factor
+            </label>
+            <span className="text-indigo-600 dark:text-indigo-400 font-medium">
+              ×{options.heuristicWeight}
+            </span>
+          </div>
+          <Slider
+            value={[options.heuristicWeight * 2]}
+            onValueChange={(value) => onChange({ heuristicWeight: value[0] / 2 })}
+            min={2}
+            max={10}
+            step={1}
+            className="w-full"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeuristicSettings;
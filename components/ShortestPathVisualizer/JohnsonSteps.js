@@ -0,0 +1,311 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Johnson's algorithm.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * Johnson's algorithm chains the existing generators:
+ * 1. add a virtual source q with 0-weight edges to every node,
+ * 2. run Bellman-Ford from q to get potentials h(v),
+ * 3. reweight every edge to w + h(u) − h(v) (never negative),
+ * 4. run Dijkstra from every source on the reweighted graph.
+ *
+ * Every step carries `phase` / `phaseLabel`, and the reweighting shows up through `edgeWeightOverrides`.
+ * `opCounts` (see opCounts.js) add up the counters of the Bellman-Ford run and every Dijkstra run.
+ */
+import { generateBellmanFordSteps, BELLMAN_FORD_STEP_LABELS } from './BellmanFordSteps';
+import { describeCycle } from './negativeCycle';
+import { generateDijkstraSteps, DIJKSTRA_STEP_LABELS } from './DijkstraSteps';
+import { createOpCounts, sumOpCounts } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const JOHNSON_STEP_LABELS = [
+  "1. Add virtual source q with 0-weight edges to every node",
+  "3. Reweight each edge: w'(u,v) = w(u,v) + h(u) − h(v)",
+  "5. Convert back: d(u,v) = d'(u,v) − h(u) + h(v)",
+];
+
+export const JOHNSON_PHASES = [
+  'Add virtual source',
+  'Bellman-Ford from q',
+  'Reweight edges',
+  'Dijkstra from each source',
+];
+
+const phaseLabelFor = (phase, detail = '') =>
+  `Phase ${phase + 1}/${JOHNSON_PHASES.length}: ${JOHNSON_PHASES[phase]}${detail}`;
+
+export function generateJohnsonSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const johnsonStepsText = JOHNSON_STEP_LABELS;
+  const n = nodes.length;
+  const virtualId = n;
+  const steps = [];
+
+  // The final distances and paths belong to the source: without one there is nothing to show
+  if (sourceNodeId == null || !nodes[sourceNodeId]) {
+    steps.push({
+      explanation: n === 0
+        ? 'The graph is empty. Add nodes, set a source, then press Start.'
+        : 'Johnson\'s needs a source node. Use "Set Source" to pick one, then press Start.',
+      algorithmStep: 'Done',
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      iterationCount: 0,
+      negativeCycleDetected: false,
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      opCounts: createOpCounts(),
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  // Rows fill in as each per-source Dijkstra finishes; null means "not computed yet"
+  const distanceMatrix = Array.from({ length: n }, () => Array(n).fill(null));
+  let potentials = null;
+  let edgeWeightOverrides = null;
+  // Counters of the finished sub-runs; steps of a running sub-run add its own on top
+  let doneOps = createOpCounts();
+
+  // Drop the virtual source from distance maps so panels only list real nodes
+  const withoutVirtual = (distances = {}) => {
+    const { [virtualId]: _virtual, ...rest } = distances;
+    return rest;
+  };
+
+  const johnsonFields = (phase, { phaseDetail = '', dijkstraSource = null } = {}) => ({
+    phase,
+    phaseLabel: phaseLabelFor(phase, phaseDetail),
+    showVirtualSource: phase <= 1,
+    potentials,
+    edgeWeightOverrides,
+    distanceMatrix: distanceMatrix.map((row) => [...row]),
+    dijkstraSource,
+    opCounts: { ...doneOps },
+  });
+
+  // =========================
+  //   PHASE 1: VIRTUAL SOURCE
+  // =========================
+  const augmentedNodes = [...nodes, { id: virtualId, label: 'q', x: 0, y: 0 }];
+  const virtualEdges = nodes.map((node) => ({
+    id: `${virtualId}-${node.id}`,
+    source: virtualId,
+    target: node.id,
+    weight: 0,
+    isUndirected: false,
+  }));
+
+  steps.push({
+    ...johnsonFields(0),
+    explanation: `Added virtual source q with a 0-weight edge to each of the ${n} nodes.`,
+    algorithmStep: johnsonStepsText[0],
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: {},
+    iterationCount: 0,
+    negativeCycleDetected: false,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  // =========================
+  //   PHASE 2: BELLMAN-FORD POTENTIALS
+  // =========================
+  let bellmanFordResult = { distances: {}, paths: {} };
+  const bellmanFordSteps = generateBellmanFordSteps({
+    nodes: augmentedNodes,
+    edges: [...edges, ...virtualEdges],
+    selectedSourceNode: virtualId,
+    graphParams,
+    setShortestPathResult: (result) => { bellmanFordResult = result; },
+  });
+
+  let hasNegativeCycle = false;
+  for (const step of bellmanFordSteps) {
+    hasNegativeCycle = hasNegativeCycle || step.negativeCycleDetected;
+    steps.push({
+      ...step,
+      ...johnsonFields(1),
+      opCounts: sumOpCounts(doneOps, step.opCounts),
+      // The sub-run's "Done" is not the end of Johnson's
+      algorithmStep: step.algorithmStep === 'Done' ? BELLMAN_FORD_STEP_LABELS[2] : step.algorithmStep,
+      distanceArray: withoutVirtual(step.distanceArray),
+      // The path tree from q is not a shortest-path answer, keep it off the graph
+      pathEdgeUpdates: [],
+      updatedDistances: (step.updatedDistances || []).filter((id) => id !== virtualId),
+    });
+  }
+  doneOps = sumOpCounts(doneOps, bellmanFordSteps[bellmanFordSteps.length - 1].opCounts);
+
+  if (hasNegativeCycle) {
+    // The virtual source has no incoming edges, so the cycle only uses graph nodes. The
+    // Bellman-Ford distances are potentials from q, not distances from the selected source
+    const { negativeCycle } = bellmanFordResult;
+    steps.push({
+      ...johnsonFields(1, { phaseDetail: ' (negative cycle)' }),
+      explanation: `Bellman-Ford found the negative cycle ${describeCycle(negativeCycle, nodes)}, so no valid potentials exist. Johnson's algorithm stops here.`,
+      algorithmStep: 'Done',
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      iterationCount: n,
+      negativeCycleDetected: true,
+      edgeUpdates: negativeCycle.edges.map((id) => ({ id, status: 'negativecycle' })),
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      negativeCycle,
+    });
+    setShortestPathResult({ distances: {}, paths: {}, negativeCycle });
+    return steps;
+  }
+
+  potentials = withoutVirtual(bellmanFordResult.distances);
+
+  // =========================
+  //   PHASE 3: REWEIGHTING
+  // =========================
+  edgeWeightOverrides = {};
+  steps.push({
+    ...johnsonFields(2),
+    explanation: `Potentials h(v) = dist(q, v). Reweighting each edge with w + h(u) − h(v) makes every weight non-negative.`,
+    algorithmStep: johnsonStepsText[1],
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: { ...potentials },
+    iterationCount: 0,
+    negativeCycleDetected: false,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  const reweightedEdges = edges.map((edge) => {
+    const { id, source, target, weight } = edge;
+    const reweighted = weight + potentials[source] - potentials[target];
+    edgeWeightOverrides = { ...edgeWeightOverrides, [id]: reweighted };
+
+    steps.push({
+      ...johnsonFields(2),
+      explanation: `${nodes[source]?.label}→${nodes[target]?.label}: ${weight} + h(${nodes[source]?.label}) − h(${nodes[target]?.label}) = ${weight} + (${potentials[source]}) − (${potentials[target]}) = ${reweighted}`,
+      algorithmStep: johnsonStepsText[1],
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: { ...potentials },
+      iterationCount: 0,
+      negativeCycleDetected: false,
+      edgeUpdates: [{ id, status: 'relaxed' }],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: id,
+    });
+
+    return { ...edge, weight: reweighted, isNegative: false };
+  });
+
+  // =========================
+  //   PHASE 4: DIJKSTRA PER SOURCE
+  // =========================
+  let selectedSourcePaths = {};
+  for (let source = 0; source < n; source++) {
+    let dijkstraResult = { distances: {}, paths: {} };
+    const dijkstraSteps = generateDijkstraSteps({
+      nodes,
+      edges: reweightedEdges,
+      selectedSourceNode: source,
+      graphParams: { ...graphParams, isDirected },
+      setShortestPathResult: (result) => { dijkstraResult = result; },
+    });
+
+    const phaseDetail = ` (source ${nodes[source]?.label}, ${source + 1} of ${n})`;
+    for (const step of dijkstraSteps) {
+      steps.push({
+        ...step,
+        ...johnsonFields(3, { phaseDetail, dijkstraSource: source }),
+        opCounts: sumOpCounts(doneOps, step.opCounts),
+        explanation: `[from ${nodes[source]?.label}, reweighted] ${step.explanation}`,
+        algorithmStep: step.algorithmStep === 'Done' ? DIJKSTRA_STEP_LABELS[3] : step.algorithmStep,
+        iterationCount: source + 1,
+        negativeCycleDetected: false,
+        // Each source builds its own tree; only the selected source's paths are kept at the end
+        pathEdgeUpdates: [],
+      });
+    }
+
+    doneOps = sumOpCounts(doneOps, dijkstraSteps[dijkstraSteps.length - 1].opCounts);
+
+    // Undo the reweighting to recover true distances
+    for (let target = 0; target < n; target++) {
+      const reweightedDist = dijkstraResult.distances[target];
+      distanceMatrix[source][target] = reweightedDist === Infinity
+        ? Infinity
+        : reweightedDist - potentials[source] + potentials[target];
+    }
+    if (source === sourceNodeId) {
+      selectedSourcePaths = dijkstraResult.paths;
+    }
+
+    steps.push({
+      ...johnsonFields(3, { phaseDetail, dijkstraSource: source }),
+      explanation: `Row ${nodes[source]?.label} converted back: d(${nodes[source]?.label}, v) = d'(${nodes[source]?.label}, v) − h(${nodes[source]?.label}) + h(v).`,
+      algorithmStep: johnsonStepsText[2],
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: Object.fromEntries(distanceMatrix[source].map((value, target) => [target, value])),
+      iterationCount: source + 1,
+      negativeCycleDetected: false,
+      edgeUpdates: [],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+    });
+  }
+
+  // Final step: original weights, true distances from the selected source
+  const distances = Object.fromEntries(
+    distanceMatrix[sourceNodeId].map((value, target) => [target, value])
+  );
+  const pathEdgeIds = new Set();
+  Object.values(selectedSourcePaths).forEach((path) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      const edge = edges.find(
+        (e) =>
+          (e.source === path[i] && e.target === path[i + 1]) ||
+          (!isDirected && e.isUndirected && e.source === path[i + 1] && e.target === path[i])
+      );
+      if (edge) pathEdgeIds.add(edge.id);
+    }
+  });
+
+  edgeWeightOverrides = null;
+  steps.push({
+    ...johnsonFields(3, { phaseDetail: ' (complete)' }),
+    explanation: `Johnson's complete. All-pairs distances use the original weights; paths from ${nodes[sourceNodeId]?.label} highlighted.`,
+    algorithmStep: 'Done',
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: distances,
+    iterationCount: n,
+    negativeCycleDetected: false,
+    edgeUpdates: [...pathEdgeIds].map((id) => ({ id, status: 'included' })),
+    pathEdgeUpdates: [...pathEdgeIds],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+  });
+
+  setShortestPathResult({ distances, paths: selectedSourcePaths });
+  return steps;
+}
@@ -0,0 +1,28 @@
+import React from "react";
+import { K_PATH_COLORS } from "./YenSteps";
+
+/**
+ * Drawer control for Yen's algorithm: how many shortest simple paths to rank.
+ * One colour per rank, so K is capped at the palette size.
+ */
+const KPathSettings = ({ options, onChange }) => (
+  <div className="mb-6">
+    <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+      Number of Paths (K)
+    </label>
+    <select
+      value={options.k}
+      onChange={(e) => onChange({ k: parseInt(e.target.value) })}
+      className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+    >
+      {K_PATH_COLORS.map((_, index) => (
+        <option key={index + 1} value={index + 1}>{index + 1}</option>
+      ))}
+    </select>
+    <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+      Paths are loopless and ranked by total cost; fewer are shown if the graph has fewer
+    </p>
+  </div>
+);
+
+export default KPathSettings;
@@ -33,7 +33,7 @@ const ManualModeToolbar = ({
   onDeleteEdgeMode,
   onEditEdgeMode,
   onSelectSourceMode,
-  onSelectDestMode,
+  onSelectDestMode, // Optional: the Target tool is hidden without it
   onClearGraph,
   onCancelOperation,
   
@@ -41,6 +41,8 @@ const ManualModeToolbar = ({
   nodes,
   selectedSourceNode,
   selectedDestNode,
+  sourceLabel = "Source", // e.g. "Start" for spanning tree algorithms
+  destLabel = "Target", // e.g. "Sink" for flow networks
 }) => {
   // Determine current active mode for display
   const getActiveMode = () => {
@@ -50,8 +52,8 @@ const ManualModeToolbar = ({
     if (isDeletingNode) return "Click node to delete";
     if (isDeletingEdge) return "Click edge to delete";
     if (isEditingEdge) return "Click edge weight to edit";
-    if (isSelectingSource) return "Click node to set as source";
-    if (isSelectingDest) return "Click node to set as target";
+    if (isSelectingSource) return `Click node to set as ${sourceLabel.toLowerCase()}`;
+    if (isSelectingDest) return `Click node to set as ${destLabel.toLowerCase()}`;
     return null;
   };
 
@@ -163,18 +165,20 @@ const ManualModeToolbar = ({
         <div className="flex items-center gap-1 pt-2">
           <ToolButton
             icon={Flag}
-            label="Source"
+            label={sourceLabel}
             isActive={isSelectingSource}
             onClick={onSelectSourceMode}
             variant="success"
           />
-          <ToolButton
-            icon={Target}
-            label="Target"
-            isActive={isSelectingDest}
-            onClick={onSelectDestMode}
-            variant="success"
-          />
+          {onSelectDestMode && (
+            <ToolButton
+              icon={Target}
+              label={destLabel}
+              isActive={isSelectingDest}
+              onClick={onSelectDestMode}
+              variant="success"
+            />
+          )}
           
           <div className="w-px h-8 bg-zinc-200 dark:bg-zinc-700 mx-1" />
           
@@ -197,7 +201,7 @@ const ManualModeToolbar = ({
                 <div className="w-5 h-5 rounded-full bg-emerald-500 flex items-center justify-center text-white text-[10px] font-bold">
                   {nodes[selectedSourceNode]?.label}
                 </div>
-                <span className="text-zinc-600 dark:text-zinc-400">Source</span>
+                <span className="text-zinc-600 dark:text-zinc-400">{sourceLabel}</span>
               </div>
             )}
             {selectedSourceNode !== null && selectedDestNode !== null && (
@@ -208,7 +212,7 @@ const ManualModeToolbar = ({
                 <div className="w-5 h-5 rounded-full bg-rose-500 flex items-center justify-center text-white text-[10px] font-bold">
                   {nodes[selectedDestNode]?.label}
                 </div>
-                <span className="text-zinc-600 dark:text-zinc-400">Target</span>
+                <span className="text-zinc-600 dark:text-zinc-400">{destLabel}</span>
               </div>
             )}
           </div>
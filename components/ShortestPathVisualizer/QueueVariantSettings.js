@@ -0,0 +1,31 @@
+import React from "react";
+import { DIJKSTRA_QUEUE_VARIANTS } from "./DijkstraSteps";
+
+/**
+ * Drawer control for Dijkstra: lazy-deletion or decrease-key priority queue.
+ */
+const QueueVariantSettings = ({ options, onChange }) => {
+  const selected = DIJKSTRA_QUEUE_VARIANTS[options.queueVariant] || DIJKSTRA_QUEUE_VARIANTS["decrease-key"];
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">
+        Priority Queue Variant
+      </label>
+      <select
+        value={options.queueVariant}
+        onChange={(e) => onChange({ queueVariant: e.target.value })}
+        className="w-full rounded-md border border-zinc-300 dark:border-zinc-700 p-2 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+      >
+        {Object.entries(DIJKSTRA_QUEUE_VARIANTS).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+        {selected.description}
+      </p>
+    </div>
+  );
+};
+
+export default QueueVariantSettings;
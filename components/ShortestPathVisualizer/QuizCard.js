@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { describeAnswer } from "./quiz";
+
+const formatDist = (value) => (value === Infinity ? "∞" : value);
+
+/**
+ * Quiz mode card: asks for a prediction before a significant step, then grades it against the
+ * upcoming step. A wrong guess shows the right answer with the step's own explanation.
+ */
+const QuizCard = ({ nodes, steps, distanceArray, quiz, quizScore, onAnswer, onContinue }) => {
+  const [distGuess, setDistGuess] = useState("");
+  const label = (id) => nodes[id]?.label;
+
+  const submitDist = (e) => {
+    e.preventDefault();
+    const value = parseFloat(distGuess);
+    if (Number.isNaN(value)) return;
+    onAnswer(value);
+    setDistGuess("");
+  };
+
+  return (
+    <div className="w-80 bg-white/95 dark:bg-zinc-900/95 backdrop-blur-md shadow-lg border border-zinc-200 dark:border-zinc-800 rounded-xl p-3">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Predict the Next Step</h3>
+        <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full tabular-nums">
+          Score {quizScore.correct}/{quizScore.answered}
+        </span>
+      </div>
+
+      {!quiz ? (
+        <p className="text-xs text-zinc-500 dark:text-zinc-400">
+          Press Start or Step. Before each extraction or relaxation you will be asked what happens next.
+        </p>
+      ) : (
+        <>
+          {/* Question */}
+          {quiz.question.type === "extract" ? (
+            <>
+              <p className="text-sm text-zinc-800 dark:text-zinc-100 mb-2">Which node is extracted next?</p>
+              <div className="flex flex-wrap gap-1.5">
+                {quiz.question.choices.map((id) => (
+                  <button
+                    key={id}
+                    onClick={() => onAnswer(id)}
+                    disabled={quiz.answered}
+                    className={`px-2.5 py-1 rounded text-xs font-medium border transition-colors ${
+                      quiz.answered && id === quiz.question.answer
+                        ? "bg-emerald-500 border-emerald-500 text-white"
+                        : quiz.answered && id === quiz.guess
+                          ? "bg-rose-500 border-rose-500 text-white"
+                          : "bg-white dark:bg-zinc-800 border-zinc-300 dark:border-zinc-600 text-zinc-700 dark:text-zinc-300 hover:bg-indigo-50 dark:hover:bg-zinc-700"
+                    }`}
+                  >
+                    {label(id)}
+                    {distanceArray[id] !== undefined && (
+                      <span className="ml-1 opacity-70 tabular-nums">({formatDist(distanceArray[id])})</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-zinc-800 dark:text-zinc-100 mb-2">
+                Relax {label(quiz.question.from)}→{label(quiz.question.to)} (w={quiz.question.weight}).
+                dist[{label(quiz.question.to)}] is {formatDist(quiz.question.oldDist)} now. What is it after this step?
+              </p>
+              {!quiz.answered && (
+                <form onSubmit={submitDist} className="flex gap-1.5">
+                  <input
+                    type="number"
+                    value={distGuess}
+                    onChange={(e) => setDistGuess(e.target.value)}
+                    placeholder={`new dist[${label(quiz.question.to)}]`}
+                    className="flex-1 min-w-0 rounded-md border border-zinc-300 dark:border-zinc-700 p-1.5 text-xs bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-100"
+                  />
+                  <button
+                    type="submit"
+                    className="px-2.5 py-1 rounded text-xs font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+                  >
+                    Check
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onAnswer(null)}
+                    className="px-2.5 py-1 rounded text-xs font-medium bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-50 dark:hover:bg-zinc-700 transition-colors"
+                  >
+                    No change
+                  </button>
+                </form>
+              )}
+            </>
+          )}
+
+          {/* Feedback */}
+          {quiz.answered && (
+            <div
+              className={`mt-2 rounded p-2 text-xs border ${
+                quiz.correct
+                  ? "bg-emerald-50 dark:bg-emerald-950/40 border-emerald-200 dark:border-emerald-800 text-emerald-800 dark:text-emerald-300"
+                  : "bg-rose-50 dark:bg-rose-950/40 border-rose-200 dark:border-rose-800 text-rose-800 dark:text-rose-300"
+              }`}
+            >
+              <p className="font-semibold">
+                {quiz.correct ? "Correct! " : "Not quite. "}
+                {describeAnswer(quiz.question, nodes)}
+              </p>
+              {!quiz.correct && <p className="mt-1">{steps[quiz.stepIndex]?.explanation}</p>}
+            </div>
+          )}
+
+          {quiz.answered && (
+            <button
+              onClick={onContinue}
+              className="w-full mt-2 px-3 py-1.5 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+            >
+              Continue
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuizCard;
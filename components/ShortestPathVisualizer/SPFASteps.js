@@ -0,0 +1,242 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for SPFA (Shortest Path Faster Algorithm).
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * SPFA is the queue-based Bellman-Ford used in practice: instead of relaxing every edge |V|-1
+ * times, it keeps a FIFO queue of the nodes whose distance changed and only relaxes their
+ * outgoing edges. Without a negative cycle a node is enqueued at most |V|-1 times (once per
+ * Bellman-Ford round), so a node enqueued |V| times is a negative-cycle witness.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `spfaQueue`: node ids in the queue after the step, front first
+ * - `enqueueCounts`: { [nodeId]: times the node has been enqueued }
+ * - `queueOperation`: { type: 'enqueue' | 'dequeue', node } done by the step, or null
+ * - `negativeCycleWitness`: node id that reached |V| enqueues, or null
+ * - `negativeCycle`: { vertices, edges, totalWeight } traced back from the witness (last steps only)
+ * - `opCounts`: shared operation counters (see opCounts.js)
+ */
+import { findNegativeCycle, describeCycle } from './negativeCycle';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const SPFA_STEP_LABELS = [
+  "1. Initialize distances and enqueue the source",
+  "2. Dequeue the node at the front of the queue",
+  "3. Relax its outgoing edges",
+  "4. Enqueue nodes whose distance improved",
+  "5. A node was enqueued |V| times: negative cycle",
+];
+
+export function generateSPFASteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const label = (id) => nodes[id]?.label;
+
+  const steps = [];
+  const dist = {};
+  const prev = {};
+  const prevEdge = {};
+  const queue = [];
+  const inQueue = new Set();
+  const enqueueCounts = {};
+  let dequeues = 0;
+  let negativeCycleWitness = null;
+  let negativeCycle = null;
+  const ops = createOpCounts();
+
+  const pushStep = (step) => steps.push({
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: { ...dist },
+    iterationCount: dequeues,
+    negativeCycleDetected: negativeCycleWitness !== null,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    spfaQueue: [...queue],
+    enqueueCounts: { ...enqueueCounts },
+    queueOperation: null,
+    negativeCycleWitness,
+    opCounts: { ...ops },
+    ...step,
+  });
+
+  // Without a source in the graph there is nothing to enqueue
+  if (sourceNodeId == null || !nodes[sourceNodeId]) {
+    pushStep({
+      explanation: nodes.length === 0
+        ? 'The graph is empty. Add nodes, set a source, then press Start.'
+        : 'SPFA needs a source node. Use "Set Source" to pick one, then press Start.',
+      algorithmStep: 'Done',
+      distanceArray: {},
+      enqueueCounts: {},
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  // Outgoing edges per node (both directions for undirected edges, like Bellman-Ford)
+  const outgoing = {};
+  for (let i = 0; i < nodes.length; i++) {
+    dist[i] = i === sourceNodeId ? 0 : Infinity;
+    prev[i] = null;
+    enqueueCounts[i] = 0;
+    outgoing[i] = [];
+  }
+  for (const edge of edges) {
+    outgoing[edge.source]?.push(edge);
+    if (!isDirected && edge.isUndirected) {
+      outgoing[edge.target]?.push({ ...edge, source: edge.target, target: edge.source });
+    }
+  }
+
+  const enqueue = (id) => {
+    queue.push(id);
+    ops.pushes++;
+    inQueue.add(id);
+    enqueueCounts[id] += 1;
+  };
+
+  enqueue(sourceNodeId);
+  pushStep({
+    explanation: `Distances init. Source ${label(sourceNodeId)}=0, others=∞. Enqueue ${label(sourceNodeId)}.`,
+    algorithmStep: SPFA_STEP_LABELS[0],
+    updatedDistances: [sourceNodeId],
+    queueOperation: { type: 'enqueue', node: sourceNodeId },
+  });
+
+  // =========================
+  //   QUEUE PROCESSING
+  // =========================
+  while (queue.length > 0 && negativeCycleWitness === null) {
+    const u = queue.shift();
+    ops.pops++;
+    inQueue.delete(u);
+    dequeues += 1;
+
+    pushStep({
+      explanation: `Dequeue ${label(u)} (dist ${dist[u]}). Only edges leaving a node whose distance changed can improve anything.`,
+      algorithmStep: SPFA_STEP_LABELS[1],
+      visitedNodes: [u],
+      queueOperation: { type: 'dequeue', node: u },
+    });
+
+    for (const outgoingEdge of outgoing[u]) {
+      const { source, target, weight, id } = outgoingEdge;
+      pushStep({
+        explanation: `Check edge ${label(source)}→${label(target)} (w=${weight})`,
+        algorithmStep: SPFA_STEP_LABELS[2],
+        visitedNodes: [u],
+        edgeUpdates: [{ id, status: 'candidate' }],
+        currentEdgeBeingRelaxed: id,
+      });
+
+      const newDist = dist[source] + weight;
+      if (!countRelaxation(ops, newDist < dist[target])) {
+        pushStep({
+          explanation: `No improvement for ${label(target)}. Dist remains ${dist[target] === Infinity ? '∞' : dist[target]}`,
+          algorithmStep: SPFA_STEP_LABELS[2],
+          visitedNodes: [u],
+          edgeUpdates: [{ id, status: 'excluded' }],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      const oldDist = dist[target];
+      dist[target] = newDist;
+      prev[target] = source;
+      prevEdge[target] = outgoingEdge;
+
+      if (inQueue.has(target)) {
+        pushStep({
+          explanation: `Relaxed edge. Dist to ${label(target)} from ${oldDist === Infinity ? '∞' : oldDist} → ${newDist}. ${label(target)} is already queued, so it is not added again.`,
+          algorithmStep: SPFA_STEP_LABELS[2],
+          visitedNodes: [u],
+          edgeUpdates: [{ id, status: 'included' }],
+          pathEdgeUpdates: [id],
+          updatedDistances: [target],
+          currentEdgeBeingRelaxed: id,
+        });
+        continue;
+      }
+
+      enqueue(target);
+      if (enqueueCounts[target] >= nodes.length) {
+        negativeCycleWitness = target;
+        negativeCycle = findNegativeCycle({
+          nodes,
+          edges: Object.values(outgoing).flat(),
+          dist,
+          prevEdge,
+          start: target,
+        });
+        pushStep({
+          explanation: `Dist to ${label(target)} dropped to ${newDist} and it has now been enqueued ${enqueueCounts[target]} times. Without a negative cycle no node is enqueued more than |V|-1 = ${nodes.length - 1} times, so ${label(target)} witnesses a negative cycle. Walking predecessors from ${label(negativeCycle.start)} finds ${describeCycle(negativeCycle, nodes)}.`,
+          algorithmStep: SPFA_STEP_LABELS[4],
+          visitedNodes: negativeCycle.vertices,
+          edgeUpdates: negativeCycle.edges.map((cycleEdgeId) => ({ id: cycleEdgeId, status: 'negativecycle' })),
+          negativeCycle,
+          updatedDistances: [target],
+          currentEdgeBeingRelaxed: id,
+          queueOperation: { type: 'enqueue', node: target },
+        });
+        break;
+      }
+
+      pushStep({
+        explanation: `Relaxed edge. Dist to ${label(target)} from ${oldDist === Infinity ? '∞' : oldDist} → ${newDist}. Enqueue ${label(target)} (${enqueueCounts[target]} of ${nodes.length}).`,
+        algorithmStep: SPFA_STEP_LABELS[3],
+        visitedNodes: [u],
+        edgeUpdates: [{ id, status: 'included' }],
+        pathEdgeUpdates: [id],
+        updatedDistances: [target],
+        currentEdgeBeingRelaxed: id,
+        queueOperation: { type: 'enqueue', node: target },
+      });
+    }
+  }
+
+  // Final step
+  if (negativeCycleWitness !== null) {
+    pushStep({
+      explanation: `SPFA stopped after ${dequeues} dequeues: ${label(negativeCycleWitness)} was enqueued |V| = ${nodes.length} times. Negative cycle ${describeCycle(negativeCycle, nodes)}; shortest paths are undefined.`,
+      algorithmStep: 'Done',
+      edgeUpdates: negativeCycle.edges.map((cycleEdgeId) => ({ id: cycleEdgeId, status: 'negativecycle' })),
+      negativeCycle,
+    });
+    // Negative cycle => no definitive shortest path
+    setShortestPathResult({ distances: dist, paths: {}, negativeCycle });
+    return steps;
+  }
+
+  const totalEnqueues = Object.values(enqueueCounts).reduce((sum, count) => sum + count, 0);
+  pushStep({
+    explanation: `Queue empty: SPFA complete after ${dequeues} dequeues (${totalEnqueues} enqueues). No negative cycle.`,
+    algorithmStep: 'Done',
+  });
+
+  // Build paths
+  const paths = {};
+  for (let i = 0; i < nodes.length; i++) {
+    if (i !== sourceNodeId && dist[i] !== Infinity) {
+      const path = [];
+      let curr = i;
+      while (curr !== null) {
+        path.unshift(curr);
+        curr = prev[curr];
+      }
+      paths[i] = path;
+    }
+  }
+  setShortestPathResult({ distances: dist, paths });
+
+  return steps;
+}
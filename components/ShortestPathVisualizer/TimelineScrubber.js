@@ -0,0 +1,71 @@
+import React, { useMemo } from "react";
+import { Slider } from "@/components/ui/slider";
+import { TIMELINE_EVENT_TYPES, getTimelineEvents } from "./timelineEvents";
+
+/**
+ * Timeline across all steps of a run. Drag the slider to jump to any step, or click a marker
+ * to jump straight to that event. Each event type gets its own lane of markers above the track.
+ */
+const TimelineScrubber = ({ steps, currentStep, onJump, disabled = false }) => {
+  const events = useMemo(() => getTimelineEvents(steps), [steps]);
+
+  if (steps.length === 0) return null;
+
+  // A marker for step i sits where the slider is after applying it (currentStep = i + 1)
+  const position = (index) => `${((index + 1) / steps.length) * 100}%`;
+  const lanes = TIMELINE_EVENT_TYPES
+    .map((eventType) => ({ ...eventType, events: events.filter((event) => event.type === eventType.type) }))
+    .filter((lane) => lane.events.length > 0);
+
+  return (
+    <div className="border-t border-zinc-200 dark:border-zinc-800 px-4 py-2">
+      <div className="flex flex-wrap items-center justify-between gap-x-4 gap-y-1 mb-1.5 text-xs">
+        <span className="font-semibold text-zinc-700 dark:text-zinc-300">Timeline</span>
+        <div className="flex flex-wrap items-center gap-3 text-zinc-500 dark:text-zinc-400">
+          {lanes.map(({ type, label, color, events: laneEvents }) => (
+            <span key={type} className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: color }} />
+              {label} ({laneEvents.length})
+            </span>
+          ))}
+        </div>
+        <span className="text-zinc-500 dark:text-zinc-400 font-medium tabular-nums">
+          {currentStep}/{steps.length}
+        </span>
+      </div>
+
+      {/* Marker lanes, inset by half the thumb width so they line up with the thumb */}
+      <div className={`px-2.5 space-y-0.5 mb-1 ${disabled ? "opacity-50" : ""}`}>
+        {lanes.map(({ type, label, color, events: laneEvents }) => (
+          <div key={type} className="relative h-1.5">
+            {laneEvents.map(({ index }) => (
+              <button
+                key={index}
+                type="button"
+                disabled={disabled}
+                onClick={() => onJump(index + 1)}
+                title={`${label} · step ${index + 1}: ${steps[index].explanation}`}
+                aria-label={`${label} at step ${index + 1}`}
+                className="absolute top-0 h-full w-1 -ml-0.5 rounded-sm hover:scale-y-150 transition-transform disabled:pointer-events-none"
+                style={{ left: position(index), backgroundColor: color }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <Slider
+        value={[currentStep]}
+        onValueChange={(value) => onJump(value[0])}
+        min={0}
+        max={steps.length}
+        step={1}
+        disabled={disabled}
+        className="w-full"
+        aria-label="Step timeline"
+      />
+    </div>
+  );
+};
+
+export default TimelineScrubber;
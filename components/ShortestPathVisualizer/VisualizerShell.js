@@ -0,0 +1,335 @@
+import React, { useState } from "react";
+import Link from "next/link";
+
+import { useIsMobile } from "./hooks/useIsMobile";
+
+// Import shadcn/ui components
+import { FloatingNav, FloatingNavItem, FloatingNavDivider } from "@/components/ui/floating-nav";
+import { Drawer, DrawerContent, DrawerHeader, DrawerTitle, DrawerDescription } from "@/components/ui/drawer";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { ThemeToggle } from "@/components/ui/theme-toggle";
+
+// Import lucide-react icons
+import { Play, Pause, SkipForward, RotateCcw, Eye, EyeOff, Settings, LayoutGrid } from "lucide-react";
+
+const TAB_TRIGGER_CLASS = "text-[10px] sm:text-xs px-2 sm:px-3 rounded-full data-[state=active]:bg-indigo-600 data-[state=active]:text-white data-[state=active]:shadow-sm";
+
+// Tailwind needs the full class names, so each terminal colour is spelled out
+const TERMINAL_BUTTON_COLORS = {
+  emerald: {
+    active: "bg-emerald-500 text-white shadow-md",
+    idle: "hover:bg-emerald-50 dark:hover:bg-emerald-950/20",
+    dot: "bg-emerald-500",
+  },
+  orange: {
+    active: "bg-orange-500 text-white shadow-md",
+    idle: "hover:bg-orange-50 dark:hover:bg-orange-950/20",
+    dot: "bg-orange-500",
+  },
+};
+
+/**
+ * Auto mode toolbar below the graph with one button per terminal to pick (start vertex, source, sink).
+ *
+ * @param {Array<Object>} buttons - { label, isActive, onClick, color: 'emerald'|'orange' }
+ * @param {Function} [onCancel] - Shows a Cancel button while a terminal is being picked
+ */
+export const TerminalToolbar = ({ buttons, onCancel = null }) => (
+  <div className="bg-gradient-to-r from-zinc-50 to-zinc-100 dark:from-zinc-900 dark:to-zinc-800 border-t border-zinc-200 dark:border-zinc-700 px-4 py-3">
+    <div className="flex items-center justify-center gap-3">
+      {buttons.map(({ label, isActive, onClick, color }) => (
+        <button
+          key={label}
+          onClick={onClick}
+          className={`px-4 py-2 rounded-lg text-sm font-medium transition-all flex items-center gap-2 ${
+            isActive
+              ? TERMINAL_BUTTON_COLORS[color].active
+              : `bg-white dark:bg-zinc-800 text-zinc-700 dark:text-zinc-300 border border-zinc-300 dark:border-zinc-600 ${TERMINAL_BUTTON_COLORS[color].idle}`
+          }`}
+        >
+          <div className={`w-3 h-3 rounded-full ${TERMINAL_BUTTON_COLORS[color].dot}`} />
+          {isActive ? "Click a node..." : label}
+        </button>
+      ))}
+
+      {onCancel && buttons.some(({ isActive }) => isActive) && (
+        <button
+          onClick={onCancel}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-zinc-200 dark:bg-zinc-700 text-zinc-600 dark:text-zinc-400 hover:bg-zinc-300 dark:hover:bg-zinc-600 transition-all"
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Page layout shared by the shortest path, MST and flow visualizers: floating navbar with the
+ * algorithm and Explore/View tabs, collapsible legend, graph card, floating Start/Step/Reset bar,
+ * the explanation with the registry panels for narrow screens, and the settings drawer.
+ * Pages supply the graph area, toolbars, legend entries and drawer contents. A page with its own
+ * mobile controls gets them instead of the floating bar, info panel and Explore/View tabs on phones.
+ *
+ * @param {Object} props
+ * @param {boolean} props.embedded - Fixed-height layout for the landing page iframe
+ * @param {Component} props.icon - Navbar icon (lucide-react)
+ * @param {string} props.title - Navbar title
+ * @param {Array<Object>} props.algorithms - Registry definitions shown as tabs
+ * @param {Object} props.definition - Definition of the selected algorithm
+ * @param {Function} props.onAlgorithmChange - Called with the id of the picked tab
+ * @param {boolean} [props.lockAlgorithm] - Disables the other algorithm tabs (while replaying a run)
+ * @param {string} props.visualizationMode - 'explore' or 'view'
+ * @param {Function} props.onToggleVisualizationMode - Switches between explore and view mode
+ * @param {string} props.viewTitle - Tooltip of the View tab
+ * @param {ReactNode} [props.navItems] - Extra navbar buttons, shown before the legend toggle
+ * @param {ReactNode} props.legend - Legend entries
+ * @param {Object} props.svgRef - Ref for the graph area
+ * @param {Function} props.onGraphClick - Click handler of the graph area
+ * @param {Object} [props.graphAreaProps] - Extra props of the graph area, such as touch handlers
+ * @param {ReactNode} props.children - Graph area contents (the SVG, hints and overlays)
+ * @param {ReactNode} [props.toolbar] - Toolbars shown below the graph area
+ * @param {Object} props.playback - { steps, currentStep, isRunning, isPaused, onPlay, onStep, onReset }
+ * @param {Object} props.panelProps - Props passed to each registry panel
+ * @param {ReactNode} [props.stats] - Shown between the registry panels and the explanation
+ * @param {string} props.explanation - Current step explanation
+ * @param {ReactNode} [props.mobileControls] - Replaces the playback bar and info panel on phones
+ * @param {boolean} props.isDrawerOpen - Whether the settings drawer is open
+ * @param {Function} props.onDrawerOpenChange - Drawer open state setter
+ * @param {string} props.drawerTitle - Settings drawer title
+ * @param {string} props.drawerDescription - Settings drawer subtitle
+ * @param {ReactNode} props.settings - Settings drawer contents
+ * @param {ReactNode} [props.overlays] - Rendered last, outside the graph card (popovers, dialogs, floating panels)
+ */
+const VisualizerShell = ({
+  embedded = false,
+  icon: Icon,
+  title,
+  algorithms,
+  definition,
+  onAlgorithmChange,
+  lockAlgorithm = false,
+  visualizationMode,
+  onToggleVisualizationMode,
+  viewTitle,
+  navItems = null,
+  legend,
+  svgRef,
+  onGraphClick,
+  graphAreaProps = null,
+  children,
+  toolbar = null,
+  playback,
+  panelProps,
+  stats = null,
+  explanation,
+  mobileControls = null,
+  isDrawerOpen,
+  onDrawerOpenChange,
+  drawerTitle,
+  drawerDescription,
+  settings,
+  overlays = null,
+}) => {
+  const [showLegend, setShowLegend] = useState(false);
+  const isMobile = useIsMobile();
+  const showsMobileControls = Boolean(mobileControls) && isMobile;
+  const { steps, currentStep, isRunning, isPaused, onPlay, onStep, onReset } = playback;
+  const position = embedded ? "absolute" : "fixed";
+
+  return (
+    <div
+      className={embedded ? "relative flex flex-col bg-zinc-100 dark:bg-zinc-950" : "flex flex-col min-h-screen bg-zinc-100 dark:bg-zinc-950"}
+      style={embedded ? { height: '600px', maxHeight: '600px', overflow: 'hidden', position: 'relative' } : undefined}
+    >
+      {/* FLOATING NAVBAR */}
+      <div className={`${position} top-2 sm:top-4 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-1rem)] sm:w-auto max-w-[calc(100vw-2rem)] overflow-visible`}>
+        <FloatingNav>
+          <Link href="/" className="flex items-center justify-center rounded-full p-1.5 sm:p-2 text-zinc-600 hover:bg-zinc-100 dark:text-zinc-400 dark:hover:bg-zinc-800 transition-all duration-200 flex-shrink-0" title="Back to Dashboard">
+            <LayoutGrid className="w-4 h-4" />
+          </Link>
+
+          <FloatingNavDivider />
+
+          <div className="flex items-center gap-1 sm:gap-2 px-1 sm:px-3 flex-shrink-0">
+            <Icon className="w-4 h-4 text-indigo-600 dark:text-indigo-400" />
+            <span className="hidden sm:inline text-sm font-semibold tracking-tight text-zinc-800 dark:text-zinc-200">
+              {title}
+            </span>
+          </div>
+
+          <FloatingNavDivider />
+
+          {/* Algorithm Tabs */}
+          <Tabs value={definition.id} onValueChange={onAlgorithmChange} className="flex-shrink-0">
+            <TabsList className="h-8 sm:h-9 bg-zinc-100 dark:bg-zinc-800 rounded-full">
+              {algorithms.map((tabDefinition) => (
+                <TabsTrigger
+                  key={tabDefinition.id}
+                  value={tabDefinition.id}
+                  disabled={lockAlgorithm && tabDefinition.id !== definition.id}
+                  className={TAB_TRIGGER_CLASS}
+                >
+                  {tabDefinition.shortName}
+                </TabsTrigger>
+              ))}
+            </TabsList>
+          </Tabs>
+
+          {/* Visualization Mode Toggle (the mobile controls have their own) */}
+          {!showsMobileControls && (
+            <>
+              <FloatingNavDivider />
+              <Tabs
+                value={visualizationMode}
+                onValueChange={(value) => value !== visualizationMode && onToggleVisualizationMode()}
+                className="flex-shrink-0"
+              >
+                <TabsList className="h-8 sm:h-9 bg-zinc-100 dark:bg-zinc-800 rounded-full">
+                  <TabsTrigger value="explore" className={TAB_TRIGGER_CLASS} title="Step through the algorithm step-by-step">
+                    Explore
+                  </TabsTrigger>
+                  <TabsTrigger value="view" className={TAB_TRIGGER_CLASS} title={viewTitle}>
+                    View
+                  </TabsTrigger>
+                </TabsList>
+              </Tabs>
+            </>
+          )}
+
+          <FloatingNavDivider />
+
+          {navItems}
+
+          <FloatingNavItem onClick={() => setShowLegend(!showLegend)} active={showLegend} tooltip={showLegend ? "Hide Legend" : "Show Legend"} className="flex-shrink-0">
+            {showLegend ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+          </FloatingNavItem>
+
+          <FloatingNavItem onClick={() => onDrawerOpenChange(true)} tooltip="Settings" className="flex-shrink-0">
+            <Settings className="w-4 h-4" />
+          </FloatingNavItem>
+
+          <div className="flex-shrink-0">
+            <ThemeToggle />
+          </div>
+        </FloatingNav>
+      </div>
+
+      {/* LEGEND (Collapsible) */}
+      {showLegend && (
+        <div className={`${position} top-20 left-1/2 -translate-x-1/2 z-40 bg-white/95 dark:bg-zinc-900/95 backdrop-blur-md shadow-lg border border-zinc-200 dark:border-zinc-800 rounded-xl p-3 overflow-x-auto`}>
+          <div className="flex flex-wrap gap-3 items-center justify-center">
+            {legend}
+          </div>
+        </div>
+      )}
+
+      {/* MAIN CONTENT */}
+      <div className="flex flex-1 min-h-0 pt-20 p-2 sm:p-4" style={embedded ? { height: 'calc(600px - 5rem)' } : undefined}>
+        <div className="flex-1 flex flex-col overflow-hidden">
+          <div className="bg-white dark:bg-zinc-900 shadow-md rounded-lg overflow-hidden flex-1 flex flex-col border border-zinc-200 dark:border-zinc-800">
+            {/* SVG AREA */}
+            <div className="flex-1 relative min-h-[300px]" ref={svgRef} onClick={onGraphClick} {...graphAreaProps}>
+              {children}
+            </div>
+
+            {toolbar}
+
+            {/* FLOATING CONTROL BAR */}
+            <div className={showsMobileControls ? "hidden" : `${position} bottom-5 left-1/2 -translate-x-1/2 z-40`}>
+              <div className="bg-white/95 dark:bg-zinc-900/95 backdrop-blur-md rounded-full px-4 sm:px-6 py-3 sm:py-4 shadow-xl border border-zinc-200 dark:border-zinc-800 flex items-center gap-4">
+                {steps.length > 0 && (
+                  <div className="hidden sm:flex items-center gap-2 pr-4 border-r border-zinc-200 dark:border-zinc-700">
+                    <span className="text-sm text-zinc-500 dark:text-zinc-400 font-medium tabular-nums whitespace-nowrap">
+                      {currentStep}/{steps.length}
+                    </span>
+                    <div className="h-2 w-20 bg-zinc-200 dark:bg-zinc-700 rounded-full">
+                      <div
+                        className="h-2 bg-indigo-500 rounded-full transition-all duration-300"
+                        style={{ width: `${(currentStep / steps.length) * 100}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-center gap-2 sm:gap-3">
+                  <button
+                    onClick={onPlay}
+                    className="h-11 px-4 sm:px-6 rounded-full flex items-center justify-center font-semibold text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition-all shadow-md hover:shadow-lg active:scale-95"
+                  >
+                    {isRunning && !isPaused ? (
+                      <>
+                        <Pause className="w-4 h-4 mr-2" />
+                        Pause
+                      </>
+                    ) : (
+                      <>
+                        <Play className="w-4 h-4 mr-2" />
+                        {isRunning ? "Resume" : "Start"}
+                      </>
+                    )}
+                  </button>
+
+                  <button
+                    onClick={onStep}
+                    className="h-11 px-4 sm:px-6 rounded-full flex items-center justify-center font-semibold text-sm bg-white dark:bg-zinc-800 border-2 border-indigo-600 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-950/30 transition-all active:scale-95"
+                  >
+                    <SkipForward className="w-4 h-4 mr-2" />
+                    Step
+                  </button>
+
+                  <button
+                    onClick={onReset}
+                    className="h-11 px-4 sm:px-6 rounded-full flex items-center justify-center font-semibold text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-50 dark:hover:bg-zinc-700 transition-all active:scale-95"
+                  >
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Reset
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* INFO PANEL - Below graph, above floating bar */}
+            <div className={showsMobileControls ? "hidden" : "bg-white dark:bg-zinc-900 border-t border-zinc-200 dark:border-zinc-800 px-4 pt-4 pb-24"}>
+              {/* Registry panels for narrow screens (the overlay is desktop only) */}
+              <div className="lg:hidden grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+                {definition.panels.map((Panel, index) => (
+                  <Panel key={index} {...panelProps} />
+                ))}
+              </div>
+
+              {stats}
+
+              <div className={`${stats ? "mt-4 " : ""}bg-indigo-50 dark:bg-indigo-900/20 rounded-lg p-3 border border-indigo-100 dark:border-indigo-800 min-h-16 max-h-32 overflow-y-auto`}>
+                <h3 className="font-semibold text-indigo-900 dark:text-indigo-100 text-sm mb-1">
+                  Current Step:
+                </h3>
+                <div className="text-sm text-indigo-800 dark:text-indigo-200">{explanation}</div>
+              </div>
+            </div>
+
+            {showsMobileControls && mobileControls}
+          </div>
+        </div>
+      </div>
+
+      {/* SETTINGS DRAWER */}
+      <Drawer open={isDrawerOpen} onOpenChange={onDrawerOpenChange}>
+        <DrawerContent className="max-h-[85vh]">
+          <DrawerHeader>
+            <DrawerTitle className="text-indigo-700 dark:text-indigo-400">{drawerTitle}</DrawerTitle>
+            <DrawerDescription>{drawerDescription}</DrawerDescription>
+          </DrawerHeader>
+
+          <div className="px-4 pb-4 overflow-y-auto">
+            {settings}
+          </div>
+        </DrawerContent>
+      </Drawer>
+
+      {overlays}
+    </div>
+  );
+};
+
+export default VisualizerShell;
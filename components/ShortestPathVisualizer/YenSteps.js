@@ -0,0 +1,261 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for Yen's K shortest simple paths.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * The first path is a plain Dijkstra shortest path. Every later path deviates from the previous
+ * one at some spur node: the root path (source … spur node) is kept, the edges that earlier paths
+ * with the same root take out of the spur node are removed, the root nodes themselves are removed
+ * (so the result stays loopless), and Dijkstra finds the spur path from the spur node to the
+ * target. Root + spur is a candidate; the cheapest candidate becomes the next path.
+ *
+ * Options:
+ * - `k`: number of paths to find (default 3)
+ *
+ * Besides the shared step fields, every step carries:
+ * - `kPaths`: accepted paths [{ rank, nodes, edges, cost, color }], best first
+ * - `candidatePaths`: candidates not yet accepted [{ nodes, edges, cost }], cheapest first
+ * - `spur`: { spurNode, rootNodes, removedEdges, removedNodes, spurPath } of the current spur computation, or null
+ * - `pathHighlights`: [{ edges, color }] of the accepted paths, for the graph bands
+ * - `kTarget`: K
+ * - `opCounts`: shared operation counters (see opCounts.js); every Dijkstra run counts as a pass
+ */
+import { getNeighbors } from './graphHelpers';
+import { createMinHeap } from './minHeap';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// One colour per rank; the graph bands and the ranked list use the same ones
+export const K_PATH_COLORS = ['#2563eb', '#f97316', '#16a34a', '#db2777', '#7c3aed', '#0891b2'];
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const YEN_STEP_LABELS = [
+  "1. Shortest path A¹ with Dijkstra",
+  "2. Pick a spur node, remove root nodes and used edges",
+  "3. Spur path from the spur node to the target",
+  "4. Accept the cheapest candidate as the next path",
+  "5. No candidates left",
+];
+
+/**
+ * Dijkstra from `sourceId` to `targetId`, ignoring removed nodes and edges.
+ * Its work is added to the operation counters `ops`.
+ *
+ * @returns {Object} { dist, path } where path is { nodes, edges, cost } or null if unreachable
+ */
+function dijkstraPath(nodes, edges, sourceId, targetId, isDirected, ops, removedNodes = new Set(), removedEdges = new Set()) {
+  const dist = {};
+  const prev = {};
+  const settled = new Set();
+  for (let i = 0; i < nodes.length; i++) dist[i] = Infinity;
+  dist[sourceId] = 0;
+  prev[sourceId] = null;
+
+  ops.passes++;
+  const pq = createMinHeap(ops);
+  pq.push(sourceId, 0);
+  while (pq.size() > 0) {
+    const { entry } = pq.pop();
+    if (settled.has(entry.id)) continue;
+    settled.add(entry.id);
+    for (const { nodeId, weight, edgeId } of getNeighbors(entry.id, edges, isDirected)) {
+      if (removedNodes.has(nodeId) || removedEdges.has(edgeId) || settled.has(nodeId)) continue;
+      if (countRelaxation(ops, entry.dist + weight < dist[nodeId])) {
+        dist[nodeId] = entry.dist + weight;
+        prev[nodeId] = { node: entry.id, edge: edgeId };
+        pq.push(nodeId, dist[nodeId]);
+      }
+    }
+  }
+
+  if (dist[targetId] === Infinity) return { dist, path: null };
+  const pathNodes = [targetId];
+  const pathEdges = [];
+  let current = targetId;
+  while (prev[current]) {
+    pathEdges.unshift(prev[current].edge);
+    current = prev[current].node;
+    pathNodes.unshift(current);
+  }
+  return { dist, path: { nodes: pathNodes, edges: pathEdges, cost: dist[targetId] } };
+}
+
+export function generateYenSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  setShortestPathResult,
+  options = {},
+}) {
+  const { k = 3 } = options;
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const targetNodeId = selectedDestNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const label = (id) => nodes[id]?.label;
+  const route = (pathNodes) => pathNodes.map(label).join('→');
+  const steps = [];
+
+  const kPaths = [];
+  let candidatePaths = [];
+  let spur = null;
+  let distances = {};
+  const ops = createOpCounts();
+
+  const pushStep = (step) => steps.push({
+    visitedNodes: [],
+    minHeap: [],
+    distanceArray: { ...distances },
+    iterationCount: kPaths.length,
+    negativeCycleDetected: false,
+    edgeUpdates: [],
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    kPaths: kPaths.map((path) => ({ ...path })),
+    candidatePaths: candidatePaths.map((path) => ({ ...path })),
+    spur,
+    pathHighlights: kPaths.map(({ edges: pathEdges, color }) => ({ edges: pathEdges, color })),
+    kTarget: k,
+    opCounts: { ...ops },
+    ...step,
+  });
+
+  // Point-to-point: the paths are ranked between the source and a chosen target
+  if (targetNodeId == null || !nodes[targetNodeId] || targetNodeId === sourceNodeId) {
+    pushStep({
+      explanation: targetNodeId === sourceNodeId && targetNodeId != null
+        ? "Yen's algorithm needs a target different from the source. Use \"Set Target\" to pick another node, then press Start."
+        : "Yen's algorithm needs a target node. Use \"Set Target\" to pick one, then press Start.",
+      algorithmStep: YEN_STEP_LABELS[0],
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  // =========================
+  //   FIRST PATH (DIJKSTRA)
+  // =========================
+  const first = dijkstraPath(nodes, edges, sourceNodeId, targetNodeId, isDirected, ops);
+  distances = first.dist;
+  if (!first.path) {
+    pushStep({
+      explanation: `Dijkstra from ${label(sourceNodeId)} never reaches ${label(targetNodeId)}: there is no path, so there are no K shortest paths either.`,
+      algorithmStep: YEN_STEP_LABELS[0],
+    });
+    pushStep({ explanation: 'Done: no path to rank.', algorithmStep: 'Done' });
+    setShortestPathResult({ distances, paths: {}, kPaths: [] });
+    return steps;
+  }
+
+  kPaths.push({ ...first.path, rank: 1, color: K_PATH_COLORS[0] });
+  pushStep({
+    explanation: `Dijkstra gives the shortest path A¹ = ${route(first.path.nodes)} (cost ${first.path.cost}). Every further path must deviate from an earlier one at some spur node.`,
+    algorithmStep: YEN_STEP_LABELS[0],
+    updatedDistances: [targetNodeId],
+  });
+
+  // Weight lookup for root path costs (edge ids are direction-independent for undirected edges)
+  const weightOf = {};
+  for (const edge of edges) weightOf[edge.id] = edge.weight;
+  const sameSequence = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+  const isKnown = (pathNodes) =>
+    kPaths.some((path) => sameSequence(path.nodes, pathNodes)) ||
+    candidatePaths.some((path) => sameSequence(path.nodes, pathNodes));
+
+  // =========================
+  //   SPUR COMPUTATIONS
+  // =========================
+  while (kPaths.length < k) {
+    const previous = kPaths[kPaths.length - 1];
+
+    for (let i = 0; i < previous.nodes.length - 1; i++) {
+      const spurNode = previous.nodes[i];
+      const rootNodes = previous.nodes.slice(0, i + 1);
+      const rootEdges = previous.edges.slice(0, i);
+      const rootCost = rootEdges.reduce((sum, id) => sum + weightOf[id], 0);
+
+      // Edges that accepted paths sharing this root take out of the spur node
+      const removedEdges = new Set();
+      for (const path of kPaths) {
+        if (sameSequence(path.nodes.slice(0, i + 1), rootNodes)) removedEdges.add(path.edges[i]);
+      }
+      // Root nodes other than the spur node, so the spur path cannot loop back through them
+      const removedNodes = new Set(rootNodes.slice(0, -1));
+      const blockedEdges = edges
+        .filter((edge) => removedNodes.has(edge.source) || removedNodes.has(edge.target))
+        .map((edge) => edge.id);
+      const spurEdgeUpdates = [
+        ...blockedEdges.map((id) => ({ id, status: 'excluded' })),
+        ...[...removedEdges].map((id) => ({ id, status: 'excluded' })),
+        ...rootEdges.map((id) => ({ id, status: 'level' })),
+      ];
+
+      spur = { spurNode, rootNodes, removedEdges: [...removedEdges], removedNodes: [...removedNodes], spurPath: null };
+      pushStep({
+        explanation: `Spur node ${label(spurNode)} on A${kPaths.length} (root ${route(rootNodes)}, cost ${rootCost}). Remove ${removedEdges.size} edge${removedEdges.size === 1 ? '' : 's'} already used after this root${removedNodes.size > 0 ? ` and root node${removedNodes.size === 1 ? '' : 's'} ${[...removedNodes].map(label).join(', ')}` : ''}.`,
+        algorithmStep: YEN_STEP_LABELS[1],
+        visitedNodes: rootNodes,
+        edgeUpdates: spurEdgeUpdates,
+      });
+
+      const { path: spurPath } = dijkstraPath(nodes, edges, spurNode, targetNodeId, isDirected, ops, removedNodes, removedEdges);
+      if (!spurPath) {
+        pushStep({
+          explanation: `With those removed, Dijkstra finds no path from ${label(spurNode)} to ${label(targetNodeId)}. No candidate from this spur node.`,
+          algorithmStep: YEN_STEP_LABELS[2],
+          visitedNodes: rootNodes,
+          edgeUpdates: spurEdgeUpdates,
+        });
+        continue;
+      }
+
+      const candidate = {
+        nodes: [...rootNodes.slice(0, -1), ...spurPath.nodes],
+        edges: [...rootEdges, ...spurPath.edges],
+        cost: rootCost + spurPath.cost,
+      };
+      spur = { ...spur, spurPath };
+      const known = isKnown(candidate.nodes);
+      if (!known) {
+        candidatePaths.push(candidate);
+        candidatePaths.sort((a, b) => a.cost - b.cost || a.nodes.length - b.nodes.length);
+      }
+      pushStep({
+        explanation: `Spur path ${route(spurPath.nodes)} (cost ${spurPath.cost}). Root + spur = ${route(candidate.nodes)}, cost ${rootCost} + ${spurPath.cost} = ${candidate.cost}.${known ? ' That path is already known, so it is not added again.' : ' Added to the candidates.'}`,
+        algorithmStep: YEN_STEP_LABELS[2],
+        visitedNodes: rootNodes,
+        edgeUpdates: [...spurEdgeUpdates, ...spurPath.edges.map((id) => ({ id, status: 'candidate' }))],
+      });
+    }
+
+    spur = null;
+    if (candidatePaths.length === 0) {
+      pushStep({
+        explanation: `No candidates left: only ${kPaths.length} simple path${kPaths.length === 1 ? '' : 's'} from ${label(sourceNodeId)} to ${label(targetNodeId)} exist${kPaths.length === 1 ? 's' : ''}, fewer than K = ${k}.`,
+        algorithmStep: YEN_STEP_LABELS[4],
+      });
+      break;
+    }
+
+    const next = candidatePaths.shift();
+    const rank = kPaths.length + 1;
+    kPaths.push({ ...next, rank, color: K_PATH_COLORS[(rank - 1) % K_PATH_COLORS.length] });
+    pushStep({
+      explanation: `The cheapest candidate ${route(next.nodes)} (cost ${next.cost}) becomes A${rank}.${candidatePaths.length > 0 ? ` ${candidatePaths.length} candidate${candidatePaths.length === 1 ? '' : 's'} stay in reserve.` : ''}`,
+      algorithmStep: YEN_STEP_LABELS[3],
+    });
+  }
+
+  pushStep({
+    explanation: `Done: ${kPaths.length} shortest simple path${kPaths.length === 1 ? '' : 's'} from ${label(sourceNodeId)} to ${label(targetNodeId)}: ${kPaths.map((path) => `#${path.rank} cost ${path.cost}`).join(', ')}.`,
+    algorithmStep: 'Done',
+  });
+
+  setShortestPathResult({
+    distances,
+    paths: { [targetNodeId]: kPaths[0].nodes },
+    kPaths: kPaths.map((path) => ({ ...path })),
+  });
+
+  return steps;
+}
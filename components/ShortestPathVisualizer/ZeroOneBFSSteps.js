@@ -0,0 +1,202 @@
+/**
+ * Generate the step-by-step instructions (array of steps) for 0-1 BFS.
+ * Return an array of step objects, and also set the final shortestPathResult in the parent.
+ *
+ * When every weight is 0 or 1, a deque replaces Dijkstra's priority queue: relaxing a 0-edge
+ * pushes the node to the front (same distance as the node being expanded) and a 1-edge pushes
+ * it to the back (one more). The deque then only ever holds two consecutive distances in order,
+ * so its front is always a minimum, in O(V + E) overall. A node can be pushed more than once;
+ * entries for a node that is already settled are stale and skipped when popped.
+ *
+ * Besides the shared step fields, every step carries:
+ * - `deque`: deque entries { id, dist, stale } after the step, front first
+ * - `dequeOperation`: { type: 'push-front' | 'push-back' | 'pop-front', node } done by the step, or null
+ * - `nodeLevels`: { [nodeId]: distance } of every reached node, for the layer halos
+ * - `currentLevel`: distance of the node being expanded
+ * - `opCounts`: shared operation counters (see opCounts.js)
+ */
+import { getNeighbors } from './graphHelpers';
+import { createOpCounts, countRelaxation } from './opCounts';
+
+// Explanation snippet (also used by the registry to map steps to pseudocode lines)
+export const ZERO_ONE_BFS_STEP_LABELS = [
+  "1. Initialize dist[s]=0, deque ← [s]",
+  "2. Pop the front node, skip it if already settled",
+  "3. 0-edge improves dist[v]: push v to the front",
+  "4. 1-edge improves dist[v]: push v to the back",
+  "5. Edge does not improve dist[v]",
+];
+
+export function generateZeroOneBFSSteps({
+  nodes,
+  edges,
+  selectedSourceNode,
+  graphParams,
+  setShortestPathResult,
+}) {
+  const sourceNodeId = selectedSourceNode != null ? selectedSourceNode : graphParams.sourceNode;
+  const isDirected = graphParams.isDirected !== false; // Default to true for backward compatibility
+  const label = (id) => nodes[id]?.label;
+  const steps = [];
+
+  // The deque argument only holds for 0/1 weights
+  const invalidEdge = edges.find((edge) => edge.weight !== 0 && edge.weight !== 1);
+  if (invalidEdge) {
+    steps.push({
+      explanation: `0-1 BFS needs every edge weight to be 0 or 1, but ${label(invalidEdge.source)}→${label(invalidEdge.target)} weighs ${invalidEdge.weight}. Generate a graph with the "0/1" weight distribution or edit the weights, then press Start.`,
+      algorithmStep: ZERO_ONE_BFS_STEP_LABELS[0],
+      visitedNodes: [],
+      minHeap: [],
+      distanceArray: {},
+      edgeUpdates: [{ id: invalidEdge.id, status: 'excluded' }],
+      pathEdgeUpdates: [],
+      updatedDistances: [],
+      currentEdgeBeingRelaxed: null,
+      opCounts: createOpCounts(),
+    });
+    setShortestPathResult({ distances: {}, paths: {} });
+    return steps;
+  }
+
+  const dist = {};
+  const prev = {};
+  const prevEdge = {};
+  const settled = new Set();
+  const deque = [];
+  let currentLevel = 0;
+  const ops = createOpCounts();
+
+  for (let i = 0; i < nodes.length; i++) {
+    dist[i] = i === sourceNodeId ? 0 : Infinity;
+    prev[i] = null;
+    prevEdge[i] = null;
+  }
+
+  const nodeLevels = () => {
+    const levels = {};
+    for (const [id, level] of Object.entries(dist)) {
+      if (level !== Infinity) levels[id] = level;
+    }
+    return levels;
+  };
+
+  // Shortest-path tree edges stay drawn; 0-edges are the ones that keep a node on its layer
+  const pushStep = ({ edgeUpdates = [], ...step }) => steps.push({
+    visitedNodes: [...settled],
+    minHeap: [],
+    distanceArray: { ...dist },
+    iterationCount: settled.size,
+    negativeCycleDetected: false,
+    pathEdgeUpdates: [],
+    updatedDistances: [],
+    currentEdgeBeingRelaxed: null,
+    deque: deque.map((entry) => ({ ...entry, stale: settled.has(entry.id) || entry.dist > dist[entry.id] })),
+    dequeOperation: null,
+    nodeLevels: nodeLevels(),
+    currentLevel,
+    opCounts: { ...ops },
+    ...step,
+    edgeUpdates: [
+      ...Object.values(prevEdge).filter((id) => id !== null).map((id) => ({ id, status: 'level' })),
+      ...edgeUpdates,
+    ],
+  });
+
+  deque.push({ id: sourceNodeId, dist: 0 });
+  ops.pushes++;
+  pushStep({
+    explanation: `Distances init. Source ${label(sourceNodeId)}=0, others=∞. The deque starts as [${label(sourceNodeId)}].`,
+    algorithmStep: ZERO_ONE_BFS_STEP_LABELS[0],
+    updatedDistances: [sourceNodeId],
+    dequeOperation: { type: 'push-back', node: sourceNodeId },
+  });
+
+  // =========================
+  //   DEQUE PROCESSING
+  // =========================
+  while (deque.length > 0) {
+    const { id: u, dist: entryDist } = deque.shift();
+    ops.pops++;
+
+    if (settled.has(u)) {
+      pushStep({
+        explanation: `Pop ${label(u)} (${entryDist}) from the front, but ${label(u)} was already settled at ${dist[u]}. Stale entry, skip it.`,
+        algorithmStep: ZERO_ONE_BFS_STEP_LABELS[1],
+        dequeOperation: { type: 'pop-front', node: u },
+      });
+      continue;
+    }
+
+    settled.add(u);
+    currentLevel = dist[u];
+    pushStep({
+      explanation: `Pop ${label(u)} from the front: dist ${dist[u]} is final, because the deque is ordered and only holds distances ${dist[u]} and ${dist[u] + 1}.`,
+      algorithmStep: ZERO_ONE_BFS_STEP_LABELS[1],
+      dequeOperation: { type: 'pop-front', node: u },
+    });
+
+    for (const { nodeId: v, weight, edgeId } of getNeighbors(u, edges, isDirected)) {
+      const newDist = dist[u] + weight;
+      if (settled.has(v) || !countRelaxation(ops, newDist < dist[v])) {
+        pushStep({
+          explanation: `Edge ${label(u)}→${label(v)} (w=${weight}): ${dist[u]} + ${weight} = ${newDist} does not beat dist ${dist[v] === Infinity ? '∞' : dist[v]}.`,
+          algorithmStep: ZERO_ONE_BFS_STEP_LABELS[4],
+          edgeUpdates: [{ id: edgeId, status: 'excluded' }],
+          currentEdgeBeingRelaxed: edgeId,
+        });
+        continue;
+      }
+
+      const oldDist = dist[v];
+      dist[v] = newDist;
+      prev[v] = u;
+      prevEdge[v] = edgeId;
+
+      if (weight === 0) {
+        deque.unshift({ id: v, dist: newDist });
+        ops.pushes++;
+        pushStep({
+          explanation: `Edge ${label(u)}→${label(v)} weighs 0: dist ${oldDist === Infinity ? '∞' : oldDist} → ${newDist}, the same as ${label(u)}. Push ${label(v)} to the front so it is expanded before anything farther.`,
+          algorithmStep: ZERO_ONE_BFS_STEP_LABELS[2],
+          edgeUpdates: [{ id: edgeId, status: 'candidate' }],
+          updatedDistances: [v],
+          currentEdgeBeingRelaxed: edgeId,
+          dequeOperation: { type: 'push-front', node: v },
+        });
+      } else {
+        deque.push({ id: v, dist: newDist });
+        ops.pushes++;
+        pushStep({
+          explanation: `Edge ${label(u)}→${label(v)} weighs 1: dist ${oldDist === Infinity ? '∞' : oldDist} → ${newDist}, one more than ${label(u)}. Push ${label(v)} to the back.`,
+          algorithmStep: ZERO_ONE_BFS_STEP_LABELS[3],
+          edgeUpdates: [{ id: edgeId, status: 'candidate' }],
+          updatedDistances: [v],
+          currentEdgeBeingRelaxed: edgeId,
+          dequeOperation: { type: 'push-back', node: v },
+        });
+      }
+    }
+  }
+
+  pushStep({
+    explanation: `Deque empty: 0-1 BFS complete. ${settled.size} of ${nodes.length} nodes settled in O(V + E), no priority queue needed.`,
+    algorithmStep: 'Done',
+  });
+
+  // Build paths
+  const paths = {};
+  for (let i = 0; i < nodes.length; i++) {
+    if (i !== sourceNodeId && dist[i] !== Infinity) {
+      const path = [];
+      let curr = i;
+      while (curr !== null) {
+        path.unshift(curr);
+        curr = prev[curr];
+      }
+      paths[i] = path;
+    }
+  }
+  setShortestPathResult({ distances: dist, paths });
+
+  return steps;
+}
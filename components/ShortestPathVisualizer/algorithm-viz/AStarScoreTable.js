@@ -0,0 +1,84 @@
+import React from 'react';
+
+/**
+ * Displays g, h and f for every node during A* search,
+ * plus how many nodes were explored compared with Dijkstra.
+ */
+const AStarScoreTable = ({ nodes, currentStepData, recentlyUpdatedDistances }) => {
+  const {
+    distanceArray = {},
+    heuristicValues,
+    fScores = {},
+    openSet = [],
+    visitedNodes = [],
+    targetNode,
+    exploredComparison,
+  } = currentStepData || {};
+  const hasData = !!heuristicValues;
+
+  const formatScore = (value) =>
+    value === undefined || value === Infinity
+      ? <span className="text-zinc-400 dark:text-zinc-500">∞</span>
+      : value;
+
+  const getStatus = (nodeId) => {
+    if (visitedNodes.includes(nodeId)) return { label: 'closed', className: 'text-indigo-600 dark:text-indigo-400' };
+    if (openSet.includes(nodeId)) return { label: 'open', className: 'text-amber-600 dark:text-amber-400' };
+    return { label: '—', className: 'text-zinc-400 dark:text-zinc-500' };
+  };
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">A* Scores (f = g + h)</h3>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {hasData ? (
+          <table className="w-full border-collapse text-sm">
+            <thead className="bg-zinc-50 dark:bg-zinc-800">
+              <tr>
+                {['Node', 'g', 'h', 'f', 'Set'].map((heading) => (
+                  <th key={heading} className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {nodes.map((node) => {
+                const status = getStatus(node.id);
+                const isRecentlyUpdated = recentlyUpdatedDistances?.includes(node.id);
+
+                return (
+                  <tr key={node.id} className={isRecentlyUpdated ? 'bg-amber-50 dark:bg-amber-900/20' : ''}>
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-700 dark:text-zinc-300">
+                      <div className={`w-5 h-5 rounded-full inline-flex items-center justify-center text-xs font-medium
+                        ${node.id === targetNode
+                          ? 'bg-rose-500 text-white'
+                          : status.label === 'closed'
+                            ? 'bg-indigo-500 text-white'
+                            : 'bg-zinc-200 dark:bg-zinc-600 text-zinc-600 dark:text-zinc-200'}`}
+                      >
+                        {node.label}
+                      </div>
+                    </td>
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-700 dark:text-zinc-200">{formatScore(distanceArray[node.id])}</td>
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-500 dark:text-zinc-400">{heuristicValues[node.id]}</td>
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 font-medium text-zinc-700 dark:text-zinc-200">{formatScore(fScores[node.id])}</td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-xs ${status.className}`}>{status.label}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+      {exploredComparison && (
+        <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-400">
+          Explored <span className="font-bold text-indigo-700 dark:text-indigo-400">{exploredComparison.astar}</span> node(s)
+          {' · '}Dijkstra explores <span className="font-bold">{exploredComparison.dijkstra}</span> to reach the target
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AStarScoreTable;
@@ -0,0 +1,112 @@
+import React, { useMemo } from 'react';
+import { OP_COUNTERS, countEdges, complexityBound } from '../opCounts';
+
+const WIDTH = 248;
+const HEIGHT = 120;
+const PAD = { top: 8, right: 6, bottom: 14, left: 28 };
+
+/**
+ * Plots the run's cumulative operation counters (`opCounts` on every step) up to the current
+ * step, against the algorithm's own complexity bound evaluated for this graph.
+ */
+const ComplexityPanel = ({ nodes, edges = [], steps = [], currentStep, definition, options }) => {
+  const V = nodes.length;
+  const E = countEdges(edges);
+  const bound = complexityBound(definition, V, E, options);
+  const bounds = bound ? [bound] : [];
+  const { complexity } = definition;
+
+  // Counters that ever move in this run, with one value per step
+  const series = useMemo(() => {
+    if (!steps.some((step) => step.opCounts)) return [];
+    return OP_COUNTERS
+      .map((counter) => ({ ...counter, values: steps.map((step) => step.opCounts?.[counter.key] ?? 0) }))
+      .filter(({ values }) => values[values.length - 1] > 0);
+  }, [steps]);
+
+  const current = currentStep > 0 ? steps[Math.min(currentStep, steps.length) - 1]?.opCounts : null;
+
+  const yMax = Math.max(1, ...bounds.map((bound) => bound.value), ...series.map(({ values }) => values[values.length - 1]));
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const x = (index) => PAD.left + (steps.length > 1 ? (index / (steps.length - 1)) * plotWidth : 0);
+  const y = (value) => PAD.top + plotHeight - (value / yMax) * plotHeight;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Empirical Complexity</h3>
+        {complexity && (
+          <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full">
+            {complexity}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {series.length > 0 && current ? (
+          <>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Operation counters against complexity bounds">
+              {/* Axes */}
+              <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + plotHeight} className="stroke-zinc-300 dark:stroke-zinc-600" />
+              <line x1={PAD.left} y1={PAD.top + plotHeight} x2={WIDTH - PAD.right} y2={PAD.top + plotHeight} className="stroke-zinc-300 dark:stroke-zinc-600" />
+              <text x={PAD.left - 3} y={PAD.top + 4} textAnchor="end" fontSize="8" className="fill-zinc-400">{yMax}</text>
+              <text x={PAD.left - 3} y={PAD.top + plotHeight} textAnchor="end" fontSize="8" className="fill-zinc-400">0</text>
+              <text x={WIDTH - PAD.right} y={HEIGHT - 3} textAnchor="end" fontSize="8" className="fill-zinc-400">step {steps.length}</text>
+
+              {/* Theoretical bounds for this V and E */}
+              {bounds.map((bound) => (
+                <g key={bound.label}>
+                  <line
+                    x1={PAD.left}
+                    y1={y(bound.value)}
+                    x2={WIDTH - PAD.right}
+                    y2={y(bound.value)}
+                    strokeDasharray="4,3"
+                    className="stroke-zinc-400 dark:stroke-zinc-500"
+                  />
+                  <text x={PAD.left + 3} y={y(bound.value) - 2} fontSize="8" className="fill-zinc-500 dark:fill-zinc-400">
+                    {bound.label} ≈ {bound.value}
+                  </text>
+                </g>
+              ))}
+
+              {/* Counters up to the current step */}
+              {series.map(({ key, color, values }) => (
+                <polyline
+                  key={key}
+                  points={values.slice(0, Math.min(currentStep, values.length)).map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={1.5}
+                />
+              ))}
+            </svg>
+
+            <table className="w-full border-collapse text-xs tabular-nums">
+              <tbody>
+                {series.map(({ key, label, color }) => (
+                  <tr key={key}>
+                    <td className="px-1.5 py-0.5 border-t border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300">
+                      <span className="inline-block w-2 h-2 rounded-sm mr-1.5" style={{ backgroundColor: color }} />
+                      {label}
+                    </td>
+                    <td className="px-1.5 py-0.5 border-t border-zinc-200 dark:border-zinc-700 text-right font-medium text-zinc-800 dark:text-zinc-100">
+                      {current[key]}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+      <p className="text-[10px] text-zinc-400 dark:text-zinc-500 mt-1">
+        Bounds use V = {V}, E = {E} and log base 2, without constant factors.
+      </p>
+    </div>
+  );
+};
+
+export default ComplexityPanel;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { levelColor } from '../levelColors';
+
+const OPERATION_LABELS = {
+  'enqueue': 'enqueue',
+  'dequeue': 'dequeue',
+  'push-front': 'push front',
+  'push-back': 'push back',
+  'pop-front': 'pop front',
+};
+
+/**
+ * Displays the queue of BFS or the deque of 0-1 BFS, front on the left. Each entry is
+ * coloured by its level (distance), stale 0-1 BFS entries are struck through and the node
+ * touched by the current `dequeOperation` is ringed.
+ */
+const DequeVisualization = ({ nodes, currentStepData, title = 'Deque' }) => {
+  const { deque, dequeOperation } = currentStepData || {};
+  const hasData = Boolean(deque);
+  const activeNode = dequeOperation?.node;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">{title}</h3>
+        {dequeOperation && (
+          <span className="px-2 py-0.5 bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 text-xs font-medium rounded-full">
+            {OPERATION_LABELS[dequeOperation.type]} {nodes[dequeOperation.node]?.label}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {hasData ? (
+          <div className="flex items-center gap-1 p-1.5 min-h-[2.5rem] overflow-x-auto">
+            <span className="text-[10px] text-zinc-400 dark:text-zinc-500 shrink-0">front</span>
+            {deque.length > 0 ? (
+              <AnimatePresence initial={false}>
+                {deque.map((entry, index) => (
+                  <motion.div
+                    key={`${entry.id}-${entry.dist}`}
+                    layout
+                    initial={{ opacity: 0, y: -8 }}
+                    animate={{ opacity: entry.stale ? 0.4 : 1, y: 0 }}
+                    exit={{ opacity: 0, y: 8 }}
+                    transition={{ duration: 0.2 }}
+                    className={`shrink-0 min-w-[2.25rem] text-center rounded px-1.5 py-0.5 text-xs font-bold text-white ${
+                      entry.id === activeNode ? 'ring-2 ring-amber-500 ring-offset-1 dark:ring-offset-zinc-800' : ''
+                    } ${entry.stale ? 'line-through' : ''}`}
+                    style={{ backgroundColor: levelColor(entry.dist) }}
+                    title={entry.stale ? 'Stale entry: node already settled' : undefined}
+                  >
+                    {nodes[entry.id]?.label}
+                    <span className="block text-[9px] font-normal opacity-90">{index === 0 ? 'next' : `d=${entry.dist}`}</span>
+                  </motion.div>
+                ))}
+              </AnimatePresence>
+            ) : (
+              <span className="text-xs text-zinc-400 dark:text-zinc-500 italic">Empty</span>
+            )}
+            <span className="ml-auto text-[10px] text-zinc-400 dark:text-zinc-500 shrink-0">back</span>
+          </div>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DequeVisualization;
@@ -0,0 +1,102 @@
+import React from 'react';
+
+/**
+ * Displays the all-pairs distance matrix (Floyd–Warshall, Johnson's).
+ * Highlights the cell being updated and the two cells it is computed from.
+ * `null` cells are rows that have not been computed yet (Johnson's fills one row per source).
+ */
+const DistanceMatrix = ({ nodes, currentStepData, negativeCycleDetected }) => {
+  const { distanceMatrix, matrixCursor, negativeDiagonal = [] } = currentStepData || {};
+  const { k = null, i = null, j = null, improved = false } = matrixCursor || {};
+
+  const getCellColor = (row, col, value) => {
+    if (row === i && col === j) {
+      return improved
+        ? 'bg-amber-200 dark:bg-amber-800/60 font-bold animate-pulse'
+        : 'bg-amber-100 dark:bg-amber-900/30';
+    }
+    // dist[i][k] and dist[k][j] feed the update
+    if ((row === i && col === k) || (row === k && col === j)) {
+      return 'bg-sky-100 dark:bg-sky-900/40 font-medium';
+    }
+    if (row === col && (value < 0 || negativeDiagonal.includes(row))) {
+      return 'bg-rose-100 dark:bg-rose-900/40 text-rose-700 dark:text-rose-300 font-bold';
+    }
+    if (row === k || col === k) return 'bg-indigo-50 dark:bg-indigo-900/20';
+    return '';
+  };
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Distance Matrix</h3>
+        {negativeCycleDetected && (
+          <span className="px-2 py-1 bg-rose-100 dark:bg-rose-900/50 text-rose-800 dark:text-rose-300 text-xs font-medium rounded-full animate-pulse border border-rose-200 dark:border-rose-700">
+            Negative Cycle!
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-x-auto">
+        {distanceMatrix ? (
+          <table className="w-full border-collapse text-xs tabular-nums">
+            <thead className="bg-zinc-50 dark:bg-zinc-800">
+              <tr>
+                <th className="p-1 border-b border-r border-zinc-200 dark:border-zinc-700 text-zinc-400 font-normal">
+                  {k !== null ? `k=${nodes[k]?.label}` : ''}
+                </th>
+                {nodes.map((node) => (
+                  <th
+                    key={node.id}
+                    className={`p-1 border-b border-zinc-200 dark:border-zinc-700 font-medium ${
+                      node.id === j ? 'text-amber-600 dark:text-amber-400' : node.id === k ? 'text-indigo-600 dark:text-indigo-400' : 'text-zinc-600 dark:text-zinc-300'
+                    }`}
+                  >
+                    {node.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {distanceMatrix.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  <th
+                    className={`p-1 border-r border-zinc-200 dark:border-zinc-700 font-medium ${
+                      rowIndex === i ? 'text-amber-600 dark:text-amber-400' : rowIndex === k ? 'text-indigo-600 dark:text-indigo-400' : 'text-zinc-600 dark:text-zinc-300'
+                    }`}
+                  >
+                    {nodes[rowIndex]?.label}
+                  </th>
+                  {row.map((value, colIndex) => (
+                    <td
+                      key={colIndex}
+                      className={`p-1 text-center text-zinc-700 dark:text-zinc-200 transition-colors duration-300 ${getCellColor(rowIndex, colIndex, value)}`}
+                    >
+                      {value === null ? (
+                        <span className="text-zinc-300 dark:text-zinc-600">·</span>
+                      ) : value === Infinity ? (
+                        <span className="text-zinc-400 dark:text-zinc-500">∞</span>
+                      ) : value}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+      {matrixCursor && i !== null && (
+        <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-400">
+          <span className="inline-block w-2.5 h-2.5 rounded-sm bg-amber-200 dark:bg-amber-800 mr-1 align-middle" />
+          dist[{nodes[i]?.label}][{nodes[j]?.label}]
+          <span className="mx-1">←</span>
+          <span className="inline-block w-2.5 h-2.5 rounded-sm bg-sky-200 dark:bg-sky-800 mr-1 align-middle" />
+          dist[{nodes[i]?.label}][{nodes[k]?.label}] + dist[{nodes[k]?.label}][{nodes[j]?.label}]
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DistanceMatrix;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const format = (value) => (value === Infinity || value == null ? '∞' : value);
+
+/**
+ * Displays the forward and backward distances of bidirectional Dijkstra side by side,
+ * with dist_f + dist_b for nodes reached from both ends. Settled entries are bold and
+ * the meeting node's row is highlighted.
+ */
+const FrontierDistanceTable = ({ nodes, currentStepData }) => {
+  const { forwardDistances, backwardDistances, forwardSettled = [], backwardSettled = [], meetingNode } = currentStepData || {};
+  const hasData = Boolean(forwardDistances);
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Forward / Backward Distances</h3>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden max-h-56 overflow-y-auto">
+        {hasData ? (
+          <table className="w-full border-collapse text-xs tabular-nums">
+            <thead className="bg-zinc-50 dark:bg-zinc-800 sticky top-0">
+              <tr>
+                <th className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">Node</th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-sky-600 dark:text-sky-400 font-medium">dist_f</th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-fuchsia-600 dark:text-fuchsia-400 font-medium">dist_b</th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">sum</th>
+              </tr>
+            </thead>
+            <tbody>
+              {nodes.map((node) => {
+                const forwardDist = forwardDistances[node.id];
+                const backwardDist = backwardDistances[node.id];
+                const bothReached = forwardDist !== Infinity && backwardDist !== Infinity;
+                return (
+                  <tr key={node.id} className={node.id === meetingNode ? 'bg-amber-50 dark:bg-amber-900/20' : ''}>
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 font-medium text-zinc-700 dark:text-zinc-200">{node.label}</td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${forwardSettled.includes(node.id) ? 'font-bold text-sky-700 dark:text-sky-300' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {format(forwardDist)}
+                    </td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${backwardSettled.includes(node.id) ? 'font-bold text-fuchsia-700 dark:text-fuchsia-300' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {format(backwardDist)}
+                    </td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${node.id === meetingNode ? 'font-bold text-amber-700 dark:text-amber-300' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {bothReached ? forwardDist + backwardDist : '–'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FrontierDistanceTable;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { JOHNSON_PHASES } from '../JohnsonSteps';
+
+/**
+ * Displays the phases of Johnson's algorithm, the active one highlighted,
+ * along with the Bellman-Ford potentials h(v) once they are known.
+ */
+const JohnsonPhasePanel = ({ nodes, currentStepData }) => {
+  const { phase = null, potentials, dijkstraSource = null } = currentStepData || {};
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Johnson&apos;s Phases</h3>
+      <ol className="space-y-1 text-xs">
+        {JOHNSON_PHASES.map((label, index) => {
+          const isActive = index === phase;
+          const isDone = phase !== null && index < phase;
+
+          return (
+            <li
+              key={label}
+              className={`flex items-center rounded px-2 py-1 ${
+                isActive
+                  ? 'bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-200 font-semibold'
+                  : isDone
+                    ? 'text-zinc-500 dark:text-zinc-400'
+                    : 'text-zinc-400 dark:text-zinc-500'
+              }`}
+            >
+              <span className={`w-4 h-4 rounded-full mr-2 inline-flex items-center justify-center text-[10px] ${
+                isActive ? 'bg-indigo-500 text-white' : isDone ? 'bg-emerald-500 text-white' : 'bg-zinc-200 dark:bg-zinc-700'
+              }`}>
+                {isDone ? '✓' : index + 1}
+              </span>
+              {label}
+              {isActive && dijkstraSource !== null && (
+                <span className="ml-auto text-indigo-600 dark:text-indigo-400">from {nodes[dijkstraSource]?.label}</span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {potentials && (
+        <div className="mt-2 border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 p-2">
+          <div className="text-xs font-medium text-zinc-600 dark:text-zinc-300 mb-1">Potentials h(v)</div>
+          <div className="flex flex-wrap gap-1">
+            {nodes.map((node) => (
+              <span
+                key={node.id}
+                className="px-1.5 py-0.5 rounded bg-teal-50 dark:bg-teal-900/30 text-teal-800 dark:text-teal-300 text-xs tabular-nums"
+              >
+                {node.label}: {potentials[node.id]}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JohnsonPhasePanel;
@@ -0,0 +1,78 @@
+import React from 'react';
+
+/**
+ * Displays the ranked paths found by Yen's algorithm, each with the colour of its band on the
+ * graph and its total cost, followed by the candidates waiting to be accepted and the spur
+ * computation in progress (spur node, root path and what was removed for it).
+ */
+const KShortestPathsPanel = ({ nodes, currentStepData }) => {
+  const { kPaths, candidatePaths, spur, kTarget } = currentStepData || {};
+  const hasData = Boolean(kPaths);
+  const route = (pathNodes) => pathNodes.map((id) => nodes[id]?.label).join('→');
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">K Shortest Paths</h3>
+        {hasData && (
+          <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full">
+            {kPaths.length}/{kTarget}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 text-xs">
+        {hasData ? (
+          <>
+            {/* Accepted paths, best first */}
+            <div className="divide-y divide-zinc-100 dark:divide-zinc-700">
+              {kPaths.length > 0 ? kPaths.map((path) => (
+                <div key={path.rank} className="flex items-center gap-2 p-1.5">
+                  <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ backgroundColor: path.color }} />
+                  <span className="font-semibold text-zinc-500 dark:text-zinc-400 w-5">#{path.rank}</span>
+                  <span className="flex-1 truncate text-zinc-800 dark:text-zinc-100">{route(path.nodes)}</span>
+                  <span className="font-bold tabular-nums text-zinc-800 dark:text-zinc-100">{path.cost}</span>
+                </div>
+              )) : (
+                <div className="text-zinc-400 dark:text-zinc-500 italic p-1.5">No path yet</div>
+              )}
+            </div>
+
+            {/* Candidates (B), cheapest first */}
+            {candidatePaths?.length > 0 && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 space-y-0.5">
+                <div className="text-zinc-500 dark:text-zinc-400">Candidates</div>
+                {candidatePaths.map((path) => (
+                  <div key={path.nodes.join('-')} className="flex justify-between gap-2 text-zinc-600 dark:text-zinc-300">
+                    <span className="truncate">{route(path.nodes)}</span>
+                    <span className="tabular-nums">{path.cost}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Current spur computation */}
+            {spur && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 space-y-0.5 text-zinc-500 dark:text-zinc-400">
+                <div>
+                  Spur node <span className="font-bold text-amber-600 dark:text-amber-400">{nodes[spur.spurNode]?.label}</span>
+                  {' '}· root {route(spur.rootNodes)}
+                </div>
+                <div>
+                  Removed: {spur.removedEdges.length} edge{spur.removedEdges.length === 1 ? '' : 's'}
+                  {spur.removedNodes.length > 0 && `, nodes ${spur.removedNodes.map((id) => nodes[id]?.label).join(', ')}`}
+                </div>
+                {spur.spurPath && (
+                  <div>Spur path: {route(spur.spurPath.nodes)} ({spur.spurPath.cost})</div>
+                )}
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KShortestPathsPanel;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { levelColor } from '../levelColors';
+
+/**
+ * Groups the reached nodes by level (BFS hop count, or 0-1 BFS distance), using the same
+ * colours as the halos on the graph. The level being expanded is highlighted and settled
+ * nodes are shown solid, discovered-but-queued nodes outlined.
+ */
+const LevelsPanel = ({ nodes, currentStepData, visitedNodes, title = 'BFS Levels' }) => {
+  const { nodeLevels, currentLevel } = currentStepData || {};
+  const hasData = Boolean(nodeLevels);
+
+  const levels = {};
+  for (const [id, level] of Object.entries(nodeLevels || {})) {
+    (levels[level] ||= []).push(Number(id));
+  }
+  const sortedLevels = Object.keys(levels).map(Number).sort((a, b) => a - b);
+  const unreached = nodes.length - Object.keys(nodeLevels || {}).length;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">{title}</h3>
+        {hasData && (
+          <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full">
+            Level {currentLevel}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 p-1.5 space-y-1">
+        {hasData ? (
+          <>
+            {sortedLevels.map((level) => (
+              <div
+                key={level}
+                className={`flex items-center gap-2 rounded px-1 py-0.5 ${level === currentLevel ? 'bg-zinc-100 dark:bg-zinc-700/60' : ''}`}
+              >
+                <span className="w-8 shrink-0 text-[10px] font-semibold tabular-nums" style={{ color: levelColor(level) }}>
+                  L{level}
+                </span>
+                <div className="flex flex-wrap gap-1">
+                  {levels[level].map((id) => {
+                    const settled = visitedNodes?.has(id);
+                    return (
+                      <span
+                        key={id}
+                        className="min-w-[1.5rem] text-center rounded px-1 py-0.5 text-xs font-bold border"
+                        style={{
+                          borderColor: levelColor(level),
+                          backgroundColor: settled ? levelColor(level) : 'transparent',
+                          color: settled ? 'white' : levelColor(level),
+                        }}
+                      >
+                        {nodes[id]?.label}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+            {unreached > 0 && (
+              <div className="text-[10px] text-zinc-400 dark:text-zinc-500 px-1">
+                {unreached} node{unreached === 1 ? '' : 's'} not reached yet
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-1.5 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LevelsPanel;
@@ -0,0 +1,83 @@
+import React from 'react';
+
+const format = (value) => (value === Infinity || value == null ? '∞' : value);
+
+/**
+ * Displays the stopping rule of bidirectional Dijkstra (top_f + top_b ≥ μ), the best
+ * meeting node so far and how many nodes both searches settled compared with a single
+ * Dijkstra run to the same target.
+ */
+const MeetingPointPanel = ({ nodes, currentStepData }) => {
+  const { stopCheck, mu, meetingNode, forwardSettled, backwardSettled, settledComparison } = currentStepData || {};
+  const hasData = mu !== undefined;
+  const sum = stopCheck ? stopCheck.topForward + stopCheck.topBackward : null;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Meeting Point</h3>
+        {stopCheck?.stop && (
+          <span className="px-2 py-0.5 bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300 text-xs font-medium rounded-full border border-emerald-200 dark:border-emerald-700">
+            Stop
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 p-2 text-xs">
+        {hasData ? (
+          <div className="space-y-2">
+            {/* Stopping rule */}
+            <div className="font-mono tabular-nums text-center">
+              <span className="text-sky-600 dark:text-sky-400 font-semibold">{format(stopCheck?.topForward)}</span>
+              <span className="text-zinc-400"> + </span>
+              <span className="text-fuchsia-600 dark:text-fuchsia-400 font-semibold">{format(stopCheck?.topBackward)}</span>
+              <span className="text-zinc-400"> = </span>
+              <span className="font-semibold text-zinc-800 dark:text-zinc-100">{format(sum)}</span>
+              <span className={`mx-1 font-bold ${stopCheck?.stop ? 'text-emerald-600 dark:text-emerald-400' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                {stopCheck?.stop ? '≥' : '<'}
+              </span>
+              <span className="text-amber-600 dark:text-amber-400 font-semibold">μ = {format(mu)}</span>
+            </div>
+            <div className="flex justify-center gap-3 text-[10px] text-zinc-500 dark:text-zinc-400">
+              <span><span className="text-sky-600 dark:text-sky-400">top_f</span> forward queue min</span>
+              <span><span className="text-fuchsia-600 dark:text-fuchsia-400">top_b</span> backward queue min</span>
+            </div>
+
+            {/* Meeting node */}
+            <div className="flex items-center justify-between border-t border-zinc-200 dark:border-zinc-700 pt-2">
+              <span className="text-zinc-600 dark:text-zinc-300">Meeting node</span>
+              {meetingNode != null ? (
+                <span className="px-2 py-0.5 rounded-full bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 font-bold">
+                  {nodes[meetingNode]?.label}
+                </span>
+              ) : (
+                <span className="text-zinc-400 dark:text-zinc-500 italic">not yet</span>
+              )}
+            </div>
+
+            {/* Settled nodes, compared with one-sided Dijkstra */}
+            <div className="border-t border-zinc-200 dark:border-zinc-700 pt-2 space-y-1 tabular-nums">
+              <div className="flex justify-between">
+                <span className="text-sky-600 dark:text-sky-400">Forward settled</span>
+                <span className="font-medium text-zinc-800 dark:text-zinc-100">{forwardSettled?.length ?? 0}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-fuchsia-600 dark:text-fuchsia-400">Backward settled</span>
+                <span className="font-medium text-zinc-800 dark:text-zinc-100">{backwardSettled?.length ?? 0}</span>
+              </div>
+              {settledComparison && (
+                <div className="flex justify-between text-zinc-500 dark:text-zinc-400">
+                  <span>Single Dijkstra to target</span>
+                  <span>{settledComparison.dijkstra}</span>
+                </div>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-1 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MeetingPointPanel;
@@ -1,45 +1,140 @@
 import React from 'react';
+import { motion } from 'framer-motion';
+
+// Tree layout (SVG units)
+const TREE_WIDTH = 256;
+const LEVEL_HEIGHT = 46;
+const NODE_RADIUS = 13;
+const TOP_PADDING = 18;
+
+/**
+ * Position of heap index `i` in the tree: level by level, evenly spread.
+ */
+const getTreePosition = (i) => {
+  const level = Math.floor(Math.log2(i + 1));
+  const slots = 2 ** level;
+  const slot = i - (slots - 1);
+  return {
+    x: ((slot + 0.5) * TREE_WIDTH) / slots,
+    y: TOP_PADDING + level * LEVEL_HEIGHT,
+  };
+};
 
 /**
  * Displays the priority queue / min heap visualization for Dijkstra's algorithm.
+ * The heap array is drawn as a binary tree; entries glide to their new slot when
+ * a sift-up / sift-down swaps them, and the indices touched by the current
+ * `heapOperation` are highlighted. Entries flagged `stale` (lazy deletion) are faded.
+ * `title` and `valueLabel` let other priority-queue algorithms (e.g. A*) reuse it.
  */
-const MinHeapVisualization = ({ minHeap, nodes }) => {
+const MinHeapVisualization = ({ minHeap, nodes, currentStepData, title = 'Priority Queue (Min Heap)', valueLabel = 'Distance' }) => {
   const hasData = minHeap && minHeap.length > 0;
+  const heapOperation = currentStepData?.heapOperation;
+  const activeIndices = heapOperation?.indices || [];
+  const isSwap = heapOperation?.type === 'sift-up' || heapOperation?.type === 'sift-down';
+
+  const depth = hasData ? Math.floor(Math.log2(minHeap.length)) + 1 : 0;
+  const treeHeight = TOP_PADDING + (depth - 1) * LEVEL_HEIGHT + NODE_RADIUS + 16;
 
   return (
     <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
-      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Priority Queue (Min Heap)</h3>
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">{title}</h3>
+        {heapOperation && (
+          <span className="px-2 py-0.5 bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 text-xs font-medium rounded-full">
+            {heapOperation.type === 'extract' ? 'extract-min' : heapOperation.type}
+          </span>
+        )}
+      </div>
       <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
         {hasData ? (
-          <table className="w-full border-collapse text-sm">
-            <thead className="bg-zinc-50 dark:bg-zinc-800">
-              <tr>
-                <th className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">Node</th>
-                <th className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">Distance</th>
-              </tr>
-            </thead>
-            <tbody>
+          <>
+            <svg viewBox={`0 0 ${TREE_WIDTH} ${treeHeight}`} className="w-full" style={{ height: treeHeight }}>
+              {/* Parent → child links (fixed per index) */}
+              {minHeap.map((_, i) => {
+                if (i === 0) return null;
+                const child = getTreePosition(i);
+                const parent = getTreePosition(Math.floor((i - 1) / 2));
+                const isActiveLink = isSwap && activeIndices.includes(i) && activeIndices.includes(Math.floor((i - 1) / 2));
+                return (
+                  <line
+                    key={`link-${i}`}
+                    x1={parent.x}
+                    y1={parent.y}
+                    x2={child.x}
+                    y2={child.y}
+                    className={isActiveLink ? 'stroke-amber-500' : 'stroke-zinc-300 dark:stroke-zinc-600'}
+                    strokeWidth={isActiveLink ? 2.5 : 1.5}
+                  />
+                );
+              })}
+
+              {/* Entries, keyed by entry so swaps animate */}
+              {minHeap.map((item, i) => {
+                const { x, y } = getTreePosition(i);
+                const isActive = activeIndices.includes(i);
+                const isRoot = i === 0;
+                return (
+                  <motion.g
+                    key={item.key ?? `${item.id}-${i}`}
+                    initial={false}
+                    animate={{ x, y, opacity: item.stale ? 0.45 : 1 }}
+                    transition={{ type: 'spring', stiffness: 260, damping: 24 }}
+                  >
+                    <circle
+                      r={NODE_RADIUS}
+                      className={
+                        isRoot
+                          ? 'fill-amber-500'
+                          : 'fill-zinc-200 dark:fill-zinc-600'
+                      }
+                      stroke={isActive ? '#f59e0b' : (item.stale ? '#a1a1aa' : 'none')}
+                      strokeWidth={isActive ? 3 : (item.stale ? 1.5 : 0)}
+                      strokeDasharray={item.stale && !isActive ? '3,2' : 'none'}
+                    />
+                    <text
+                      textAnchor="middle"
+                      dominantBaseline="middle"
+                      fontSize="11"
+                      fontWeight="bold"
+                      className={isRoot ? 'fill-white' : 'fill-zinc-700 dark:fill-zinc-100'}
+                    >
+                      {nodes[item.id]?.label}
+                    </text>
+                    <text
+                      y={NODE_RADIUS + 9}
+                      textAnchor="middle"
+                      fontSize="9"
+                      className={isActive ? 'fill-amber-600 dark:fill-amber-400' : 'fill-zinc-500 dark:fill-zinc-400'}
+                    >
+                      {item.dist}
+                    </text>
+                  </motion.g>
+                );
+              })}
+            </svg>
+
+            {/* Array representation: index i has children 2i+1 and 2i+2 */}
+            <div className="flex flex-wrap gap-0.5 p-1.5 border-t border-zinc-200 dark:border-zinc-700">
               {minHeap.map((item, i) => (
-                <tr key={i} className={i === 0 ? 'bg-amber-50 dark:bg-amber-900/20 font-medium' : ''}>
-                  <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-700 dark:text-zinc-300">
-                    <div className="flex items-center">
-                      <div className={`w-5 h-5 rounded-full mr-1.5 inline-flex items-center justify-center text-xs font-medium
-                        ${i === 0 
-                          ? 'bg-amber-500 text-white' 
-                          : 'bg-zinc-200 dark:bg-zinc-600 text-zinc-600 dark:text-zinc-200'}`}
-                      >
-                        {nodes[item.id]?.label}
-                      </div>
-                    </div>
-                  </td>
-                  <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-700 dark:text-zinc-300">
-                    <span className={i === 0 ? 'font-medium text-amber-700 dark:text-amber-400' : ''}>{item.dist}</span>
-                    {i === 0 && <span className="ml-1 text-xs text-amber-600 dark:text-amber-400">← next</span>}
-                  </td>
-                </tr>
+                <div
+                  key={i}
+                  className={`flex flex-col items-center min-w-[1.75rem] rounded px-1 py-0.5 text-[10px] leading-tight ${
+                    activeIndices.includes(i)
+                      ? 'bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300'
+                      : 'bg-zinc-50 dark:bg-zinc-700/50 text-zinc-600 dark:text-zinc-300'
+                  }`}
+                  title={`index ${i}, ${valueLabel.toLowerCase()} ${item.dist}${item.stale ? ' (stale)' : ''}`}
+                >
+                  <span className="text-zinc-400 dark:text-zinc-500">{i}</span>
+                  <span className={`font-medium ${item.stale ? 'line-through opacity-60' : ''}`}>{nodes[item.id]?.label}</span>
+                </div>
               ))}
-            </tbody>
-          </table>
+              <span className="ml-auto self-center text-[10px] text-zinc-400 dark:text-zinc-500">
+                {valueLabel} below node
+              </span>
+            </div>
+          </>
         ) : (
           <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">Empty</div>
         )}
@@ -49,4 +144,3 @@ const MinHeapVisualization = ({ minHeap, nodes }) => {
 };
 
 export default MinHeapVisualization;
-
@@ -0,0 +1,74 @@
+import React from 'react';
+import { BELLMAN_FORD_EDGE_ORDERS } from '../BellmanFordSteps';
+
+/**
+ * Displays Bellman-Ford pass counts for the running edge order (live) next to the
+ * final counts of every other edge order on the same graph.
+ */
+const PassStatsPanel = ({ currentStepData, totalNodes }) => {
+  const { passStats, passComparison } = currentStepData || {};
+  const maxPasses = Math.max(totalNodes - 1, 0);
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Passes by Edge Order</h3>
+        {passStats && (
+          <span className="px-2 py-0.5 bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-300 text-xs font-medium rounded-full border border-zinc-200 dark:border-zinc-700">
+            Early exit {passStats.earlyExit ? 'on' : 'off'}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {passStats ? (
+          <table className="w-full border-collapse text-xs tabular-nums">
+            <thead className="bg-zinc-50 dark:bg-zinc-800">
+              <tr>
+                <th className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">Order</th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium" title="Passes run (at most |V|-1)">
+                  Passes
+                </th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium" title="Last pass that improved a distance">
+                  Settled
+                </th>
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium">Relax.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(BELLMAN_FORD_EDGE_ORDERS).map(([id, { label }]) => {
+                const isCurrent = id === passStats.edgeOrder;
+                const stats = isCurrent ? passStats : passComparison?.[id];
+                if (!stats) return null;
+                return (
+                  <tr key={id} className={isCurrent ? 'bg-indigo-50 dark:bg-indigo-900/20' : ''}>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 ${isCurrent ? 'text-indigo-700 dark:text-indigo-300 font-semibold' : 'text-zinc-600 dark:text-zinc-300'}`}>
+                      {label}
+                    </td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${isCurrent ? 'font-medium text-zinc-800 dark:text-zinc-100' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {stats.passes}/{maxPasses}
+                    </td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${isCurrent ? 'font-medium text-zinc-800 dark:text-zinc-100' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {stats.lastImprovingPass}
+                    </td>
+                    <td className={`p-1 border-b border-zinc-200 dark:border-zinc-700 text-right ${isCurrent ? 'font-medium text-zinc-800 dark:text-zinc-100' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {stats.relaxations}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+      {passStats && (
+        <p className="text-[10px] text-zinc-400 dark:text-zinc-500 mt-1">
+          Other orders show their final counts on this graph. Settled = last pass that improved a distance.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PassStatsPanel;
@@ -2,47 +2,13 @@ import React from 'react';
 
 /**
  * Displays algorithm pseudocode with line highlighting based on current step.
+ * The lines and the step → line mapping come from the algorithm's registry definition.
  */
-const PseudocodeHighlighter = ({ algorithm, currentAlgorithmStep }) => {
-  // Map algorithm steps to pseudocode line numbers
-  const getHighlightedLine = (step) => {
-    if (!step) return null;
-    
-    const stepToLineMap = {
-      'Initialize': 1,
-      'Push source': 2,
-      'Extract Min': algorithm === 'dijkstra' ? 4 : null,
-      'Relax': algorithm === 'dijkstra' ? 6 : 4,
-      'Check Negative Cycles': algorithm === 'dijkstra' ? null : 6,
-      'Early Exit': algorithm === 'dijkstra' ? null : 3,
-      'Done': algorithm === 'dijkstra' ? 7 : 6,
-    };
-    
-    return stepToLineMap[step];
-  };
-
-  const highlightedLine = getHighlightedLine(currentAlgorithmStep);
-
-  const dijkstraCode = [
-    "1. Initialize distance to source as 0",
-    "2. Priority queue ← all nodes",
-    "3. while queue not empty:",
-    "4.   u ← node with min distance",
-    "5.   for each neighbor v of u:",
-    "6.     if dist[v] > dist[u] + w(u,v):",
-    "7.       update dist[v]"
-  ];
-  
-  const bellmanFordCode = [
-    "1. Initialize distance to source as 0",
-    "2. for i from 1 to |V|-1:",
-    "3.   for each edge (u, v):",
-    "4.     if dist[v] > dist[u] + w(u,v):",
-    "5.       update dist[v]",
-    "6. Check for negative cycles"
-  ];
-  
-  const code = algorithm === 'dijkstra' ? dijkstraCode : bellmanFordCode;
+const PseudocodeHighlighter = ({ pseudocode, currentAlgorithmStep }) => {
+  const code = pseudocode?.lines || [];
+  const highlightedLine = currentAlgorithmStep
+    ? pseudocode?.stepToLine?.[currentAlgorithmStep] ?? null
+    : null;
 
   return (
     <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
@@ -71,4 +37,3 @@ const PseudocodeHighlighter = ({ algorithm, currentAlgorithmStep }) => {
 };
 
 export default PseudocodeHighlighter;
-
@@ -0,0 +1,62 @@
+import React from 'react';
+import { DIJKSTRA_QUEUE_VARIANTS } from '../DijkstraSteps';
+
+const COUNTERS = [
+  { key: 'pushes', label: 'Pushes' },
+  { key: 'pops', label: 'Pops' },
+  { key: 'stalePops', label: 'Stale pops' },
+  { key: 'decreaseKeys', label: 'Decrease-keys' },
+  { key: 'peakSize', label: 'Peak heap size' },
+];
+
+/**
+ * Displays the priority queue counters of the running Dijkstra variant
+ * next to the final counters of the other variant on the same graph.
+ */
+const QueueStatsPanel = ({ currentStepData }) => {
+  const { queueStats, queueComparison } = currentStepData || {};
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <h3 className="text-sm font-bold mb-1 text-indigo-700 dark:text-indigo-400">Queue Operations</h3>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {queueStats ? (
+          <table className="w-full border-collapse text-xs tabular-nums">
+            <thead className="bg-zinc-50 dark:bg-zinc-800">
+              <tr>
+                <th className="p-1 text-left border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 font-medium" />
+                <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-indigo-700 dark:text-indigo-300 font-semibold">
+                  {DIJKSTRA_QUEUE_VARIANTS[queueStats.variant]?.label}
+                </th>
+                {queueComparison && (
+                  <th className="p-1 text-right border-b border-zinc-200 dark:border-zinc-700 text-zinc-500 dark:text-zinc-400 font-medium">
+                    {DIJKSTRA_QUEUE_VARIANTS[queueComparison.variant]?.label} (final)
+                  </th>
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {COUNTERS.map(({ key, label }) => (
+                <tr key={key}>
+                  <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300">{label}</td>
+                  <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-right font-medium text-zinc-800 dark:text-zinc-100">
+                    {queueStats[key]}
+                  </td>
+                  {queueComparison && (
+                    <td className="p-1 border-b border-zinc-200 dark:border-zinc-700 text-right text-zinc-500 dark:text-zinc-400">
+                      {queueComparison[key]}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueueStatsPanel;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+/**
+ * Displays the FIFO queue of SPFA (queue-based Bellman-Ford), front on the left, and how many
+ * times each node has been enqueued. A node that reaches |V| enqueues is flagged as the
+ * negative-cycle witness. The node touched by the current `queueOperation` is highlighted.
+ */
+const QueueVisualization = ({ nodes, currentStepData, totalNodes }) => {
+  const { spfaQueue, enqueueCounts, queueOperation, negativeCycleWitness } = currentStepData || {};
+  const hasData = Boolean(spfaQueue);
+  const limit = Math.max(totalNodes, 1);
+  const activeNode = queueOperation?.node;
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">FIFO Queue</h3>
+        {negativeCycleWitness != null ? (
+          <span className="px-2 py-1 bg-rose-100 dark:bg-rose-900/50 text-rose-800 dark:text-rose-300 text-xs font-medium rounded-full animate-pulse border border-rose-200 dark:border-rose-700">
+            Negative Cycle!
+          </span>
+        ) : queueOperation && (
+          <span className="px-2 py-0.5 bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 text-xs font-medium rounded-full">
+            {queueOperation.type} {nodes[queueOperation.node]?.label}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 overflow-hidden">
+        {hasData ? (
+          <>
+            {/* Queue contents, front first */}
+            <div className="flex items-center gap-1 p-1.5 min-h-[2.5rem] overflow-x-auto">
+              <span className="text-[10px] text-zinc-400 dark:text-zinc-500 shrink-0">front</span>
+              {spfaQueue.length > 0 ? (
+                <AnimatePresence initial={false}>
+                  {spfaQueue.map((id, index) => (
+                    <motion.div
+                      key={id}
+                      layout
+                      initial={{ opacity: 0, x: 12 }}
+                      animate={{ opacity: 1, x: 0 }}
+                      exit={{ opacity: 0, x: -12 }}
+                      transition={{ duration: 0.2 }}
+                      className={`shrink-0 min-w-[1.75rem] text-center rounded px-1.5 py-1 text-xs font-bold ${
+                        index === 0
+                          ? 'bg-amber-500 text-white'
+                          : id === activeNode
+                            ? 'bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 ring-2 ring-amber-500'
+                            : 'bg-zinc-200 dark:bg-zinc-600 text-zinc-700 dark:text-zinc-100'
+                      }`}
+                    >
+                      {nodes[id]?.label}
+                    </motion.div>
+                  ))}
+                </AnimatePresence>
+              ) : (
+                <span className="text-xs text-zinc-400 dark:text-zinc-500 italic">Empty</span>
+              )}
+              <span className="ml-auto text-[10px] text-zinc-400 dark:text-zinc-500 shrink-0">back</span>
+            </div>
+
+            {/* Enqueue counters: reaching |V| proves a negative cycle */}
+            <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 space-y-0.5">
+              {nodes.map((node) => {
+                const count = enqueueCounts?.[node.id] ?? 0;
+                const isWitness = node.id === negativeCycleWitness;
+                return (
+                  <div key={node.id} className="flex items-center gap-2 text-[10px] tabular-nums">
+                    <span className={`w-5 font-medium ${isWitness ? 'text-rose-600 dark:text-rose-400' : 'text-zinc-600 dark:text-zinc-300'}`}>
+                      {node.label}
+                    </span>
+                    <div className="flex-1 bg-zinc-200 dark:bg-zinc-700 rounded-full h-1.5 overflow-hidden">
+                      <div
+                        className={`h-1.5 rounded-full transition-all duration-300 ${isWitness ? 'bg-rose-500' : 'bg-indigo-500'}`}
+                        style={{ width: `${Math.min(count / limit, 1) * 100}%` }}
+                      />
+                    </div>
+                    <span className={`w-10 text-right ${isWitness ? 'text-rose-600 dark:text-rose-400 font-semibold' : 'text-zinc-500 dark:text-zinc-400'}`}>
+                      {count}/{limit}
+                    </span>
+                  </div>
+                );
+              })}
+              <div className="text-[10px] text-zinc-400 dark:text-zinc-500 pt-0.5">
+                Enqueues per node; |V| = {limit} means a negative cycle
+              </div>
+            </div>
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueueVisualization;
@@ -0,0 +1,109 @@
+import React from 'react';
+
+/**
+ * Displays the topological order being built (phase 1) and walked (phase 2) by the DAG
+ * algorithm. During Kahn's sort it shows the remaining in-degrees and the queue, during a
+ * DFS sort the recursion stack and finish times. The footer compares the edge checks of
+ * the single pass with Bellman-Ford's worst case.
+ */
+const TopologicalOrderPanel = ({ nodes, currentStepData }) => {
+  const { topoOrder, topoCursor, inDegrees, kahnQueue, finishTimes, dfsStack, relaxationStats, criticalPath } = currentStepData || {};
+  const hasData = Boolean(topoOrder);
+  const sorting = topoCursor === null;
+  const criticalNodes = new Set(criticalPath?.nodes || []);
+
+  return (
+    <div className="bg-white/90 dark:bg-zinc-900/90 shadow-lg rounded-lg p-3 backdrop-blur-sm border border-zinc-200 dark:border-zinc-800">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-sm font-bold text-indigo-700 dark:text-indigo-400">Topological Order</h3>
+        {hasData && (
+          <span className="px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300 text-xs font-medium rounded-full">
+            {sorting ? `Sorting ${topoOrder.length}/${nodes.length}` : 'Relaxing'}
+          </span>
+        )}
+      </div>
+      <div className="border border-zinc-200 dark:border-zinc-700 rounded bg-white dark:bg-zinc-800 text-xs">
+        {hasData ? (
+          <>
+            {/* Order so far; in phase 2 the cursor marks the node being relaxed */}
+            <div className="flex flex-wrap items-center gap-1 p-1.5 min-h-[2.25rem]">
+              {topoOrder.length > 0 ? topoOrder.map((id, index) => (
+                <React.Fragment key={id}>
+                  {index > 0 && <span className="text-zinc-300 dark:text-zinc-600">→</span>}
+                  <span
+                    className={`min-w-[1.5rem] text-center rounded px-1.5 py-0.5 font-bold ${
+                      index === topoCursor
+                        ? 'bg-amber-500 text-white'
+                        : criticalNodes.has(id)
+                          ? 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-800 dark:text-emerald-300 ring-1 ring-emerald-500'
+                          : !sorting && index < topoCursor
+                            ? 'bg-indigo-100 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-300'
+                            : 'bg-zinc-200 dark:bg-zinc-600 text-zinc-700 dark:text-zinc-100'
+                    }`}
+                  >
+                    {nodes[id]?.label}
+                  </span>
+                </React.Fragment>
+              )) : (
+                <span className="text-zinc-400 dark:text-zinc-500 italic">Empty</span>
+              )}
+            </div>
+
+            {/* Kahn: remaining in-degrees and the queue of in-degree 0 nodes */}
+            {sorting && inDegrees && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 space-y-1">
+                <div className="flex flex-wrap gap-x-3 gap-y-0.5 tabular-nums">
+                  {nodes.map((node) => (
+                    <span key={node.id} className={topoOrder.includes(node.id) ? 'text-zinc-400 dark:text-zinc-500 line-through' : 'text-zinc-700 dark:text-zinc-200'}>
+                      {node.label}: {inDegrees[node.id]}
+                    </span>
+                  ))}
+                </div>
+                <div className="text-zinc-500 dark:text-zinc-400">
+                  Queue (in-degree 0): {kahnQueue.length > 0 ? kahnQueue.map((id) => nodes[id]?.label).join(', ') : 'empty'}
+                </div>
+              </div>
+            )}
+
+            {/* DFS: recursion stack and finish times */}
+            {sorting && finishTimes && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 space-y-1">
+                <div className="text-zinc-500 dark:text-zinc-400">
+                  Stack: {dfsStack.length > 0 ? dfsStack.map((id) => nodes[id]?.label).join(' → ') : 'empty'}
+                </div>
+                <div className="flex flex-wrap gap-x-3 gap-y-0.5 tabular-nums">
+                  {Object.entries(finishTimes).map(([id, time]) => (
+                    <span key={id} className="text-zinc-700 dark:text-zinc-200">
+                      {nodes[id]?.label}: f={time}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* One pass over the edges against Bellman-Ford */}
+            {relaxationStats && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 flex justify-between tabular-nums text-zinc-500 dark:text-zinc-400">
+                <span>Edge checks</span>
+                <span>
+                  <span className="font-semibold text-zinc-800 dark:text-zinc-100">{relaxationStats.checks}</span>
+                  {' '}vs Bellman-Ford ≤ {relaxationStats.bellmanFordWorst}
+                </span>
+              </div>
+            )}
+            {criticalPath && (
+              <div className="border-t border-zinc-200 dark:border-zinc-700 p-1.5 flex justify-between text-emerald-700 dark:text-emerald-400 font-medium">
+                <span>Critical path</span>
+                <span>{criticalPath.nodes.map((id) => nodes[id]?.label).join('→')} ({criticalPath.length})</span>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-zinc-400 dark:text-zinc-500 text-center py-3 px-2 text-sm">No data yet</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TopologicalOrderPanel;
@@ -4,4 +4,17 @@ export { default as MinHeapVisualization } from './MinHeapVisualization';
 export { default as IterationProgress } from './IterationProgress';
 export { default as PseudocodeHighlighter } from './PseudocodeHighlighter';
 export { default as EdgeRelaxationCard } from './EdgeRelaxationCard';
+export { default as ComplexityPanel } from './ComplexityPanel';
 
+export { default as AStarScoreTable } from './AStarScoreTable';
+export { default as DistanceMatrix } from './DistanceMatrix';
+export { default as JohnsonPhasePanel } from './JohnsonPhasePanel';
+export { default as QueueStatsPanel } from './QueueStatsPanel';
+export { default as QueueVisualization } from './QueueVisualization';
+export { default as PassStatsPanel } from './PassStatsPanel';
+export { default as MeetingPointPanel } from './MeetingPointPanel';
+export { default as FrontierDistanceTable } from './FrontierDistanceTable';
+export { default as DequeVisualization } from './DequeVisualization';
+export { default as LevelsPanel } from './LevelsPanel';
+export { default as TopologicalOrderPanel } from './TopologicalOrderPanel';
+export { default as KShortestPathsPanel } from './KShortestPathsPanel';
@@ -0,0 +1,43 @@
+import { generateAStarSteps, ASTAR_STEP_LABELS } from '../AStarSteps';
+
+/**
+ * A* search: Dijkstra guided by a heuristic estimate of the remaining cost.
+ * Point-to-point, so it needs a target node and stops once the target is closed.
+ */
+const astar = {
+  id: 'astar',
+  name: 'A*',
+  shortName: 'A*',
+  generateSteps: generateAStarSteps,
+  pseudocode: {
+    lines: [
+      "1. g[source] ← 0, f[source] ← h(source)",
+      "2. open ← {source}",
+      "3. while open not empty:",
+      "4.   u ← node in open with min f",
+      "5.   if u = target: return path",
+      "6.   for each neighbor v of u:",
+      "7.     if g[u] + w(u,v) < g[v]:",
+      "8.       g[v] ← g[u] + w(u,v), f[v] ← g[v] + h(v)",
+    ],
+    stepToLine: {
+      [ASTAR_STEP_LABELS[0]]: 1,
+      [ASTAR_STEP_LABELS[1]]: 2,
+      [ASTAR_STEP_LABELS[2]]: 4,
+      [ASTAR_STEP_LABELS[3]]: 7,
+      'Done': 5,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: true,
+    needsTarget: true,
+    directedOnly: false,
+  },
+  defaultLayout: 'spatial',
+  complexity: 'O((V+E)log V)',
+  complexityBound: ({ V, E, log }) => (V + E) * log(V),
+  defaultOptions: { heuristic: 'euclidean', heuristicWeight: 2 },
+};
+
+export default astar;
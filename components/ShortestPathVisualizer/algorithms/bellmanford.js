@@ -0,0 +1,43 @@
+import { generateBellmanFordSteps, BELLMAN_FORD_STEP_LABELS } from '../BellmanFordSteps';
+
+/**
+ * Bellman-Ford: relaxes every edge |V|-1 times, handles negative weights
+ * and detects negative cycles with a final pass. Early exit and the edge order are options.
+ */
+const bellmanFord = {
+  id: 'bellmanford',
+  name: 'Bellman-Ford',
+  shortName: 'Bellman-Ford',
+  generateSteps: generateBellmanFordSteps,
+  pseudocode: {
+    lines: [
+      "1. Initialize distance to source as 0",
+      "2. for i from 1 to |V|-1:",
+      "3.   for each edge (u, v) in edge order:",
+      "4.     if dist[v] > dist[u] + w(u,v):",
+      "5.       update dist[v]",
+      "6.   if no edge was relaxed: exit early",
+      "7. Check for negative cycles",
+      "8.   walk pred |V| times from a relaxable v, then trace the cycle",
+    ],
+    stepToLine: {
+      [BELLMAN_FORD_STEP_LABELS[0]]: 1,
+      [BELLMAN_FORD_STEP_LABELS[1]]: 4,
+      [BELLMAN_FORD_STEP_LABELS[2]]: 7,
+      [BELLMAN_FORD_STEP_LABELS[3]]: 6,
+      [BELLMAN_FORD_STEP_LABELS[4]]: 8,
+      'Done': 7,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: true,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V⋅E)',
+  complexityBound: ({ V, E }) => V * E,
+  defaultOptions: { earlyExit: true, edgeOrder: 'insertion', seed: 1 },
+};
+
+export default bellmanFord;
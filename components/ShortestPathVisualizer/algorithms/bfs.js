@@ -0,0 +1,41 @@
+import { generateBFSSteps, BFS_STEP_LABELS } from '../BFSSteps';
+
+/**
+ * Breadth-first search: every edge counts as 1, so a FIFO queue settles nodes level by level.
+ * The unweighted special case of Dijkstra, taught before it.
+ */
+const bfs = {
+  id: 'bfs',
+  name: 'BFS',
+  shortName: 'BFS',
+  generateSteps: generateBFSSteps,
+  pseudocode: {
+    lines: [
+      "1. level[s] ← 0; queue ← [s]",
+      "2. while queue is not empty:",
+      "3.   u ← dequeue()",
+      "4.   for each edge (u, v):",
+      "5.     if v not discovered:",
+      "6.       level[v] ← level[u] + 1",
+      "7.       enqueue(v)",
+    ],
+    stepToLine: {
+      [BFS_STEP_LABELS[0]]: 1,
+      [BFS_STEP_LABELS[1]]: 3,
+      [BFS_STEP_LABELS[2]]: 5,
+      [BFS_STEP_LABELS[3]]: 7,
+      'Done': 2,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V + E)',
+  complexityBound: ({ V, E }) => V + E,
+  weightDistribution: 'unit',
+};
+
+export default bfs;
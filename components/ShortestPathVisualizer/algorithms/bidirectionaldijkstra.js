@@ -0,0 +1,44 @@
+import { generateBidirectionalDijkstraSteps, BIDIRECTIONAL_STEP_LABELS } from '../BidirectionalDijkstraSteps';
+
+/**
+ * Bidirectional Dijkstra: a forward search from the source and a backward search from the
+ * target (over incoming edges) that stop once top_f + top_b ≥ μ, the best meeting cost seen.
+ * Point-to-point, so it needs a target node, and only valid for non-negative edge weights.
+ */
+const bidirectionalDijkstra = {
+  id: 'bidirectional',
+  name: 'Bidirectional Dijkstra',
+  shortName: 'Bidirectional',
+  generateSteps: generateBidirectionalDijkstraSteps,
+  pseudocode: {
+    lines: [
+      "1. dist_f[s] ← 0, dist_b[t] ← 0, μ ← ∞",
+      "2. while both queues not empty:",
+      "3.   if top_f + top_b ≥ μ: stop",
+      "4.   u ← min of the two queue tops, settle on its side",
+      "5.   for each edge (u,v) on that side:",
+      "6.     relax dist[v] ← dist[u] + w(u,v)",
+      "7.     μ ← min(μ, dist_f[v] + dist_b[v])",
+      "8. return μ and the path through the meeting node",
+    ],
+    stepToLine: {
+      [BIDIRECTIONAL_STEP_LABELS[0]]: 1,
+      [BIDIRECTIONAL_STEP_LABELS[1]]: 3,
+      [BIDIRECTIONAL_STEP_LABELS[2]]: 4,
+      [BIDIRECTIONAL_STEP_LABELS[3]]: 6,
+      [BIDIRECTIONAL_STEP_LABELS[4]]: 8,
+      'Done': 8,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    needsTarget: true,
+    directedOnly: false,
+  },
+  defaultLayout: 'spatial',
+  complexity: 'O((V+E)log V)',
+  complexityBound: ({ V, E, log }) => (V + E) * log(V),
+};
+
+export default bidirectionalDijkstra;
@@ -0,0 +1,46 @@
+import { generateDAGSteps, DAG_STEP_LABELS } from '../DAGSteps';
+
+/**
+ * DAG shortest (or longest) paths: sort the nodes topologically, then relax every edge once
+ * in that order. Linear time, and negative weights are fine because there are no cycles.
+ */
+const dag = {
+  id: 'dag',
+  name: 'DAG Shortest Paths',
+  shortName: 'DAG',
+  generateSteps: generateDAGSteps,
+  pseudocode: {
+    lines: [
+      "1. order ← topological sort (Kahn or DFS)",
+      "2. if no order exists: the graph has a cycle",
+      "3. dist[s] ← 0, others ← ∞",
+      "4. for each u in order:",
+      "5.   for each edge (u, v):",
+      "6.     if dist[u] + w(u,v) beats dist[v]:",
+      "7.       update dist[v], pred[v] ← u",
+      "8. longest: critical path ← pred chain of max dist",
+    ],
+    stepToLine: {
+      [DAG_STEP_LABELS[0]]: 1,
+      [DAG_STEP_LABELS[1]]: 1,
+      [DAG_STEP_LABELS[2]]: 2,
+      [DAG_STEP_LABELS[3]]: 3,
+      [DAG_STEP_LABELS[4]]: 4,
+      [DAG_STEP_LABELS[5]]: 6,
+      [DAG_STEP_LABELS[6]]: 8,
+      'Done': 4,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: true,
+    needsHeuristic: false,
+    directedOnly: true,
+    acyclicOnly: true,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V + E)',
+  complexityBound: ({ V, E }) => V + E,
+  defaultOptions: { topoMethod: 'kahn', objective: 'shortest' },
+};
+
+export default dag;
@@ -0,0 +1,22 @@
+/**
+ * Algorithm definitions without their React panels: importable from the app, the benchmark and
+ * Node scripts alike (lib/pathfinder). index.js adds the panels for the visualizer.
+ * To add an algorithm, create a definition module in this folder, add it to the list below and
+ * give it panels in panels.js.
+ */
+import { registerAlgorithm } from './registry';
+import bfs from './bfs';
+import zeroOneBfs from './zeroonebfs';
+import dijkstra from './dijkstra';
+import bidirectionalDijkstra from './bidirectionaldijkstra';
+import bellmanFord from './bellmanford';
+import spfa from './spfa';
+import astar from './astar';
+import floydWarshall from './floydwarshall';
+import johnson from './johnson';
+import dag from './dag';
+import yen from './yen';
+
+[bfs, zeroOneBfs, dijkstra, bidirectionalDijkstra, bellmanFord, spfa, astar, floydWarshall, johnson, dag, yen].forEach(registerAlgorithm);
+
+export { registerAlgorithm, getAlgorithm, getAlgorithms } from './registry';
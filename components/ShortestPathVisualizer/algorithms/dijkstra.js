@@ -0,0 +1,41 @@
+import { generateDijkstraSteps, DIJKSTRA_STEP_LABELS } from '../DijkstraSteps';
+
+/**
+ * Dijkstra's algorithm: greedy single-source shortest paths with a priority queue.
+ * Only valid for non-negative edge weights.
+ */
+const dijkstra = {
+  id: 'dijkstra',
+  name: "Dijkstra's",
+  shortName: 'Dijkstra',
+  generateSteps: generateDijkstraSteps,
+  pseudocode: {
+    lines: [
+      "1. Initialize distance to source as 0",
+      "2. Priority queue ← all nodes",
+      "3. while queue not empty:",
+      "4.   u ← node with min distance",
+      "5.   for each neighbor v of u:",
+      "6.     if dist[v] > dist[u] + w(u,v):",
+      "7.       update dist[v]",
+    ],
+    stepToLine: {
+      [DIJKSTRA_STEP_LABELS[0]]: 1,
+      [DIJKSTRA_STEP_LABELS[1]]: 2,
+      [DIJKSTRA_STEP_LABELS[2]]: 4,
+      [DIJKSTRA_STEP_LABELS[3]]: 6,
+      'Done': 7,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'spatial',
+  complexity: 'O((V+E)log V)',
+  complexityBound: ({ V, E, log }) => (V + E) * log(V),
+  defaultOptions: { queueVariant: 'decrease-key' },
+};
+
+export default dijkstra;
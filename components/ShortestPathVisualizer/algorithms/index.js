@@ -0,0 +1,11 @@
+/**
+ * Algorithm registry entry point for the visualizer: the definitions (definitions.js) with
+ * their panels (panels.js). Code that must run without React imports definitions.js instead.
+ */
+import { registerAlgorithmUI } from './registry';
+import { ALGORITHM_PANELS } from './panels';
+import './definitions';
+
+Object.entries(ALGORITHM_PANELS).forEach(([id, ui]) => registerAlgorithmUI(id, ui));
+
+export { registerAlgorithm, registerAlgorithmUI, getAlgorithm, getAlgorithms } from './registry';
@@ -0,0 +1,43 @@
+import { generateJohnsonSteps, JOHNSON_STEP_LABELS } from '../JohnsonSteps';
+import { BELLMAN_FORD_STEP_LABELS } from '../BellmanFordSteps';
+import { DIJKSTRA_STEP_LABELS } from '../DijkstraSteps';
+
+/**
+ * Johnson's algorithm: all-pairs shortest paths on sparse graphs with negative weights.
+ * Bellman-Ford computes potentials that make every edge non-negative, then Dijkstra runs per source.
+ */
+const johnson = {
+  id: 'johnson',
+  name: "Johnson's",
+  shortName: 'Johnson',
+  generateSteps: generateJohnsonSteps,
+  pseudocode: {
+    lines: [
+      "1. Add vertex q with w(q,v) = 0 for all v",
+      "2. h ← Bellman-Ford(q); stop if negative cycle",
+      "3. w'(u,v) ← w(u,v) + h(u) − h(v)",
+      "4. for each u: d' ← Dijkstra(u) on w'",
+      "5.   d(u,v) ← d'(u,v) − h(u) + h(v)",
+    ],
+    stepToLine: {
+      [JOHNSON_STEP_LABELS[0]]: 1,
+      ...Object.fromEntries(BELLMAN_FORD_STEP_LABELS.map((label) => [label, 2])),
+      [JOHNSON_STEP_LABELS[1]]: 3,
+      ...Object.fromEntries(DIJKSTRA_STEP_LABELS.map((label) => [label, 4])),
+      [JOHNSON_STEP_LABELS[2]]: 5,
+      'Done': 5,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: true,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(VE + V² log V)',
+  complexityBound: ({ V, E, log }) => V * E + V * V * log(V),
+  // Every step of the V Dijkstra runs snapshots the V×V distance matrix: ~45 MB at 20 nodes
+  benchmarkMaxNodes: 20,
+};
+
+export default johnson;
@@ -0,0 +1,56 @@
+/**
+ * Side panels and settings controls of each shortest-path algorithm, by algorithm id.
+ * The React half of the definitions in definitions.js (see registerAlgorithmUI).
+ */
+import React from 'react';
+import {
+  AStarScoreTable,
+  DequeVisualization,
+  DistanceMatrix,
+  DistanceTable,
+  FrontierDistanceTable,
+  IterationProgress,
+  JohnsonPhasePanel,
+  KShortestPathsPanel,
+  LevelsPanel,
+  MeetingPointPanel,
+  MinHeapVisualization,
+  PassStatsPanel,
+  QueueStatsPanel,
+  QueueVisualization,
+  TopologicalOrderPanel,
+} from '../algorithm-viz';
+import QueueVariantSettings from '../QueueVariantSettings';
+import BellmanFordSettings from '../BellmanFordSettings';
+import HeuristicSettings from '../HeuristicSettings';
+import DAGSettings from '../DAGSettings';
+import KPathSettings from '../KPathSettings';
+
+// BFS only ever appends at the back, so the deque panel is a plain FIFO queue here
+const BFSQueuePanel = (props) => (
+  <DequeVisualization {...props} title="BFS Queue" />
+);
+
+// With 0/1 weights the levels are distance layers rather than hop counts
+const DistanceLayersPanel = (props) => (
+  <LevelsPanel {...props} title="Distance Layers" />
+);
+
+// The open set is a priority queue keyed by f instead of distance
+const OpenSetPanel = (props) => (
+  <MinHeapVisualization {...props} title="Open Set (by f)" valueLabel="f" />
+);
+
+export const ALGORITHM_PANELS = {
+  bfs: { panels: [LevelsPanel, BFSQueuePanel] },
+  zeroonebfs: { panels: [DistanceTable, DequeVisualization, DistanceLayersPanel] },
+  dijkstra: { panels: [DistanceTable, MinHeapVisualization, QueueStatsPanel], settingsPanel: QueueVariantSettings },
+  bidirectional: { panels: [MeetingPointPanel, FrontierDistanceTable] },
+  bellmanford: { panels: [DistanceTable, IterationProgress, PassStatsPanel], settingsPanel: BellmanFordSettings },
+  spfa: { panels: [DistanceTable, QueueVisualization] },
+  astar: { panels: [AStarScoreTable, OpenSetPanel], settingsPanel: HeuristicSettings },
+  floydwarshall: { panels: [DistanceMatrix, IterationProgress] },
+  johnson: { panels: [JohnsonPhasePanel, MinHeapVisualization, DistanceMatrix] },
+  dag: { panels: [DistanceTable, TopologicalOrderPanel], settingsPanel: DAGSettings },
+  yen: { panels: [KShortestPathsPanel], settingsPanel: KPathSettings },
+};
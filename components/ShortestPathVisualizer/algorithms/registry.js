@@ -0,0 +1,118 @@
+/**
+ * registry.js
+ * Central lookup for every algorithm the visualizers can run.
+ *
+ * Each algorithm module describes itself with a plain definition object, free of React so the
+ * definitions also load outside the app (benchmark, lib/pathfinder):
+ * - `id` (string): stable key used in state, tabs and URLs
+ * - `name` (string): display name used in explanations ("Dijkstra's")
+ * - `shortName` (string): compact label used in the navbar tabs
+ * - `generateSteps(params)`: step generator, same contract as generateDijkstraSteps
+ * - `pseudocode`: { lines: string[], stepToLine: { [algorithmStep]: lineNumber } }
+ * - `capabilities`: { supportsNegativeWeights, needsHeuristic, needsTarget, directedOnly, acyclicOnly }
+ *   (`needsTarget`: point-to-point search whose steps depend on the destination node,
+ *   `acyclicOnly`: generated graphs must be DAGs)
+ * - `panels` (Array): side panel components rendered by AlgorithmVisualizer, added by registerAlgorithmUI
+ * - `defaultLayout` ('spatial'|'circular'): layout picked when switching to it
+ * - `complexity` (string): time complexity shown in the settings drawer
+ * - `complexityBound` (Function|null): that complexity evaluated without constant factors,
+ *   ({ V, E, log, options }) => number, where `log` is log base 2 and E counts undirected edges
+ *   both ways; drawn against the operation counters
+ * - `graphProfile` ('dijkstra'|'bellmanford'): weight/density profile used by the random graph generator,
+ *   defaults to 'bellmanford' for negative-weight algorithms and 'dijkstra' otherwise
+ * - `defaultOptions` (Object): algorithm options passed to generateSteps as `options`
+ * - `settingsPanel` (Component|null): drawer controls for those options, receives { options, onChange },
+ *   added by registerAlgorithmUI
+ * - `category` ('shortest-path'|'mst'|'max-flow'): which visualizer lists it, defaults to 'shortest-path'
+ * - `weightDistribution` ('random'|'unit'|'0/1'): weights picked for generated graphs when switching to it,
+ *   defaults to 'random' (the weight range)
+ * - `benchmarkMaxNodes` (number|null): largest graph the benchmark runs it on, for algorithms whose steps
+ *   are too big to keep in memory on larger graphs; null means the benchmark's own limit
+ */
+
+const DEFAULT_CAPABILITIES = {
+  supportsNegativeWeights: false,
+  needsHeuristic: false,
+  needsTarget: false,
+  directedOnly: false,
+  acyclicOnly: false,
+};
+
+const algorithms = new Map();
+
+/**
+ * Register an algorithm definition. Later registrations with the same id replace earlier ones.
+ *
+ * @param {Object} definition - Algorithm definition (see file header)
+ * @returns {Object} The normalized definition
+ */
+export function registerAlgorithm(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('Algorithm definition must have an id');
+  }
+  if (typeof definition.generateSteps !== 'function') {
+    throw new Error(`Algorithm "${definition.id}" must provide a generateSteps function`);
+  }
+
+  const normalized = {
+    name: definition.id,
+    shortName: definition.name || definition.id,
+    pseudocode: { lines: [], stepToLine: {} },
+    panels: [],
+    defaultLayout: 'circular',
+    complexity: '',
+    complexityBound: null,
+    defaultOptions: {},
+    settingsPanel: null,
+    benchmarkMaxNodes: null,
+    category: 'shortest-path',
+    weightDistribution: 'random',
+    ...definition,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities },
+  };
+  if (!normalized.graphProfile) {
+    normalized.graphProfile = normalized.capabilities.supportsNegativeWeights ? 'bellmanford' : 'dijkstra';
+  }
+
+  algorithms.set(normalized.id, normalized);
+  return normalized;
+}
+
+/**
+ * Attach the React side of a registered algorithm: its side panels and settings controls.
+ * Kept apart from the definition so the definitions stay importable without React.
+ *
+ * @param {string} id - Id of a registered algorithm
+ * @param {Object} ui - { panels, settingsPanel }, both optional
+ * @returns {Object} The updated definition
+ */
+export function registerAlgorithmUI(id, { panels = [], settingsPanel = null } = {}) {
+  const definition = algorithms.get(id);
+  if (!definition) {
+    throw new Error(`Cannot add panels to unregistered algorithm "${id}"`);
+  }
+  const updated = { ...definition, panels, settingsPanel };
+  algorithms.set(id, updated);
+  return updated;
+}
+
+/**
+ * Look up a registered algorithm by id.
+ *
+ * @param {string} id - Algorithm id
+ * @returns {Object|undefined} The algorithm definition, if registered
+ */
+export function getAlgorithm(id) {
+  return algorithms.get(id);
+}
+
+/**
+ * List registered algorithms in registration order.
+ *
+ * @param {string} [category] - Only return algorithms of this category
+ * @returns {Array} Algorithm definitions
+ */
+export function getAlgorithms(category) {
+  const definitions = Array.from(algorithms.values());
+  return category ? definitions.filter((definition) => definition.category === category) : definitions;
+}
@@ -0,0 +1,42 @@
+import { generateSPFASteps, SPFA_STEP_LABELS } from '../SPFASteps';
+
+/**
+ * SPFA: Bellman-Ford with a FIFO queue of nodes whose distance changed, so only their
+ * outgoing edges are relaxed. A node enqueued |V| times signals a negative cycle.
+ */
+const spfa = {
+  id: 'spfa',
+  name: 'SPFA',
+  shortName: 'SPFA',
+  generateSteps: generateSPFASteps,
+  pseudocode: {
+    lines: [
+      "1. dist[s] ← 0; queue ← [s]",
+      "2. while queue is not empty:",
+      "3.   u ← dequeue()",
+      "4.   for each edge (u, v):",
+      "5.     if dist[v] > dist[u] + w(u,v):",
+      "6.       update dist[v]",
+      "7.       if v not in queue: enqueue(v)",
+      "8.         if v enqueued |V| times: negative cycle",
+    ],
+    stepToLine: {
+      [SPFA_STEP_LABELS[0]]: 1,
+      [SPFA_STEP_LABELS[1]]: 3,
+      [SPFA_STEP_LABELS[2]]: 5,
+      [SPFA_STEP_LABELS[3]]: 7,
+      [SPFA_STEP_LABELS[4]]: 8,
+      'Done': 2,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: true,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V⋅E) worst case, often near O(E)',
+  complexityBound: ({ V, E }) => V * E,
+};
+
+export default spfa;
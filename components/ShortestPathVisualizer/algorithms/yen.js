@@ -0,0 +1,46 @@
+import { generateYenSteps, YEN_STEP_LABELS } from '../YenSteps';
+
+/**
+ * Yen's K shortest simple paths: Dijkstra finds the best path, then every further path
+ * branches off an earlier one at a spur node with the used edges and root nodes removed.
+ * Point-to-point, so it needs a target node, and only valid for non-negative edge weights.
+ */
+const yen = {
+  id: 'yen',
+  name: "Yen's K Shortest Paths",
+  shortName: 'Yen (K)',
+  generateSteps: generateYenSteps,
+  pseudocode: {
+    lines: [
+      "1. A[1] ← Dijkstra(s, t), B ← ∅",
+      "2. for k = 2..K:",
+      "3.   for each spur node i on A[k-1]:",
+      "4.     root ← A[k-1][s..i]",
+      "5.     remove edges used after root by paths in A",
+      "6.     remove root nodes except i",
+      "7.     spur ← Dijkstra(i, t); add root + spur to B",
+      "8.   if B is empty: stop",
+      "9.   A[k] ← cheapest path in B",
+    ],
+    stepToLine: {
+      [YEN_STEP_LABELS[0]]: 1,
+      [YEN_STEP_LABELS[1]]: 5,
+      [YEN_STEP_LABELS[2]]: 7,
+      [YEN_STEP_LABELS[3]]: 9,
+      [YEN_STEP_LABELS[4]]: 8,
+      'Done': 9,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    needsTarget: true,
+    directedOnly: false,
+  },
+  defaultLayout: 'spatial',
+  complexity: 'O(K·V·(V+E)log V)',
+  complexityBound: ({ V, E, log, options }) => (options.k ?? 3) * V * (V + E) * log(V),
+  defaultOptions: { k: 3 },
+};
+
+export default yen;
@@ -0,0 +1,43 @@
+import { generateZeroOneBFSSteps, ZERO_ONE_BFS_STEP_LABELS } from '../ZeroOneBFSSteps';
+
+/**
+ * 0-1 BFS: shortest paths when every weight is 0 or 1. A deque takes the place of the
+ * priority queue: 0-edges push to the front, 1-edges to the back.
+ */
+const zeroOneBfs = {
+  id: 'zeroonebfs',
+  name: '0-1 BFS',
+  shortName: '0-1 BFS',
+  generateSteps: generateZeroOneBFSSteps,
+  pseudocode: {
+    lines: [
+      "1. dist[s] ← 0; deque ← [s]",
+      "2. while deque is not empty:",
+      "3.   u ← pop_front(); skip if settled",
+      "4.   for each edge (u, v) with weight w:",
+      "5.     if dist[u] + w < dist[v]:",
+      "6.       dist[v] ← dist[u] + w",
+      "7.       if w = 0: push_front(v)",
+      "8.       else: push_back(v)",
+    ],
+    stepToLine: {
+      [ZERO_ONE_BFS_STEP_LABELS[0]]: 1,
+      [ZERO_ONE_BFS_STEP_LABELS[1]]: 3,
+      [ZERO_ONE_BFS_STEP_LABELS[2]]: 7,
+      [ZERO_ONE_BFS_STEP_LABELS[3]]: 8,
+      [ZERO_ONE_BFS_STEP_LABELS[4]]: 5,
+      'Done': 2,
+    },
+  },
+  capabilities: {
+    supportsNegativeWeights: false,
+    needsHeuristic: false,
+    directedOnly: false,
+  },
+  defaultLayout: 'circular',
+  complexity: 'O(V + E)',
+  complexityBound: ({ V, E }) => V + E,
+  weightDistribution: '0/1',
+};
+
+export default zeroOneBfs;
@@ -0,0 +1,191 @@
+/**
+ * Batch benchmark: runs every registered shortest-path algorithm over a sweep of generated
+ * graphs and records the operation counters of its final step (see opCounts.js), the number of
+ * steps and the wall time of the step generation.
+ *
+ * Graphs come from the same helpers generateRandomGraph uses, called headlessly on a fixed
+ * viewport. The readability cap generateRandomGraph puts on density is skipped so the density
+ * sweep stays meaningful for larger graphs. Each (node count, density, trial) graph is shared by
+ * all algorithms; DAG-only algorithms get it oriented along the spanning tree and algorithms with
+ * a fixed weight distribution ('unit', '0/1') get their weights, like generateRandomGraph does.
+ * Algorithms with a `benchmarkMaxNodes` cap (Floyd–Warshall and Johnson, whose steps each hold a
+ * V×V matrix) skip the larger graphs, since every case runs synchronously on the main thread.
+ *
+ * Wall time covers building the steps too, so it grows faster than the counters.
+ */
+import {
+  generateCircularNodes,
+  generatePossibleEdges,
+  generateSpanningTree,
+  generateRandomEdges,
+  orientAcyclic,
+  applyWeightDistribution,
+} from './graphGenerationHelpers';
+import { OP_COUNTERS, countEdges } from './opCounts';
+import { getAlgorithm } from './algorithms/definitions';
+
+export const BENCHMARK_DEFAULTS = {
+  nodeCounts: [5, 10, 15, 20, 30],
+  densities: [0.2, 0.5],
+  trials: 2,
+};
+
+// Per-algorithm caps (benchmarkMaxNodes) apply on top of maxNodes
+export const BENCHMARK_LIMITS = {
+  minNodes: 3,
+  maxNodes: 40,
+  maxTrials: 10,
+};
+
+// Columns besides the case description, in CSV order
+export const BENCHMARK_METRICS = [
+  ...OP_COUNTERS.map(({ key, label }) => ({ key, label })),
+  { key: 'steps', label: 'Steps' },
+  { key: 'timeMs', label: 'Wall time (ms)' },
+];
+
+const VIEWPORT = { width: 800, height: 600 };
+const WEIGHT_CONFIG = { minWeight: 1, maxWeight: 20, allowNegativeEdges: false, isDirected: true };
+
+/**
+ * Parse a comma-separated list of numbers.
+ *
+ * @param {string} text - User input, e.g. "5, 10, 20"
+ * @param {Object} range - Accepted { min, max, integer }
+ * @param {string} name - Name used in error messages
+ * @returns {Array<number>} Sorted unique values
+ */
+export function parseNumberList(text, { min, max, integer = false }, name) {
+  const values = text.split(',').map((part) => part.trim()).filter(Boolean).map(Number);
+  if (values.length === 0) {
+    throw new Error(`Enter at least one ${name}`);
+  }
+  values.forEach((value) => {
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      throw new Error(`Each ${name} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+    }
+  });
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Generate the shared graph of one benchmark case. Node 0 is the source; the target sits
+ * opposite it on the circle.
+ *
+ * @param {number} nodeCount - Number of nodes
+ * @param {number} density - Fraction of the n(n-1) possible directed edges to aim for
+ * @returns {Object} { nodes, edges, treeEdges, sourceNode, destNode }
+ */
+export function buildBenchmarkGraph(nodeCount, density) {
+  const sourceNode = 0;
+  const nodes = generateCircularNodes(nodeCount, VIEWPORT.width, VIEWPORT.height, false);
+  const possibleEdges = generatePossibleEdges(nodes, nodeCount, 'dijkstra');
+  const { treeEdges } = generateSpanningTree(nodes, sourceNode, possibleEdges);
+  const targetEdgeCount = Math.ceil(nodeCount * (nodeCount - 1) * density);
+  const { edges } = generateRandomEdges(
+    nodes,
+    treeEdges,
+    possibleEdges,
+    targetEdgeCount,
+    { ...WEIGHT_CONFIG, viewportScale: VIEWPORT },
+    'dijkstra'
+  );
+  return { nodes, edges, treeEdges, sourceNode, destNode: Math.floor(nodeCount / 2) };
+}
+
+/**
+ * Run one algorithm on a case graph.
+ *
+ * @param {string} algorithmId - Registered algorithm id
+ * @param {Object} graph - Graph from buildBenchmarkGraph
+ * @returns {Object|null} { V, E, steps, timeMs, ...opCounts }, or null when the graph is over the
+ *   algorithm's benchmarkMaxNodes
+ */
+export function runBenchmarkCase(algorithmId, graph) {
+  const definition = getAlgorithm(algorithmId);
+  if (definition.benchmarkMaxNodes != null && graph.nodes.length > definition.benchmarkMaxNodes) {
+    return null;
+  }
+  const { nodes, treeEdges, sourceNode, destNode } = graph;
+  let edges = definition.capabilities.acyclicOnly
+    ? orientAcyclic(graph.edges, treeEdges, sourceNode).edges
+    : graph.edges;
+  edges = applyWeightDistribution(edges, definition.weightDistribution);
+
+  const start = performance.now();
+  const steps = definition.generateSteps({
+    nodes: nodes.map((node) => ({ ...node })),
+    edges: edges.map((edge) => ({ ...edge, status: 'unvisited' })),
+    selectedSourceNode: sourceNode,
+    selectedDestNode: destNode,
+    graphParams: { sourceNode, isDirected: true, acyclic: definition.capabilities.acyclicOnly },
+    setShortestPathResult: () => {},
+    options: { ...definition.defaultOptions },
+  });
+  const timeMs = performance.now() - start;
+
+  const opCounts = steps[steps.length - 1]?.opCounts || {};
+  const row = { V: nodes.length, E: countEdges(edges), steps: steps.length, timeMs };
+  OP_COUNTERS.forEach(({ key }) => {
+    row[key] = opCounts[key] ?? 0;
+  });
+  return row;
+}
+
+/**
+ * Every graph to generate for a sweep, in run order.
+ *
+ * @param {Object} sweep - { nodeCounts, densities, trials }
+ * @returns {Array<Object>} { nodeCount, density, trial }
+ */
+export function getBenchmarkCases({ nodeCounts, densities, trials }) {
+  const cases = [];
+  nodeCounts.forEach((nodeCount) => {
+    densities.forEach((density) => {
+      for (let trial = 1; trial <= trials; trial++) {
+        cases.push({ nodeCount, density, trial });
+      }
+    });
+  });
+  return cases;
+}
+
+/**
+ * Mean of every metric per algorithm, node count and density.
+ *
+ * @param {Array<Object>} rows - Benchmark rows { algorithm, nodeCount, density, V, E, ...metrics }
+ * @returns {Array<Object>} One row per group, with `trials` and mean V, E and metrics
+ */
+export function summarizeBenchmark(rows) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = `${row.algorithm}|${row.nodeCount}|${row.density}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.values()].map((group) => {
+    const { algorithm, nodeCount, density } = group[0];
+    const mean = (key) => group.reduce((sum, row) => sum + row[key], 0) / group.length;
+    const summary = { algorithm, nodeCount, density, trials: group.length, V: mean('V'), E: mean('E') };
+    BENCHMARK_METRICS.forEach(({ key }) => {
+      summary[key] = mean(key);
+    });
+    return summary;
+  });
+}
+
+/**
+ * One CSV line per run, with a header.
+ *
+ * @param {Array<Object>} rows - Benchmark rows
+ * @returns {string} CSV text
+ */
+export function benchmarkToCsv(rows) {
+  const columns = ['algorithm', 'nodeCount', 'density', 'trial', 'V', 'E', ...BENCHMARK_METRICS.map(({ key }) => key)];
+  const format = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value));
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => format(row[column])).join(',')),
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,94 @@
+/**
+ * Playback breakpoints. Each breakpoint is checked against a step as the animation applies it,
+ * comparing with the step before so only the moment something happens counts:
+ * - `visit`: node X enters visitedNodes
+ * - `distChange`: dist[X] changes (or the step reports X in updatedDistances)
+ * - `iteration`: iterationCount becomes k
+ * - `edgeExcluded`: an edge turns 'excluded'
+ */
+
+export const BREAKPOINT_TYPES = [
+  { type: 'visit', label: 'Node visited', target: 'node' },
+  { type: 'distChange', label: 'dist[X] changes', target: 'node' },
+  { type: 'iteration', label: 'Iteration k starts', target: 'number' },
+  { type: 'edgeExcluded', label: 'Edge excluded', target: null },
+];
+
+let nextBreakpointId = 1;
+
+/**
+ * @param {string} type - One of BREAKPOINT_TYPES
+ * @param {number|null} [value] - Node id or iteration number, for types that need one
+ * @returns {Object} Breakpoint { id, type, value, enabled }
+ */
+export function createBreakpoint(type, value = null) {
+  return { id: nextBreakpointId++, type, value, enabled: true };
+}
+
+/**
+ * Human-readable description, e.g. "dist[C] changes".
+ *
+ * @param {Object} breakpoint - Breakpoint from createBreakpoint
+ * @param {Array} nodes - Node objects, for labels
+ * @returns {string}
+ */
+export function describeBreakpoint(breakpoint, nodes) {
+  const label = nodes[breakpoint.value]?.label ?? `#${breakpoint.value}`;
+  switch (breakpoint.type) {
+    case 'visit':
+      return `Node ${label} visited`;
+    case 'distChange':
+      return `dist[${label}] changes`;
+    case 'iteration':
+      return `Iteration ${breakpoint.value} starts`;
+    default:
+      return 'An edge is excluded';
+  }
+}
+
+const excludedEdges = (step) =>
+  new Set((step?.edgeUpdates || []).filter((update) => update.status === 'excluded').map((update) => update.id));
+
+/**
+ * Whether a breakpoint fires on `step`.
+ *
+ * @param {Object} breakpoint - Breakpoint from createBreakpoint
+ * @param {Object} step - Step being applied
+ * @param {Object|undefined} previous - Step before it, if any
+ * @returns {boolean}
+ */
+function firesOn(breakpoint, step, previous) {
+  const { type, value } = breakpoint;
+  switch (type) {
+    case 'visit':
+      return (step.visitedNodes || []).includes(value) && !(previous?.visitedNodes || []).includes(value);
+    case 'distChange': {
+      if ((step.updatedDistances || []).includes(value)) return true;
+      const before = previous?.distanceArray?.[value];
+      const after = step.distanceArray?.[value];
+      return previous !== undefined && before !== undefined && after !== undefined && before !== after;
+    }
+    case 'iteration':
+      return (step.iterationCount || 0) === value && (previous === undefined || (previous.iterationCount || 0) !== value);
+    case 'edgeExcluded': {
+      const before = excludedEdges(previous);
+      return [...excludedEdges(step)].some((id) => !before.has(id));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * First enabled breakpoint that fires on steps[stepIndex], or null.
+ *
+ * @param {Array} breakpoints - Breakpoints from createBreakpoint
+ * @param {Array} steps - Generated steps
+ * @param {number} stepIndex - Index of the step being applied
+ * @returns {Object|null}
+ */
+export function findBreakpointHit(breakpoints, steps, stepIndex) {
+  const step = steps[stepIndex];
+  if (!step) return null;
+  return breakpoints.find((breakpoint) => breakpoint.enabled && firesOn(breakpoint, step, steps[stepIndex - 1])) || null;
+}
@@ -0,0 +1,1362 @@
+/**
+ * Graph files: import and export of a graph on its own (no run), in our own formats and in
+ * Graphviz DOT and GraphML for other tools.
+ *
+ * JSON (`.json`), the documented schema:
+ *   {
+ *     "format": "pathfinder-graph",   // optional on import
+ *     "version": 1,                   // optional on import; newer versions are rejected
+ *     "directed": true,               // optional, defaults to true
+ *     "nodes": [{ "id": 0, "label": "A", "x": 120, "y": 80 }],
+ *     "edges": [{ "source": 0, "target": 1, "weight": 4 }]
+ *   }
+ *   - node `id` (string or number) defaults to the node's position, `label` to its id;
+ *     `x`/`y` are optional; unless every node has them the graph is laid out on import
+ *   - edges refer to nodes by id; `weight` defaults to 1
+ *   - in an undirected graph an edge can set `"directed": true` to stay one-way
+ *
+ * CSV edge list (`.csv`): one `source,target,weight` line per edge, nodes named by label.
+ * An optional `source,target,weight` header, blank lines and `#` comments are skipped; the
+ * weight defaults to 1; fields may be double-quoted.
+ *
+ * Adjacency matrix (`.txt`, or a `.csv` that detectGraphFormat recognizes): one row per node,
+ * cells separated by spaces or commas, `-` (or `inf`, `∞`, or an empty comma-separated cell)
+ * for "no edge" so 0-weight edges stay possible. An optional first row of labels names the nodes (otherwise A, B, C, …), and
+ * each row may then start with its own label; the label row may start with an empty corner cell.
+ *
+ * CSV and matrix files are directed unless told otherwise: a `# undirected` (or `# directed`)
+ * comment line wins, then the caller's `directed` option. Undirected matrices must be symmetric.
+ *
+ * DOT (`.dot`, `.gv`): `graph` or `digraph`, node `label` and `pos` ("x,y" in points, y up),
+ * edge `weight` (or a numeric `label`); written with both `weight` and `label` so Graphviz
+ * shows the weights.
+ *
+ * GraphML (`.graphml`): <key> declarations named label, x, y (nodes) and weight (edges) map
+ * onto the same fields, and the graph's `edgedefault` gives the direction.
+ *
+ * Every parse error is an Error whose message starts with "Line L, column C:"; the numbers
+ * are also on the error as `line` and `column`.
+ */
+import { generateCircularNodes, applyForceDirected } from './graphGenerationHelpers';
+
+export const GRAPH_FILE_FORMAT = 'pathfinder-graph';
+export const GRAPH_FILE_VERSION = 1;
+
+export const GRAPH_FORMATS = [
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'csv', label: 'CSV edge list', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'matrix', label: 'Adjacency matrix', extension: 'txt', mimeType: 'text/plain' },
+  { id: 'dot', label: 'DOT (Graphviz)', extension: 'dot', aliases: ['gv'], mimeType: 'text/vnd.graphviz' },
+  { id: 'graphml', label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+];
+
+/**
+ * @returns {Array<string>} Every file extension a graph file can have, with the leading dot
+ */
+export function graphFileExtensions() {
+  return GRAPH_FORMATS.flatMap(({ extension, aliases = [] }) => [extension, ...aliases].map((ext) => `.${ext}`));
+}
+
+const NO_EDGE = new Set(['-', 'inf', '∞', 'infinity']);
+
+function parseError(line, column, message) {
+  const error = new Error(`Line ${line}, column ${column}: ${message}`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+// 1-based line and column of a character offset
+function locate(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+// =========================
+//   JSON
+// =========================
+
+/**
+ * JSON.parse with positions: syntax errors report line and column in every browser, and the
+ * offset where each object and array starts is kept so schema errors can point at them too.
+ *
+ * @param {string} text - JSON text
+ * @returns {Object} { value, offsetOf } where offsetOf(objectOrArray) is its start offset
+ */
+function parseJsonWithOffsets(text) {
+  const offsets = new WeakMap();
+  const NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+  const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+  let index = 0;
+
+  const fail = (message, at = index) => {
+    const { line, column } = locate(text, at);
+    throw parseError(line, column, message);
+  };
+  const found = () => (index >= text.length ? 'end of file' : `"${text[index]}"`);
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\r\n'.includes(text[index])) index++;
+  };
+
+  const parseString = () => {
+    const start = index;
+    let result = '';
+    index++;
+    while (text[index] !== '"') {
+      if (index >= text.length || text[index] === '\n') fail('Unterminated string', start);
+      if (text[index] === '\\') {
+        const escape = text[index + 1];
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(index + 2, index + 6), 16));
+          index += 6;
+        } else if (escape in ESCAPES) {
+          result += ESCAPES[escape];
+          index += 2;
+        } else {
+          fail(`Invalid escape sequence "\\${escape ?? ''}"`);
+        }
+      } else {
+        result += text[index++];
+      }
+    }
+    index++;
+    return result;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const start = index;
+    const char = text[index];
+
+    if (char === '{') {
+      const object = {};
+      offsets.set(object, start);
+      index++;
+      skipWhitespace();
+      if (text[index] === '}') {
+        index++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[index] !== '"') fail(`Expected a property name in double quotes, found ${found()}`);
+        const key = parseString();
+        skipWhitespace();
+        if (text[index] !== ':') fail(`Expected ":" after "${key}", found ${found()}`);
+        index++;
+        object[key] = parseValue();
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === '}') {
+          index++;
+          return object;
+        } else {
+          fail(`Expected "," or "}", found ${found()}`);
+        }
+      }
+    }
+
+    if (char === '[') {
+      const array = [];
+      offsets.set(array, start);
+      index++;
+      skipWhitespace();
+      if (text[index] === ']') {
+        index++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue());
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+        } else if (text[index] === ']') {
+          index++;
+          return array;
+        } else {
+          fail(`Expected "," or "]", found ${found()}`);
+        }
+      }
+    }
+
+    if (char === '"') return parseString();
+
+    NUMBER.lastIndex = index;
+    const number = NUMBER.exec(text);
+    if (number) {
+      index += number[0].length;
+      return Number(number[0]);
+    }
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(literal, index)) {
+        index += literal.length;
+        return value;
+      }
+    }
+    return fail(`Expected a value, found ${found()}`);
+  };
+
+  const value = parseValue();
+  skipWhitespace();
+  if (index < text.length) fail(`Unexpected ${found()} after the end of the document`);
+  return { value, offsetOf: (item) => offsets.get(item) ?? 0 };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a graph in the JSON schema (see file header).
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseGraphJson(text) {
+  const { value: document, offsetOf } = parseJsonWithOffsets(text);
+  const failAt = (item, message) => {
+    const { line, column } = locate(text, offsetOf(item));
+    throw parseError(line, column, message);
+  };
+
+  if (!isPlainObject(document)) failAt(document, 'A graph file must be a JSON object');
+  if (document.format != null && document.format !== GRAPH_FILE_FORMAT) {
+    failAt(document, `Not a graph file (format "${document.format}")`);
+  }
+  if (typeof document.version === 'number' && document.version > GRAPH_FILE_VERSION) {
+    failAt(document, `Graph file version ${document.version} is newer than this app supports (${GRAPH_FILE_VERSION})`);
+  }
+  if (!Array.isArray(document.nodes)) failAt(document, 'Missing "nodes" array');
+  if (!Array.isArray(document.edges)) failAt(document, 'Missing "edges" array');
+  if (document.directed != null && typeof document.directed !== 'boolean') {
+    failAt(document, '"directed" must be true or false');
+  }
+  const directed = document.directed !== false;
+
+  const ids = new Set();
+  const nodes = document.nodes.map((node, index) => {
+    if (!isPlainObject(node)) failAt(document.nodes, `Node ${index + 1} must be an object`);
+    const id = node.id ?? index;
+    if (typeof id !== 'string' && typeof id !== 'number') failAt(node, 'Node "id" must be a string or a number');
+    if (ids.has(String(id))) failAt(node, `Duplicate node id "${id}"`);
+    ids.add(String(id));
+    ['x', 'y'].forEach((axis) => {
+      if (node[axis] != null && !Number.isFinite(node[axis])) failAt(node, `Node "${id}" has a non-numeric ${axis}`);
+    });
+    return {
+      id,
+      label: String(node.label ?? id),
+      ...(node.x != null && node.y != null && { x: node.x, y: node.y }),
+    };
+  });
+
+  const edgeKeys = new Set();
+  const edges = document.edges.map((edge, index) => {
+    if (!isPlainObject(edge)) failAt(document.edges, `Edge ${index + 1} must be an object`);
+    ['source', 'target'].forEach((end) => {
+      if (edge[end] == null) failAt(edge, `Edge ${index + 1} has no "${end}"`);
+      if (!ids.has(String(edge[end]))) failAt(edge, `Edge ${index + 1} refers to unknown node "${edge[end]}"`);
+    });
+    const weight = edge.weight ?? 1;
+    if (!Number.isFinite(weight)) failAt(edge, `Edge ${edge.source} → ${edge.target} has a non-numeric weight`);
+    if (edge.directed != null && typeof edge.directed !== 'boolean') failAt(edge, '"directed" must be true or false');
+    const edgeDirected = directed || edge.directed === true;
+
+    const problem = checkEdge(edgeKeys, edge.source, edge.target, edgeDirected);
+    if (problem) failAt(edge, problem);
+    return { source: edge.source, target: edge.target, weight, ...(!directed && edgeDirected && { directed: true }) };
+  });
+
+  return { directed, nodes, edges };
+}
+
+// Self-loops and repeated edges can't be drawn; returns the problem, or null for a new edge
+function checkEdge(edgeKeys, source, target, directed) {
+  if (String(source) === String(target)) return `Self-loop on "${source}" is not supported`;
+  const key = `${source}\u0000${target}`;
+  const reverse = `${target}\u0000${source}`;
+  if (edgeKeys.has(key) || (!directed && edgeKeys.has(reverse))) {
+    return `Duplicate edge ${source} → ${target}`;
+  }
+  edgeKeys.add(key);
+  if (!directed) edgeKeys.add(reverse);
+  return null;
+}
+
+// =========================
+//   LINE-BASED FORMATS
+// =========================
+
+/**
+ * Split a line into fields with their 1-based columns. Fields may be double-quoted ("" is a
+ * quote inside a quoted field).
+ *
+ * @param {string} line - One line of text
+ * @param {number} lineNumber - Its 1-based line number, for errors
+ * @param {RegExp} separator - Matches one separator character
+ * @returns {Array<Object>} { value, column }
+ */
+function splitFields(line, lineNumber, separator) {
+  const fields = [];
+  let index = 0;
+  const collapse = separator.test(' ');
+
+  while (index <= line.length) {
+    while (collapse && index < line.length && /\s/.test(line[index])) index++;
+    if (collapse && index >= line.length) break;
+
+    const column = index + 1;
+    let value = '';
+    if (line[index] === '"') {
+      index++;
+      for (;;) {
+        if (index >= line.length) throw parseError(lineNumber, column, 'Unterminated quoted field');
+        if (line[index] === '"' && line[index + 1] === '"') {
+          value += '"';
+          index += 2;
+        } else if (line[index] === '"') {
+          index++;
+          break;
+        } else {
+          value += line[index++];
+        }
+      }
+      while (index < line.length && !separator.test(line[index]) && /\s/.test(line[index])) index++;
+      if (index < line.length && !separator.test(line[index])) {
+        throw parseError(lineNumber, index + 1, `Unexpected "${line[index]}" after a quoted field`);
+      }
+    } else {
+      while (index < line.length && !separator.test(line[index])) value += line[index++];
+      value = value.trim();
+    }
+    fields.push({ value, column });
+
+    // Skip the separator (a comma plus any spaces around it when spaces also separate)
+    while (collapse && index < line.length && /\s/.test(line[index])) index++;
+    if (index < line.length && separator.test(line[index])) {
+      index++;
+    } else if (!collapse || index >= line.length) {
+      break;
+    }
+  }
+  return fields;
+}
+
+// Content lines with their numbers; `# directed` / `# undirected` comments set the direction
+function readLines(text) {
+  let directed = null;
+  const lines = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#')) {
+      const directive = trimmed.slice(1).trim().toLowerCase();
+      if (directive === 'directed' || directive === 'undirected') directed = directive === 'directed';
+      return;
+    }
+    if (trimmed !== '') lines.push({ line, lineNumber: index + 1 });
+  });
+  return { lines, directed };
+}
+
+const parseNumberField = (field, lineNumber, what) => {
+  const value = Number(field.value);
+  if (field.value === '' || !Number.isFinite(value)) {
+    throw parseError(lineNumber, field.column, `${what} must be a number, found "${field.value}"`);
+  }
+  return value;
+};
+
+/**
+ * Parse a CSV edge list (see file header).
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options] - { directed: direction when the file doesn't say, default true }
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseEdgeListCsv(text, { directed: defaultDirected = true } = {}) {
+  const { lines, directed: declared } = readLines(text);
+  const directed = declared ?? defaultDirected;
+  const nodes = [];
+  const ids = new Set();
+  const addNode = (label) => {
+    if (!ids.has(label)) {
+      ids.add(label);
+      nodes.push({ id: label, label });
+    }
+  };
+
+  const edgeKeys = new Set();
+  const edges = [];
+  lines.forEach(({ line, lineNumber }, index) => {
+    const fields = splitFields(line, lineNumber, /,/);
+    if (index === 0 && fields[0]?.value.toLowerCase() === 'source' && fields[1]?.value.toLowerCase() === 'target') return;
+    if (fields.length < 2 || fields.length > 3) {
+      const column = fields.length > 3 ? fields[3].column : line.length + 1;
+      throw parseError(lineNumber, column, `Expected source,target,weight but found ${fields.length} field${fields.length === 1 ? '' : 's'}`);
+    }
+
+    const [source, target, weightField] = fields;
+    [source, target].forEach((field) => {
+      if (field.value === '') throw parseError(lineNumber, field.column, 'Node name is empty');
+    });
+    const weight = weightField && weightField.value !== '' ? parseNumberField(weightField, lineNumber, 'Weight') : 1;
+    const problem = checkEdge(edgeKeys, source.value, target.value, directed);
+    if (problem) throw parseError(lineNumber, source.column, problem);
+
+    addNode(source.value);
+    addNode(target.value);
+    edges.push({ source: source.value, target: target.value, weight });
+  });
+
+  if (nodes.length === 0) throw parseError(1, 1, 'The edge list has no edges');
+  return { directed, nodes, edges };
+}
+
+/**
+ * Parse a weighted adjacency matrix (see file header).
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options] - { directed: direction when the file doesn't say, default true }
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseAdjacencyMatrix(text, { directed: defaultDirected = true } = {}) {
+  const { lines, directed: declared } = readLines(text);
+  const directed = declared ?? defaultDirected;
+  if (lines.length === 0) throw parseError(1, 1, 'The matrix is empty');
+
+  // Comma-separated files (spreadsheets) leave "no edge" cells empty; otherwise spaces separate
+  const separator = lines[0].line.includes(',') ? /,/ : /\s/;
+  const rows = lines.map(({ line, lineNumber }) => ({ lineNumber, fields: splitFields(line, lineNumber, separator) }));
+  const isCell = (value) => value === '' || NO_EDGE.has(value.toLowerCase()) || Number.isFinite(Number(value));
+
+  // A first row with any non-numeric entry is the label header. Spreadsheets export it with
+  // an empty corner cell above the row labels (`,A,B,C`), which names no node
+  const header = rows[0].fields.some((field) => !isCell(field.value)) ? rows.shift() : null;
+  if (header && header.fields.length > 1 && header.fields[0].value === '') header.fields.shift();
+  const size = header ? header.fields.length : rows[0].fields.length;
+  const labels = header
+    ? header.fields.map((field) => field.value)
+    : Array.from({ length: size }, (_, index) => String.fromCharCode(65 + index));
+  if (header) {
+    const seen = new Set();
+    header.fields.forEach((field) => {
+      if (seen.has(field.value)) throw parseError(header.lineNumber, field.column, `Duplicate label "${field.value}"`);
+      seen.add(field.value);
+    });
+  }
+  if (rows.length !== size) {
+    const last = rows[rows.length - 1] ?? header;
+    throw parseError(last.lineNumber + 1, 1, `Expected ${size} rows for ${size} nodes, found ${rows.length}`);
+  }
+
+  // Cell values, or null for "no edge"
+  const cells = rows.map(({ lineNumber, fields }, rowIndex) => {
+    let cellFields = fields;
+    if (header && fields.length === size + 1 && !isCell(fields[0].value)) {
+      if (fields[0].value !== labels[rowIndex]) {
+        throw parseError(lineNumber, fields[0].column, `Row ${rowIndex + 1} is labelled "${fields[0].value}" but the header says "${labels[rowIndex]}"`);
+      }
+      cellFields = fields.slice(1);
+    }
+    if (cellFields.length !== size) {
+      const column = cellFields.length > size ? cellFields[size].column : (fields[fields.length - 1]?.column ?? 1);
+      throw parseError(lineNumber, column, `Expected ${size} entries, found ${cellFields.length}`);
+    }
+    return cellFields.map((field, columnIndex) => {
+      if (field.value === '' || NO_EDGE.has(field.value.toLowerCase())) return { ...field, lineNumber, weight: null };
+      const weight = parseNumberField(field, lineNumber, 'Entry');
+      if (columnIndex === rowIndex && weight !== 0) {
+        throw parseError(lineNumber, field.column, `Self-loop on "${labels[rowIndex]}" is not supported (use 0 or - on the diagonal)`);
+      }
+      return { ...field, lineNumber, weight: columnIndex === rowIndex ? null : weight };
+    });
+  });
+
+  const edges = [];
+  cells.forEach((row, i) => {
+    row.forEach((cell, j) => {
+      if (!directed) {
+        const mirror = cells[j][i];
+        if (j < i && cell.weight !== mirror.weight) {
+          throw parseError(cell.lineNumber, cell.column, `Undirected matrix is not symmetric: "${cell.value}" here but "${mirror.value}" at row ${j + 1}, column ${i + 1}`);
+        }
+        if (j < i) return;
+      }
+      if (cell.weight !== null) edges.push({ source: labels[i], target: labels[j], weight: cell.weight });
+    });
+  });
+
+  return { directed, nodes: labels.map((label) => ({ id: label, label })), edges };
+}
+
+// =========================
+//   DOT (GRAPHVIZ)
+// =========================
+
+const DOT_KEYWORDS = new Set(['strict', 'graph', 'digraph', 'subgraph', 'node', 'edge']);
+
+/**
+ * Split DOT source into tokens: IDs (with `keyword` set for unquoted keywords), the edge
+ * operators `->` / `--` and single-character punctuation, each with its offset.
+ *
+ * @param {string} text - DOT source
+ * @returns {Array<Object>} { type: 'id' | 'edgeop' | 'punct' | 'end', value, offset, keyword? }
+ */
+function tokenizeDot(text) {
+  const tokens = [];
+  const IDENTIFIER = /[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*/y;
+  const NUMERAL = /-?(\.\d+|\d+(\.\d*)?)/y;
+  let index = 0;
+  let lineStart = true;
+
+  const fail = (message, at = index) => {
+    const { line, column } = locate(text, at);
+    throw parseError(line, column, message);
+  };
+
+  const readQuoted = () => {
+    const start = index;
+    let value = '';
+    index++;
+    while (text[index] !== '"') {
+      if (index >= text.length) fail('Unterminated string', start);
+      if (text[index] === '\\' && text[index + 1] === '"') {
+        value += '"';
+        index += 2;
+      } else if (text[index] === '\\' && text[index + 1] === '\n') {
+        index += 2;
+      } else {
+        value += text[index++];
+      }
+    }
+    index++;
+    return value;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\n') {
+      lineStart = true;
+      index++;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    // `#` lines are C preprocessor output, ignored like comments
+    if (char === '#' && lineStart) {
+      while (index < text.length && text[index] !== '\n') index++;
+      continue;
+    }
+    lineStart = false;
+    if (text.startsWith('//', index)) {
+      while (index < text.length && text[index] !== '\n') index++;
+      continue;
+    }
+    if (text.startsWith('/*', index)) {
+      const end = text.indexOf('*/', index + 2);
+      if (end === -1) fail('Unterminated comment');
+      index = end + 2;
+      continue;
+    }
+
+    const offset = index;
+    if (text.startsWith('->', index) || text.startsWith('--', index)) {
+      tokens.push({ type: 'edgeop', value: text.slice(index, index + 2), offset });
+      index += 2;
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, offset });
+      index++;
+    } else if (char === '"') {
+      // "a" + "b" concatenates
+      let value = readQuoted();
+      for (;;) {
+        const next = /\s*\+\s*"/y;
+        next.lastIndex = index;
+        if (!next.test(text)) break;
+        index = next.lastIndex - 1;
+        value += readQuoted();
+      }
+      tokens.push({ type: 'id', value, offset });
+    } else if (char === '<') {
+      // HTML strings nest angle brackets
+      let depth = 0;
+      do {
+        if (index >= text.length) fail('Unterminated HTML string', offset);
+        if (text[index] === '<') depth++;
+        if (text[index] === '>') depth--;
+        index++;
+      } while (depth > 0);
+      tokens.push({ type: 'id', value: text.slice(offset + 1, index - 1), offset });
+    } else {
+      NUMERAL.lastIndex = index;
+      IDENTIFIER.lastIndex = index;
+      const match = NUMERAL.exec(text) || IDENTIFIER.exec(text);
+      if (!match) fail(`Unexpected "${char}"`);
+      index += match[0].length;
+      const keyword = DOT_KEYWORDS.has(match[0].toLowerCase());
+      tokens.push({ type: 'id', value: match[0], offset, ...(keyword && { keyword: match[0].toLowerCase() }) });
+    }
+  }
+  tokens.push({ type: 'end', value: 'end of file', offset: text.length });
+  return tokens;
+}
+
+// Graphviz escapes in labels: \N is the node's name, \n \l \r are line breaks
+const unescapeDotLabel = (label, name) =>
+  label.replace(/\\([NGnlr\\])/g, (_, escape) => (escape === 'N' ? name : escape === '\\' ? '\\' : escape === 'G' ? '' : ' ')).trim();
+
+/**
+ * Parse a Graphviz DOT graph: `graph` (undirected) or `digraph`, node and edge statements
+ * (chains like `a -> b -> c` and subgraph endpoints like `a -> { b c }`), `node [...]` /
+ * `edge [...]` defaults and subgraphs. Nodes read `label` and `pos`; edges read `weight`,
+ * or a numeric `label` when there is no weight. Other attributes are ignored.
+ *
+ * @param {string} text - DOT source
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let position = 0;
+  const peek = (ahead = 0) => tokens[Math.min(position + ahead, tokens.length - 1)];
+  const next = () => tokens[position++];
+  const failAt = (token, message) => {
+    const { line, column } = locate(text, token.offset);
+    throw parseError(line, column, message);
+  };
+  const describe = (token) => (token.type === 'end' ? 'end of file' : `"${token.value}"`);
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value || token.type === 'id') failAt(token, `Expected "${value}", found ${describe(token)}`);
+    return token;
+  };
+  const expectId = (what) => {
+    const token = next();
+    if (token.type !== 'id' || token.keyword) failAt(token, `Expected ${what}, found ${describe(token)}`);
+    return token;
+  };
+
+  let strict = false;
+  if (peek().keyword === 'strict') {
+    strict = true;
+    next();
+  }
+  const header = next();
+  if (header.keyword !== 'graph' && header.keyword !== 'digraph') {
+    failAt(header, `Expected "graph" or "digraph", found ${describe(header)}`);
+  }
+  const directed = header.keyword === 'digraph';
+  const edgeOp = directed ? '->' : '--';
+  if (peek().type === 'id' && !peek().keyword) next();
+  expect('{');
+
+  // Attribute values keep their token so errors can point at them
+  const nodes = new Map();
+  const edges = [];
+
+  // `[a=b, c=d][e=f]`
+  const parseAttributes = () => {
+    const attributes = {};
+    while (peek().value === '[' && peek().type === 'punct') {
+      next();
+      while (!(peek().value === ']' && peek().type === 'punct')) {
+        const name = expectId('an attribute name');
+        expect('=');
+        const value = next();
+        if (value.type !== 'id') failAt(value, `Expected a value for "${name.value}", found ${describe(value)}`);
+        attributes[name.value] = value;
+        if (peek().type === 'punct' && (peek().value === ',' || peek().value === ';')) next();
+      }
+      next();
+    }
+    return attributes;
+  };
+
+  const addNode = (token, defaults) => {
+    if (!nodes.has(token.value)) nodes.set(token.value, { token, attributes: { ...defaults } });
+    return nodes.get(token.value);
+  };
+
+  // A node id, ignoring any `:port:compass`
+  const parseNodeId = () => {
+    const token = expectId('a node id');
+    while (peek().value === ':' && peek().type === 'punct') {
+      next();
+      expectId('a port');
+    }
+    return token;
+  };
+
+  // Statements until the closing brace; returns the names of the nodes they mention
+  const parseStatements = (scope) => {
+    const mentioned = new Set();
+
+    // An edge endpoint: a node or a subgraph (all of its nodes)
+    const parseEndpoint = () => {
+      if (peek().keyword === 'subgraph' || (peek().value === '{' && peek().type === 'punct')) {
+        return parseSubgraph();
+      }
+      const token = parseNodeId();
+      addNode(token, scope.node);
+      return [token.value];
+    };
+
+    const parseSubgraph = () => {
+      if (peek().keyword === 'subgraph') {
+        next();
+        if (peek().type === 'id' && !peek().keyword) next();
+      }
+      expect('{');
+      const names = parseStatements({ node: { ...scope.node }, edge: { ...scope.edge } });
+      expect('}');
+      names.forEach((name) => mentioned.add(name));
+      return [...names];
+    };
+
+    while (!(peek().value === '}' && peek().type === 'punct')) {
+      const token = peek();
+      if (token.type === 'end') failAt(token, 'Expected "}", found end of file');
+
+      if (['graph', 'node', 'edge'].includes(token.keyword)) {
+        next();
+        const attributes = parseAttributes();
+        if (token.keyword !== 'graph') Object.assign(scope[token.keyword], attributes);
+      } else if (token.type === 'id' && !token.keyword && peek(1).value === '=' && peek(1).type === 'punct') {
+        // Graph attribute (`rankdir=LR`), ignored
+        next();
+        next();
+        expectId('a value');
+      } else {
+        const start = peek();
+        let group = parseEndpoint();
+        group.forEach((name) => mentioned.add(name));
+        if (peek().type === 'edgeop') {
+          const pairs = [];
+          while (peek().type === 'edgeop') {
+            const op = next();
+            if (op.value !== edgeOp) {
+              failAt(op, `"${op.value}" in a ${directed ? 'digraph' : 'graph'}; use "${edgeOp}"`);
+            }
+            const targets = parseEndpoint();
+            targets.forEach((name) => mentioned.add(name));
+            group.forEach((source) => targets.forEach((target) => pairs.push({ source, target, op })));
+            group = targets;
+          }
+          const attributes = { ...scope.edge, ...parseAttributes() };
+          pairs.forEach((pair) => edges.push({ ...pair, attributes }));
+        } else if (start.type === 'id' && !start.keyword) {
+          Object.assign(nodes.get(start.value).attributes, parseAttributes());
+        }
+      }
+      if (peek().type === 'punct' && peek().value === ';') next();
+    }
+    return mentioned;
+  };
+
+  parseStatements({ node: {}, edge: {} });
+  expect('}');
+  if (peek().type !== 'end') failAt(peek(), 'Only one graph per file is supported');
+
+  const numberAttribute = (attributes, name, what) => {
+    const token = attributes[name];
+    if (!token) return undefined;
+    const value = Number(token.value);
+    if (token.value.trim() === '' || !Number.isFinite(value)) failAt(token, `${what} must be a number, found "${token.value}"`);
+    return value;
+  };
+
+  const plainNodes = [...nodes.entries()].map(([name, { attributes }]) => {
+    const node = { id: name, label: attributes.label ? unescapeDotLabel(attributes.label.value, name) || name : name };
+    if (attributes.pos) {
+      // "x,y" in points with y pointing up, optionally pinned with "!"
+      const match = /^\s*(-?[\d.]+(?:e[+-]?\d+)?)\s*,\s*(-?[\d.]+(?:e[+-]?\d+)?)(\s*,[^!]*)?!?\s*$/i.exec(attributes.pos.value);
+      if (!match || !Number.isFinite(Number(match[1])) || !Number.isFinite(Number(match[2]))) {
+        failAt(attributes.pos, `pos must be "x,y", found "${attributes.pos.value}"`);
+      }
+      node.x = Number(match[1]);
+      node.y = -Number(match[2]);
+    }
+    return node;
+  });
+
+  const edgeKeys = new Set();
+  const plainEdges = [];
+  edges.forEach(({ source, target, op, attributes }) => {
+    let weight = numberAttribute(attributes, 'weight', 'weight');
+    if (weight === undefined && attributes.label && Number.isFinite(Number(attributes.label.value)) && attributes.label.value.trim() !== '') {
+      weight = Number(attributes.label.value);
+    }
+    const problem = checkEdge(edgeKeys, source, target, directed);
+    // Strict graphs merge repeated edges instead of rejecting them
+    if (problem && !(strict && String(source) !== String(target))) failAt(op, problem);
+    if (!problem) plainEdges.push({ source, target, weight: weight ?? 1 });
+  });
+
+  return { directed, nodes: plainNodes, edges: plainEdges };
+}
+
+const DOT_PLAIN_ID = /^([A-Za-z_][A-Za-z0-9_]*|-?(\.\d+|\d+(\.\d*)?))$/;
+const quoteDotId = (value) => {
+  const text = String(value);
+  return DOT_PLAIN_ID.test(text) && !DOT_KEYWORDS.has(text.toLowerCase())
+    ? text
+    : `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+};
+
+function serializeDot(graph) {
+  const { directed, arcs } = toArcs(graph);
+  const edgeOp = directed ? '->' : '--';
+  const lines = [`${directed ? 'digraph' : 'graph'} G {`];
+  graph.nodes.forEach((node) => {
+    const attributes = [`label=${quoteDotId(node.label)}`];
+    // Graphviz's y axis points up
+    if (Number.isFinite(node.x) && Number.isFinite(node.y)) attributes.push(`pos="${node.x},${-node.y}"`);
+    lines.push(`  ${quoteDotId(node.id)} [${attributes.join(', ')}];`);
+  });
+  arcs.forEach((arc) => {
+    lines.push(`  ${quoteDotId(arc.source)} ${edgeOp} ${quoteDotId(arc.target)} [weight=${arc.weight}, label="${arc.weight}"];`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// =========================
+//   GRAPHML
+// =========================
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parse an XML document into elements: { name (without namespace prefix), attributes,
+ * children, text, offset }. Enough XML for GraphML: no DTD validation or external entities.
+ *
+ * @param {string} text - XML source
+ * @returns {Object} The root element
+ */
+function parseXml(text) {
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const fail = (message, at = index) => {
+    const { line, column } = locate(text, at);
+    throw parseError(line, column, message);
+  };
+
+  const decode = (value, offset) =>
+    value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);?/g, (entity, name, at) => {
+      if (!entity.endsWith(';')) fail(`Unterminated entity "${entity}"`, offset + at);
+      if (name[0] === '#') return String.fromCodePoint(parseInt(name[1] === 'x' ? name.slice(2) : name.slice(1), name[1] === 'x' ? 16 : 10));
+      if (!(name in XML_ENTITIES)) fail(`Unknown entity "&${name};"`, offset + at);
+      return XML_ENTITIES[name];
+    });
+
+  const skipPast = (terminator, what, start) => {
+    const end = text.indexOf(terminator, index);
+    if (end === -1) fail(`Unterminated ${what}`, start);
+    index = end + terminator.length;
+  };
+
+  const localName = (name) => name.slice(name.indexOf(':') + 1);
+  const NAME = /[^\s=/>"'<]+/y;
+
+  let root = null;
+  const stack = [];
+  while (index < text.length) {
+    const start = index;
+    if (text[index] !== '<') {
+      const end = text.indexOf('<', index);
+      const raw = text.slice(index, end === -1 ? text.length : end);
+      index = end === -1 ? text.length : end;
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += decode(raw, start);
+      } else if (raw.trim() !== '') {
+        fail(root ? 'Unexpected text after the root element' : 'Expected an XML element', start + raw.search(/\S/));
+      }
+      continue;
+    }
+
+    if (text.startsWith('<?', index)) {
+      skipPast('?>', 'processing instruction', start);
+    } else if (text.startsWith('<!--', index)) {
+      skipPast('-->', 'comment', start);
+    } else if (text.startsWith('<![CDATA[', index)) {
+      if (stack.length === 0) fail('Unexpected CDATA outside the root element');
+      index += 9;
+      const end = text.indexOf(']]>', index);
+      if (end === -1) fail('Unterminated CDATA section', start);
+      stack[stack.length - 1].text += text.slice(index, end);
+      index = end + 3;
+    } else if (text.startsWith('<!', index)) {
+      // DOCTYPE, with or without an internal subset
+      const bracket = text.indexOf('[', index);
+      const close = text.indexOf('>', index);
+      if (bracket !== -1 && bracket < close) {
+        index = bracket;
+        skipPast(']', 'DOCTYPE', start);
+      }
+      skipPast('>', 'DOCTYPE', start);
+    } else if (text.startsWith('</', index)) {
+      index += 2;
+      NAME.lastIndex = index;
+      const name = NAME.exec(text)?.[0] ?? '';
+      index += name.length;
+      while (/\s/.test(text[index] ?? '')) index++;
+      if (text[index] !== '>') fail(`Expected ">" to close </${name}>`);
+      index++;
+      const open = stack.pop();
+      if (!open) fail(`Unexpected closing tag </${name}>`, start);
+      if (open.rawName !== name) fail(`Expected </${open.rawName}> but found </${name}>`, start);
+    } else {
+      index++;
+      NAME.lastIndex = index;
+      const rawName = NAME.exec(text)?.[0];
+      if (!rawName) fail('Expected an element name');
+      index += rawName.length;
+      const element = { name: localName(rawName), rawName, attributes: {}, children: [], text: '', offset: start };
+
+      for (;;) {
+        while (/\s/.test(text[index] ?? '')) index++;
+        if (index >= text.length) fail(`Unterminated <${rawName}> tag`, start);
+        if (text[index] === '>' || text.startsWith('/>', index)) break;
+        const attributeStart = index;
+        NAME.lastIndex = index;
+        const attribute = NAME.exec(text)?.[0];
+        if (!attribute) fail(`Unexpected "${text[index]}" in <${rawName}>`);
+        index += attribute.length;
+        while (/\s/.test(text[index] ?? '')) index++;
+        if (text[index] !== '=') fail(`Expected "=" after attribute "${attribute}"`);
+        index++;
+        while (/\s/.test(text[index] ?? '')) index++;
+        const quote = text[index];
+        if (quote !== '"' && quote !== "'") fail(`Expected a quoted value for attribute "${attribute}"`);
+        const end = text.indexOf(quote, index + 1);
+        if (end === -1) fail(`Unterminated value of attribute "${attribute}"`);
+        if (attribute in element.attributes) fail(`Duplicate attribute "${attribute}"`, attributeStart);
+        element.attributes[attribute] = decode(text.slice(index + 1, end), index + 1);
+        index = end + 1;
+      }
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root) {
+        fail('Only one root element is allowed', start);
+      } else {
+        root = element;
+      }
+      if (text.startsWith('/>', index)) {
+        index += 2;
+      } else {
+        index++;
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 0) fail(`<${stack[stack.length - 1].rawName}> is never closed`, stack[stack.length - 1].offset);
+  if (!root) fail('The document has no root element');
+  return root;
+}
+
+// GraphML attribute names that map onto plain graph fields
+const GRAPHML_FIELDS = { node: { label: 'label', name: 'label', x: 'x', y: 'y' }, edge: { weight: 'weight' } };
+
+/**
+ * Parse a GraphML document: the first <graph> of the file, its <key> declarations and the
+ * <data> of its nodes and edges. Keys named label (or name), x and y describe nodes and a key
+ * named weight describes edges, with their <default> used when a <data> is missing; other keys
+ * are ignored. An edge's `directed` attribute overrides the graph's `edgedefault`.
+ *
+ * @param {string} text - GraphML source
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseGraphML(text) {
+  const root = parseXml(text);
+  const failAt = (element, message) => {
+    const { line, column } = locate(text, element.offset);
+    throw parseError(line, column, message);
+  };
+  if (root.name !== 'graphml') failAt(root, `Not a GraphML file (root element <${root.rawName}>)`);
+
+  // key id → { domain, field, default }
+  const keys = new Map();
+  root.children.filter((child) => child.name === 'key').forEach((key) => {
+    const { id, for: domain = 'all' } = key.attributes;
+    if (!id) failAt(key, '<key> needs an "id"');
+    const name = (key.attributes['attr.name'] ?? '').toLowerCase();
+    const defaultElement = key.children.find((child) => child.name === 'default');
+    keys.set(id, { domain, name, field: null, default: defaultElement && { ...defaultElement, text: defaultElement.text.trim() } });
+  });
+
+  const graph = root.children.find((child) => child.name === 'graph');
+  if (!graph) failAt(root, 'The file has no <graph>');
+  const edgeDefault = graph.attributes.edgedefault ?? 'directed';
+  if (edgeDefault !== 'directed' && edgeDefault !== 'undirected') {
+    failAt(graph, `edgedefault must be "directed" or "undirected", found "${edgeDefault}"`);
+  }
+  const directed = edgeDefault === 'directed';
+
+  // Field values of a node or edge: its <data>, falling back on key defaults
+  const readData = (element, kind) => {
+    const sources = new Map();
+    keys.forEach((key, id) => {
+      if ((key.domain === kind || key.domain === 'all') && key.default) sources.set(id, key.default);
+    });
+    element.children.filter((child) => child.name === 'data').forEach((data) => {
+      const key = keys.get(data.attributes.key);
+      if (!key) failAt(data, `<data> refers to undeclared key "${data.attributes.key}"`);
+      sources.set(data.attributes.key, { ...data, text: data.text.trim() });
+    });
+
+    const values = {};
+    sources.forEach((source, id) => {
+      const field = GRAPHML_FIELDS[kind][keys.get(id).name];
+      if (!field) return;
+      if (field === 'label') {
+        values.label = source.text;
+      } else {
+        const value = Number(source.text);
+        if (source.text === '' || !Number.isFinite(value)) failAt(source, `${field} must be a number, found "${source.text}"`);
+        values[field] = value;
+      }
+    });
+    return values;
+  };
+
+  const ids = new Set();
+  const nodes = [];
+  const edgeKeys = new Set();
+  const edges = [];
+  graph.children.forEach((child) => {
+    if (child.name === 'hyperedge') failAt(child, 'Hyperedges are not supported');
+    if (child.name !== 'node') return;
+    const { id } = child.attributes;
+    if (!id) failAt(child, '<node> needs an "id"');
+    if (ids.has(id)) failAt(child, `Duplicate node id "${id}"`);
+    if (child.children.some((grandchild) => grandchild.name === 'graph')) failAt(child, 'Nested graphs are not supported');
+    ids.add(id);
+    const { label, x, y } = readData(child, 'node');
+    nodes.push({ id, label: label || id, ...(x !== undefined && y !== undefined && { x, y }) });
+  });
+
+  graph.children.filter((child) => child.name === 'edge').forEach((edge) => {
+    const { source, target } = edge.attributes;
+    ['source', 'target'].forEach((end) => {
+      if (!edge.attributes[end]) failAt(edge, `<edge> needs a "${end}"`);
+      if (!ids.has(edge.attributes[end])) failAt(edge, `Edge refers to unknown node "${edge.attributes[end]}"`);
+    });
+    const edgeDirected = edge.attributes.directed == null ? directed : edge.attributes.directed === 'true';
+    if (directed && !edgeDirected) failAt(edge, 'Undirected edges in a directed graph are not supported');
+
+    const problem = checkEdge(edgeKeys, source, target, edgeDirected);
+    if (problem) failAt(edge, problem);
+    const { weight = 1 } = readData(edge, 'edge');
+    edges.push({ source, target, weight, ...(!directed && edgeDirected && { directed: true }) });
+  });
+
+  return { directed, nodes, edges };
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&${Object.keys(XML_ENTITIES).find((name) => XML_ENTITIES[name] === char)};`);
+
+function serializeGraphML(graph) {
+  const hasPositions = graph.nodes.every((node) => Number.isFinite(node.x) && Number.isFinite(node.y));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="d0" for="node" attr.name="label" attr.type="string"/>',
+    ...(hasPositions
+      ? ['  <key id="d1" for="node" attr.name="x" attr.type="double"/>', '  <key id="d2" for="node" attr.name="y" attr.type="double"/>']
+      : []),
+    '  <key id="d3" for="edge" attr.name="weight" attr.type="double">',
+    '    <default>1</default>',
+    '  </key>',
+    `  <graph id="G" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`,
+  ];
+  graph.nodes.forEach((node) => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="d0">${escapeXml(node.label)}</data>`);
+    if (hasPositions) lines.push(`      <data key="d1">${node.x}</data>`, `      <data key="d2">${node.y}</data>`);
+    lines.push('    </node>');
+  });
+  graph.edges.forEach((edge) => {
+    const directedAttribute = !graph.directed && edge.directed ? ' directed="true"' : '';
+    lines.push(`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${directedAttribute}>`);
+    lines.push(`      <data key="d3">${edge.weight}</data>`);
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a graph file in any supported format.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - Format id from GRAPH_FORMATS
+ * @param {Object} [options] - { directed } for formats that don't record a direction
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function parseGraph(text, format, options) {
+  if (format === 'json') return parseGraphJson(text);
+  if (format === 'csv') return parseEdgeListCsv(text, options);
+  if (format === 'matrix') return parseAdjacencyMatrix(text, options);
+  if (format === 'dot') return parseDot(text);
+  if (format === 'graphml') return parseGraphML(text);
+  throw new Error(`Unknown graph format "${format}"`);
+}
+
+/**
+ * @param {string} fileName - File name
+ * @returns {string|null} Format id for its extension, or null if unknown (see detectGraphFormat)
+ */
+export function formatForFileName(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return GRAPH_FORMATS.find((format) => format.extension === extension || format.aliases?.includes(extension))?.id ?? null;
+}
+
+// A square table with 0 or "no edge" on its diagonal, optionally under a label row and with
+// row labels: what a spreadsheet saves for an adjacency matrix
+function looksLikeMatrix(text) {
+  const rows = [];
+  try {
+    readLines(text).lines.forEach(({ line, lineNumber }) => rows.push(splitFields(line, lineNumber, /,/).map((field) => field.value)));
+  } catch (error) {
+    return false;
+  }
+  if (rows.length === 0) return false;
+  if (rows[0][0] === '' && rows[0].length > 1) return true;
+
+  const isCell = (value) => value !== '' && (NO_EDGE.has(value.toLowerCase()) || Number.isFinite(Number(value)));
+  const hasHeader = rows[0].some((value) => !isCell(value));
+  const body = hasHeader ? rows.slice(1) : rows;
+  const size = hasHeader ? rows[0].length : body[0].length;
+  // Two numbers per line is far more likely an unweighted edge list
+  if (size < (hasHeader ? 2 : 3) || body.length !== size) return false;
+  return body.every((row, i) => {
+    const cells = row.length === size + 1 ? row.slice(1) : row;
+    return cells.length === size && cells.every((cell) => cell === '' || isCell(cell)) && (cells[i] === '' || cells[i] === '0' || NO_EDGE.has(cells[i].toLowerCase()));
+  });
+}
+
+/**
+ * Format of a graph file: its extension, except that a `.csv` holding an adjacency matrix
+ * (as spreadsheets save one) is read as a matrix rather than an edge list.
+ *
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string|null} Format id, or null if the extension is unknown
+ */
+export function detectGraphFormat(fileName, text) {
+  const format = formatForFileName(fileName);
+  return format === 'csv' && looksLikeMatrix(text) ? 'matrix' : format;
+}
+
+// =========================
+//   EXPORT
+// =========================
+
+/**
+ * Plain graph of the app's current nodes and edges.
+ *
+ * @param {Array} nodes - Node objects
+ * @param {Array} edges - Edge objects
+ * @param {boolean} isDirected - graphParams.isDirected
+ * @returns {Object} Plain graph { directed, nodes, edges }
+ */
+export function toPlainGraph(nodes, edges, isDirected) {
+  return {
+    directed: isDirected,
+    nodes: nodes.map(({ id, label, x, y }) => ({ id, label, x: Math.round(x), y: Math.round(y) })),
+    edges: edges.map(({ source, target, weight, isUndirected }) => ({
+      source,
+      target,
+      weight,
+      ...(!isDirected && !isUndirected && { directed: true }),
+    })),
+  };
+}
+
+/**
+ * Edges for formats without per-edge direction: an undirected graph with one-way edges is
+ * written as a directed one with each two-way edge in both directions.
+ *
+ * @param {Object} graph - Plain graph
+ * @returns {Object} { directed, arcs } with arc ends as string ids
+ */
+function toArcs(graph) {
+  const directed = graph.directed || graph.edges.some((edge) => edge.directed);
+  const arcs = graph.edges.flatMap((edge) => {
+    const arc = { source: String(edge.source), target: String(edge.target), weight: edge.weight };
+    return directed && !graph.directed && !edge.directed
+      ? [arc, { ...arc, source: arc.target, target: arc.source }]
+      : [arc];
+  });
+  return { directed, arcs };
+}
+
+const quoteField = (value) => (/[\s",]/.test(value) || value === '' ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Serialize a plain graph.
+ *
+ * @param {Object} graph - Plain graph from toPlainGraph
+ * @param {string} format - Format id from GRAPH_FORMATS
+ * @returns {string} File contents
+ */
+export function serializeGraph(graph, format) {
+  if (format === 'json') {
+    return JSON.stringify({ format: GRAPH_FILE_FORMAT, version: GRAPH_FILE_VERSION, ...graph }, null, 2) + '\n';
+  }
+
+  // Text formats name nodes by label, or by id when labels repeat
+  const labelsUnique = new Set(graph.nodes.map((node) => node.label)).size === graph.nodes.length;
+  const names = new Map(graph.nodes.map((node) => [String(node.id), String(labelsUnique ? node.label : node.id)]));
+  const { directed, arcs } = toArcs(graph);
+  const direction = directed ? '# directed' : '# undirected';
+
+  if (format === 'csv') {
+    return [
+      direction,
+      'source,target,weight',
+      ...arcs.map((arc) => [names.get(arc.source), names.get(arc.target)].map(quoteField).concat(arc.weight).join(',')),
+    ].join('\n') + '\n';
+  }
+
+  if (format === 'matrix') {
+    const order = graph.nodes.map((node) => String(node.id));
+    const matrix = order.map((rowId) => order.map((columnId) => (rowId === columnId ? '0' : '-')));
+    arcs.forEach((arc) => {
+      const i = order.indexOf(arc.source);
+      const j = order.indexOf(arc.target);
+      matrix[i][j] = String(arc.weight);
+      if (!directed) matrix[j][i] = String(arc.weight);
+    });
+    const labels = order.map((id) => quoteField(names.get(id)));
+    const width = Math.max(...labels.map((label) => label.length), ...matrix.flat().map((cell) => cell.length));
+    const pad = (cell) => cell.padStart(width);
+    return [
+      direction,
+      [' '.repeat(width), ...labels.map(pad)].join(' '),
+      ...matrix.map((row, i) => [pad(labels[i]), ...row.map(pad)].join(' ')),
+    ].join('\n') + '\n';
+  }
+
+  if (format === 'dot') return serializeDot(graph);
+  if (format === 'graphml') return serializeGraphML(graph);
+  throw new Error(`Unknown graph format "${format}"`);
+}
+
+// =========================
+//   APP GRAPH
+// =========================
+
+/**
+ * Convert a plain graph into the node and edge objects the app and the step generators use:
+ * nodes are identified by their position, edges get the `source-target` ids manual edges get.
+ *
+ * @param {Object} graph - Plain graph { directed, nodes, edges }
+ * @returns {Object} { nodes, edges, isDirected, indexOf } where indexOf(id) gives a node's position
+ */
+export function toVisualizerGraph(graph) {
+  if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+    throw new Error('Graph must have "nodes" and "edges" arrays');
+  }
+  const isDirected = graph.directed !== false;
+
+  const positions = new Map();
+  const nodes = graph.nodes.map((node, index) => {
+    const id = node?.id ?? index;
+    if (positions.has(String(id))) {
+      throw new Error(`Duplicate node id "${id}"`);
+    }
+    positions.set(String(id), index);
+    return {
+      id: index,
+      x: Number.isFinite(node?.x) ? node.x : 0,
+      y: Number.isFinite(node?.y) ? node.y : 0,
+      label: String(node?.label ?? id),
+    };
+  });
+
+  const indexOf = (id) => {
+    const index = positions.get(String(id));
+    if (index === undefined) {
+      throw new Error(`Unknown node "${id}"`);
+    }
+    return index;
+  };
+
+  const edgeIds = new Set();
+  const edges = graph.edges.map((edge, index) => {
+    const source = indexOf(edge?.source);
+    const target = indexOf(edge?.target);
+    const weight = Number(edge?.weight ?? 1);
+    if (!Number.isFinite(weight)) {
+      throw new Error(`Edge ${index + 1} (${edge.source} → ${edge.target}) has a non-numeric weight`);
+    }
+    // Parallel edges get a suffix so ids stay unique
+    let id = `${source}-${target}`;
+    for (let copy = 2; edgeIds.has(id); copy++) id = `${source}-${target}-${copy}`;
+    edgeIds.add(id);
+    return {
+      id,
+      source,
+      target,
+      weight,
+      status: 'unvisited',
+      isNegative: weight < 0,
+      isUndirected: !isDirected && edge.directed !== true,
+    };
+  });
+
+  return { nodes, edges, isDirected, indexOf };
+}
+
+/**
+ * Place an imported graph's nodes in the viewport: graphs that carry positions for every node
+ * keep them (shrunk to fit if they don't), others start on a circle and are spread out by the
+ * same force-directed layout as generated spatial graphs.
+ *
+ * @param {Object} graph - Plain graph
+ * @param {Array} nodes - Its nodes from toVisualizerGraph
+ * @param {Array} edges - Its edges from toVisualizerGraph
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @param {boolean} isMobile - Whether device is mobile
+ * @returns {Array} Nodes with positions
+ */
+export function layoutImportedNodes(graph, nodes, edges, width, height, isMobile) {
+  const hasPositions = graph.nodes.every((node) => Number.isFinite(node.x) && Number.isFinite(node.y));
+  if (!hasPositions) {
+    const circle = generateCircularNodes(nodes.length, width, height, isMobile);
+    const start = nodes.map((node, index) => ({ ...node, x: circle[index].x, y: circle[index].y }));
+    return applyForceDirected(start, edges, width, height, 80, isMobile);
+  }
+
+  const padding = isMobile ? 30 : 40;
+  const minX = Math.min(...nodes.map((node) => node.x));
+  const maxX = Math.max(...nodes.map((node) => node.x));
+  const minY = Math.min(...nodes.map((node) => node.y));
+  const maxY = Math.max(...nodes.map((node) => node.y));
+  const fits = minX >= padding && minY >= padding && maxX <= width - padding && maxY <= height - padding;
+  if (fits) return nodes;
+
+  const scale = Math.min(
+    (width - 2 * padding) / Math.max(maxX - minX, 1),
+    (height - 2 * padding) / Math.max(maxY - minY, 1),
+    1
+  );
+  return nodes.map((node) => ({
+    ...node,
+    x: padding + (node.x - minX) * scale,
+    y: padding + (node.y - minY) * scale,
+  }));
+}
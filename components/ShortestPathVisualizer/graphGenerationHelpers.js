@@ -431,6 +431,42 @@ export function getEuclideanWeight(nodeA, nodeB, viewportScale, minWeight = 1, m
   return Math.max(minWeight, Math.min(maxWeight, weight));
 }
 
+/**
+ * Whether edge weights are derived from node positions.
+ * Only spatial graphs with the default 'random' distribution follow distance;
+ * 'unit' and '0/1' weights are kept as they are when nodes move.
+ *
+ * @param {string} graphType - 'circular' | 'spatial'
+ * @param {string} [weightDistribution='random'] - 'random' | 'unit' | '0/1'
+ * @returns {boolean} True if weights should be recalculated from positions
+ */
+export function usesEuclideanWeights(graphType, weightDistribution = 'random') {
+  return graphType === 'spatial' && weightDistribution === 'random';
+}
+
+/**
+ * Overwrite edge weights with a fixed distribution
+ * 'unit' makes every edge weigh 1 (BFS), '0/1' draws 0 or 1 per edge (0-1 BFS).
+ * Any other value keeps the generated weights.
+ *
+ * @param {Array} edges - Array of edge objects
+ * @param {string} distribution - 'random' | 'unit' | '0/1'
+ * @returns {Array} Edges with the new weights
+ */
+export function applyWeightDistribution(edges, distribution) {
+  if (distribution === 'unit') {
+    return edges.map(edge => ({ ...edge, weight: 1, isNegative: false }));
+  }
+  if (distribution === '0/1') {
+    return edges.map(edge => ({
+      ...edge,
+      weight: Math.random() < WEIGHTS.ZERO_ONE.ZERO_WEIGHT_CHANCE ? 0 : 1,
+      isNegative: false,
+    }));
+  }
+  return edges;
+}
+
 /**
  * Apply force-directed layout with VARIABLE edge lengths
  * This ensures the final graph has varied edge weights (short vs long paths)
@@ -635,6 +671,9 @@ export function generateRandomEdges(nodes, treeEdges, possibleEdges, targetEdgeC
     const oppositeEdgeKey = `${edge.target}-${edge.source}`;
     const hasOppositeEdge = edgeSet.has(oppositeEdgeKey);
     
+    // An undirected edge already covers both directions
+    if (!isDirected && hasOppositeEdge) return;
+
     // If we already have an edge in the opposite direction, 
     // consider skipping this one to avoid bidirectional edges (only for directed graphs)
     if (isDirected && hasOppositeEdge && Math.random() < EDGE_PREFERENCES.BIDIRECTIONAL_SKIP_CHANCE) {
@@ -688,6 +727,37 @@ export function generateRandomEdges(nodes, treeEdges, possibleEdges, targetEdgeC
   return { edges: newEdges, edgeSet };
 }
 
+/**
+ * Orient every edge along the spanning tree's discovery order, which makes the graph acyclic
+ * The source joined the tree first and each tree edge points from an earlier node to a later
+ * one, so the source still reaches every node. Other edges are flipped when they point
+ * backwards, and dropped if the flipped edge already exists.
+ *
+ * @param {Array} edges - Array of directed edges
+ * @param {Array} treeEdges - Spanning tree edges in the order they were added
+ * @param {number} sourceIndex - Index of the source node
+ * @returns {Object} {edges: Array, edgeSet: Set} - Acyclic edges and their keys
+ */
+export function orientAcyclic(edges, treeEdges, sourceIndex) {
+  const rank = { [sourceIndex]: 0 };
+  treeEdges.forEach((edge, index) => {
+    rank[edge.target] = index + 1;
+  });
+
+  const acyclicEdges = [];
+  const edgeSet = new Set();
+  for (const edge of edges) {
+    const forward = rank[edge.source] < rank[edge.target];
+    const source = forward ? edge.source : edge.target;
+    const target = forward ? edge.target : edge.source;
+    const edgeKey = `${source}-${target}`;
+    if (edgeSet.has(edgeKey)) continue;
+    edgeSet.add(edgeKey);
+    acyclicEdges.push({ ...edge, id: edgeKey, source, target, isUndirected: false });
+  }
+  return { edges: acyclicEdges, edgeSet };
+}
+
 /**
  * Inject a negative cycle into the graph
  * Creates a small cycle with total negative weight
@@ -0,0 +1,189 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getAlgorithm } from '../algorithms';
+import { raceCountersAt } from '../raceCounters';
+
+/**
+ * Edge statuses once `appliedSteps` steps of `stepList` are applied, rebuilt the same way the
+ * runner applies steps: confirmed path edges stay 'included', the step's edge updates go on top.
+ *
+ * @param {Array} edges - Edge objects of the lane's graph
+ * @param {Array} stepList - Lane steps
+ * @param {number} appliedSteps - Number of steps applied
+ * @returns {Array} Edges with their status at that point
+ */
+export function edgesAtStep(edges, stepList, appliedSteps) {
+  const index = Math.min(appliedSteps, stepList.length) - 1;
+  if (index < 0) return edges.map((e) => ({ ...e, status: "unvisited" }));
+
+  const confirmed = new Set();
+  for (let i = 0; i < index; i++) {
+    (stepList[i].pathEdgeUpdates || []).forEach((edgeId) => confirmed.add(edgeId));
+  }
+  const step = stepList[index];
+  const statuses = new Map(edges.map((e) => [e.id, confirmed.has(e.id) ? "included" : "unvisited"]));
+  step.edgeUpdates.forEach((update) => {
+    if (statuses.has(update.id)) statuses.set(update.id, update.status);
+  });
+  (step.pathEdgeUpdates || []).forEach((edgeId) => {
+    if (statuses.has(edgeId)) statuses.set(edgeId, "included");
+  });
+  return edges.map((e) => ({ ...e, status: statuses.get(e.id) }));
+}
+
+/**
+ * Runs two registered algorithms side by side on cloned copies of the same graph.
+ * Both lanes share one step counter, so a single play/step control advances them together;
+ * the lane that finishes first keeps showing its final step while the other catches up.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Array} params.nodes - Array of node objects
+ * @param {Array} params.edges - Array of edge objects
+ * @param {number|null} params.selectedSourceNode - Index of the source node
+ * @param {number|null} params.selectedDestNode - Index of the target node
+ * @param {Object} params.graphParams - Graph configuration parameters
+ * @param {number} params.animationSpeed - Animation delay in milliseconds
+ * @param {Array<string>} [params.initialAlgorithms] - Registered algorithm ids of the two lanes
+ *
+ * @returns {Object} Race state and controls
+ */
+export function useAlgorithmRace({
+  nodes,
+  edges,
+  selectedSourceNode,
+  selectedDestNode,
+  graphParams,
+  animationSpeed,
+  initialAlgorithms = ["dijkstra", "bellmanford"],
+}) {
+  const [raceAlgorithms, setRaceAlgorithms] = useState(initialAlgorithms);
+  // One entry per lane once the race is prepared: { algorithm, nodes, edges, steps, result }
+  const [lanes, setLanes] = useState(null);
+  const [currentStep, setCurrentStep] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+
+  const animationFrameId = useRef(null);
+
+  const totalSteps = lanes ? Math.max(...lanes.map((lane) => lane.steps.length)) : 0;
+
+  // =========================
+  //   LANE GENERATION
+  // =========================
+  // Clone the graph once per lane so neither run can touch the other (or the editor's graph)
+  const prepareRace = useCallback(() => {
+    const prepared = raceAlgorithms.map((algorithmId) => {
+      const laneNodes = nodes.map((node) => ({ ...node }));
+      const laneEdges = edges.map((edge) => ({ ...edge, status: "unvisited" }));
+      let result = { distances: {}, paths: {} };
+      const stepList = getAlgorithm(algorithmId).generateSteps({
+        nodes: laneNodes,
+        edges: laneEdges,
+        selectedSourceNode,
+        selectedDestNode,
+        graphParams: { ...graphParams },
+        setShortestPathResult: (finalResult) => { result = finalResult; },
+        options: { ...getAlgorithm(algorithmId).defaultOptions },
+      });
+      return {
+        algorithm: algorithmId,
+        nodes: laneNodes,
+        edges: laneEdges,
+        steps: stepList,
+        result,
+      };
+    });
+    setLanes(prepared);
+    setCurrentStep(0);
+    return prepared;
+  }, [raceAlgorithms, nodes, edges, selectedSourceNode, selectedDestNode, graphParams]);
+
+  // =========================
+  //   CONTROLS
+  // =========================
+  const play = useCallback(() => {
+    if (isRunning) {
+      setIsPaused(!isPaused);
+      return;
+    }
+    if (!lanes || currentStep >= totalSteps) {
+      prepareRace();
+    }
+    setIsRunning(true);
+    setIsPaused(false);
+  }, [isRunning, isPaused, lanes, currentStep, totalSteps, prepareRace]);
+
+  const step = useCallback(() => {
+    if (isRunning && !isPaused) setIsPaused(true);
+    if (!lanes) {
+      prepareRace();
+      setCurrentStep(1);
+      return;
+    }
+    setCurrentStep((prev) => Math.min(prev + 1, totalSteps));
+  }, [isRunning, isPaused, lanes, totalSteps, prepareRace]);
+
+  // Drop the lanes so the next start clones the current graph again
+  const reset = useCallback(() => {
+    setIsRunning(false);
+    setIsPaused(false);
+    setCurrentStep(0);
+    setLanes(null);
+  }, []);
+
+  const setRaceAlgorithm = useCallback((laneIndex, algorithmId) => {
+    reset();
+    setRaceAlgorithms((prev) => prev.map((id, index) => (index === laneIndex ? algorithmId : id)));
+  }, [reset]);
+
+  // =========================
+  //   ANIMATION LOOP
+  // =========================
+  useEffect(() => {
+    if (isRunning && !isPaused && lanes) {
+      animationFrameId.current = setTimeout(() => {
+        if (currentStep < totalSteps) {
+          setCurrentStep((prev) => prev + 1);
+        } else {
+          setIsRunning(false);
+        }
+      }, animationSpeed);
+    }
+
+    return () => {
+      if (animationFrameId.current) {
+        clearTimeout(animationFrameId.current);
+      }
+    };
+  }, [isRunning, isPaused, lanes, currentStep, totalSteps, animationSpeed]);
+
+  // =========================
+  //   LANE VIEWS
+  // =========================
+  // What each pane shows at the shared step: its own step (or its last one once finished)
+  const laneViews = (lanes || raceAlgorithms.map((algorithmId) => ({
+    algorithm: algorithmId,
+    nodes,
+    edges,
+    steps: [],
+    result: null,
+  }))).map((lane) => ({
+    ...lane,
+    step: currentStep > 0 ? lane.steps[Math.min(currentStep, lane.steps.length) - 1] ?? null : null,
+    edges: edgesAtStep(lane.edges, lane.steps, currentStep),
+    counts: raceCountersAt(lane.steps, currentStep),
+    finished: lane.steps.length > 0 && currentStep >= lane.steps.length,
+  }));
+
+  return {
+    raceAlgorithms,
+    laneViews,
+    currentStep,
+    totalSteps,
+    isRunning,
+    isPaused,
+    setRaceAlgorithm,
+    play,
+    step,
+    reset,
+  };
+}
@@ -1,6 +1,17 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { generateDijkstraSteps } from '../DijkstraSteps';
-import { generateBellmanFordSteps } from '../BellmanFordSteps';
+import { getAlgorithm } from '../algorithms';
+import { createTrace } from '../runTrace';
+import { createBreakpoint, describeBreakpoint, findBreakpointHit } from '../breakpoints';
+import { buildQuestion, gradeAnswer } from '../quiz';
+
+// Path edges confirmed by the steps before `stepIndex`
+function confirmedEdgesBefore(stepList, stepIndex) {
+  const confirmed = new Set();
+  for (let i = 0; i < stepIndex; i++) {
+    (stepList[i]?.pathEdgeUpdates || []).forEach((edgeId) => confirmed.add(edgeId));
+  }
+  return confirmed;
+}
 
 /**
  * Custom hook for managing algorithm execution state and controls.
@@ -10,8 +21,10 @@ import { generateBellmanFordSteps } from '../BellmanFordSteps';
  * @param {Array} params.nodes - Array of node objects
  * @param {Array} params.edges - Array of edge objects (managed by component, hook returns updates)
  * @param {number|null} params.selectedSourceNode - Index of the source node
+ * @param {number|null} params.selectedDestNode - Index of the target node (used by point-to-point algorithms)
  * @param {Object} params.graphParams - Graph configuration parameters
  * @param {number} params.animationSpeed - Animation delay in milliseconds
+ * @param {string} [params.initialAlgorithm='dijkstra'] - Registered algorithm id selected on mount
  * 
  * @returns {Object} Algorithm runner state and controls
  */
@@ -19,14 +32,19 @@ export function useAlgorithmRunner({
   nodes,
   edges,
   selectedSourceNode,
+  selectedDestNode,
   graphParams,
   animationSpeed,
+  initialAlgorithm = "dijkstra",
 }) {
   // =========================
   //   ALGORITHM CONFIGURATION
   // =========================
-  const [algorithm, setAlgorithmInternal] = useState("dijkstra");
+  const [algorithm, setAlgorithmInternal] = useState(initialAlgorithm);
   const [visualizationMode, setVisualizationMode] = useState("explore");
+  const [algorithmOptions, setAlgorithmOptionsInternal] = useState(
+    () => ({ ...getAlgorithm(initialAlgorithm).defaultOptions })
+  );
   
   // =========================
   //   RUNNER STATE
@@ -51,6 +69,8 @@ export function useAlgorithmRunner({
     paths: {},
   });
   const [explanation, setExplanation] = useState("");
+  // Full step object, for panels that read algorithm-specific fields
+  const [currentStepData, setCurrentStepData] = useState(null);
   
   // =========================
   //   EDGE TRACKING STATE
@@ -64,20 +84,45 @@ export function useAlgorithmRunner({
   // =========================
   const [edgeUpdates, setEdgeUpdates] = useState(null);
 
+  // =========================
+  //   REPLAY (imported run trace)
+  // =========================
+  // While set, steps come from the trace instead of the algorithm
+  const [replayTrace, setReplayTrace] = useState(null);
+
+  // =========================
+  //   BREAKPOINTS
+  // =========================
+  const [breakpoints, setBreakpoints] = useState([]);
+  // { breakpoint, stepIndex } of the breakpoint that paused playback, until the next step is applied
+  const [breakpointHit, setBreakpointHit] = useState(null);
+
+  // =========================
+  //   QUIZ MODE
+  // =========================
+  const [quizEnabled, setQuizEnabled] = useState(false);
+  // { stepIndex, question, answered, guess, correct } for the step waiting on a prediction
+  const [quiz, setQuiz] = useState(null);
+  const [quizScore, setQuizScore] = useState({ correct: 0, answered: 0 });
+
   // Ref for animation timeout
   const animationFrameId = useRef(null);
 
   // =========================
   //   APPLY STEP - Core step application logic
   // =========================
-  const applyStep = useCallback((stepIndex, currentEdges) => {
-    if (stepIndex < 0 || stepIndex >= steps.length) return currentEdges;
-    const step = steps[stepIndex];
+  // `stepList` defaults to the stored steps (pass freshly generated ones before they are stored),
+  // `confirmedBefore` to the path edges confirmed so far (pass a rebuilt set when jumping)
+  const applyStep = useCallback((stepIndex, currentEdges, stepList = steps, confirmedBefore = confirmedPathEdges) => {
+    if (stepIndex < 0 || stepIndex >= stepList.length) return currentEdges;
+    const step = stepList[stepIndex];
+    setBreakpointHit(null);
+    setQuiz(null);
   
     // Start with edges that have unvisited status, but preserve confirmed path edges
     const resetEdges = currentEdges.map((e) => {
       // If this edge is part of a confirmed path, keep its status
-      if (confirmedPathEdges.has(e.id)) {
+      if (confirmedBefore.has(e.id)) {
         return { ...e, status: "included" };
       }
       return { ...e, status: "unvisited" };
@@ -98,9 +143,12 @@ export function useAlgorithmRunner({
     // Track distance updates
     setRecentlyUpdatedDistances(step.updatedDistances || []);
   
-    // Update confirmed path edges if this step adds to the path
+    // Update confirmed path edges if this step adds to the path (or a jump rebuilt them)
+    if (confirmedBefore !== confirmedPathEdges) {
+      setConfirmedPathEdges(confirmedBefore);
+    }
     if (step.pathEdgeUpdates && step.pathEdgeUpdates.length > 0) {
-      const newConfirmedEdges = new Set(confirmedPathEdges);
+      const newConfirmedEdges = new Set(confirmedBefore);
       step.pathEdgeUpdates.forEach((edgeId) => {
         newConfirmedEdges.add(edgeId);
   
@@ -121,34 +169,63 @@ export function useAlgorithmRunner({
     setDistanceArray({ ...(step.distanceArray || {}) });
     setIterationCount(step.iterationCount || 0);
     setNegativeCycleDetected(step.negativeCycleDetected || false);
+    setCurrentStepData(step);
     
     // Return updated edges for component to apply
     return newEdges;
   }, [steps, confirmedPathEdges]);
 
+  // =========================
+  //   QUIZ QUESTIONS
+  // =========================
+  // Whether steps[stepIndex] must wait for a prediction. Asks the question the first time,
+  // then holds until it is answered.
+  const holdForQuiz = useCallback((stepList, stepIndex) => {
+    if (!quizEnabled) return false;
+    if (quiz?.stepIndex === stepIndex) return !quiz.answered;
+
+    const question = buildQuestion(stepList, stepIndex, edges, graphParams.isDirected !== false);
+    if (!question) return false;
+    setQuiz({ stepIndex, question, answered: false, guess: null, correct: false });
+    return true;
+  }, [quizEnabled, quiz, edges, graphParams.isDirected]);
+
+  const answerQuiz = useCallback((guess) => {
+    if (!quiz || quiz.answered) return;
+    const correct = gradeAnswer(quiz.question, guess);
+    setQuiz({ ...quiz, answered: true, guess, correct });
+    setQuizScore((prev) => ({ correct: prev.correct + (correct ? 1 : 0), answered: prev.answered + 1 }));
+  }, [quiz]);
+
+  const toggleQuiz = useCallback(() => {
+    setQuizEnabled((prev) => !prev);
+    setQuiz(null);
+    setQuizScore({ correct: 0, answered: 0 });
+  }, []);
+
   // =========================
   //   STEP GENERATION
   // =========================
   const generateSteps = useCallback(() => {
-    const stepList =
-      algorithm === 'dijkstra'
-        ? generateDijkstraSteps({
-            nodes,
-            edges,
-            selectedSourceNode,
-            graphParams,
-            setShortestPathResult,
-          })
-        : generateBellmanFordSteps({
-            nodes,
-            edges,
-            selectedSourceNode,
-            graphParams,
-            setShortestPathResult,
-          });
+    if (replayTrace) {
+      setShortestPathResult(replayTrace.result);
+      setSteps(replayTrace.steps);
+      return replayTrace.steps;
+    }
+
+    const { generateSteps: generateAlgorithmSteps } = getAlgorithm(algorithm);
+    const stepList = generateAlgorithmSteps({
+      nodes,
+      edges,
+      selectedSourceNode,
+      selectedDestNode,
+      graphParams,
+      setShortestPathResult,
+      options: algorithmOptions,
+    });
     setSteps(stepList);
     return stepList;
-  }, [algorithm, nodes, edges, selectedSourceNode, graphParams]);
+  }, [replayTrace, algorithm, algorithmOptions, nodes, edges, selectedSourceNode, selectedDestNode, graphParams]);
 
   // =========================
   //   PLAY / PAUSE
@@ -190,40 +267,70 @@ export function useAlgorithmRunner({
     }
 
     if (currentStep < currentSteps.length) {
-      const updatedEdges = applyStep(currentStep, edges);
+      // Quiz mode: predict first, the step is applied on the next press
+      if (holdForQuiz(currentSteps, currentStep)) return;
+
+      const updatedEdges = applyStep(currentStep, edges, currentSteps);
       setEdgeUpdates(updatedEdges);
       setCurrentStep(currentStep + 1);
     }
-  }, [visualizationMode, steps, currentStep, edges, generateSteps, applyStep]);
+  }, [visualizationMode, steps, currentStep, edges, generateSteps, applyStep, holdForQuiz]);
+
+  // After a prediction: resume playback, or show the step when stepping by hand
+  const continueQuiz = useCallback(() => {
+    if (isRunning) {
+      setIsPaused(false);
+    } else {
+      step();
+    }
+  }, [isRunning, step]);
 
   // =========================
-  //   STEP BACKWARD
+  //   JUMP TO STEP (timeline)
   // =========================
-  const backStep = useCallback(() => {
+  // `target` counts applied steps, like currentStep (0 = before the first step). The state is
+  // rebuilt from the target step's snapshot plus the path edges confirmed before it, so the
+  // result is the same as stepping there one by one.
+  const jumpToStep = useCallback((target, stepList = steps) => {
     if (visualizationMode === 'view') {
       setExplanation('In View mode. Switch to Explore mode to step through the algorithm.');
       return;
     }
 
-    if (currentStep > 0) {
-      const newStep = currentStep - 1;
-      
-      // Recompute confirmed path edges from previous steps
-      const newConfirmedEdges = new Set();
-      for (let i = 0; i <= newStep; i++) {
-        if (steps[i]?.pathEdgeUpdates) {
-          steps[i].pathEdgeUpdates.forEach((edgeId) => {
-            newConfirmedEdges.add(edgeId);
-          });
-        }
-      }
-      setConfirmedPathEdges(newConfirmedEdges);
-      
-      const updatedEdges = applyStep(newStep, edges);
+    // Scrubbing takes over from the animation
+    if (isRunning) setIsPaused(true);
+
+    const index = Math.max(0, Math.min(target, stepList.length));
+    if (index === 0) {
+      setConfirmedPathEdges(new Set());
+      setDistanceArray({});
+      setVisitedNodes(new Set());
+      setMinHeap([]);
+      setIterationCount(0);
+      setNegativeCycleDetected(false);
+      setCurrentAlgorithmStep("");
+      setCurrentRelaxingEdge(null);
+      setRecentlyUpdatedDistances([]);
+      setCurrentStepData(null);
+      setBreakpointHit(null);
+      setQuiz(null);
+      setExplanation('Start of the run: no step applied yet.');
+      setEdgeUpdates(edges.map((e) => ({ ...e, status: "unvisited" })));
+    } else {
+      const updatedEdges = applyStep(index - 1, edges, stepList, confirmedEdgesBefore(stepList, index - 1));
       setEdgeUpdates(updatedEdges);
-      setCurrentStep(newStep);
     }
-  }, [visualizationMode, currentStep, steps, edges, applyStep]);
+    setCurrentStep(index);
+  }, [visualizationMode, isRunning, steps, edges, applyStep]);
+
+  // =========================
+  //   STEP BACKWARD
+  // =========================
+  const backStep = useCallback(() => {
+    if (currentStep > 0) {
+      jumpToStep(currentStep - 1);
+    }
+  }, [currentStep, jumpToStep]);
 
   // =========================
   //   FORWARD TO SIGNIFICANT EVENT
@@ -247,10 +354,10 @@ export function useAlgorithmRunner({
       while (nextStep < currentSteps.length && !significantStepFound) {
         const stepData = currentSteps[nextStep];
 
-        // Check if this step contains a significant event
+        // Check if this step contains a significant event (visitedNodes is an array in steps)
         if (
           (stepData.pathEdgeUpdates && stepData.pathEdgeUpdates.length > 0) ||
-          (stepData.visitedNodes && stepData.visitedNodes.size > (visitedNodes?.size || 0)) ||
+          (stepData.visitedNodes && stepData.visitedNodes.length > (visitedNodes?.size || 0)) ||
           stepData.negativeCycleDetected
         ) {
           significantStepFound = true;
@@ -259,25 +366,22 @@ export function useAlgorithmRunner({
         }
       }
 
-      // Apply the final significant step
-      if (nextStep < currentSteps.length) {
-        const updatedEdges = applyStep(nextStep, edges);
-        setEdgeUpdates(updatedEdges);
-      }
-
-      setCurrentStep(Math.min(nextStep + 1, currentSteps.length));
+      // Jump to the significant step, so the skipped steps' path edges are kept
+      jumpToStep(nextStep + 1, currentSteps);
 
       if (nextStep >= currentSteps.length) {
         setExplanation('Reached the end of the algorithm execution.');
       }
     }
-  }, [visualizationMode, steps, currentStep, edges, visitedNodes, generateSteps, applyStep]);
+  }, [visualizationMode, steps, currentStep, visitedNodes, generateSteps, jumpToStep]);
 
   // =========================
   //   ALGORITHM CHANGE
   // =========================
   const setAlgorithm = useCallback((newAlgorithm) => {
     setAlgorithmInternal(newAlgorithm);
+    setReplayTrace(null);
+    setAlgorithmOptionsInternal({ ...getAlgorithm(newAlgorithm).defaultOptions });
     // Reset execution state when algorithm changes
     setIsRunning(false);
     setIsPaused(false);
@@ -294,6 +398,7 @@ export function useAlgorithmRunner({
     setExplanation("");
     setCurrentRelaxingEdge(null);
     setRecentlyUpdatedDistances([]);
+    setCurrentStepData(null);
     setShowAnswer(false);
     
     if (animationFrameId.current) {
@@ -306,6 +411,8 @@ export function useAlgorithmRunner({
   //   RESET
   // =========================
   const reset = useCallback(() => {
+    setBreakpointHit(null);
+    setQuiz(null);
     setIsRunning(false);
     setIsPaused(false);
     setCurrentStep(0);
@@ -321,6 +428,7 @@ export function useAlgorithmRunner({
     setExplanation("");
     setCurrentRelaxingEdge(null);
     setRecentlyUpdatedDistances([]);
+    setCurrentStepData(null);
     setShowAnswer(false);
     
     // Clear animation timeout
@@ -330,6 +438,76 @@ export function useAlgorithmRunner({
     }
   }, []);
 
+  // =========================
+  //   ALGORITHM OPTIONS
+  // =========================
+  const setAlgorithmOptions = useCallback((changes) => {
+    setAlgorithmOptionsInternal((prev) => ({ ...prev, ...changes }));
+    // Steps were generated with the old options, so start over
+    reset();
+  }, [reset]);
+
+  // =========================
+  //   BREAKPOINT MANAGEMENT
+  // =========================
+  const addBreakpoint = useCallback((type, value = null) => {
+    setBreakpoints((prev) => [...prev, createBreakpoint(type, value)]);
+  }, []);
+
+  const toggleBreakpoint = useCallback((id) => {
+    setBreakpoints((prev) => prev.map((breakpoint) => (
+      breakpoint.id === id ? { ...breakpoint, enabled: !breakpoint.enabled } : breakpoint
+    )));
+  }, []);
+
+  const removeBreakpoint = useCallback((id) => {
+    setBreakpoints((prev) => prev.filter((breakpoint) => breakpoint.id !== id));
+  }, []);
+
+  // =========================
+  //   RUN TRACES
+  // =========================
+  // Record the run for the current graph and settings (a replay exports its own trace unchanged)
+  const createRunTrace = useCallback(() => {
+    if (replayTrace) return replayTrace;
+
+    let result = { distances: {}, paths: {} };
+    const stepList = getAlgorithm(algorithm).generateSteps({
+      nodes,
+      edges,
+      selectedSourceNode,
+      selectedDestNode,
+      graphParams,
+      setShortestPathResult: (finalResult) => { result = finalResult; },
+      options: algorithmOptions,
+    });
+    return createTrace({
+      nodes,
+      edges,
+      graphParams,
+      sourceNode: selectedSourceNode,
+      destNode: selectedDestNode,
+      algorithm,
+      options: algorithmOptions,
+      steps: stepList,
+      result,
+    });
+  }, [replayTrace, algorithm, algorithmOptions, nodes, edges, selectedSourceNode, selectedDestNode, graphParams]);
+
+  // Switch to replaying a parsed trace; the component loads the trace's graph alongside
+  const loadTrace = useCallback((trace) => {
+    reset();
+    setAlgorithmInternal(trace.algorithm.id);
+    setAlgorithmOptionsInternal({ ...getAlgorithm(trace.algorithm.id).defaultOptions, ...trace.options });
+    setVisualizationMode("explore");
+    setReplayTrace(trace);
+  }, [reset]);
+
+  const exitReplay = useCallback(() => {
+    reset();
+    setReplayTrace(null);
+  }, [reset]);
+
   // =========================
   //   ANIMATION LOOP
   // =========================
@@ -337,9 +515,24 @@ export function useAlgorithmRunner({
     if (isRunning && !isPaused && visualizationMode === 'explore') {
       const animate = () => {
         if (currentStep < steps.length) {
+          // Quiz mode: pause until the upcoming step is predicted
+          if (holdForQuiz(steps, currentStep)) {
+            setIsPaused(true);
+            return;
+          }
+
           const updatedEdges = applyStep(currentStep, edges);
           setEdgeUpdates(updatedEdges);
           setCurrentStep((prev) => prev + 1);
+
+          // Pause on the step that triggers a breakpoint
+          const hit = findBreakpointHit(breakpoints, steps, currentStep);
+          if (hit) {
+            setIsPaused(true);
+            setBreakpointHit({ breakpoint: hit, stepIndex: currentStep });
+            setExplanation(`Paused at breakpoint "${describeBreakpoint(hit, nodes)}". ${steps[currentStep].explanation}`);
+            return;
+          }
           animationFrameId.current = setTimeout(animate, animationSpeed);
         } else {
           // Algorithm completed - clear animation states to stop blinking
@@ -356,7 +549,7 @@ export function useAlgorithmRunner({
         clearTimeout(animationFrameId.current);
       }
     };
-  }, [isRunning, isPaused, currentStep, steps, edges, animationSpeed, visualizationMode, applyStep]);
+  }, [isRunning, isPaused, currentStep, steps, edges, nodes, breakpoints, animationSpeed, visualizationMode, applyStep, holdForQuiz]);
 
   // =========================
   //   CLEANUP ON UNMOUNT
@@ -372,6 +565,7 @@ export function useAlgorithmRunner({
   return {
     // Execution State
     algorithm,
+    algorithmOptions,
     isRunning,
     isPaused,
     currentStep,
@@ -388,6 +582,13 @@ export function useAlgorithmRunner({
     negativeCycleDetected,
     currentAlgorithmStep,
     shortestPathResult,
+    currentStepData,
+    replayTrace,
+    breakpoints,
+    breakpointHit,
+    quizEnabled,
+    quiz,
+    quizScore,
     
     // Edge Tracking
     currentRelaxingEdge,
@@ -399,6 +600,7 @@ export function useAlgorithmRunner({
     
     // Controls
     setAlgorithm,
+    setAlgorithmOptions,
     setShowAnswer,
     setVisualizationMode,
     play,
@@ -407,8 +609,18 @@ export function useAlgorithmRunner({
     step,
     backStep,
     forwardStep,
+    jumpToStep,
     reset,
     generateSteps,
+    createRunTrace,
+    loadTrace,
+    exitReplay,
+    addBreakpoint,
+    toggleBreakpoint,
+    removeBreakpoint,
+    toggleQuiz,
+    answerQuiz,
+    continueQuiz,
     
     // Setters for external control
     setSteps,
@@ -0,0 +1,63 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { buildBenchmarkGraph, runBenchmarkCase, getBenchmarkCases } from '../benchmark';
+
+// Yield to the browser between graphs so progress renders and Stop stays clickable
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Runs a benchmark sweep in the browser, one generated graph at a time.
+ *
+ * @returns {Object} { rows, progress, isRunning, error, run, stop }
+ *   `rows` holds one entry per algorithm run: { algorithm, nodeCount, density, trial, V, E, ...metrics };
+ *   `progress` is { done, total } in graphs
+ */
+export function useBenchmark() {
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cancelled = useRef(false);
+
+  useEffect(() => () => {
+    cancelled.current = true;
+  }, []);
+
+  /**
+   * @param {Object} sweep - { algorithmIds, nodeCounts, densities, trials }
+   */
+  const run = useCallback(async ({ algorithmIds, nodeCounts, densities, trials }) => {
+    const cases = getBenchmarkCases({ nodeCounts, densities, trials });
+    cancelled.current = false;
+    setRows([]);
+    setError(null);
+    setProgress({ done: 0, total: cases.length });
+    setIsRunning(true);
+
+    try {
+      for (let index = 0; index < cases.length; index++) {
+        await nextTask();
+        if (cancelled.current) break;
+
+        const benchmarkCase = cases[index];
+        const graph = buildBenchmarkGraph(benchmarkCase.nodeCount, benchmarkCase.density);
+        const caseRows = algorithmIds.flatMap((algorithmId) => {
+          const result = runBenchmarkCase(algorithmId, graph);
+          return result ? [{ algorithm: algorithmId, ...benchmarkCase, ...result }] : [];
+        });
+        setRows((prev) => [...prev, ...caseRows]);
+        setProgress({ done: index + 1, total: cases.length });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    cancelled.current = true;
+  }, []);
+
+  return { rows, progress, isRunning, error, run, stop };
+}
@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const EMPTY_WEIGHT_POPOVER = {
+  isOpen: false,
+  position: { x: 0, y: 0 },
+  pendingEdge: null, // { source, target }
+  mode: 'create', // 'create' or 'edit'
+  existingEdgeId: null, // For editing existing edges
+  currentWeight: 10, // Current weight value
+};
+
+const IDENTITY_TRANSFORM = { x: 0, y: 0, scale: 1 };
+
+/**
+ * Custom hook for hand-editing a graph: the manual mode tools, adding and deleting nodes and
+ * edges, and the weight popover for new and edited edges. Used by the shortest path, MST and flow
+ * visualizers.
+ *
+ * One tool is active at a time (`activeTool`). Besides the editing tools ('addNode', 'addEdge',
+ * 'deleteNode', 'deleteEdge', 'editEdge') a page can select its own tools, such as
+ * 'selectSource', and handle them in its node click handler before calling `handleNodeClick`.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {Object} params.svgRef - Ref of the graph area, for click coordinates and popover placement
+ * @param {Array} params.nodes - Array of node objects
+ * @param {Function} params.setNodes - Node state setter
+ * @param {Array} params.edges - Array of edge objects
+ * @param {Function} params.setEdges - Edge state setter
+ * @param {string} params.mode - 'auto' or 'manual'; ESC cancels the active tool in manual mode
+ * @param {boolean} params.isDirected - New edges are directed; undirected graphs keep one edge per node pair
+ * @param {boolean} params.isRunning - Weights can't be edited while the algorithm runs
+ * @param {Object} [params.transform] - Pan and zoom of the graph group, { x, y, scale }
+ * @param {Function} [params.validateWeight] - Called with a confirmed weight; returning false drops it
+ * @param {Function} [params.onNodeDeleted] - Called with the id of a deleted node
+ * @param {Function} [params.onWeightEdited] - Called after the weight of an existing edge changes
+ *
+ * @returns {Object} Tool state, graph event handlers, and props for ManualModeToolbar and WeightInputPopover
+ */
+export function useGraphEditor({
+  svgRef,
+  nodes,
+  setNodes,
+  edges,
+  setEdges,
+  mode,
+  isDirected,
+  isRunning,
+  transform = IDENTITY_TRANSFORM,
+  validateWeight,
+  onNodeDeleted,
+  onWeightEdited,
+}) {
+  const [activeTool, setActiveTool] = useState(null);
+  const [tempNode, setTempNode] = useState(null);
+  const [weightPopover, setWeightPopover] = useState(EMPTY_WEIGHT_POPOVER);
+
+  // Activate one tool (or toggle it off), deactivating the others
+  const selectTool = (tool) => {
+    setActiveTool((current) => (current === tool ? null : tool));
+    setTempNode(null);
+  };
+
+  const cancelTool = useCallback(() => {
+    setActiveTool(null);
+    setTempNode(null);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // ESC key cancels any active manual mode operation
+      if (e.key === 'Escape' && mode === 'manual') {
+        cancelTool();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode, cancelTool]);
+
+  // Popover position: the midpoint of the edge, in page coordinates
+  const edgeMidpoint = (sourceNode, targetNode) => {
+    const svgRect = svgRef.current?.getBoundingClientRect();
+    const midX = (sourceNode.x + targetNode.x) / 2;
+    const midY = (sourceNode.y + targetNode.y) / 2;
+    if (!svgRect) return { x: midX, y: midY };
+    return {
+      x: svgRect.left + midX * transform.scale + transform.x,
+      y: svgRect.top + midY * transform.scale + transform.y,
+    };
+  };
+
+  const closeWeightPopover = () => {
+    setWeightPopover(EMPTY_WEIGHT_POPOVER);
+    setTempNode(null);
+    setActiveTool((current) => (current === 'addEdge' || current === 'editEdge' ? null : current));
+  };
+
+  // When clicking on the SVG in "Add Node" mode
+  const handleSvgClick = (e) => {
+    if (activeTool !== 'addNode') return;
+
+    // Undo the pan and zoom so the node lands under the cursor
+    const svgRect = svgRef.current.getBoundingClientRect();
+    const newId = nodes.length;
+    setNodes([
+      ...nodes,
+      {
+        id: newId,
+        x: (e.clientX - svgRect.left - transform.x) / transform.scale,
+        y: (e.clientY - svgRect.top - transform.y) / transform.scale,
+        label: String.fromCharCode(65 + newId),
+      },
+    ]);
+    setActiveTool(null);
+  };
+
+  /**
+   * Node clicks of the editing tools.
+   *
+   * @param {number} nodeId - Clicked node
+   * @returns {boolean} Whether an editing tool used the click
+   */
+  const handleNodeClick = (nodeId) => {
+    if (activeTool === 'deleteNode') {
+      setNodes(nodes.filter((n) => n.id !== nodeId));
+      setEdges(edges.filter((e) => e.source !== nodeId && e.target !== nodeId));
+      onNodeDeleted?.(nodeId);
+      setActiveTool(null);
+      return true;
+    }
+
+    if (activeTool !== 'addEdge') return false;
+
+    if (tempNode === null) {
+      setTempNode(nodeId);
+      return true;
+    }
+    const sourceNode = nodes.find((n) => n.id === tempNode);
+    const targetNode = nodes.find((n) => n.id === nodeId);
+    if (tempNode === nodeId || !sourceNode || !targetNode) {
+      // Clicked the same node (or a stale one), cancel edge creation
+      setTempNode(null);
+      setActiveTool(null);
+      return true;
+    }
+
+    setWeightPopover({
+      ...EMPTY_WEIGHT_POPOVER,
+      isOpen: true,
+      position: edgeMidpoint(sourceNode, targetNode),
+      pendingEdge: { source: tempNode, target: nodeId },
+    });
+    return true;
+  };
+
+  // When an edge is clicked
+  const handleEdgeClick = (edgeId) => {
+    if (activeTool === 'deleteEdge') {
+      setEdges(edges.filter((e) => e.id !== edgeId));
+      setActiveTool(null);
+    }
+  };
+
+  // When an edge weight is clicked (for editing)
+  const handleWeightClick = (edge) => {
+    if (mode === 'manual' && activeTool !== 'editEdge') return;
+    if (isRunning) return;
+
+    // The edge object from GraphRenderer has source/target as full node objects
+    const { source: sourceNode, target: targetNode } = edge;
+    if (!sourceNode || !targetNode) return;
+
+    setWeightPopover({
+      isOpen: true,
+      position: edgeMidpoint(sourceNode, targetNode),
+      pendingEdge: { source: sourceNode.id, target: targetNode.id },
+      mode: 'edit',
+      existingEdgeId: edge.id,
+      currentWeight: edge.weight,
+    });
+  };
+
+  // Handle weight confirmation from popover
+  const handleWeightConfirm = (weight) => {
+    const { source, target } = weightPopover.pendingEdge || {};
+
+    if (validateWeight && !validateWeight(weight)) {
+      closeWeightPopover();
+      return;
+    }
+
+    if (weightPopover.mode === 'edit') {
+      const edgeId = weightPopover.existingEdgeId;
+      setEdges((prevEdges) =>
+        prevEdges.map((edge) =>
+          edge.id === edgeId
+            ? { ...edge, weight, isNegative: weight < 0, status: 'unvisited' }
+            : { ...edge, status: 'unvisited' }
+        )
+      );
+      onWeightEdited?.();
+    } else if (source !== undefined && target !== undefined) {
+      // Directed graphs may hold antiparallel edges; undirected ones one edge per pair
+      const exists = edges.some(
+        (e) =>
+          (e.source === source && e.target === target) ||
+          (!isDirected && e.source === target && e.target === source)
+      );
+      if (!exists) {
+        setEdges([
+          ...edges,
+          {
+            id: `${source}-${target}`,
+            source,
+            target,
+            weight,
+            isNegative: weight < 0,
+            status: 'unvisited',
+            isUndirected: !isDirected,
+          },
+        ]);
+      }
+    }
+
+    closeWeightPopover();
+  };
+
+  return {
+    activeTool,
+    tempNode,
+    selectTool,
+    cancelTool,
+    handleSvgClick,
+    handleNodeClick,
+    handleEdgeClick,
+    handleWeightClick,
+    isEditingEdge: activeTool === 'editEdge',
+    toolbarProps: {
+      isAddingNode: activeTool === 'addNode',
+      isAddingEdge: activeTool === 'addEdge',
+      isDeletingNode: activeTool === 'deleteNode',
+      isDeletingEdge: activeTool === 'deleteEdge',
+      isEditingEdge: activeTool === 'editEdge',
+      tempNode,
+      onAddNodeMode: () => selectTool('addNode'),
+      onAddEdgeMode: () => selectTool('addEdge'),
+      onDeleteNodeMode: () => selectTool('deleteNode'),
+      onDeleteEdgeMode: () => selectTool('deleteEdge'),
+      onEditEdgeMode: () => selectTool('editEdge'),
+      onCancelOperation: cancelTool,
+      nodes,
+    },
+    popoverProps: {
+      isOpen: weightPopover.isOpen,
+      position: weightPopover.position,
+      initialWeight: weightPopover.currentWeight,
+      onConfirm: handleWeightConfirm,
+      onCancel: closeWeightPopover,
+    },
+  };
+}
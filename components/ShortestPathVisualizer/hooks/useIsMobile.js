@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Track whether the viewport is narrower than the mobile breakpoint, updating on resize.
+ *
+ * @param {number} [breakpoint=768] - Width in pixels below which the layout counts as mobile
+ * @returns {boolean} True on mobile-sized viewports (always false during the first render)
+ */
+export function useIsMobile(breakpoint = 768) {
+  const [isMobile, setIsMobile] = useState(false);
+
+  useEffect(() => {
+    const checkMobile = () => setIsMobile(window.innerWidth < breakpoint);
+    checkMobile();
+    window.addEventListener('resize', checkMobile);
+    return () => window.removeEventListener('resize', checkMobile);
+  }, [breakpoint]);
+
+  return isMobile;
+}
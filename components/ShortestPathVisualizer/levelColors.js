@@ -0,0 +1,17 @@
+/**
+ * levelColors.js
+ * Shared palette for BFS levels (and 0-1 BFS distance layers), so the graph halos
+ * and the side panels colour the same level the same way.
+ */
+
+export const LEVEL_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#f43f5e', '#8b5cf6'];
+
+/**
+ * Colour of a level, cycling through the palette for deep searches.
+ *
+ * @param {number} level - Level (hop count or 0/1 distance)
+ * @returns {string} Hex colour
+ */
+export function levelColor(level) {
+  return LEVEL_COLORS[level % LEVEL_COLORS.length];
+}
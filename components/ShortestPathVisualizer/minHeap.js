@@ -0,0 +1,145 @@
+/**
+ * Array-backed binary min-heap keyed by `dist`, used by the step generators.
+ *
+ * Every operation returns the list of events it performed so generators can turn
+ * them into sub-steps. Each event is { type, indices, heap } where `heap` is a
+ * snapshot of the array right after the event:
+ * - 'insert': new entry appended at indices[0]
+ * - 'extract': root removed, last entry moved to the root
+ * - 'decrease-key': entry at indices[0] got a smaller dist
+ * - 'sift-up' / 'sift-down': entries at indices[0] and indices[1] swapped
+ *
+ * Entries are { id, dist, key }; `key` is unique per push so the tree view can
+ * animate entries (including duplicates of the same node) as they move.
+ *
+ * When given the generator's operation counters (see opCounts.js), the heap adds its own
+ * pushes, pops and key comparisons to them.
+ *
+ * @param {Object|null} [counts] - Counters from createOpCounts
+ */
+export function createMinHeap(counts = null) {
+  const heap = [];
+  let nextKey = 0;
+
+  const snapshot = () => heap.map((entry) => ({ ...entry }));
+
+  // Key comparison, counted when the heap is instrumented
+  const less = (a, b) => {
+    if (counts) counts.comparisons++;
+    return heap[a].dist < heap[b].dist;
+  };
+
+  const swap = (a, b) => {
+    [heap[a], heap[b]] = [heap[b], heap[a]];
+  };
+
+  // Move the entry at `index` up while it is smaller than its parent
+  const siftUp = (index, events) => {
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (!less(index, parent)) break;
+      swap(index, parent);
+      events.push({ type: 'sift-up', indices: [parent, index], heap: snapshot() });
+      index = parent;
+    }
+  };
+
+  // Move the entry at `index` down while a child is smaller
+  const siftDown = (index, events) => {
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && less(left, smallest)) smallest = left;
+      if (right < heap.length && less(right, smallest)) smallest = right;
+      if (smallest === index) break;
+      swap(index, smallest);
+      events.push({ type: 'sift-down', indices: [index, smallest], heap: snapshot() });
+      index = smallest;
+    }
+  };
+
+  return {
+    size: () => heap.length,
+    toArray: snapshot,
+
+    /** Position of the first entry for `id`, or -1 */
+    indexOf: (id) => heap.findIndex((entry) => entry.id === id),
+
+    /**
+     * @param {number} id - Node ID
+     * @param {number} dist - Priority
+     * @returns {Array} Events
+     */
+    push(id, dist) {
+      const events = [];
+      heap.push({ id, dist, key: nextKey++ });
+      if (counts) counts.pushes++;
+      events.push({ type: 'insert', indices: [heap.length - 1], heap: snapshot() });
+      siftUp(heap.length - 1, events);
+      return events;
+    },
+
+    /**
+     * @returns {{ entry: Object|undefined, events: Array }} The minimum entry and the events
+     */
+    pop() {
+      const events = [];
+      if (heap.length === 0) return { entry: undefined, events };
+
+      const entry = heap[0];
+      const last = heap.pop();
+      if (counts) counts.pops++;
+      if (heap.length > 0) {
+        heap[0] = last;
+      }
+      events.push({ type: 'extract', indices: [0], heap: snapshot() });
+      siftDown(0, events);
+      return { entry, events };
+    },
+
+    /**
+     * @param {number} id - Node ID already in the heap
+     * @param {number} dist - New, smaller priority
+     * @returns {Array} Events (empty if the node is not in the heap)
+     */
+    decreaseKey(id, dist) {
+      const events = [];
+      const index = heap.findIndex((entry) => entry.id === id);
+      if (index === -1) return events;
+
+      heap[index] = { ...heap[index], dist };
+      events.push({ type: 'decrease-key', indices: [index], heap: snapshot() });
+      siftUp(index, events);
+      return events;
+    },
+  };
+}
+
+/**
+ * One-line explanation of a heap event, for the generators' sub-steps.
+ *
+ * @param {Object} event - Event returned by a heap operation
+ * @param {Array} nodes - Graph nodes (for labels)
+ * @returns {string} Explanation
+ */
+export function describeHeapEvent({ type, indices, heap }, nodes) {
+  const formatEntry = (entry) => `${nodes[entry?.id]?.label} (${entry?.dist})`;
+  const [a, b] = indices;
+  switch (type) {
+    case 'insert':
+      return `Heap insert: ${formatEntry(heap[a])} placed at index ${a}.`;
+    case 'extract':
+      return heap.length > 0
+        ? `Heap extract-min: last entry ${formatEntry(heap[0])} moved to the root.`
+        : `Heap extract-min: heap is now empty.`;
+    case 'decrease-key':
+      return `Heap decrease-key: ${nodes[heap[a].id]?.label} lowered to ${heap[a].dist} at index ${a}.`;
+    case 'sift-up':
+      return `Sift-up: ${formatEntry(heap[a])} is smaller than its parent ${formatEntry(heap[b])}, swap indices ${b} ↔ ${a}.`;
+    case 'sift-down':
+      return `Sift-down: ${formatEntry(heap[b])} is larger than its child ${formatEntry(heap[a])}, swap indices ${a} ↔ ${b}.`;
+    default:
+      return '';
+  }
+}
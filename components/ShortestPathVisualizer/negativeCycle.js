@@ -0,0 +1,93 @@
+/**
+ * negativeCycle.js
+ * Extract the exact negative cycle behind a failed Bellman-Ford check.
+ *
+ * Every relaxation sets a predecessor pointer, and any cycle in the predecessor graph is a
+ * negative cycle. Once an edge can still be relaxed after |V|-1 passes, relaxing it and then
+ * walking predecessors |V| times from its target is guaranteed to leave any tail and land on
+ * a cycle, as long as the cycle is already present in the pointers. If the walk reaches the
+ * source instead, relaxing continues until one appears (it must, because distances along a
+ * reachable negative cycle keep dropping).
+ */
+
+/**
+ * Walk predecessor pointers |V| times from `start` and trace the cycle it lands on.
+ *
+ * @param {number} start - Node to walk from
+ * @param {Object} prevEdge - { [nodeId]: predecessor edge { id, source, target, weight } }
+ * @param {number} nodeCount - |V|
+ * @returns {Array|null} Cycle edges in forward order, or null if the walk left the graph
+ */
+export function traceCycle(start, prevEdge, nodeCount) {
+  let node = start;
+  for (let i = 0; i < nodeCount; i++) {
+    if (!prevEdge[node]) return null;
+    node = prevEdge[node].source;
+  }
+
+  const cycle = [];
+  let current = node;
+  do {
+    if (!prevEdge[current]) return null;
+    cycle.unshift(prevEdge[current]);
+    current = prevEdge[current].source;
+  } while (current !== node && cycle.length <= nodeCount);
+
+  return current === node ? cycle : null;
+}
+
+/**
+ * Find a negative cycle, starting from the state Bellman-Ford (or SPFA) stopped in.
+ * Works on copies, so the caller's distances and pointers are left as they are.
+ *
+ * @param {Object} params
+ * @param {Array} params.nodes - Array of node objects
+ * @param {Array} params.edges - Directed edges in relaxation order (undirected edges expanded)
+ * @param {Object} params.dist - { [nodeId]: distance } where the algorithm stopped
+ * @param {Object} params.prevEdge - { [nodeId]: predecessor edge } where the algorithm stopped
+ * @param {number} [params.start] - Node whose pointer was just set, tried before relaxing further
+ * @returns {Object|null} { vertices, edges, totalWeight, start } or null if there is no cycle
+ */
+export function findNegativeCycle({ nodes, edges, dist, prevEdge, start = null }) {
+  const d = { ...dist };
+  const p = { ...prevEdge };
+  const toResult = (cycle, from) => ({
+    vertices: cycle.map((cycleEdge) => cycleEdge.source),
+    edges: cycle.map((cycleEdge) => cycleEdge.id),
+    totalWeight: cycle.reduce((sum, cycleEdge) => sum + cycleEdge.weight, 0),
+    start: from,
+  });
+
+  const startCycle = start !== null ? traceCycle(start, p, nodes.length) : null;
+  if (startCycle) return toResult(startCycle, start);
+
+  // Each pass relaxes every edge once; a reachable negative cycle shows up in at most |V| more passes
+  for (let pass = 0; pass <= nodes.length; pass++) {
+    let relaxed = false;
+    for (const edge of edges) {
+      if (d[edge.source] === Infinity || d[edge.source] + edge.weight >= d[edge.target]) continue;
+      d[edge.target] = d[edge.source] + edge.weight;
+      p[edge.target] = edge;
+      relaxed = true;
+
+      const cycle = traceCycle(edge.target, p, nodes.length);
+      if (cycle) return toResult(cycle, edge.target);
+    }
+    if (!relaxed) return null;
+  }
+  return null;
+}
+
+/**
+ * Readable cycle with its weight, e.g. "A→C→D→A, total −4".
+ *
+ * @param {Object} cycle - { vertices, totalWeight } from findNegativeCycle
+ * @param {Array} nodes - Array of node objects
+ * @returns {string} Node labels around the cycle, back to the first one, and the total weight
+ */
+export function describeCycle(cycle, nodes) {
+  if (!cycle || cycle.vertices.length === 0) return '';
+  const route = [...cycle.vertices, cycle.vertices[0]].map((id) => nodes[id]?.label ?? id).join('→');
+  const total = cycle.totalWeight < 0 ? `−${Math.abs(cycle.totalWeight)}` : `${cycle.totalWeight}`;
+  return `${route}, total ${total}`;
+}
@@ -0,0 +1,80 @@
+/**
+ * Cumulative operation counters kept by every step generator and copied onto each step as
+ * `opCounts`, so any step shows how much work the run has done up to that point:
+ * - `relaxAttempts`: relaxation tests dist[u] + w < dist[v]
+ * - `relaxSuccesses`: tests that lowered a distance
+ * - `pushes` / `pops`: entries added to / taken from the heap, queue or deque
+ * - `comparisons`: key comparisons, the relaxation tests plus those made inside the queue
+ * - `passes`: full rounds over the graph (Bellman-Ford passes, Floyd–Warshall k rounds, DAG sweep)
+ */
+
+export const OP_COUNTERS = [
+  { key: 'relaxAttempts', label: 'Relaxation attempts', color: '#6366f1' },
+  { key: 'relaxSuccesses', label: 'Successful relaxations', color: '#10b981' },
+  { key: 'pushes', label: 'Queue pushes', color: '#f59e0b' },
+  { key: 'pops', label: 'Queue pops', color: '#f97316' },
+  { key: 'comparisons', label: 'Comparisons', color: '#0ea5e9' },
+  { key: 'passes', label: 'Passes', color: '#a855f7' },
+];
+
+/**
+ * @returns {Object} Counters, all at 0; generators increment them in place
+ */
+export function createOpCounts() {
+  return { relaxAttempts: 0, relaxSuccesses: 0, pushes: 0, pops: 0, comparisons: 0, passes: 0 };
+}
+
+/**
+ * Counters of two runs added together, for generators that chain other generators.
+ *
+ * @param {Object} a - Counters from createOpCounts
+ * @param {Object} [b] - Counters to add (missing counters count as 0)
+ * @returns {Object} New counters
+ */
+export function sumOpCounts(a, b) {
+  return Object.fromEntries(Object.keys(a).map((key) => [key, a[key] + (b?.[key] || 0)]));
+}
+
+/**
+ * Count one relaxation test and whether it improved the distance.
+ *
+ * @param {Object} counts - Counters from createOpCounts
+ * @param {boolean} improved - Whether the test lowered dist[v]
+ * @returns {boolean} `improved`, so the call can wrap the test itself
+ */
+export function countRelaxation(counts, improved) {
+  counts.relaxAttempts++;
+  counts.comparisons++;
+  if (improved) counts.relaxSuccesses++;
+  return improved;
+}
+
+/**
+ * Edge count as the algorithms see it: an undirected edge is scanned from both ends.
+ *
+ * @param {Array} edges - Graph edges
+ * @returns {number} E
+ */
+export function countEdges(edges) {
+  return edges.reduce((count, edge) => count + (edge.isUndirected ? 2 : 1), 0);
+}
+
+/**
+ * An algorithm's own theoretical bound for a graph, from its definition's `complexityBound`.
+ *
+ * @param {Object} definition - Registered algorithm definition
+ * @param {number} V - Number of nodes
+ * @param {number} E - Number of edges, from countEdges
+ * @param {Object} [options] - Algorithm options, on top of the definition's defaultOptions
+ * @returns {Object|null} { label, value }, or null when the definition declares no bound
+ */
+export function complexityBound(definition, V, E, options = {}) {
+  if (!definition.complexityBound) return null;
+  const value = definition.complexityBound({
+    V,
+    E,
+    log: (n) => Math.log2(Math.max(n, 2)),
+    options: { ...definition.defaultOptions, ...options },
+  });
+  return { label: definition.complexity, value: Math.round(value) };
+}
@@ -0,0 +1,160 @@
+/**
+ * Predict-the-next-step questions, built from the upcoming step object and graded against it.
+ * Only significant steps get a question:
+ * - `extract`: the step takes one node off the queue. With a binary heap (Dijkstra, Johnson's
+ *   phases) that is the heap's `extract` step, asked before the pop; otherwise it is the step
+ *   where visitedNodes grows by one. The choices are the nodes waiting in the previous step's
+ *   heap, deque or queue, exactly what the queue panel shows while the question is open, and a
+ *   step whose answer is not among them gets no question. On a priority queue, nodes tied with
+ *   the answer's key are left out of the choices, since either could come off next
+ * - `relax`: the step shows the outcome of relaxing an edge (a distance improves or the edge
+ *   turns 'excluded'); the user enters the new dist[v] or says it does not improve
+ * Everything else plays without a question.
+ */
+
+// Entries of a priority queue keyed by `dist` (heap or bidirectional frontiers), null for FIFO queues
+const priorityEntries = (step) => {
+  if (step?.forwardQueue || step?.backwardQueue) {
+    return [...(step.forwardQueue || []), ...(step.backwardQueue || [])];
+  }
+  return step?.minHeap?.length ? step.minHeap.filter((entry) => !entry.stale) : null;
+};
+
+const queuedIds = (step) => {
+  // Bidirectional Dijkstra shows both frontiers' queues
+  if (step?.forwardQueue || step?.backwardQueue) {
+    return [...(step.forwardQueue || []), ...(step.backwardQueue || [])].map((entry) => entry.id);
+  }
+  const entries = step?.minHeap?.length ? step.minHeap : step?.deque?.length ? step.deque : null;
+  if (entries) return entries.filter((entry) => !entry.stale).map((entry) => entry.id);
+  return step?.spfaQueue || [];
+};
+
+// Whether steps[stepIndex] closes a heap extraction already asked about on its `extract` step
+const followsHeapExtract = (steps, stepIndex) => {
+  for (let i = stepIndex - 1; i >= 0; i--) {
+    const type = steps[i].heapOperation?.type;
+    if (type === 'extract') return true;
+    if (type !== 'sift-down') return false;
+  }
+  return false;
+};
+
+const extractQuestion = (previous, answer) => {
+  const waiting = queuedIds(previous);
+  if (!waiting.includes(answer)) return null;
+  let choices = [...new Set(waiting)];
+
+  const entries = priorityEntries(previous);
+  if (entries) {
+    const keyOf = (id) => Math.min(...entries.filter((entry) => entry.id === id).map((entry) => entry.dist));
+    const answerKey = keyOf(answer);
+    choices = choices.filter((id) => id === answer || keyOf(id) !== answerKey);
+  }
+  if (choices.length < 2) return null;
+  return { type: 'extract', choices: choices.sort((a, b) => a - b), answer };
+};
+
+// Node most recently taken off the queue before steps[stepIndex], the one whose edges are scanned
+const lastExtracted = (steps, stepIndex) => {
+  for (let i = stepIndex - 1; i > 0; i--) {
+    const before = new Set(steps[i - 1].visitedNodes || []);
+    const added = (steps[i].visitedNodes || []).filter((id) => !before.has(id));
+    if (added.length === 1) return added[0];
+  }
+  return undefined;
+};
+
+const isRelaxOutcome = (step) =>
+  step?.currentEdgeBeingRelaxed != null &&
+  ((step.updatedDistances || []).length > 0 ||
+    (step.edgeUpdates || []).some((update) => update.id === step.currentEdgeBeingRelaxed && update.status === 'excluded'));
+
+/**
+ * Question for steps[stepIndex], or null if that step is not worth predicting.
+ *
+ * @param {Array} steps - Generated steps
+ * @param {number} stepIndex - Index of the upcoming step
+ * @param {Array} edges - Edge objects, to resolve the relaxed edge
+ * @param {boolean} isDirected - Whether edges are one-way
+ * @returns {Object|null} { type: 'extract', choices, answer } or
+ *   { type: 'relax', edgeId, from, to, oldDist, weight, answer } where answer is the new dist or null
+ */
+export function buildQuestion(steps, stepIndex, edges, isDirected) {
+  const step = steps[stepIndex];
+  const previous = steps[stepIndex - 1];
+  if (!step || !previous) return null;
+
+  // Heap extraction: the popped entry is the previous heap's root; stale roots are not asked
+  if (step.heapOperation?.type === 'extract') {
+    const root = previous.minHeap?.[0];
+    if (!root || root.stale || (previous.visitedNodes || []).includes(root.id)) return null;
+    return extractQuestion(previous, root.id);
+  }
+
+  // Other queues: exactly one node joins visitedNodes
+  const wasVisited = new Set(previous.visitedNodes || []);
+  const newlyVisited = (step.visitedNodes || []).filter((id) => !wasVisited.has(id));
+  if (newlyVisited.length === 1 && !isRelaxOutcome(step)) {
+    return followsHeapExtract(steps, stepIndex) ? null : extractQuestion(previous, newlyVisited[0]);
+  }
+
+  // Relaxation outcome, asked once per edge check
+  if (isRelaxOutcome(step) && !(isRelaxOutcome(previous) && previous.currentEdgeBeingRelaxed === step.currentEdgeBeingRelaxed)) {
+    const edge = edges.find((e) => e.id === step.currentEdgeBeingRelaxed);
+    if (!edge) return null;
+
+    // The improved node, else the edge's head (for undirected edges the end away from the scanned node)
+    const ends = [edge.source, edge.target];
+    let to = (step.updatedDistances || []).find((id) => ends.includes(id));
+    if (to === undefined) {
+      to = !isDirected && lastExtracted(steps, stepIndex) === edge.target ? edge.source : edge.target;
+    }
+    const from = to === edge.target ? edge.source : edge.target;
+    const oldDist = previous.distanceArray?.[to];
+    if (oldDist === undefined) return null;
+
+    const improved = (step.updatedDistances || []).includes(to);
+    return {
+      type: 'relax',
+      edgeId: edge.id,
+      from,
+      to,
+      oldDist,
+      weight: edge.weight,
+      answer: improved ? step.distanceArray[to] : null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * @param {Object} question - Question from buildQuestion
+ * @param {number|null} guess - Node id (extract) or new distance, null for "no improvement" (relax)
+ * @returns {boolean} Whether the guess matches the upcoming step
+ */
+export function gradeAnswer(question, guess) {
+  if (question.type === 'relax' && typeof guess === 'number' && typeof question.answer === 'number') {
+    // Tolerate floating-point noise from fractional weights
+    return Math.abs(guess - question.answer) < 1e-6;
+  }
+  return guess === question.answer;
+}
+
+/**
+ * One-line statement of the correct answer, shown with the step's own explanation.
+ *
+ * @param {Object} question - Question from buildQuestion
+ * @param {Array} nodes - Node objects, for labels
+ * @returns {string}
+ */
+export function describeAnswer(question, nodes) {
+  const label = (id) => nodes[id]?.label;
+  if (question.type === 'extract') {
+    return `${label(question.answer)} is extracted next.`;
+  }
+  return question.answer === null
+    ? `dist[${label(question.to)}] does not improve.`
+    : `dist[${label(question.to)}] becomes ${question.answer}.`;
+}
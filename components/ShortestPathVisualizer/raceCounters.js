@@ -0,0 +1,30 @@
+/**
+ * Live counters for the algorithm race, read from the operation counters every generator
+ * attaches to its steps (`opCounts`, see opCounts.js):
+ * - `steps`: steps applied so far
+ * - `edgesRelaxed`: relaxation attempts
+ * - `queueOps`: pushes and pops on the heap, queue or deque
+ */
+
+export const RACE_COUNTERS = [
+  { key: 'steps', label: 'Steps' },
+  { key: 'edgesRelaxed', label: 'Edges relaxed' },
+  { key: 'queueOps', label: 'Queue operations' },
+];
+
+/**
+ * Counters once `appliedSteps` steps are applied (0 before the first one).
+ *
+ * @param {Array} steps - Generated steps
+ * @param {number} appliedSteps - Number of steps applied
+ * @returns {Object} { steps, edgesRelaxed, queueOps }
+ */
+export function raceCountersAt(steps, appliedSteps) {
+  const applied = Math.min(appliedSteps, steps.length);
+  const opCounts = applied > 0 ? steps[applied - 1].opCounts : null;
+  return {
+    steps: applied,
+    edgesRelaxed: opCounts?.relaxAttempts ?? 0,
+    queueOps: (opCounts?.pushes ?? 0) + (opCounts?.pops ?? 0),
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Run traces: a whole run saved as one versioned JSON document (graph, parameters, algorithm
+ * and options, every generated step and the final result). Opening a trace replays exactly the
+ * recorded steps instead of generating new ones, so everyone who opens it sees the same run.
+ *
+ * JSON has no Infinity, and unreached distances are Infinity in almost every step, so
+ * non-finite numbers are written as the strings "Infinity" / "-Infinity" and read back.
+ */
+import { getAlgorithm } from './algorithms';
+
+export const TRACE_FORMAT = 'pathfinder-trace';
+export const TRACE_VERSION = 1;
+
+/**
+ * Build a trace document for a finished step generation.
+ *
+ * @param {Object} run - The run to record
+ * @param {Array} run.nodes - Node objects
+ * @param {Array} run.edges - Edge objects (render status is dropped)
+ * @param {Object} run.graphParams - Graph parameters the graph was built with
+ * @param {number|null} run.sourceNode - Source node id
+ * @param {number|null} run.destNode - Target node id
+ * @param {string} run.algorithm - Registered algorithm id
+ * @param {Object} run.options - Algorithm options the steps were generated with
+ * @param {Array} run.steps - Generated steps
+ * @param {Object} run.result - Final shortestPathResult
+ * @returns {Object} Trace document
+ */
+export function createTrace({ nodes, edges, graphParams, sourceNode, destNode, algorithm, options, steps, result }) {
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    createdAt: new Date().toISOString(),
+    algorithm: { id: algorithm, name: getAlgorithm(algorithm)?.name ?? algorithm },
+    options: { ...options },
+    graph: {
+      nodes: nodes.map(({ id, x, y, label }) => ({ id, x, y, label })),
+      // eslint-disable-next-line no-unused-vars
+      edges: edges.map(({ status, ...edge }) => edge),
+      params: { ...graphParams },
+      sourceNode,
+      destNode,
+    },
+    steps,
+    result,
+  };
+}
+
+/**
+ * Serialize a trace to pretty-printed JSON, keeping Infinity distances.
+ *
+ * @param {Object} trace - Trace document from createTrace
+ * @returns {string} JSON text
+ */
+export function stringifyTrace(trace) {
+  return JSON.stringify(
+    trace,
+    (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value),
+    2
+  );
+}
+
+/**
+ * Parse and validate trace JSON.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Trace document
+ * @throws {Error} With a message fit to show the user when the file is not a usable trace
+ */
+export function parseTrace(text) {
+  let trace;
+  try {
+    trace = JSON.parse(text, (key, value) => {
+      if (value === 'Infinity') return Infinity;
+      if (value === '-Infinity') return -Infinity;
+      return value;
+    });
+  } catch (error) {
+    throw new Error(`The file is not valid JSON (${error.message}).`);
+  }
+
+  if (!trace || trace.format !== TRACE_FORMAT) {
+    throw new Error('The file is not a Pathfinder run trace.');
+  }
+  if (!Number.isInteger(trace.version) || trace.version < 1) {
+    throw new Error('The trace has no valid version number.');
+  }
+  if (trace.version > TRACE_VERSION) {
+    throw new Error(`The trace was saved in format version ${trace.version}; this viewer reads up to version ${TRACE_VERSION}.`);
+  }
+
+  const definition = getAlgorithm(trace.algorithm?.id);
+  if (!definition || definition.category !== 'shortest-path') {
+    throw new Error(`The trace was recorded with "${trace.algorithm?.name ?? trace.algorithm?.id}", which this visualizer does not have.`);
+  }
+
+  const { graph, steps, result } = trace;
+  if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+    throw new Error('The trace has no graph.');
+  }
+  const nodeIds = new Set(graph.nodes.map((node) => node.id));
+  const danglingEdge = graph.edges.find((edge) => !nodeIds.has(edge.source) || !nodeIds.has(edge.target));
+  if (danglingEdge) {
+    throw new Error(`Edge ${danglingEdge.id} of the trace points to a node that is not in the graph.`);
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('The trace has no steps.');
+  }
+  const brokenStep = steps.findIndex((step) => typeof step?.explanation !== 'string' || !Array.isArray(step.edgeUpdates));
+  if (brokenStep !== -1) {
+    throw new Error(`Step ${brokenStep + 1} of the trace is incomplete.`);
+  }
+  if (!result || typeof result.distances !== 'object' || typeof result.paths !== 'object') {
+    throw new Error('The trace has no final result.');
+  }
+
+  return trace;
+}
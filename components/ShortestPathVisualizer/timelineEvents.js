@@ -0,0 +1,48 @@
+/**
+ * Significant events along a run, found from the shared step fields so every registered
+ * algorithm gets timeline markers without extra work:
+ * - `finalize`: a node enters visitedNodes (settled, dequeued or otherwise done)
+ * - `improve`: the step reports updatedDistances (a distance got better)
+ * - `iteration`: iterationCount changes (a new pass, level, source or phase)
+ * - `negativeCycle`: negativeCycleDetected turns on
+ * The first step (initialization) only counts for finalizations.
+ */
+
+// Marker types in lane order, with the colours the scrubber draws them in
+export const TIMELINE_EVENT_TYPES = [
+  { type: 'finalize', label: 'Node finalized', color: '#10b981' },
+  { type: 'improve', label: 'Distance improved', color: '#f59e0b' },
+  { type: 'iteration', label: 'Iteration starts', color: '#6366f1' },
+  { type: 'negativeCycle', label: 'Negative cycle', color: '#a855f7' },
+];
+
+/**
+ * @param {Array} steps - Generated steps
+ * @returns {Array} Events { index, type } in step order; index is the step's position in `steps`
+ */
+export function getTimelineEvents(steps) {
+  const events = [];
+  let previousVisited = new Set();
+
+  steps.forEach((step, index) => {
+    const previous = steps[index - 1];
+    const visited = new Set(step.visitedNodes || []);
+
+    if ([...visited].some((id) => !previousVisited.has(id))) {
+      events.push({ index, type: 'finalize' });
+    }
+    if (previous && step.updatedDistances?.length > 0) {
+      events.push({ index, type: 'improve' });
+    }
+    if (previous && (step.iterationCount || 0) !== (previous.iterationCount || 0)) {
+      events.push({ index, type: 'iteration' });
+    }
+    if (step.negativeCycleDetected && !previous?.negativeCycleDetected) {
+      events.push({ index, type: 'negativeCycle' });
+    }
+
+    previousVisited = visited;
+  });
+
+  return events;
+}
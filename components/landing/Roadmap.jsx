@@ -14,14 +14,14 @@ const roadmapItems = [
   {
     period: "Q2",
     title: "Network Design",
-    description: "MST algorithms (Prim's and Kruskal's) - In Progress",
-    status: "in-progress",
+    description: "MST algorithms (Prim's and Kruskal's) with heap and disjoint-set visualizations.",
+    status: "done",
   },
   {
     period: "Future",
     title: "Advanced Algorithms",
-    description: "Heuristic Search (A*) & Flow Networks (Max Flow)",
-    status: "planned",
+    description: "Heuristic Search (A*) & Flow Networks (Edmonds–Karp and Dinic's max flow).",
+    status: "done",
   },
 ];
 
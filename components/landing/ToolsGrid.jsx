@@ -1,7 +1,7 @@
 "use client";
 
 import { motion } from "framer-motion";
-import { Route, Network, ArrowRight } from "lucide-react";
+import { Route, Network, Waves, ArrowRight } from "lucide-react";
 import Link from "next/link";
 import { BentoGrid } from "@/components/ui/bento-grid";
 import { BorderBeam } from "@/components/ui/border-beam";
@@ -86,6 +86,40 @@ function MSTBackground() {
   );
 }
 
+// Background component for Flow card
+function FlowBackground() {
+  return (
+    <div className="absolute inset-0 flex items-center justify-center opacity-20">
+      <svg
+        className="h-full w-full"
+        viewBox="0 0 200 200"
+        xmlns="http://www.w3.org/2000/svg"
+      >
+        {/* Source, sink and two parallel routes */}
+        <circle cx="30" cy="100" r="8" className="fill-teal-500" />
+        <circle cx="100" cy="50" r="6" className="fill-teal-500" />
+        <circle cx="100" cy="150" r="6" className="fill-teal-500" />
+        <circle cx="170" cy="100" r="8" className="fill-teal-500" />
+
+        <line x1="30" y1="100" x2="100" y2="50" className="stroke-teal-400 stroke-[4]" />
+        <line x1="30" y1="100" x2="100" y2="150" className="stroke-teal-400 stroke-2" />
+        <line x1="100" y1="50" x2="170" y2="100" className="stroke-teal-400 stroke-[4]" />
+        <line x1="100" y1="150" x2="170" y2="100" className="stroke-teal-400 stroke-2" />
+        <line x1="100" y1="50" x2="100" y2="150" className="stroke-teal-400/50 stroke-1" />
+
+        {/* Flow pulse along the top route */}
+        <motion.circle
+          r="4"
+          className="fill-teal-300"
+          initial={{ cx: 30, cy: 100 }}
+          animate={{ cx: [30, 100, 170], cy: [100, 50, 100] }}
+          transition={{ duration: 2.5, repeat: Infinity, ease: "linear" }}
+        />
+      </svg>
+    </div>
+  );
+}
+
 export function ToolsGrid() {
   return (
     <section id="tools-section" className="relative py-16 px-4 md:py-24 lg:py-32">
@@ -141,8 +175,8 @@ export function ToolsGrid() {
             </Link>
 
             {/* MST Card */}
-            <div className="relative cursor-not-allowed">
-              <div className="relative h-[22rem] overflow-hidden rounded-xl border border-border bg-card/50 p-6 opacity-60">
+            <Link href="/mst" className="group relative">
+              <div className="relative h-[22rem] overflow-hidden rounded-xl border border-border bg-card/50 p-6 transition-all duration-300 hover:border-purple-500/50 hover:bg-card/80">
                 <BorderBeam 
                   size={250} 
                   duration={12} 
@@ -154,13 +188,8 @@ export function ToolsGrid() {
                 
                 <div className="relative z-10 flex h-full flex-col justify-between">
                   <div>
-                    <div className="mb-2 flex items-center gap-3">
-                      <div className="inline-flex rounded-lg bg-purple-500/10 p-3">
-                        <Network className="h-8 w-8 text-purple-400" />
-                      </div>
-                      <span className="inline-flex items-center rounded-full bg-muted px-3 py-1 text-xs font-medium text-muted-foreground">
-                        Coming Soon
-                      </span>
+                    <div className="mb-4 inline-flex rounded-lg bg-purple-500/10 p-3">
+                      <Network className="h-8 w-8 text-purple-400" />
                     </div>
                     <h3 className="mb-2 text-2xl font-semibold text-foreground">
                       Network Design
@@ -170,12 +199,46 @@ export function ToolsGrid() {
                     </p>
                   </div>
                   
-                  <div className="flex items-center gap-2 text-muted-foreground">
-                    <span className="font-medium">Under Development</span>
+                  <div className="flex items-center gap-2 text-purple-400 transition-transform duration-300 group-hover:translate-x-2">
+                    <span className="font-medium">Start Exploring</span>
+                    <ArrowRight className="h-5 w-5" />
+                  </div>
+                </div>
+              </div>
+            </Link>
+
+            {/* Flow Card */}
+            <Link href="/max-flow" className="group relative">
+              <div className="relative h-[22rem] overflow-hidden rounded-xl border border-border bg-card/50 p-6 transition-all duration-300 hover:border-teal-500/50 hover:bg-card/80">
+                <BorderBeam 
+                  size={250} 
+                  duration={12} 
+                  delay={3} 
+                  colorFrom="#14b8a6"
+                  colorTo="#6366f1"
+                />
+                <FlowBackground />
+                
+                <div className="relative z-10 flex h-full flex-col justify-between">
+                  <div>
+                    <div className="mb-4 inline-flex rounded-lg bg-teal-500/10 p-3">
+                      <Waves className="h-8 w-8 text-teal-400" />
+                    </div>
+                    <h3 className="mb-2 text-2xl font-semibold text-foreground">
+                      Flow Networks
+                    </h3>
+                    <p className="text-muted-foreground">
+                      Push flow with Edmonds–Karp and Dinic&apos;s algorithms. Follow augmenting paths, level graphs and the min cut that proves the flow is maximum.
+                    </p>
+                  </div>
+                  
+                  <div className="flex items-center gap-2 text-teal-400 transition-transform duration-300 group-hover:translate-x-2">
+                    <span className="font-medium">Start Exploring</span>
+                    <ArrowRight className="h-5 w-5" />
                   </div>
                 </div>
               </div>
-            </div>
+            </Link>
           </BentoGrid>
         </motion.div>
       </div>
@@ -142,6 +142,11 @@ export const WEIGHTS = {
     LARGE_WEIGHT_RANGE: 10,
     LARGE_OFFSET_FROM_MAX: 9,
   },
+
+  // 0/1 distribution (0-1 BFS)
+  ZERO_ONE: {
+    ZERO_WEIGHT_CHANCE: 0.35,  // Enough 0-edges to show front pushes, most edges still cost 1
+  },
 };
 
 // =========================
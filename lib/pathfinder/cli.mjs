@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Print the step trace of a shortest-path run, using the same step generators as the app.
+ *
+ *   node lib/pathfinder/cli.mjs dijkstra graph.json --source A
+ *   node lib/pathfinder/cli.mjs yen graph.json --source A --target F --option k=4 --json
+ *   node lib/pathfinder/cli.mjs bellmanford --random 8 --density 0.4
+ *   cat graph.json | node lib/pathfinder/cli.mjs spfa -
+ *
+ * The graph file is a JSON plain graph (see index.js) or any other of the app's graph file
+ * formats (components/ShortestPathVisualizer/graphFormats.js), picked by extension.
+ * Infinite distances are written as the strings "Infinity" / "-Infinity" in JSON output,
+ * like the app's run traces.
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import './register.mjs';
+
+// Loaded after the hooks are registered so the app's extensionless imports resolve
+const { listAlgorithms, runAlgorithm, randomGraphFor, parseGraph, detectGraphFormat, graphFileExtensions } = await import('./index.js');
+
+const USAGE = `Usage: node lib/pathfinder/cli.mjs <algorithm> [graph file | -] [options]
+
+Options:
+  --source <id>        Source node id (default: the first node)
+  --target <id>        Target node id (needed by bidirectional, astar and yen)
+  --option <key=value> Algorithm option, repeatable (e.g. --option k=4)
+  --random <n>         Run on a random graph with n nodes instead of a file
+  --density <d>        Edge density of the random graph (default 0.3)
+  --json               Print steps and result as JSON
+  --list               List the algorithms
+  --help               Show this help`;
+
+// Option values are typed like the app's settings: booleans and numbers stay what they are
+const parseOptionValue = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+};
+
+const formatDistance = (value) => (value === Infinity ? '∞' : value === -Infinity ? '-∞' : String(value));
+
+// Graph files in any of the app's formats, picked by extension (a .csv may hold a matrix);
+// stdin is read as JSON
+function readGraph(file) {
+  const text = readFileSync(file === '-' ? 0 : file, 'utf8');
+  const format = file === '-' ? 'json' : detectGraphFormat(file, text);
+  if (!format) {
+    throw new Error(`${file}: unknown graph file extension (use ${graphFileExtensions().join(', ')})`);
+  }
+  try {
+    return parseGraph(text, format);
+  } catch (err) {
+    throw new Error(`${file === '-' ? 'stdin' : file}: ${err.message}`);
+  }
+}
+
+function printTrace(algorithm, graph, { steps, result }) {
+  const label = (index) => graph.nodes[index]?.label ?? graph.nodes[index]?.id ?? index;
+  console.log(`${algorithm.name}: ${graph.nodes.length} nodes, ${graph.edges.length} edges, ${steps.length} steps`);
+  console.log('');
+
+  const width = String(steps.length).length;
+  steps.forEach((step, index) => {
+    console.log(`${String(index + 1).padStart(width)}  [${step.algorithmStep ?? ''}] ${step.explanation}`);
+  });
+
+  const distances = result?.distances || {};
+  const ids = Object.keys(distances);
+  if (ids.length === 0) return;
+  console.log('');
+  console.log('Result');
+  ids.forEach((id) => {
+    const path = result.paths?.[id];
+    const route = Array.isArray(path) && path.length > 0 ? `  ${path.map(label).join(' → ')}` : '';
+    console.log(`  ${String(label(id)).padEnd(6)} ${formatDistance(distances[id]).padStart(6)}${route}`);
+  });
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      source: { type: 'string' },
+      target: { type: 'string' },
+      option: { type: 'string', multiple: true },
+      random: { type: 'string' },
+      density: { type: 'string' },
+      json: { type: 'boolean' },
+      list: { type: 'boolean' },
+      help: { type: 'boolean' },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.list) {
+    listAlgorithms().forEach(({ id, name, needsTarget }) => {
+      console.log(`${id.padEnd(14)} ${name}${needsTarget ? ' (needs --target)' : ''}`);
+    });
+    return;
+  }
+
+  const [algorithmId, file] = positionals;
+  if (!algorithmId || (!file && !values.random)) {
+    throw new Error(USAGE);
+  }
+  const algorithm = listAlgorithms().find(({ id }) => id === algorithmId);
+
+  let graph;
+  let source = values.source;
+  if (values.random) {
+    graph = randomGraphFor(algorithmId, {
+      nodeCount: parseInt(values.random),
+      density: values.density ? Number(values.density) : 0.3,
+    });
+    source = source ?? graph.source;
+  } else {
+    graph = readGraph(file);
+  }
+
+  const options = Object.fromEntries((values.option || []).map((entry) => {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`--option expects key=value, got "${entry}"`);
+    }
+    return [entry.slice(0, separator), parseOptionValue(entry.slice(separator + 1))];
+  }));
+
+  const run = runAlgorithm(algorithmId, graph, { source, target: values.target, options });
+
+  if (values.json) {
+    const trace = { algorithm: { id: algorithm.id, name: algorithm.name }, options, source, target: values.target ?? null, graph, ...run };
+    console.log(JSON.stringify(
+      trace,
+      (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value),
+      2
+    ));
+  } else {
+    printTrace(algorithm, graph, run);
+  }
+}
+
+// Stop quietly when the reader goes away (e.g. piped into `head`)
+process.stdout.on('error', (err) => {
+  if (err.code !== 'EPIPE') throw err;
+  process.exit(0);
+});
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
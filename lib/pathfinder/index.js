@@ -0,0 +1,142 @@
+/**
+ * Headless shortest-path runs: the visualizer's algorithm definitions (the React-free half of
+ * its registry, see components/ShortestPathVisualizer/algorithms/definitions.js) behind a
+ * plain-object API with no React or DOM, so scripts, autograders and the CLI (cli.mjs) reuse
+ * the exact implementations the app animates.
+ *
+ * A plain graph looks like:
+ *   {
+ *     directed: true,                                // optional, defaults to true
+ *     nodes: [{ id: 'A', label: 'A', x: 0, y: 0 }],  // every field optional
+ *     edges: [{ source: 'A', target: 'B', weight: 4 }],
+ *   }
+ * which is also the JSON graph file format (components/ShortestPathVisualizer/graphFormats.js).
+ * Node ids default to the node's position in `nodes`; edges and the source/target options
+ * refer to nodes by id. In the returned steps and result, nodes are identified by their
+ * position in `nodes`, the same way the visualizer identifies them.
+ *
+ * Node has no bundler, so scripts that import this module directly need the extensionless
+ * import hooks first: `node --import ./lib/pathfinder/register.mjs script.mjs`.
+ */
+import { getAlgorithm, getAlgorithms } from '../../components/ShortestPathVisualizer/algorithms/definitions';
+import { buildRandomGraph } from '../../components/ShortestPathVisualizer/GraphGeneration';
+import { toVisualizerGraph, parseGraph, detectGraphFormat, graphFileExtensions } from '../../components/ShortestPathVisualizer/graphFormats';
+
+export { toVisualizerGraph, parseGraph, detectGraphFormat, graphFileExtensions };
+
+// Shortest-path definition of an id, or an error listing the available ones
+function requireAlgorithm(algorithmId) {
+  const algorithm = getAlgorithm(algorithmId);
+  if (!algorithm || algorithm.category !== 'shortest-path') {
+    const available = listAlgorithms().map(({ id }) => id).join(', ');
+    throw new Error(`Unknown algorithm "${algorithmId}". Available: ${available}`);
+  }
+  return algorithm;
+}
+
+/**
+ * @returns {Array<Object>} { id, name, needsTarget } of every algorithm, in the app's tab order
+ */
+export function listAlgorithms() {
+  return getAlgorithms('shortest-path').map(({ id, name, capabilities }) => ({
+    id,
+    name,
+    needsTarget: capabilities.needsTarget,
+  }));
+}
+
+/**
+ * Run one algorithm on a plain graph.
+ *
+ * @param {string} algorithmId - Algorithm id, see listAlgorithms
+ * @param {Object} graph - Plain graph (see file header)
+ * @param {Object} [run] - Run parameters
+ * @param {string|number} [run.source] - Source node id, defaults to the first node
+ * @param {string|number} [run.target] - Target node id, required by point-to-point algorithms
+ * @param {Object} [run.options] - Algorithm options, same as in the app's settings drawer; unset
+ *   ones take the algorithm's defaults
+ * @returns {Object} { steps, result }: the generated steps and the final result the app shows
+ */
+export function runAlgorithm(algorithmId, graph, { source, target, options = {} } = {}) {
+  const algorithm = requireAlgorithm(algorithmId);
+
+  const { nodes, edges, isDirected, indexOf } = toVisualizerGraph(graph);
+  if (nodes.length === 0) {
+    throw new Error('Graph has no nodes');
+  }
+  const sourceNode = source != null ? indexOf(source) : 0;
+  const destNode = target != null ? indexOf(target) : null;
+  if (algorithm.capabilities.needsTarget && destNode == null) {
+    throw new Error(`${algorithm.name} needs a target node`);
+  }
+
+  let result = { distances: {}, paths: {} };
+  const steps = algorithm.generateSteps({
+    nodes,
+    edges,
+    selectedSourceNode: sourceNode,
+    selectedDestNode: destNode,
+    graphParams: { sourceNode, isDirected, acyclic: algorithm.capabilities.acyclicOnly },
+    setShortestPathResult: (finalResult) => { result = finalResult; },
+    options: { ...algorithm.defaultOptions, ...options },
+  });
+
+  return { steps, result };
+}
+
+/**
+ * Generate a random graph with the app's generator, as a plain graph.
+ *
+ * @param {Object} [params] - Same fields as the app's graph settings
+ * @param {string} [profile='dijkstra'] - Weight and density profile ('dijkstra' or 'bellmanford')
+ * @returns {Object} Plain graph with an extra `source` field: the generator's chosen source node
+ */
+export function randomGraph(params = {}, profile = 'dijkstra') {
+  const graphParams = {
+    nodeCount: 8,
+    density: 0.3,
+    minWeight: 1,
+    maxWeight: 20,
+    allowNegativeEdges: false,
+    isDirected: true,
+    acyclic: false,
+    graphType: 'circular',
+    weightDistribution: 'random',
+    ...params,
+  };
+  const { newNodes, newEdges, newParams } = buildRandomGraph({
+    svgWidth: 800,
+    svgHeight: 600,
+    graphParams,
+    algorithm: profile,
+  });
+
+  return {
+    directed: graphParams.acyclic || graphParams.isDirected !== false,
+    source: newParams.sourceNode,
+    nodes: newNodes.map(({ id, label, x, y }) => ({ id, label, x: Math.round(x), y: Math.round(y) })),
+    edges: newEdges.map(({ source, target, weight }) => ({ source, target, weight })),
+  };
+}
+
+/**
+ * Generate a random graph suited to one algorithm, the way the app does when switching to it:
+ * the algorithm's weight distribution and generator profile, a DAG for acyclic-only algorithms,
+ * and negative weights for algorithms that support them.
+ *
+ * @param {string} algorithmId - Algorithm id, see listAlgorithms
+ * @param {Object} [params] - Graph settings, on top of the algorithm's
+ * @returns {Object} Plain graph with an extra `source` field, see randomGraph
+ */
+export function randomGraphFor(algorithmId, params = {}) {
+  const algorithm = requireAlgorithm(algorithmId);
+  return randomGraph(
+    {
+      acyclic: algorithm.capabilities.acyclicOnly,
+      allowNegativeEdges: algorithm.capabilities.supportsNegativeWeights,
+      weightDistribution: algorithm.weightDistribution,
+      ...params,
+    },
+    algorithm.graphProfile
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * Node module hooks that let plain `node` load the app's source the way the bundler does:
+ * relative imports without an extension ('./graphHelpers') resolve to the `.js` file, and the
+ * repo's `.js` files load as ES modules. Registered by register.mjs.
+ */
+const ROOT = new URL('../../', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const extensionless = /^\.{1,2}\//.test(specifier) && !/\.[a-z]+$/i.test(specifier);
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || !extensionless) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(ROOT) && !url.includes('/node_modules/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,4 @@
+// Import first (`node --import ./lib/pathfinder/register.mjs …`) to load the app's source from Node
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);